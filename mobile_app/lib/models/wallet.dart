@@ -7,6 +7,8 @@ class Wallet {
   final DateTime? lastBalanceUpdate;
   final DateTime createdAt;
   final String status;
+  final String custodyMode;
+  final String accountType;
 
   Wallet({
     required this.id,
@@ -17,6 +19,8 @@ class Wallet {
     this.lastBalanceUpdate,
     required this.createdAt,
     required this.status,
+    this.custodyMode = 'server',
+    this.accountType = 'eoa',
   });
 
   factory Wallet.fromJson(Map<String, dynamic> json) {
@@ -31,6 +35,8 @@ class Wallet {
         : null,
       createdAt: DateTime.parse(json['createdAt']),
       status: json['status'] ?? 'active',
+      custodyMode: json['custodyMode'] ?? 'server',
+      accountType: json['accountType'] ?? 'eoa',
     );
   }
 
@@ -44,6 +50,8 @@ class Wallet {
       'lastBalanceUpdate': lastBalanceUpdate?.toIso8601String(),
       'createdAt': createdAt.toIso8601String(),
       'status': status,
+      'custodyMode': custodyMode,
+      'accountType': accountType,
     };
   }
 
@@ -56,6 +64,8 @@ class Wallet {
     DateTime? lastBalanceUpdate,
     DateTime? createdAt,
     String? status,
+    String? custodyMode,
+    String? accountType,
   }) {
     return Wallet(
       id: id ?? this.id,
@@ -66,9 +76,14 @@ class Wallet {
       lastBalanceUpdate: lastBalanceUpdate ?? this.lastBalanceUpdate,
       createdAt: createdAt ?? this.createdAt,
       status: status ?? this.status,
+      custodyMode: custodyMode ?? this.custodyMode,
+      accountType: accountType ?? this.accountType,
     );
   }
 
+  bool get isDeviceSigned => custodyMode == 'client';
+  bool get isWatchOnly => custodyMode == 'watch';
+  bool get isSmartAccount => accountType == 'smart_account';
   String get shortAddress => '${address.substring(0, 6)}...${address.substring(38)}';
   String get formattedBalance => balance.toStringAsFixed(2);
 }
@@ -174,6 +174,104 @@ class ApiService {
     }
   }
 
+  // Challenge the device signs with its key to prove it holds it before registering the wallet
+  Future<ApiResponse<Map<String, dynamic>>> getDeviceWalletChallenge() async {
+    try {
+      final response = await _dio.post('/wallets/device-challenges');
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  // Device-signed wallets: the key stays on the device, the API only sees its public key and its
+  // signature over the challenge's message
+  Future<ApiResponse<Map<String, dynamic>>> registerDeviceWallet({
+    required String walletName,
+    required String publicKey,
+    required String address,
+    required String challengeId,
+    required String signature,
+  }) async {
+    try {
+      final response = await _dio.post('/wallets', data: {
+        'walletName': walletName,
+        'publicKey': publicKey,
+        'address': address,
+        'challengeId': challengeId,
+        'signature': signature,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  // Track an external address: balances and history only, it can never send
+  Future<ApiResponse<Map<String, dynamic>>> addWatchOnlyWallet({
+    required String walletName,
+    required String address,
+  }) async {
+    try {
+      final response = await _dio.post('/wallets', data: {
+        'walletName': walletName,
+        'address': address,
+        'watchOnly': true,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> createSmartAccountWallet({
+    required String walletName,
+  }) async {
+    try {
+      final response = await _dio.post('/wallets', data: {
+        'walletName': walletName,
+        'accountType': 'smart_account',
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  // Unsigned transfer (nonce, fees, calldata, chain ID) for the device to sign
+  Future<ApiResponse<Map<String, dynamic>>> buildUnsignedTransaction({
+    required String walletId,
+    required String toAddress,
+    required double amount,
+    String? memo,
+  }) async {
+    try {
+      final response = await _dio.post('/wallets/$walletId/transaction-quotes', data: {
+        'toAddress': toAddress,
+        'amount': amount,
+        if (memo != null) 'memo': memo,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> broadcastSignedTransaction({
+    required String walletId,
+    required String quoteId,
+    required String signedTransaction,
+  }) async {
+    try {
+      final response = await _dio.post('/wallets/$walletId/transaction-quotes/$quoteId/broadcast', data: {
+        'signedTransaction': signedTransaction,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
   Future<ApiResponse<List<Map<String, dynamic>>>> getTransactionHistory(
     String walletId, {
     int limit = 50,
@@ -321,6 +419,176 @@ class ApiService {
     }
   }
 
+  Future<ApiResponse<Map<String, dynamic>>> getRecoveryPhraseStatus() async {
+    try {
+      final response = await _dio.get('/backup/recovery-phrase');
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> revealRecoveryPhrase({
+    required String password,
+    required String twoFactorCode,
+  }) async {
+    try {
+      final response = await _dio.post('/backup/recovery-phrase/reveal', data: {
+        'password': password,
+        'twoFactorCode': twoFactorCode,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> startRecoveryPhraseQuiz() async {
+    try {
+      final response = await _dio.post('/backup/recovery-phrase/quiz');
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> verifyRecoveryPhrase(List<String> words) async {
+    try {
+      final response = await _dio.post('/backup/recovery-phrase/verify', data: {
+        'words': words,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> restoreFromRecoveryPhrase(String mnemonic) async {
+    try {
+      final response = await _dio.post('/backup/recovery-phrase/restore', data: {
+        'mnemonic': mnemonic,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> importWalletFromMnemonic({
+    required String mnemonic,
+    required String walletName,
+    String? derivationPath,
+  }) async {
+    try {
+      final response = await _dio.post('/backup/import-mnemonic', data: {
+        'mnemonic': mnemonic,
+        'walletName': walletName,
+        if (derivationPath != null) 'derivationPath': derivationPath,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  // Social recovery endpoints
+  Future<ApiResponse<Map<String, dynamic>?>> getSocialRecovery() async {
+    try {
+      final response = await _dio.get('/social-recovery');
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> setUpSocialRecovery({
+    required int threshold,
+    required List<String> guardianContactIds,
+    required String password,
+    required String twoFactorCode,
+    bool includePlatform = true,
+    bool includeEmail = true,
+  }) async {
+    try {
+      final response = await _dio.post('/social-recovery', data: {
+        'threshold': threshold,
+        'guardianContactIds': guardianContactIds,
+        'includePlatform': includePlatform,
+        'includeEmail': includeEmail,
+        'password': password,
+        'twoFactorCode': twoFactorCode,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<List<Map<String, dynamic>>>> getGuardianships() async {
+    try {
+      final response = await _dio.get('/social-recovery/guardianships');
+      return ApiResponse.success(List<Map<String, dynamic>>.from(response.data['data']));
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> respondToGuardianInvitation(String shareId, {required bool accept}) async {
+    try {
+      final response = await _dio.post('/social-recovery/guardianships/$shareId/${accept ? 'accept' : 'decline'}');
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> approveRecoveryRequest(String requestId, String share) async {
+    try {
+      final response = await _dio.post('/social-recovery/requests/$requestId/approve', data: {
+        'share': share,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> cancelRecoveryRequest(String requestId) async {
+    try {
+      final response = await _dio.post('/social-recovery/requests/$requestId/cancel');
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> openRecoveryRequest(String email) async {
+    try {
+      final response = await _dio.post('/social-recovery/requests', data: {
+        'email': email,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
+  Future<ApiResponse<Map<String, dynamic>>> completeRecoveryRequest({
+    required String requestId,
+    required String token,
+    List<String> shares = const [],
+  }) async {
+    try {
+      final response = await _dio.post('/social-recovery/requests/$requestId/complete', data: {
+        'token': token,
+        'shares': shares,
+      });
+      return ApiResponse.success(response.data['data']);
+    } on DioException catch (e) {
+      return ApiResponse.error(_handleError(e));
+    }
+  }
+
   // Transaction endpoints
   Future<ApiResponse<Map<String, dynamic>>> getTransaction(String txHash) async {
     try {
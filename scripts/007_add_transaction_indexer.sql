@@ -0,0 +1,21 @@
+-- Incoming transfer indexer support
+
+-- A single on-chain transaction can now produce several rows: the send row of
+-- the sending wallet and one receive row per Transfer log to a monitored wallet
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_transaction_hash_key;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS log_index INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_receive_log
+    ON transactions(wallet_id, transaction_hash, log_index)
+    WHERE transaction_type = 'receive';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_send_hash
+    ON transactions(wallet_id, transaction_hash)
+    WHERE transaction_type = 'send';
+
+-- Make sure every existing wallet is monitored. A last_checked_block of 0 means
+-- the indexer starts from the chain head (or INDEXER_START_BLOCK) on first run.
+INSERT INTO transaction_monitoring (wallet_id)
+SELECT id FROM wallets
+ON CONFLICT (wallet_id) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_transaction_monitoring_active ON transaction_monitoring(is_active, last_checked_block);
@@ -0,0 +1,12 @@
+-- Confirmation tracking for outgoing transactions
+
+-- Base fees are usually well below 0.000001 ETH, so keep full wei precision
+ALTER TABLE transactions ALTER COLUMN transaction_fee TYPE DECIMAL(30,18);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS stuck_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_sends
+    ON transactions(created_at)
+    WHERE status = 'pending' AND transaction_type = 'send';
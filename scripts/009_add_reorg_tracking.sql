@@ -0,0 +1,13 @@
+-- Chain reorganization tracking
+
+-- Hashes of blocks the indexer has scanned up to, used to detect reorgs below its cursor
+CREATE TABLE IF NOT EXISTS block_checkpoints (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reorg_count INTEGER DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reorged_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_block_number ON transactions(block_number) WHERE block_hash IS NOT NULL;
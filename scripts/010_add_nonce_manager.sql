@@ -0,0 +1,30 @@
+-- Per-address nonce allocation for outgoing transactions
+
+-- Next nonce the platform will hand out for each sending address
+CREATE TABLE IF NOT EXISTS address_nonces (
+    address VARCHAR(42) PRIMARY KEY,
+    next_nonce BIGINT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Every nonce handed out, and what happened to it
+CREATE TABLE IF NOT EXISTS nonce_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    address VARCHAR(42) NOT NULL,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL,
+    nonce BIGINT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'broadcast', 'confirmed', 'released')),
+    transaction_hash VARCHAR(66),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(address, nonce)
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS nonce BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_nonce_reservations_address_status ON nonce_reservations(address, status);
+CREATE INDEX IF NOT EXISTS idx_nonce_reservations_hash ON nonce_reservations(transaction_hash);
+
+CREATE TRIGGER update_address_nonces_updated_at BEFORE UPDATE ON address_nonces FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_nonce_reservations_updated_at BEFORE UPDATE ON nonce_reservations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
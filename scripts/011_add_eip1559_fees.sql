@@ -0,0 +1,6 @@
+-- EIP-1559 fee parameters for outgoing transactions
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee_tier VARCHAR(10) CHECK (fee_tier IN ('slow', 'standard', 'fast'));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS max_fee_per_gas BIGINT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS max_priority_fee_per_gas BIGINT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS max_network_fee DECIMAL(30,18); -- Per-send fee cap in ETH
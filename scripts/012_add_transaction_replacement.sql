@@ -0,0 +1,13 @@
+-- Speed-up and cancellation of pending sends
+
+-- Hashes that lost the race for their nonce are kept as 'replaced'
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_status_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (status IN ('pending', 'confirmed', 'failed', 'replaced'));
+
+-- Each replacement points at the transaction it replaced; replaced rows record the hash that landed
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replaces_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replacement_type VARCHAR(10) CHECK (replacement_type IN ('speed_up', 'cancel'));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replaced_by_hash VARCHAR(66);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_replaces ON transactions(replaces_transaction_id) WHERE replaces_transaction_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_wallet_nonce ON transactions(wallet_id, nonce) WHERE nonce IS NOT NULL;
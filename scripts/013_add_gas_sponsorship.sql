@@ -0,0 +1,35 @@
+-- Gas sponsorship: platform-funded ETH top-ups for wallets that only hold USDC
+
+-- Per-tenant limits set by the platform (environment defaults apply when a client has no row)
+CREATE TABLE IF NOT EXISTS gas_sponsorship_budgets (
+    white_label_client_id UUID PRIMARY KEY REFERENCES white_label_clients(id) ON DELETE CASCADE,
+    monthly_budget_eth DECIMAL(30,18) NOT NULL,
+    max_top_up_eth DECIMAL(30,18) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Every top-up sent from the gas station wallet, and the USDC fee recovered for it
+CREATE TABLE IF NOT EXISTS sponsored_gas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    white_label_client_id UUID NOT NULL REFERENCES white_label_clients(id) ON DELETE CASCADE,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE SET NULL,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- The sponsored send
+    top_up_transaction_hash VARCHAR(66),
+    top_up_amount_eth DECIMAL(30,18) NOT NULL,
+    top_up_fee_eth DECIMAL(30,18), -- Gas paid by the gas station for the top-up itself
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'funded', 'failed')),
+    eth_usd_price DECIMAL(20,8),
+    fee_usdc DECIMAL(20,6),
+    fee_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    fee_status VARCHAR(20) CHECK (fee_status IN ('sent', 'failed')),
+    failure_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sponsored_gas_client_created ON sponsored_gas(white_label_client_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_sponsored_gas_wallet ON sponsored_gas(wallet_id);
+
+CREATE TRIGGER update_gas_sponsorship_budgets_updated_at BEFORE UPDATE ON gas_sponsorship_budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_sponsored_gas_updated_at BEFORE UPDATE ON sponsored_gas FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
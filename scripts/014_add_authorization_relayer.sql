@@ -0,0 +1,25 @@
+-- Gasless sends: EIP-3009 authorizations signed by the user wallet and submitted by a platform relayer
+
+-- Queued authorizations have no hash until the relayer submits them
+ALTER TABLE transactions ALTER COLUMN transaction_hash DROP NOT NULL;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS send_mode VARCHAR(20) DEFAULT 'direct' CHECK (send_mode IN ('direct', 'authorization'));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS relay_status VARCHAR(20) CHECK (relay_status IN ('queued', 'submitted', 'expired', 'rejected'));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS authorization_nonce VARCHAR(66);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS authorization_value VARCHAR(78); -- Token base units as signed
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS authorization_signature VARCHAR(132);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS valid_after BIGINT; -- Unix seconds
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS valid_before BIGINT; -- Unix seconds
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS relayer_address VARCHAR(42);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS relay_attempts INTEGER DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS last_relay_error TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS relayed_at TIMESTAMP WITH TIME ZONE;
+
+-- An authorization nonce can only ever be used once per authorizer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_authorization_nonce
+    ON transactions(from_address, authorization_nonce)
+    WHERE authorization_nonce IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_relay_queue
+    ON transactions(created_at)
+    WHERE relay_status = 'queued';
@@ -0,0 +1,22 @@
+-- USDC allowances granted by platform wallets
+
+-- Spenders a wallet has approved, through the platform or discovered by the indexer from Approval events.
+-- allowance is the last known value; transferFrom lowers it without an event, so reads refresh it on-chain.
+CREATE TABLE IF NOT EXISTS token_approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    spender_address VARCHAR(42) NOT NULL,
+    spender_label VARCHAR(100),
+    allowance VARCHAR(78) NOT NULL DEFAULT '0', -- Token base units
+    is_unlimited BOOLEAN DEFAULT false,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('approve', 'permit', 'indexer')),
+    last_transaction_hash VARCHAR(66),
+    last_block_number BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(wallet_id, spender_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_approvals_wallet ON token_approvals(wallet_id);
+
+CREATE TRIGGER update_token_approvals_updated_at BEFORE UPDATE ON token_approvals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,43 @@
+-- ERC-20 asset registry: USDC plus any other token the platform supports
+
+CREATE TABLE IF NOT EXISTS assets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain_id INTEGER NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    decimals INTEGER NOT NULL CHECK (decimals BETWEEN 0 AND 36),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(chain_id, contract_address),
+    UNIQUE(chain_id, symbol)
+);
+
+-- Circle stablecoins on Base mainnet and Base Sepolia. The USDC_CONTRACT_ADDRESS token is
+-- registered by the application on startup, so local dev chains work without a seed row.
+INSERT INTO assets (chain_id, symbol, name, contract_address, decimals) VALUES
+    (8453, 'USDC', 'USD Coin', '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', 6),
+    (8453, 'EURC', 'EURC', '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42', 6),
+    (84532, 'USDC', 'USD Coin', '0x036CbD53842c5426634e7929541eC2318f3dCF7e', 6),
+    (84532, 'EURC', 'EURC', '0x808456652fdb597867f38412077A9182bf77359F', 6)
+ON CONFLICT DO NOTHING;
+
+-- Cached per-asset balances (wallets.balance_usdc is kept in sync for USDC)
+CREATE TABLE IF NOT EXISTS wallet_balances (
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    asset_id UUID NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+    balance NUMERIC NOT NULL DEFAULT 0,
+    balance_wei VARCHAR(78) NOT NULL DEFAULT '0', -- Token base units
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (wallet_id, asset_id)
+);
+
+-- Transactions recorded before the registry existed have no asset and are USDC
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS asset_id UUID REFERENCES assets(id);
+-- Unconstrained scale so 18-decimal tokens are stored exactly
+ALTER TABLE transactions ALTER COLUMN amount TYPE NUMERIC;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_wallet_asset ON transactions(wallet_id, asset_id, created_at);
+
+CREATE TRIGGER update_assets_updated_at BEFORE UPDATE ON assets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
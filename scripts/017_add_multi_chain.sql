@@ -0,0 +1,53 @@
+-- Multi-chain support: wallets, transactions and all per-chain state carry a chain ID.
+-- Existing rows are assigned Base mainnet (8453). Deployments that ran with a different
+-- BASE_CHAIN_ID should update them to that chain before starting the new version.
+
+-- A wallet's chain decides whether it is a mainnet or a sandbox (testnet) wallet; its address
+-- can be used on every configured chain of the same kind
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE wallets ALTER COLUMN chain_id DROP DEFAULT;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE transactions ALTER COLUMN chain_id DROP DEFAULT;
+
+DROP INDEX IF EXISTS idx_transactions_receive_log;
+DROP INDEX IF EXISTS idx_transactions_send_hash;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_receive_log
+    ON transactions(wallet_id, chain_id, transaction_hash, log_index)
+    WHERE transaction_type = 'receive';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_send_hash
+    ON transactions(wallet_id, chain_id, transaction_hash)
+    WHERE transaction_type = 'send';
+CREATE INDEX IF NOT EXISTS idx_transactions_chain_status ON transactions(chain_id, status);
+
+-- Indexer cursors, one per wallet and chain
+ALTER TABLE transaction_monitoring ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE transaction_monitoring ALTER COLUMN chain_id DROP DEFAULT;
+ALTER TABLE transaction_monitoring DROP CONSTRAINT IF EXISTS transaction_monitoring_wallet_id_key;
+ALTER TABLE transaction_monitoring ADD CONSTRAINT transaction_monitoring_wallet_chain_key UNIQUE (wallet_id, chain_id);
+
+-- Reorg checkpoints
+ALTER TABLE block_checkpoints ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE block_checkpoints ALTER COLUMN chain_id DROP DEFAULT;
+ALTER TABLE block_checkpoints DROP CONSTRAINT IF EXISTS block_checkpoints_pkey;
+ALTER TABLE block_checkpoints ADD PRIMARY KEY (chain_id, block_number);
+
+-- The same address has an independent nonce sequence on every chain
+ALTER TABLE address_nonces ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE address_nonces ALTER COLUMN chain_id DROP DEFAULT;
+ALTER TABLE address_nonces DROP CONSTRAINT IF EXISTS address_nonces_pkey;
+ALTER TABLE address_nonces ADD PRIMARY KEY (address, chain_id);
+
+ALTER TABLE nonce_reservations ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE nonce_reservations ALTER COLUMN chain_id DROP DEFAULT;
+ALTER TABLE nonce_reservations DROP CONSTRAINT IF EXISTS nonce_reservations_address_nonce_key;
+ALTER TABLE nonce_reservations ADD CONSTRAINT nonce_reservations_address_chain_nonce_key UNIQUE (address, chain_id, nonce);
+
+-- Allowances and gas top-ups are chain-specific too
+ALTER TABLE token_approvals ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE token_approvals ALTER COLUMN chain_id DROP DEFAULT;
+ALTER TABLE token_approvals DROP CONSTRAINT IF EXISTS token_approvals_wallet_id_spender_address_key;
+ALTER TABLE token_approvals ADD CONSTRAINT token_approvals_wallet_chain_spender_key UNIQUE (wallet_id, chain_id, spender_address);
+
+ALTER TABLE sponsored_gas ADD COLUMN IF NOT EXISTS chain_id INTEGER NOT NULL DEFAULT 8453;
+ALTER TABLE sponsored_gas ALTER COLUMN chain_id DROP DEFAULT;
@@ -0,0 +1,42 @@
+-- Cross-chain USDC transfers over CCTP: burn on the source chain, attestation, mint on the destination chain
+
+-- Burns are sends to the TokenMessenger and must never be replaced by a plain transfer
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_send_mode_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_send_mode_check CHECK (send_mode IN ('direct', 'authorization', 'cctp_burn'));
+
+-- One row per transfer, linking the burn on the source chain with the mint on the destination chain.
+-- Status moves burning -> awaiting_attestation -> attested -> minting -> completed, or ends in failed.
+CREATE TABLE IF NOT EXISTS cross_chain_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    source_chain_id INTEGER NOT NULL,
+    destination_chain_id INTEGER NOT NULL,
+    source_domain INTEGER NOT NULL,
+    destination_domain INTEGER NOT NULL,
+    amount NUMERIC NOT NULL,
+    recipient_address VARCHAR(42) NOT NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'burning' CHECK (status IN ('burning', 'awaiting_attestation', 'attested', 'minting', 'completed', 'failed')),
+    burn_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    burn_transaction_hash VARCHAR(66),
+    message TEXT, -- CCTP message emitted by the burn, hex encoded
+    message_hash VARCHAR(66),
+    attestation TEXT,
+    mint_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- Receive row when the mint went to the transfer's own wallet
+    mint_transaction_hash VARCHAR(66),
+    minter_address VARCHAR(42),
+    mint_attempts INTEGER DEFAULT 0,
+    mint_submitted_at TIMESTAMP WITH TIME ZONE,
+    failure_reason TEXT,
+    attested_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cross_chain_transfers_wallet ON cross_chain_transfers(wallet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_cross_chain_transfers_active
+    ON cross_chain_transfers(last_checked_at)
+    WHERE status NOT IN ('completed', 'failed');
+
+CREATE TRIGGER update_cross_chain_transfers_updated_at BEFORE UPDATE ON cross_chain_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
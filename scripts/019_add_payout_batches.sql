@@ -0,0 +1,52 @@
+-- Batch payouts: many recipients paid from one wallet, either through a batch transfer contract
+-- (one transaction per chunk of recipients) or as paced sequential sends
+
+-- One send row per batch transfer contract call; it must never be replaced by a plain transfer
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_send_mode_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_send_mode_check CHECK (send_mode IN ('direct', 'authorization', 'cctp_burn', 'batch'));
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    chain_id INTEGER NOT NULL,
+    asset_id UUID NOT NULL REFERENCES assets(id),
+    execution_mode VARCHAR(20) NOT NULL CHECK (execution_mode IN ('contract', 'sequential')),
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'partially_failed', 'failed')),
+    total_amount NUMERIC NOT NULL,
+    recipient_count INTEGER NOT NULL,
+    fee_tier VARCHAR(10) DEFAULT 'standard',
+    memo TEXT,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per recipient line. Failed lines go back to pending when the batch is retried.
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    batch_id UUID NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    recipient_address VARCHAR(42) NOT NULL,
+    amount NUMERIC NOT NULL,
+    memo TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed')),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL, -- Shared by every line in a contract call
+    transaction_hash VARCHAR(66),
+    attempts INTEGER DEFAULT 0,
+    failure_reason TEXT,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(batch_id, line_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_wallet ON payout_batches(wallet_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payout_batches_processing
+    ON payout_batches(last_checked_at)
+    WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch_status ON payout_batch_items(batch_id, status);
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_transaction ON payout_batch_items(transaction_id);
+
+CREATE TRIGGER update_payout_batches_updated_at BEFORE UPDATE ON payout_batches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_payout_batch_items_updated_at BEFORE UPDATE ON payout_batch_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,30 @@
+-- CSV payroll uploads: each upload is parsed and validated into a preview, and becomes a payout batch
+-- only once the user confirms it. The rows are kept for the downloadable results file.
+CREATE TABLE IF NOT EXISTS payroll_uploads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    filename VARCHAR(255),
+    chain_id INTEGER NOT NULL,
+    asset_id UUID NOT NULL REFERENCES assets(id),
+    fee_tier VARCHAR(10) DEFAULT 'standard',
+    status VARCHAR(20) NOT NULL DEFAULT 'previewed' CHECK (status IN ('previewed', 'confirmed')),
+    row_count INTEGER NOT NULL,
+    invalid_count INTEGER NOT NULL,
+    total_amount NUMERIC NOT NULL,
+    -- Preview snapshot: estimated network fee and the balances it was checked against
+    estimated_fee_eth NUMERIC,
+    estimated_fee_usdc NUMERIC,
+    token_balance NUMERIC,
+    eth_balance NUMERIC,
+    balance_sufficient BOOLEAN NOT NULL DEFAULT false,
+    rows JSONB NOT NULL, -- One entry per CSV row: recipient as given, resolved address, amount, memo, errors
+    payout_batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_uploads_wallet ON payroll_uploads(wallet_id, created_at);
+
+CREATE TRIGGER update_payroll_uploads_updated_at BEFORE UPDATE ON payroll_uploads FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
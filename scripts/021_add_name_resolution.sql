@@ -0,0 +1,8 @@
+-- ENS / Basenames recipients: the name a send or contact was given as is kept next to the address it
+-- resolved to, so a later change in the name's resolution can be spotted
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS ens_name VARCHAR(255);
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS name_resolved_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_ens_name ON contacts(user_id, LOWER(ens_name)) WHERE ens_name IS NOT NULL;
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS to_name VARCHAR(255);
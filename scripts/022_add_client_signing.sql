@@ -0,0 +1,39 @@
+-- Device-signed wallets: registered with only an address and public key, the private key never reaches
+-- the server. Sends are built here as unsigned transactions, signed on the device and broadcast back.
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS custody_mode VARCHAR(10) NOT NULL DEFAULT 'server' CHECK (custody_mode IN ('server', 'client'));
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS public_key VARCHAR(132);
+ALTER TABLE wallets ALTER COLUMN encrypted_private_key DROP NOT NULL;
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_custody_key_check;
+ALTER TABLE wallets ADD CONSTRAINT wallets_custody_key_check CHECK (custody_mode = 'client' OR encrypted_private_key IS NOT NULL);
+
+-- Device-signed sends are replaced by signing a new quote, never by the server
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_send_mode_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_send_mode_check CHECK (send_mode IN ('direct', 'authorization', 'cctp_burn', 'batch', 'client_signed'));
+
+-- Unsigned transfers handed to a device for signing. Each holds a reserved nonce until it is broadcast or
+-- expires; a signed transaction is only accepted if it matches unsigned_transaction exactly.
+CREATE TABLE IF NOT EXISTS transaction_quotes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    chain_id INTEGER NOT NULL,
+    asset_id UUID NOT NULL REFERENCES assets(id),
+    from_address VARCHAR(42) NOT NULL,
+    to_address VARCHAR(42) NOT NULL,
+    to_name VARCHAR(255),
+    amount NUMERIC NOT NULL,
+    memo TEXT,
+    fee_tier VARCHAR(10) DEFAULT 'standard',
+    max_network_fee NUMERIC,
+    nonce BIGINT NOT NULL,
+    unsigned_transaction TEXT NOT NULL, -- Serialized unsigned EIP-1559 transaction, hex encoded
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'broadcast', 'expired')),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    broadcast_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_quotes_wallet_status ON transaction_quotes(wallet_id, status);
+
+CREATE TRIGGER update_transaction_quotes_updated_at BEFORE UPDATE ON transaction_quotes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,6 @@
+-- Watch-only wallets: an address the user tracks (a cold wallet, an exchange deposit address) with no key
+-- anywhere in the platform. The indexer records their incoming and outgoing transfers; nothing can send from them.
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_custody_mode_check;
+ALTER TABLE wallets ADD CONSTRAINT wallets_custody_mode_check CHECK (custody_mode IN ('server', 'client', 'watch'));
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_custody_key_check;
+ALTER TABLE wallets ADD CONSTRAINT wallets_custody_key_check CHECK (custody_mode <> 'server' OR encrypted_private_key IS NOT NULL);
@@ -0,0 +1,55 @@
+-- Smart contract (ERC-4337) wallets: the wallet's address is a counterfactual account from the chain's
+-- account factory, deployed by its first user operation. The stored key is the account owner's and only
+-- signs user operations, so it can be rotated without the address changing.
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS account_type VARCHAR(20) NOT NULL DEFAULT 'eoa' CHECK (account_type IN ('eoa', 'smart_account'));
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS owner_address VARCHAR(42);
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS account_factory_address VARCHAR(42);
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS account_salt NUMERIC(78, 0);
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS account_deployed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE wallets DROP CONSTRAINT IF EXISTS wallets_smart_account_check;
+ALTER TABLE wallets ADD CONSTRAINT wallets_smart_account_check CHECK (
+    account_type = 'eoa' OR (custody_mode = 'server' AND owner_address IS NOT NULL AND account_factory_address IS NOT NULL)
+);
+
+-- Sends from a smart account get their transaction hash once the bundler has included the user operation
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS user_operation_hash VARCHAR(66);
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_send_mode_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_send_mode_check CHECK (send_mode IN ('direct', 'authorization', 'cctp_burn', 'batch', 'client_signed', 'user_operation'));
+
+-- Payout batches from a smart account pay each chunk in one user operation
+ALTER TABLE payout_batches DROP CONSTRAINT IF EXISTS payout_batches_execution_mode_check;
+ALTER TABLE payout_batches ADD CONSTRAINT payout_batches_execution_mode_check CHECK (execution_mode IN ('contract', 'sequential', 'user_operation'));
+
+-- User operations handed to the bundler, until the EntryPoint reports them included or they fail.
+-- An owner rotation holds the new owner's key here and only swaps it onto the wallet once included.
+CREATE TABLE IF NOT EXISTS user_operations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    chain_id INTEGER NOT NULL,
+    user_operation_hash VARCHAR(66) NOT NULL,
+    entry_point_address VARCHAR(42) NOT NULL,
+    sender VARCHAR(42) NOT NULL,
+    nonce NUMERIC(78, 0) NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('transfer', 'batch', 'owner_rotation')),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    paymaster_address VARCHAR(42),
+    new_owner_address VARCHAR(42),
+    new_owner_encrypted_key TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'included', 'failed')),
+    transaction_hash VARCHAR(66),
+    actual_gas_cost NUMERIC(78, 0),
+    failure_reason TEXT,
+    included_at TIMESTAMP WITH TIME ZONE,
+    last_checked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_operations_hash ON user_operations(chain_id, user_operation_hash);
+CREATE INDEX IF NOT EXISTS idx_user_operations_submitted ON user_operations(last_checked_at)
+    WHERE status = 'submitted';
+CREATE INDEX IF NOT EXISTS idx_user_operations_wallet ON user_operations(wallet_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_operation_hash ON transactions(user_operation_hash)
+    WHERE user_operation_hash IS NOT NULL;
+
+CREATE TRIGGER update_user_operations_updated_at BEFORE UPDATE ON user_operations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
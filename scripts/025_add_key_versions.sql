@@ -0,0 +1,8 @@
+-- Wallet private keys are encrypted under a keyring of versioned master keys, and each ciphertext names its
+-- key (the keyId field). The key id is mirrored into a column so the key rotation job can find the keys
+-- still encrypted under an old master key; legacy ciphertexts from before the keyring have none.
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS encryption_key_id VARCHAR(64)
+    GENERATED ALWAYS AS (substring(encrypted_private_key FROM '"keyId":"([^"]+)"')) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_wallets_encryption_key_id ON wallets(encryption_key_id, id)
+    WHERE encrypted_private_key IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Wallet keys are held by a signer provider: encrypted locally under the keyring, envelope-encrypted under
+-- a KMS data key, or generated in an HSM that only stores a reference here. The stored key names its
+-- provider (the scheme field); keys without one are local.
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS signer_provider VARCHAR(20)
+    GENERATED ALWAYS AS (COALESCE(substring(encrypted_private_key FROM '"scheme":"([^"]+)"'), 'local')) STORED;
@@ -0,0 +1,25 @@
+-- HD wallets: each user (or white-label tenant, with HD_SEED_SCOPE=tenant) has one master seed, and new
+-- server wallets are derived from it at the next index under the derivation path, so the seed's
+-- recovery phrase backs up all of them. The derived key is still stored with the signer provider.
+CREATE TABLE IF NOT EXISTS wallet_seeds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    white_label_client_id UUID UNIQUE REFERENCES white_label_clients(id) ON DELETE CASCADE,
+    encrypted_mnemonic TEXT NOT NULL,
+    encryption_key_id VARCHAR(64) GENERATED ALWAYS AS (substring(encrypted_mnemonic FROM '"keyId":"([^"]+)"')) STORED,
+    derivation_path VARCHAR(100) NOT NULL,
+    next_index INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (num_nonnulls(user_id, white_label_client_id) = 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_seeds_encryption_key_id ON wallet_seeds(encryption_key_id, id);
+
+CREATE TRIGGER update_wallet_seeds_updated_at BEFORE UPDATE ON wallet_seeds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- derivation_path (from the original schema) holds the full path of a derived wallet's key
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS wallet_seed_id UUID REFERENCES wallet_seeds(id) ON DELETE SET NULL;
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS derivation_index INTEGER;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_seed_index ON wallets(wallet_seed_id, derivation_index)
+    WHERE wallet_seed_id IS NOT NULL;
@@ -0,0 +1,10 @@
+-- Recovery phrase backup: a user's HD seed phrase is revealed once (after re-authentication with password
+-- and 2FA), then confirmed with a quiz on a few word positions. The open quiz lives on the seed.
+ALTER TABLE wallet_seeds ADD COLUMN IF NOT EXISTS mnemonic_revealed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE wallet_seeds ADD COLUMN IF NOT EXISTS mnemonic_verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE wallet_seeds ADD COLUMN IF NOT EXISTS quiz_positions INTEGER[];
+ALTER TABLE wallet_seeds ADD COLUMN IF NOT EXISTS quiz_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE wallet_seeds ADD COLUMN IF NOT EXISTS quiz_attempts INTEGER NOT NULL DEFAULT 0;
+
+-- Reveals, quizzes, restores and imports are audited in security_logs
+CREATE INDEX IF NOT EXISTS idx_security_logs_user_action ON security_logs(user_id, action, created_at DESC);
@@ -0,0 +1,90 @@
+-- Social recovery: a user's HD seed split into Shamir shares, threshold of which rebuild it. Shares go to
+-- guardians picked from the user's contacts, to the platform and to the user's email. Losing the seed is
+-- recovered with a time-locked request that guardians approve by handing their shares back, and that the
+-- owner can cancel until it completes.
+CREATE TABLE IF NOT EXISTS social_recovery_setups (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    wallet_seed_id UUID NOT NULL REFERENCES wallet_seeds(id) ON DELETE CASCADE,
+    threshold INTEGER NOT NULL,
+    share_count INTEGER NOT NULL,
+    -- Hash of the seed, to tell a correctly rebuilt seed from the garbage too few shares give
+    seed_fingerprint VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (threshold >= 2 AND threshold <= share_count)
+);
+
+-- One active setup per user; setting up again revokes the previous one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_social_recovery_setups_active ON social_recovery_setups(user_id)
+    WHERE status = 'active';
+
+CREATE TRIGGER update_social_recovery_setups_updated_at BEFORE UPDATE ON social_recovery_setups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Share custody: who holds each share. A guardian's share waits here, encrypted, until they accept the
+-- invitation and take it; the platform's share stays here; the email share is only ever sent.
+CREATE TABLE IF NOT EXISTS social_recovery_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    setup_id UUID NOT NULL REFERENCES social_recovery_setups(id) ON DELETE CASCADE,
+    share_index INTEGER NOT NULL CHECK (share_index BETWEEN 1 AND 255),
+    custodian_type VARCHAR(20) NOT NULL CHECK (custodian_type IN ('guardian', 'platform', 'email')),
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    guardian_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255),
+    encrypted_share TEXT,
+    encryption_key_id VARCHAR(64) GENERATED ALWAYS AS (substring(encrypted_share FROM '"keyId":"([^"]+)"')) STORED,
+    -- Hash of the share, to recognise it when it is handed back
+    share_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'held', 'declined', 'revoked')),
+    invitation_expires_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(setup_id, share_index),
+    UNIQUE(setup_id, guardian_user_id),
+    CHECK (custodian_type <> 'guardian' OR guardian_user_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_recovery_shares_guardian ON social_recovery_shares(guardian_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_social_recovery_shares_encryption_key_id ON social_recovery_shares(encryption_key_id, id);
+
+CREATE TRIGGER update_social_recovery_shares_updated_at BEFORE UPDATE ON social_recovery_shares FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Recovery requests. Whoever opens one gets a secret token (only its hash is kept) that completes it once
+-- the time lock has passed and enough shares are in.
+CREATE TABLE IF NOT EXISTS social_recovery_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    setup_id UUID NOT NULL REFERENCES social_recovery_setups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cancelled', 'completed', 'expired')),
+    unlocks_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Several requests can be pending at once, so one opened by someone else can't hold up the owner's own
+CREATE INDEX IF NOT EXISTS idx_social_recovery_requests_setup_id ON social_recovery_requests(setup_id, status);
+CREATE INDEX IF NOT EXISTS idx_social_recovery_requests_user_id ON social_recovery_requests(user_id, created_at DESC);
+
+CREATE TRIGGER update_social_recovery_requests_updated_at BEFORE UPDATE ON social_recovery_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Guardian approvals, each carrying the guardian's share (encrypted) until the request ends
+CREATE TABLE IF NOT EXISTS social_recovery_approvals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id UUID NOT NULL REFERENCES social_recovery_requests(id) ON DELETE CASCADE,
+    share_id UUID NOT NULL REFERENCES social_recovery_shares(id) ON DELETE CASCADE,
+    encrypted_share TEXT,
+    encryption_key_id VARCHAR(64) GENERATED ALWAYS AS (substring(encrypted_share FROM '"keyId":"([^"]+)"')) STORED,
+    approved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(request_id, share_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_social_recovery_approvals_encryption_key_id ON social_recovery_approvals(encryption_key_id, id);
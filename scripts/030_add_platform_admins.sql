@@ -0,0 +1,3 @@
+-- Platform administrators: users allowed to manage platform-wide settings such as gas sponsorship budgets
+-- and the asset registry. Granted directly in the database.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,4 @@
+-- Payout lines are claimed as 'sending' (and committed) before they are broadcast, so a worker that dies
+-- mid-send leaves a line that is never sent again automatically rather than one that looks unpaid
+ALTER TABLE payout_batch_items DROP CONSTRAINT IF EXISTS payout_batch_items_status_check;
+ALTER TABLE payout_batch_items ADD CONSTRAINT payout_batch_items_status_check CHECK (status IN ('pending', 'sending', 'submitted', 'confirmed', 'failed'));
@@ -0,0 +1,9 @@
+-- Smart accounts can't put an expiry on a user operation, so one that is still pending at valid_until is
+-- cancelled instead: a no-op operation with the same nonce and higher fees is submitted, and whichever of
+-- the two is included uses the nonce up. The original only counts as failed (and an owner rotation's new
+-- key is only discarded) once the cancellation is included.
+ALTER TABLE user_operations ADD COLUMN IF NOT EXISTS max_fee_per_gas NUMERIC(78, 0);
+ALTER TABLE user_operations ADD COLUMN IF NOT EXISTS max_priority_fee_per_gas NUMERIC(78, 0);
+ALTER TABLE user_operations ADD COLUMN IF NOT EXISTS valid_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_operations ADD COLUMN IF NOT EXISTS cancel_user_operation_hash VARCHAR(66);
+ALTER TABLE user_operations ADD COLUMN IF NOT EXISTS cancel_submitted_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,10 @@
+-- An authorization is claimed ('relaying') and the claim committed before the relayer broadcasts it, so a
+-- result lost after the broadcast can't get it queued and sent again. A claim left behind by a relayer
+-- that stopped is picked up again once stale, and resolved from the authorization's on-chain state.
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_relay_status_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_relay_status_check CHECK (relay_status IN ('queued', 'relaying', 'submitted', 'expired', 'rejected'));
+
+DROP INDEX IF EXISTS idx_transactions_relay_queue;
+CREATE INDEX IF NOT EXISTS idx_transactions_relay_queue
+    ON transactions(created_at)
+    WHERE relay_status IN ('queued', 'relaying');
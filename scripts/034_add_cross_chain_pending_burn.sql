@@ -0,0 +1,4 @@
+-- A cross-chain transfer is recorded as 'pending_burn' before its burn is broadcast and moves to 'burning'
+-- once the burn's hash is attached, so a burn never goes out without a transfer to mint it
+ALTER TABLE cross_chain_transfers DROP CONSTRAINT IF EXISTS cross_chain_transfers_status_check;
+ALTER TABLE cross_chain_transfers ADD CONSTRAINT cross_chain_transfers_status_check CHECK (status IN ('pending_burn', 'burning', 'awaiting_attestation', 'attested', 'minting', 'completed', 'failed'));
@@ -0,0 +1,15 @@
+-- Device-signed wallets are registered with a signature over a challenge issued here, so a public key
+-- taken from someone else's on-chain signature can't be registered as a wallet
+CREATE TABLE IF NOT EXISTS wallet_registration_challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_registration_challenges_user_id ON wallet_registration_challenges(user_id, created_at DESC);
+
+-- A device's address can only be held by one device-signed wallet
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_client_address ON wallets(LOWER(address)) WHERE custody_mode = 'client';
@@ -0,0 +1,7 @@
+-- Lines a worker stopped sending partway through may have been paid, so they get their own status and are
+-- only sent again when the user retries them one at a time, never by retrying the whole batch
+ALTER TABLE payout_batch_items DROP CONSTRAINT IF EXISTS payout_batch_items_status_check;
+ALTER TABLE payout_batch_items ADD CONSTRAINT payout_batch_items_status_check CHECK (status IN ('pending', 'sending', 'submitted', 'confirmed', 'failed', 'interrupted'));
+
+UPDATE payout_batch_items SET status = 'interrupted'
+WHERE status = 'failed' AND failure_reason LIKE 'Interrupted while sending%';
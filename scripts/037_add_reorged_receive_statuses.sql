@@ -0,0 +1,10 @@
+-- A receive whose block was reorganized away waits as 'reorged' for the indexer's rescan to find it again,
+-- rather than going back to 'pending' for the confirmation tracker. One the rescan never finds is
+-- 'reversed': the incoming payment is no longer on the chain.
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_status_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_status_check CHECK (status IN ('pending', 'confirmed', 'failed', 'replaced', 'reorged', 'reversed'));
+
+CREATE INDEX IF NOT EXISTS idx_transactions_reorged ON transactions(chain_id, reorged_at) WHERE status = 'reorged';
+
+UPDATE transactions SET status = 'reorged'
+WHERE transaction_type = 'receive' AND status = 'pending' AND reorged_at IS NOT NULL AND block_hash IS NULL;
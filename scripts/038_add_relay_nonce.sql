@@ -0,0 +1,3 @@
+-- The relayer's nonce for an authorization is stored with its claim before the broadcast, so a stale claim
+-- whose transaction is still in the mempool is waited for instead of being relayed a second time
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS relay_nonce BIGINT;
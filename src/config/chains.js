@@ -0,0 +1,160 @@
+// Built-in metadata for supported EVM chains. RPC endpoints always come from the environment.
+// cctp holds the chain's CCTP domain and TokenMessenger / MessageTransmitter contracts, basenames the
+// Basenames registry and the parent domain of the names it holds.
+const KNOWN_CHAINS = {
+  8453: {
+    name: "Base",
+    testnet: false,
+    usdcContractAddress: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    ethUsdPriceFeedAddress: "0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70",
+    cctp: {
+      domain: 6,
+      tokenMessengerAddress: "0x1682Ae6375C4E4A97e4B583BC394c861A46D8962",
+      messageTransmitterAddress: "0xAD09780d193884d503182aD4588450C416D6F9D4",
+    },
+    basenames: {
+      registryAddress: "0xB94704422c2a1E396835A571837Aa5AE53285a95",
+      parentDomain: "base.eth",
+    },
+  },
+  84532: {
+    name: "Base Sepolia",
+    testnet: true,
+    usdcContractAddress: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    ethUsdPriceFeedAddress: "0x4aDC67696bA383F43DD60A9e78F2C97Fbbfc7cb1",
+    cctp: {
+      domain: 6,
+      tokenMessengerAddress: "0x9f3B8679c73C2Fef8b59B4f3444d4e156fb70AA5",
+      messageTransmitterAddress: "0x7865fAfC2db2093669d92c0F33AeEF291086BEFD",
+    },
+    basenames: {
+      registryAddress: "0x1493b2567056c2181630115660963E13A8E32735",
+      parentDomain: "basetest.eth",
+    },
+  },
+  1: {
+    name: "Ethereum",
+    testnet: false,
+    usdcContractAddress: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+    ethUsdPriceFeedAddress: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+    cctp: {
+      domain: 0,
+      tokenMessengerAddress: "0xBd3fa81B58Ba92a82136038B25aDec7066af3155",
+      messageTransmitterAddress: "0x0a992d191DEeC32aFe36203Ad87D7d289a738F81",
+    },
+  },
+  42161: {
+    name: "Arbitrum One",
+    testnet: false,
+    usdcContractAddress: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+    ethUsdPriceFeedAddress: "0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612",
+    cctp: {
+      domain: 3,
+      tokenMessengerAddress: "0x19330d10D9Cc8751218eaf51E8885D058642E08A",
+      messageTransmitterAddress: "0xC30362313FBBA5cf9163F0bb16a0e01f01A896ca",
+    },
+  },
+  10: {
+    name: "OP Mainnet",
+    testnet: false,
+    usdcContractAddress: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+    ethUsdPriceFeedAddress: "0x13e3Ee699D1909E989722E753853AE30b17e08c5",
+    cctp: {
+      domain: 2,
+      tokenMessengerAddress: "0x2B4069517957735bE00ceE0fadAE88a26365528f",
+      messageTransmitterAddress: "0x4D41f22c5a0e5c74090899E5a8Fb597a8842b3e8",
+    },
+  },
+}
+
+// ERC-4337 EntryPoint v0.7, deployed at the same address on every chain
+const ENTRY_POINT_ADDRESS = "0x0000000071727De22E5E9d8BAf0edAc6f37da032"
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+// CCTP settings from the environment (e.g. local dev chains with their own deployment) or the known
+// chain; null when the chain has no CCTP deployment
+const getCCTPConfig = (env, known) => {
+  const domain = env("CCTP_DOMAIN") ?? known.cctp?.domain
+  const tokenMessengerAddress = env("CCTP_TOKEN_MESSENGER_ADDRESS") || known.cctp?.tokenMessengerAddress
+  const messageTransmitterAddress = env("CCTP_MESSAGE_TRANSMITTER_ADDRESS") || known.cctp?.messageTransmitterAddress
+
+  if (domain === undefined || !tokenMessengerAddress || !messageTransmitterAddress) {
+    return null
+  }
+
+  return { domain: Number.parseInt(domain), tokenMessengerAddress, messageTransmitterAddress }
+}
+
+// Smart account (ERC-4337) settings: the account factory, the EntryPoint (overridable for a local
+// deployment), the bundler and the USDC paymaster; null when no factory is configured for the chain
+const getAccountAbstractionConfig = (env) => {
+  const factoryAddress = env("SMART_ACCOUNT_FACTORY_ADDRESS")
+
+  if (!factoryAddress) {
+    return null
+  }
+
+  return {
+    factoryAddress,
+    entryPointAddress: env("ENTRY_POINT_ADDRESS") || ENTRY_POINT_ADDRESS,
+    implementation: env("SMART_ACCOUNT_IMPLEMENTATION") || "light",
+    bundlerUrl: env("BUNDLER_URL") || null,
+    paymasterUrl: env("PAYMASTER_URL") || null,
+    paymasterAddress: env("PAYMASTER_ADDRESS") || null,
+  }
+}
+
+// The primary chain keeps the original BASE_* / USDC_CONTRACT_ADDRESS settings
+const getDefaultChain = () => {
+  const chainId = Number.parseInt(process.env.BASE_CHAIN_ID || "8453")
+  const known = KNOWN_CHAINS[chainId] || {}
+
+  return {
+    chainId,
+    name: process.env.BASE_CHAIN_NAME || known.name || `Chain ${chainId}`,
+    testnet: process.env.BASE_CHAIN_TESTNET ? process.env.BASE_CHAIN_TESTNET === "true" : Boolean(known.testnet),
+    rpcUrls: splitList(process.env.BASE_RPC_URLS || process.env.BASE_RPC_URL),
+    usdcContractAddress: process.env.USDC_CONTRACT_ADDRESS || known.usdcContractAddress,
+    ethUsdPriceFeedAddress: process.env.ETH_USD_PRICE_FEED_ADDRESS || known.ethUsdPriceFeedAddress,
+    eip712Name: process.env.USDC_EIP712_NAME || null,
+    eip712Version: process.env.USDC_EIP712_VERSION || null,
+    cctp: getCCTPConfig((key) => process.env[key], known),
+    batchTransferAddress: process.env.BATCH_TRANSFER_CONTRACT_ADDRESS || null,
+    basenames: known.basenames || null,
+    accountAbstraction: getAccountAbstractionConfig((key) => process.env[key]),
+  }
+}
+
+// Chains listed in ADDITIONAL_CHAIN_IDS, each configured with CHAIN_<id>_* variables
+const getAdditionalChains = () =>
+  splitList(process.env.ADDITIONAL_CHAIN_IDS).map((value) => {
+    const chainId = Number.parseInt(value)
+    const known = KNOWN_CHAINS[chainId] || {}
+    const env = (key) => process.env[`CHAIN_${chainId}_${key}`]
+
+    return {
+      chainId,
+      name: env("NAME") || known.name || `Chain ${chainId}`,
+      testnet: env("TESTNET") ? env("TESTNET") === "true" : Boolean(known.testnet),
+      rpcUrls: splitList(env("RPC_URLS")),
+      usdcContractAddress: env("USDC_CONTRACT_ADDRESS") || known.usdcContractAddress,
+      ethUsdPriceFeedAddress: env("ETH_USD_PRICE_FEED_ADDRESS") || known.ethUsdPriceFeedAddress,
+      eip712Name: env("USDC_EIP712_NAME") || null,
+      eip712Version: env("USDC_EIP712_VERSION") || null,
+      cctp: getCCTPConfig(env, known),
+      batchTransferAddress: env("BATCH_TRANSFER_CONTRACT_ADDRESS") || null,
+      basenames: known.basenames || null,
+      accountAbstraction: getAccountAbstractionConfig(env),
+    }
+  })
+
+module.exports = {
+  KNOWN_CHAINS,
+  getDefaultChain,
+  getAdditionalChains,
+}
@@ -17,7 +17,7 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
     // Verify user still exists and is active
-    const userResult = await query("SELECT id, email, status FROM users WHERE id = $1 AND status = $2", [
+    const userResult = await query("SELECT id, email, status, is_admin FROM users WHERE id = $1 AND status = $2", [
       decoded.userId,
       "active",
     ])
@@ -32,6 +32,7 @@ const authenticateToken = async (req, res, next) => {
     req.user = {
       id: decoded.userId,
       email: userResult.rows[0].email,
+      isAdmin: userResult.rows[0].is_admin,
       whitelabelClientId: decoded.whitelabelClientId,
     }
 
@@ -45,6 +46,18 @@ const authenticateToken = async (req, res, next) => {
   }
 }
 
+// Platform administrators only; use after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: "Admin access required",
+    })
+  }
+
+  next()
+}
+
 const authenticateApiKey = async (req, res, next) => {
   const apiKey = req.headers["x-api-key"]
   const apiSecret = req.headers["x-api-secret"]
@@ -104,4 +117,5 @@ const authenticateApiKey = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   authenticateApiKey,
+  requireAdmin,
 }
@@ -98,6 +98,18 @@ const checkFeaturePermission = (feature) => {
   }
 }
 
+// Batch payout lines that are queued or going out but have no send recorded yet count against both limits,
+// whenever their batch was created, so batches can't be stacked up under the limit before any of them is sent.
+// Lines with a recorded send are already in transactions.
+const unsentBatchTotal = `
+  SELECT COALESCE(SUM(i.amount), 0)
+  FROM payout_batch_items i
+  JOIN payout_batches b ON i.batch_id = b.id
+  JOIN wallets w ON b.wallet_id = w.id
+  WHERE w.user_id = $1 AND w.white_label_client_id = $2
+  AND i.status IN ('pending', 'sending', 'submitted') AND i.transaction_id IS NULL
+`
+
 // Middleware to check transaction limits
 const checkTransactionLimits = async (req, res, next) => {
   try {
@@ -108,7 +120,13 @@ const checkTransactionLimits = async (req, res, next) => {
       return next()
     }
 
-    const { amount } = req.body
+    // Batch payouts count against the limits with their total; routes that send stored payments (such
+    // as a confirmed payroll upload or a batch retry) set req.transactionAmount instead
+    const amount =
+      req.transactionAmount ??
+      (Array.isArray(req.body.payments)
+        ? req.body.payments.reduce((total, payment) => total + (Number.parseFloat(payment?.amount) || 0), 0)
+        : req.body.amount)
     const featuresConfig = clientConfig.featuresConfig
 
     if (!featuresConfig) {
@@ -118,7 +136,7 @@ const checkTransactionLimits = async (req, res, next) => {
     const dailyLimit = featuresConfig.dailyTransactionLimit || 10000
     const monthlyLimit = featuresConfig.monthlyTransactionLimit || 100000
 
-    // Check daily limit
+    // Check daily limit. Sends recorded for watch-only wallets were made outside the platform and don't count.
     const today = new Date()
     today.setHours(0, 0, 0, 0)
     const tomorrow = new Date(today)
@@ -126,12 +144,15 @@ const checkTransactionLimits = async (req, res, next) => {
 
     const dailyResult = await query(
       `
-      SELECT COALESCE(SUM(t.amount), 0) as daily_total
-      FROM transactions t
-      JOIN wallets w ON t.wallet_id = w.id
-      WHERE w.user_id = $1 AND w.white_label_client_id = $2
-      AND t.created_at >= $3 AND t.created_at < $4
-      AND t.status != 'failed'
+      SELECT (
+        SELECT COALESCE(SUM(t.amount), 0)
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        WHERE w.user_id = $1 AND w.white_label_client_id = $2
+        AND t.transaction_type = 'send' AND w.custody_mode <> 'watch'
+        AND t.created_at >= $3 AND t.created_at < $4
+        AND t.status NOT IN ('failed', 'replaced')
+      ) + (${unsentBatchTotal}) as daily_total
     `,
       [userId, clientConfig.id, today, tomorrow],
     )
@@ -156,12 +177,15 @@ const checkTransactionLimits = async (req, res, next) => {
 
     const monthlyResult = await query(
       `
-      SELECT COALESCE(SUM(t.amount), 0) as monthly_total
-      FROM transactions t
-      JOIN wallets w ON t.wallet_id = w.id
-      WHERE w.user_id = $1 AND w.white_label_client_id = $2
-      AND t.created_at >= $3 AND t.created_at < $4
-      AND t.status != 'failed'
+      SELECT (
+        SELECT COALESCE(SUM(t.amount), 0)
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        WHERE w.user_id = $1 AND w.white_label_client_id = $2
+        AND t.transaction_type = 'send' AND w.custody_mode <> 'watch'
+        AND t.created_at >= $3 AND t.created_at < $4
+        AND t.status NOT IN ('failed', 'replaced')
+      ) + (${unsentBatchTotal}) as monthly_total
     `,
       [userId, clientConfig.id, monthStart, monthEnd],
     )
@@ -1,11 +1,14 @@
 const express = require("express")
 const router = express.Router()
-const { body, validationResult } = require("express-validator")
+const { body, param, validationResult } = require("express-validator")
 const rateLimit = require("express-rate-limit")
 const { authenticateApiKey, checkApiLimits } = require("../../../middleware/apiAuth")
 const walletService = require("../../../services/walletService")
 const transactionService = require("../../../services/transactionService")
 const webhookService = require("../../../services/webhookService")
+const payoutBatchService = require("../../../services/payoutBatchService")
+const assetRegistry = require("../../../services/assetRegistry")
+const chainRegistry = require("../../../services/chainRegistry")
 const logger = require("../../../utils/logger")
 
 // Rate limiting for API endpoints
@@ -26,6 +29,10 @@ router.post(
   [
     body("user_id").notEmpty().withMessage("User ID is required"),
     body("name").optional().isLength({ min: 1, max: 50 }),
+    body("chain_id")
+      .optional()
+      .custom((value) => chainRegistry.isSupported(value))
+      .withMessage("Unsupported chain"),
   ],
   async (req, res) => {
     try {
@@ -34,7 +41,7 @@ router.post(
         return res.status(400).json({ error: "Validation failed", details: errors.array() })
       }
 
-      const { user_id, name } = req.body
+      const { user_id, name, chain_id } = req.body
       const clientId = req.apiClient.id
 
       // Create wallet for the client's end user
@@ -42,6 +49,7 @@ router.post(
         userId: user_id,
         name: name || "Default Wallet",
         clientId: clientId,
+        chainId: chain_id ? Number.parseInt(chain_id) : null,
       })
 
       // Log API usage
@@ -52,6 +60,7 @@ router.post(
         wallet_id: wallet.id,
         user_id: user_id,
         address: wallet.address,
+        chain_id: wallet.chainId,
       })
 
       res.json({
@@ -59,6 +68,8 @@ router.post(
         data: {
           wallet_id: wallet.id,
           address: wallet.address,
+          chain_id: wallet.chainId,
+          addresses: wallet.addresses,
           name: wallet.name,
           balance: "0",
           created_at: wallet.created_at,
@@ -111,6 +122,14 @@ router.post(
     body("to_address").isEthereumAddress().withMessage("Invalid recipient address"),
     body("amount").isFloat({ min: 0.000001 }).withMessage("Invalid amount"),
     body("user_pin").optional().isLength({ min: 4, max: 6 }),
+    body("asset").optional().isLength({ min: 1, max: 42 }).withMessage("Invalid asset"),
+    body("fee_tier").optional().isIn(["slow", "standard", "fast"]).withMessage("Invalid fee tier"),
+    body("max_network_fee").optional().isFloat({ gt: 0 }).withMessage("Invalid fee cap"),
+    body("gasless").optional().isBoolean().withMessage("Invalid gasless flag"),
+    body("chain_id")
+      .optional()
+      .custom((value) => chainRegistry.isSupported(value))
+      .withMessage("Unsupported chain"),
   ],
   async (req, res) => {
     try {
@@ -120,7 +139,7 @@ router.post(
       }
 
       const { wallet_id } = req.params
-      const { to_address, amount, user_pin } = req.body
+      const { to_address, amount, user_pin, asset, chain_id, fee_tier, max_network_fee, gasless } = req.body
       const clientId = req.apiClient.id
 
       const wallet = await walletService.getWalletByIdAndClient(wallet_id, clientId)
@@ -143,6 +162,11 @@ router.post(
         amount: amount,
         userPin: user_pin,
         clientId: clientId,
+        asset: asset,
+        chainId: chain_id ? Number.parseInt(chain_id) : null,
+        feeTier: fee_tier,
+        maxNetworkFee: max_network_fee,
+        gasless: gasless === true || gasless === "true",
       })
 
       await logApiUsage(clientId, "send_transaction", req.ip, { amount })
@@ -153,6 +177,8 @@ router.post(
         wallet_id: wallet_id,
         type: "send",
         amount: amount,
+        asset: transaction.asset,
+        chain_id: transaction.chainId,
         to_address: to_address,
         status: "pending",
       })
@@ -164,7 +190,10 @@ router.post(
           hash: transaction.hash,
           status: "pending",
           amount: amount,
+          asset: transaction.asset,
+          chain_id: transaction.chainId,
           to_address: to_address,
+          fee_tier: fee_tier || "standard",
           estimated_confirmation_time: "2-5 minutes",
         },
       })
@@ -175,11 +204,205 @@ router.post(
   },
 )
 
+// Send a batch of payouts; every line must pass validation and the per-transaction limit
+router.post(
+  "/wallets/:wallet_id/payouts",
+  apiLimiter,
+  authenticateApiKey,
+  checkApiLimits,
+  [
+    body("payments").isArray({ min: 1 }).withMessage("Payments must be a non-empty array"),
+    body("asset").optional().isLength({ min: 1, max: 42 }).withMessage("Invalid asset"),
+    body("memo").optional().isLength({ max: 500 }).withMessage("Invalid memo"),
+    body("fee_tier").optional().isIn(["slow", "standard", "fast"]).withMessage("Invalid fee tier"),
+    body("chain_id")
+      .optional()
+      .custom((value) => chainRegistry.isSupported(value))
+      .withMessage("Unsupported chain"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: "Validation failed", details: errors.array() })
+      }
+
+      const { wallet_id } = req.params
+      const { payments, asset, memo, fee_tier, chain_id } = req.body
+      const clientId = req.apiClient.id
+
+      const wallet = await walletService.getWalletByIdAndClient(wallet_id, clientId)
+      if (!wallet) {
+        return res.status(404).json({ error: "Wallet not found" })
+      }
+
+      let batch
+      try {
+        batch = await payoutBatchService.createBatch(wallet_id, wallet.user_id, {
+          payments: payments.map((payment) => ({
+            toAddress: payment?.to_address,
+            amount: payment?.amount,
+            memo: payment?.memo,
+          })),
+          asset,
+          memo,
+          feeTier: fee_tier,
+          chainId: chain_id ? Number.parseInt(chain_id) : null,
+          maxPaymentAmount: req.apiClient.transaction_limits.max_transaction_amount,
+        })
+      } catch (error) {
+        if (error.lineErrors) {
+          return res.status(400).json({
+            error: "Validation failed",
+            details: error.lineErrors.map((lineError) => ({
+              line: lineError.line,
+              field: lineError.field === "toAddress" ? "to_address" : lineError.field,
+              message: lineError.message,
+            })),
+          })
+        }
+        throw error
+      }
+
+      await logApiUsage(clientId, "create_payout_batch", req.ip, {
+        total_amount: batch.totalAmount,
+        recipients: batch.recipientCount,
+      })
+
+      res.status(202).json({
+        success: true,
+        data: formatPayoutBatch(batch),
+      })
+    } catch (error) {
+      logger.error("API Error - Create Payout Batch:", error)
+      res.status(500).json({ error: "Internal server error" })
+    }
+  },
+)
+
+// Get a payout batch with per-recipient results
+router.get(
+  "/wallets/:wallet_id/payouts/:batch_id",
+  apiLimiter,
+  authenticateApiKey,
+  checkApiLimits,
+  async (req, res) => {
+    try {
+      const { wallet_id, batch_id } = req.params
+      const clientId = req.apiClient.id
+
+      const wallet = await walletService.getWalletByIdAndClient(wallet_id, clientId)
+      if (!wallet) {
+        return res.status(404).json({ error: "Wallet not found" })
+      }
+
+      const batch = await payoutBatchService.getBatch(wallet_id, wallet.user_id, batch_id).catch(() => null)
+      if (!batch) {
+        return res.status(404).json({ error: "Payout batch not found" })
+      }
+
+      await logApiUsage(clientId, "get_payout_batch", req.ip)
+
+      res.json({
+        success: true,
+        data: formatPayoutBatch(batch),
+      })
+    } catch (error) {
+      logger.error("API Error - Get Payout Batch:", error)
+      res.status(500).json({ error: "Internal server error" })
+    }
+  },
+)
+
+// Retry the failed payments of a finished batch
+router.post(
+  "/wallets/:wallet_id/payouts/:batch_id/retry",
+  apiLimiter,
+  authenticateApiKey,
+  checkApiLimits,
+  async (req, res) => {
+    try {
+      const { wallet_id, batch_id } = req.params
+      const clientId = req.apiClient.id
+
+      const wallet = await walletService.getWalletByIdAndClient(wallet_id, clientId)
+      if (!wallet) {
+        return res.status(404).json({ error: "Wallet not found" })
+      }
+
+      let batch
+      try {
+        // Limits may have been lowered since the batch was created
+        batch = await payoutBatchService.retryBatch(wallet_id, wallet.user_id, batch_id, {
+          maxPaymentAmount: req.apiClient.transaction_limits.max_transaction_amount,
+        })
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+
+      await logApiUsage(clientId, "retry_payout_batch", req.ip)
+
+      res.status(202).json({
+        success: true,
+        data: formatPayoutBatch(batch),
+      })
+    } catch (error) {
+      logger.error("API Error - Retry Payout Batch:", error)
+      res.status(500).json({ error: "Internal server error" })
+    }
+  },
+)
+
+// Retry one failed or interrupted payment of a finished batch, once the client has checked that an
+// interrupted one was not paid
+router.post(
+  "/wallets/:wallet_id/payouts/:batch_id/lines/:line/retry",
+  apiLimiter,
+  authenticateApiKey,
+  checkApiLimits,
+  [param("line").isInt({ min: 1 }).toInt()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: "Validation failed", details: errors.array() })
+      }
+
+      const { wallet_id, batch_id, line } = req.params
+      const clientId = req.apiClient.id
+
+      const wallet = await walletService.getWalletByIdAndClient(wallet_id, clientId)
+      if (!wallet) {
+        return res.status(404).json({ error: "Wallet not found" })
+      }
+
+      let batch
+      try {
+        batch = await payoutBatchService.retryLine(wallet_id, wallet.user_id, batch_id, line, {
+          maxPaymentAmount: req.apiClient.transaction_limits.max_transaction_amount,
+        })
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+
+      await logApiUsage(clientId, "retry_payout_line", req.ip, { batch_id, line })
+
+      res.status(202).json({
+        success: true,
+        data: formatPayoutBatch(batch),
+      })
+    } catch (error) {
+      logger.error("API Error - Retry Payout Line:", error)
+      res.status(500).json({ error: "Internal server error" })
+    }
+  },
+)
+
 // Get transaction history
 router.get("/wallets/:wallet_id/transactions", apiLimiter, authenticateApiKey, checkApiLimits, async (req, res) => {
   try {
     const { wallet_id } = req.params
-    const { page = 1, limit = 20 } = req.query
+    const { page = 1, limit = 20, asset, chain_id } = req.query
     const clientId = req.apiClient.id
 
     const wallet = await walletService.getWalletByIdAndClient(wallet_id, clientId)
@@ -191,6 +414,7 @@ router.get("/wallets/:wallet_id/transactions", apiLimiter, authenticateApiKey, c
       wallet_id,
       Number.parseInt(page),
       Number.parseInt(limit),
+      { asset, chainId: chain_id ? Number.parseInt(chain_id) : null },
     )
 
     await logApiUsage(clientId, "get_transactions", req.ip)
@@ -213,6 +437,55 @@ router.get("/wallets/:wallet_id/transactions", apiLimiter, authenticateApiKey, c
   }
 })
 
+// List the chains wallets can be created on and send from
+router.get("/chains", apiLimiter, authenticateApiKey, checkApiLimits, async (req, res) => {
+  try {
+    await logApiUsage(req.apiClient.id, "list_chains", req.ip)
+
+    res.json({
+      success: true,
+      data: chainRegistry.listChains().map((chain) => ({
+        chain_id: chain.chainId,
+        name: chain.name,
+        testnet: chain.testnet,
+        is_default: chain.isDefault,
+      })),
+    })
+  } catch (error) {
+    logger.error("API Error - List Chains:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// List the tokens wallets can hold and send on a chain (the default chain when none is given)
+router.get("/assets", apiLimiter, authenticateApiKey, checkApiLimits, async (req, res) => {
+  try {
+    const { chain_id } = req.query
+    if (chain_id && !chainRegistry.isSupported(chain_id)) {
+      return res.status(400).json({ error: "Unsupported chain" })
+    }
+
+    const assets = await assetRegistry.listAssets({ chainId: chain_id ? Number.parseInt(chain_id) : null })
+
+    await logApiUsage(req.apiClient.id, "list_assets", req.ip)
+
+    res.json({
+      success: true,
+      data: assets.map((asset) => ({
+        symbol: asset.symbol,
+        name: asset.name,
+        contract_address: asset.contractAddress,
+        decimals: asset.decimals,
+        chain_id: asset.chainId,
+        is_default: asset.isDefault,
+      })),
+    })
+  } catch (error) {
+    logger.error("API Error - List Assets:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
 // Get transaction status
 router.get("/transactions/:transaction_id", apiLimiter, authenticateApiKey, checkApiLimits, async (req, res) => {
   try {
@@ -254,7 +527,20 @@ router.post(
   [
     body("url").isURL().withMessage("Invalid webhook URL"),
     body("events").isArray().withMessage("Events must be an array"),
-    body("events.*").isIn(["wallet.created", "transaction.created", "transaction.confirmed", "transaction.failed"]),
+    body("events.*").isIn([
+      "wallet.created",
+      "transaction.created",
+      "transaction.received",
+      "transaction.confirmed",
+      "transaction.failed",
+      "transaction.reorged",
+      "transaction.replaced",
+      "cross_chain_transfer.completed",
+      "cross_chain_transfer.failed",
+      "payout_batch.completed",
+      "payout_batch.partially_failed",
+      "payout_batch.failed",
+    ]),
   ],
   async (req, res) => {
     try {
@@ -290,6 +576,36 @@ router.post(
   },
 )
 
+// Payout batch in the API's snake_case format
+function formatPayoutBatch(batch) {
+  return {
+    batch_id: batch.id,
+    wallet_id: batch.walletId,
+    chain_id: batch.chainId,
+    asset: batch.asset,
+    execution_mode: batch.executionMode,
+    status: batch.status,
+    total_amount: batch.totalAmount,
+    recipient_count: batch.recipientCount,
+    fee_tier: batch.feeTier,
+    memo: batch.memo,
+    summary: batch.summary,
+    payments: batch.items.map((item) => ({
+      line: item.line,
+      to_address: item.toAddress,
+      amount: item.amount,
+      memo: item.memo,
+      status: item.status,
+      transaction_id: item.transactionId,
+      hash: item.transactionHash,
+      attempts: item.attempts,
+      failure_reason: item.failureReason,
+    })),
+    created_at: batch.createdAt,
+    completed_at: batch.completedAt,
+  }
+}
+
 // Helper function to log API usage
 async function logApiUsage(clientId, action, ip, metadata = {}) {
   try {
@@ -0,0 +1,161 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const { authenticateToken, requireAdmin } = require("../middleware/auth")
+const assetRegistry = require("../services/assetRegistry")
+const chainRegistry = require("../services/chainRegistry")
+const blockchainService = require("../services/blockchain")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// All asset routes require authentication
+router.use(authenticateToken)
+
+const isSupportedChain = (value) => {
+  if (!chainRegistry.isSupported(value)) {
+    throw new Error("Unsupported chain")
+  }
+  return true
+}
+
+// List configured chains
+router.get("/chains", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: chainRegistry.listChains(),
+    })
+  } catch (error) {
+    logger.error("List chains error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to list chains",
+    })
+  }
+})
+
+// List supported assets on a chain (the default chain when none is given)
+router.get(
+  "/",
+  [query("includeInactive").optional().isBoolean(), query("chainId").optional().isInt().custom(isSupportedChain)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const assets = await assetRegistry.listAssets({
+        includeInactive: req.query.includeInactive === "true",
+        chainId: req.query.chainId ? Number.parseInt(req.query.chainId) : null,
+      })
+
+      res.json({
+        success: true,
+        data: assets,
+      })
+    } catch (error) {
+      logger.error("List assets error:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to list assets",
+      })
+    }
+  },
+)
+
+// Register an ERC-20 token (platform admins only; the indexer scans it platform-wide)
+router.post(
+  "/admin",
+  requireAdmin,
+  [
+    body("contractAddress").custom((value) => {
+      if (!blockchainService.isValidAddress(value)) {
+        throw new Error("Invalid contract address")
+      }
+      return true
+    }),
+    body("symbol")
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9.]{1,20}$/)
+      .withMessage("Symbol must be 1-20 letters, numbers or dots"),
+    body("name").optional().trim().isLength({ min: 1, max: 100 }),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { contractAddress, symbol, name, chainId } = req.body
+
+      const asset = await assetRegistry.registerAsset({
+        contractAddress,
+        symbol,
+        name,
+        chainId: chainId ? Number.parseInt(chainId) : null,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Asset registered successfully",
+        data: asset,
+      })
+    } catch (error) {
+      logger.error("Register asset error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Enable or disable an asset (platform admins only)
+router.put(
+  "/admin/:assetId",
+  requireAdmin,
+  [param("assetId").isUUID(), body("isActive").isBoolean().withMessage("isActive must be true or false")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const asset = await assetRegistry.setAssetStatus(
+        req.params.assetId,
+        req.body.isActive === true || req.body.isActive === "true",
+      )
+
+      res.json({
+        success: true,
+        message: "Asset updated successfully",
+        data: asset,
+      })
+    } catch (error) {
+      logger.error("Update asset error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -2,6 +2,7 @@ const express = require("express")
 const { body, validationResult } = require("express-validator")
 const { authenticateToken } = require("../middleware/auth")
 const backupService = require("../services/backupService")
+const recoveryPhraseService = require("../services/recoveryPhraseService")
 const logger = require("../utils/logger")
 
 const router = express.Router()
@@ -9,6 +10,15 @@ const router = express.Router()
 // All backup routes require authentication
 router.use(authenticateToken)
 
+// Where audited actions came from
+const auditContext = (req) => ({ ipAddress: req.ip, userAgent: req.get("user-agent") || null })
+
+const derivationPathValidator = (field) =>
+  body(field)
+    .optional()
+    .matches(/^m(\/\d+'?)+$/)
+    .withMessage("Invalid derivation path")
+
 // Create backup
 router.post(
   "/create",
@@ -131,4 +141,228 @@ router.post(
   },
 )
 
+// Recovery phrase backup state
+router.get("/recovery-phrase", async (req, res) => {
+  try {
+    const status = await recoveryPhraseService.getStatus(req.user.id)
+
+    res.json({
+      success: true,
+      data: status,
+    })
+  } catch (error) {
+    logger.error("Get recovery phrase status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get recovery phrase status",
+    })
+  }
+})
+
+// Reveal the recovery phrase, once, after re-authenticating with password and 2FA
+router.post(
+  "/recovery-phrase/reveal",
+  [
+    body("password").notEmpty().withMessage("Password is required"),
+    body("twoFactorCode").isLength({ min: 6, max: 6 }).isNumeric().withMessage("A 6-digit 2FA code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { password, twoFactorCode } = req.body
+
+      const phrase = await recoveryPhraseService.reveal(
+        req.user.id,
+        req.user.whitelabelClientId,
+        { password, twoFactorCode },
+        auditContext(req),
+      )
+
+      // A response that never finished sending didn't show the phrase, so the reveal is given back
+      res.on("close", () => {
+        if (!res.writableFinished) {
+          recoveryPhraseService.releaseReveal(req.user.id)
+        }
+      })
+      res.set("Cache-Control", "no-store")
+      res.json({
+        success: true,
+        message: "Write down your recovery phrase; it won't be shown again",
+        data: phrase,
+      })
+    } catch (error) {
+      logger.error("Reveal recovery phrase error:", error.message)
+      res.status(error.code === "REAUTHENTICATION_FAILED" ? 401 : 400).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+      })
+    }
+  },
+)
+
+// Start a quiz on a few word positions of the revealed phrase
+router.post("/recovery-phrase/quiz", async (req, res) => {
+  try {
+    const quiz = await recoveryPhraseService.startQuiz(req.user.id, req.user.whitelabelClientId, auditContext(req))
+
+    res.json({
+      success: true,
+      data: quiz,
+    })
+  } catch (error) {
+    logger.error("Start recovery phrase quiz error:", error.message)
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+// Answer the quiz with the words at its positions, in order
+router.post(
+  "/recovery-phrase/verify",
+  [
+    body("words").isArray({ min: 1, max: 24 }).withMessage("Words must be a list"),
+    body("words.*").isString().trim().notEmpty().withMessage("Each word is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await recoveryPhraseService.verifyQuiz(
+        req.user.id,
+        req.user.whitelabelClientId,
+        req.body.words,
+        auditContext(req),
+      )
+
+      res.json({
+        success: true,
+        message: "Recovery phrase backup verified",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Verify recovery phrase error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Restore every used wallet derived from a recovery phrase
+router.post(
+  "/recovery-phrase/restore",
+  [
+    body("mnemonic").isString().notEmpty().withMessage("Recovery phrase is required"),
+    derivationPathValidator("derivationPath"),
+    body("gapLimit").optional().isInt({ min: 1, max: 100 }).toInt().withMessage("Gap limit must be 1-100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { mnemonic, derivationPath, gapLimit } = req.body
+
+      const result = await backupService.recoverWalletsFromMnemonic(
+        req.user.id,
+        mnemonic,
+        req.user.whitelabelClientId,
+        {
+          ...(derivationPath && { derivationPath }),
+          ...(gapLimit && { gapLimit }),
+          context: auditContext(req),
+        },
+      )
+
+      res.json({
+        success: true,
+        message: `Restored ${result.restoredCount} wallet(s) from the recovery phrase`,
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Restore from recovery phrase error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Import the wallet at one derivation path of a recovery phrase
+router.post(
+  "/import-mnemonic",
+  [
+    body("mnemonic").isString().notEmpty().withMessage("Recovery phrase is required"),
+    body("walletName")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .matches(/^[a-zA-Z0-9\s\-_]+$/)
+      .withMessage("Invalid wallet name"),
+    derivationPathValidator("derivationPath"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { mnemonic, walletName, derivationPath } = req.body
+
+      const wallet = await backupService.importWalletFromMnemonic(
+        req.user.id,
+        mnemonic,
+        walletName,
+        req.user.whitelabelClientId,
+        {
+          ...(derivationPath && { derivationPath }),
+          context: auditContext(req),
+        },
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Wallet imported successfully",
+        data: wallet,
+      })
+    } catch (error) {
+      logger.error("Import wallet from recovery phrase error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
 module.exports = router
@@ -2,6 +2,7 @@ const express = require("express")
 const { body, param, query, validationResult } = require("express-validator")
 const { authenticateToken } = require("../middleware/auth")
 const contactService = require("../services/contactService")
+const nameService = require("../services/nameService")
 const logger = require("../utils/logger")
 
 const router = express.Router()
@@ -18,9 +19,8 @@ router.post(
       .isLength({ min: 1, max: 100 })
       .withMessage("Name is required and must be less than 100 characters"),
     body("address").custom((value) => {
-      const { ethers } = require("ethers")
-      if (!ethers.isAddress(value)) {
-        throw new Error("Invalid Ethereum address")
+      if (!nameService.isRecipient(value)) {
+        throw new Error("Address must be an Ethereum address or an ENS name")
       }
       return true
     }),
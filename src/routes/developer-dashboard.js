@@ -97,6 +97,9 @@ router.get("/docs", (req, res) => {
             to_address: "string (required) - Recipient address",
             amount: "number (required) - Amount in USDC",
             user_pin: "string (optional) - User PIN for verification",
+            fee_tier: "string (optional) - slow, standard or fast (default: standard)",
+            max_network_fee: "number (optional) - Maximum network fee in ETH",
+            gasless: "boolean (optional) - Sign a transfer authorization and let the platform relayer pay the gas",
           },
         },
         transactions: {
@@ -122,7 +125,20 @@ router.get("/docs", (req, res) => {
         },
       },
     },
-    webhook_events: ["wallet.created", "transaction.created", "transaction.confirmed", "transaction.failed"],
+    webhook_events: [
+      "wallet.created",
+      "transaction.created",
+      "transaction.received",
+      "transaction.confirmed",
+      "transaction.failed",
+      "transaction.reorged",
+      "transaction.replaced",
+      "cross_chain_transfer.completed",
+      "cross_chain_transfer.failed",
+      "payout_batch.completed",
+      "payout_batch.partially_failed",
+      "payout_batch.failed",
+    ],
     rate_limits: {
       requests: "1000 per 15 minutes",
       monthly: "Based on your plan",
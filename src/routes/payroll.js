@@ -0,0 +1,253 @@
+const express = require("express")
+const multer = require("multer")
+const { body, param, query, validationResult } = require("express-validator")
+const { authenticateToken } = require("../middleware/auth")
+const { checkFeaturePermission, checkTransactionLimits } = require("../middleware/whitelabel")
+const payrollService = require("../services/payrollService")
+const blockchainService = require("../services/blockchain")
+const chainRegistry = require("../services/chainRegistry")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// All payroll routes require authentication
+router.use(authenticateToken)
+
+// CSV files are small enough to parse from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number.parseInt(process.env.PAYROLL_MAX_UPLOAD_BYTES || "1048576"), files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype)
+    cb(isCsv ? null : new Error("Only CSV files are accepted"), isCsv)
+  },
+})
+
+// Accept a single CSV in the "file" field, answering upload problems in the usual JSON shape
+const uploadCsv = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === "LIMIT_FILE_SIZE" ? "CSV file is too large" : error.message,
+      })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "A CSV file is required in the file field",
+      })
+    }
+
+    next()
+  })
+}
+
+// Limits are checked against the stored total of the upload being confirmed
+const loadUploadTotal = async (req, res, next) => {
+  try {
+    const upload = await payrollService.getUpload(req.user.id, req.params.uploadId)
+    req.transactionAmount = Number.parseFloat(upload.totalAmount)
+    next()
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+const isSupportedChain = (value) => {
+  if (!chainRegistry.isSupported(value)) {
+    throw new Error("Unsupported chain")
+  }
+  return true
+}
+
+// Upload a payroll CSV of (address or contact name, amount, memo) rows and get a preview
+router.post(
+  "/uploads",
+  checkFeaturePermission("send"),
+  uploadCsv,
+  [
+    body("walletId").isUUID(),
+    body("asset")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 42 })
+      .withMessage("Asset must be a symbol or contract address"),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, asset, feeTier, chainId } = req.body
+
+      const preview = await payrollService.createUpload(
+        walletId,
+        req.user.id,
+        { buffer: req.file.buffer, filename: req.file.originalname },
+        { asset, feeTier, chainId: chainId ? Number.parseInt(chainId) : null },
+      )
+
+      res.status(201).json({
+        success: true,
+        message: preview.canConfirm ? "Payroll preview ready to confirm" : "Payroll file has invalid rows",
+        data: preview,
+      })
+    } catch (error) {
+      logger.error("Payroll upload error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// List a wallet's payroll uploads
+router.get(
+  "/uploads",
+  [
+    query("walletId").isUUID(),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("offset").optional().isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const limit = Number.parseInt(req.query.limit) || 50
+      const offset = Number.parseInt(req.query.offset) || 0
+
+      const uploads = await payrollService.listUploads(req.query.walletId, req.user.id, limit, offset)
+
+      res.json({
+        success: true,
+        data: {
+          uploads,
+          pagination: {
+            limit,
+            offset,
+            hasMore: uploads.length === limit,
+          },
+        },
+      })
+    } catch (error) {
+      logger.error("List payroll uploads error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Get an upload's preview and, once confirmed, its payout batch
+router.get("/uploads/:uploadId", [param("uploadId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const preview = await payrollService.getUpload(req.user.id, req.params.uploadId)
+
+    res.json({
+      success: true,
+      data: preview,
+    })
+  } catch (error) {
+    logger.error("Get payroll upload error:", error)
+    res.status(404).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+// Confirm a preview and send it as a payout batch
+router.post(
+  "/uploads/:uploadId/confirm",
+  checkFeaturePermission("send"),
+  [param("uploadId").isUUID()],
+  async (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+    next()
+  },
+  loadUploadTotal,
+  checkTransactionLimits,
+  async (req, res) => {
+    try {
+      const result = await payrollService.confirmUpload(req.user.id, req.params.uploadId)
+
+      res.status(202).json({
+        success: true,
+        message: "Payroll confirmed and queued for sending",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Confirm payroll upload error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Download the results file: validation outcome per row, then payment status and hash once sent
+router.get("/uploads/:uploadId/results", [param("uploadId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const results = await payrollService.getResultsCsv(req.user.id, req.params.uploadId)
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="${results.filename}"`)
+    res.send(results.content)
+  } catch (error) {
+    logger.error("Download payroll results error:", error)
+    res.status(404).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,398 @@
+const express = require("express")
+const { body, param, validationResult } = require("express-validator")
+const rateLimit = require("express-rate-limit")
+const { authenticateToken } = require("../middleware/auth")
+const socialRecoveryService = require("../services/socialRecoveryService")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// Where audited actions came from
+const auditContext = (req) => ({ ipAddress: req.ip, userAgent: req.get("user-agent") || null })
+
+// Get the user's social recovery setup
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const setup = await socialRecoveryService.getSetup(req.user.id)
+
+    res.json({
+      success: true,
+      data: setup,
+    })
+  } catch (error) {
+    logger.error("Get social recovery setup error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get social recovery setup",
+    })
+  }
+})
+
+// Split the recovery phrase into shares for guardians, the platform and the user's email
+router.post(
+  "/",
+  authenticateToken,
+  [
+    body("threshold").isInt({ min: 2 }).toInt().withMessage("Threshold must be at least 2"),
+    body("guardianContactIds").isArray({ min: 1 }).withMessage("Pick at least one guardian from your contacts"),
+    body("guardianContactIds.*").isUUID().withMessage("Invalid contact ID"),
+    body("includePlatform").optional().isBoolean().toBoolean(),
+    body("includeEmail").optional().isBoolean().toBoolean(),
+    body("password").notEmpty().withMessage("Password is required"),
+    body("twoFactorCode").isLength({ min: 6, max: 6 }).isNumeric().withMessage("A 6-digit 2FA code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { threshold, guardianContactIds, includePlatform, includeEmail, password, twoFactorCode } = req.body
+
+      const setup = await socialRecoveryService.setUp(
+        req.user.id,
+        req.user.whitelabelClientId,
+        { threshold, guardianContactIds, includePlatform, includeEmail, password, twoFactorCode },
+        auditContext(req),
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Social recovery set up; guardians have been invited",
+        data: setup,
+      })
+    } catch (error) {
+      logger.error("Set up social recovery error:", error.message)
+      res.status(error.code === "REAUTHENTICATION_FAILED" ? 401 : 400).json({
+        success: false,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+      })
+    }
+  },
+)
+
+// Turn social recovery off
+router.delete("/", authenticateToken, async (req, res) => {
+  try {
+    const result = await socialRecoveryService.revoke(req.user.id, req.user.whitelabelClientId, auditContext(req))
+
+    res.json({
+      success: true,
+      message: "Social recovery turned off",
+      data: result,
+    })
+  } catch (error) {
+    logger.error("Revoke social recovery error:", error.message)
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+// Shares the user holds, or is invited to hold, for other users
+router.get("/guardianships", authenticateToken, async (req, res) => {
+  try {
+    const guardianships = await socialRecoveryService.getGuardianships(req.user.id)
+
+    res.json({
+      success: true,
+      data: guardianships,
+    })
+  } catch (error) {
+    logger.error("Get guardianships error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get guardianships",
+    })
+  }
+})
+
+// Accept a guardian invitation; the share is returned once and must be kept by the guardian
+router.post(
+  "/guardianships/:shareId/accept",
+  authenticateToken,
+  [param("shareId").isUUID().withMessage("Invalid invitation ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await socialRecoveryService.acceptInvitation(req.user.id, req.params.shareId, auditContext(req))
+
+      // A response that never finished sending didn't hand the share over, so it goes back into custody
+      res.on("close", () => {
+        if (!res.writableFinished) {
+          socialRecoveryService.restoreInvitation(req.user.id, req.params.shareId, result.share)
+        }
+      })
+      res.set("Cache-Control", "no-store")
+      res.json({
+        success: true,
+        message: "Keep this share safe; it won't be shown again",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Accept guardian invitation error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Decline a guardian invitation
+router.post(
+  "/guardianships/:shareId/decline",
+  authenticateToken,
+  [param("shareId").isUUID().withMessage("Invalid invitation ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await socialRecoveryService.declineInvitation(req.user.id, req.params.shareId, auditContext(req))
+
+      res.json({
+        success: true,
+        message: "Invitation declined",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Decline guardian invitation error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Requests opened per client IP, so nobody can flood an account's owner and guardians with them
+const ipRequestLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000,
+  max: Number.parseInt(process.env.SOCIAL_RECOVERY_REQUESTS_PER_IP_PER_DAY || "3"),
+  message: { success: false, message: "Too many recovery requests, please try again later" },
+})
+
+// A backstop per email address against requests spread over many IPs. It sits well above the per-IP cap, so
+// one client using up its own allowance can't stop the account's owner from opening a request.
+const emailRequestLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000,
+  max: Number.parseInt(process.env.SOCIAL_RECOVERY_REQUESTS_PER_DAY || "20"),
+  keyGenerator: (req) => `social-recovery:${req.body.email}`,
+  message: { success: false, message: "Too many recovery requests for this email, please try again later" },
+})
+
+const requestLimiters = [ipRequestLimiter, emailRequestLimiter]
+
+// Open a recovery request for an account; needs no sign-in, since whoever recovers has lost access. The
+// response is the same whether or not the account has social recovery set up.
+router.post("/requests", [body("email").isEmail().normalizeEmail()], requestLimiters, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const request = await socialRecoveryService.openRequest(req.body.email, auditContext(req))
+
+    res.status(201).json({
+      success: true,
+      message: "If this account has social recovery set up, the request's token has been emailed to it",
+      data: request,
+    })
+  } catch (error) {
+    logger.error("Open social recovery request error:", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Failed to open recovery request",
+    })
+  }
+})
+
+// Progress of a recovery request, for the holder of its token
+router.get(
+  "/requests/:requestId",
+  [param("requestId").isUUID().withMessage("Invalid request ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const token = req.get("x-recovery-token")
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message: "Recovery token required",
+        })
+      }
+
+      const request = await socialRecoveryService.getRequest(req.params.requestId, token)
+
+      res.json({
+        success: true,
+        data: request,
+      })
+    } catch (error) {
+      logger.error("Get social recovery request error:", error.message)
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// A guardian approves a recovery request with the share they hold
+router.post(
+  "/requests/:requestId/approve",
+  authenticateToken,
+  [
+    param("requestId").isUUID().withMessage("Invalid request ID"),
+    body("share").isString().notEmpty().withMessage("Share is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await socialRecoveryService.approveRequest(
+        req.user.id,
+        req.params.requestId,
+        req.body.share,
+        auditContext(req),
+      )
+
+      res.json({
+        success: true,
+        message: "Recovery request approved",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Approve social recovery request error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// The owner cancels a pending recovery request
+router.post(
+  "/requests/:requestId/cancel",
+  authenticateToken,
+  [param("requestId").isUUID().withMessage("Invalid request ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await socialRecoveryService.cancelRequest(
+        req.user.id,
+        req.params.requestId,
+        req.user.whitelabelClientId,
+        auditContext(req),
+      )
+
+      res.json({
+        success: true,
+        message: "Recovery request cancelled",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Cancel social recovery request error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Complete a recovery request and get the rebuilt recovery phrase
+router.post(
+  "/requests/:requestId/complete",
+  [
+    param("requestId").isUUID().withMessage("Invalid request ID"),
+    body("token").isString().notEmpty().withMessage("Recovery token is required"),
+    body("shares").optional().isArray({ max: 255 }).withMessage("Shares must be a list"),
+    body("shares.*").isString().withMessage("Each share must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await socialRecoveryService.completeRequest(
+        req.params.requestId,
+        req.body.token,
+        req.body.shares || [],
+        auditContext(req),
+      )
+
+      res.set("Cache-Control", "no-store")
+      res.json({
+        success: true,
+        message: "Recovery phrase rebuilt; restore your wallets from it",
+        data: result,
+      })
+    } catch (error) {
+      logger.error("Complete social recovery request error:", error.message)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -1,7 +1,8 @@
 const express = require("express")
-const { param, validationResult } = require("express-validator")
+const { param, query: queryParam, validationResult } = require("express-validator")
 const { authenticateToken } = require("../middleware/auth")
-const blockchainService = require("../services/blockchain")
+const chainRegistry = require("../services/chainRegistry")
+const confirmationTracker = require("../services/confirmationTracker")
 const { query } = require("../config/database")
 const logger = require("../utils/logger")
 
@@ -42,32 +43,24 @@ router.get("/:txHash", [param("txHash").isLength({ min: 66, max: 66 })], async (
       })
     }
 
-    // Get latest blockchain data
-    const blockchainTx = await blockchainService.getTransaction(txHash)
-
-    // Update database if status changed
-    if (blockchainTx.status !== txResult.rows[0].status) {
-      await query(
-        `
-        UPDATE transactions 
-        SET status = $1, confirmations = $2, confirmed_at = $3
-        WHERE transaction_hash = $4
-      `,
-        [
-          blockchainTx.status,
-          blockchainTx.confirmations,
-          blockchainTx.status === "confirmed" ? new Date() : null,
-          txHash,
-        ],
-      )
+    // Finalize pending transactions through the confirmation tracker
+    if (txResult.rows[0].status === "pending") {
+      await confirmationTracker.checkTransactionById(txResult.rows[0].id)
     }
 
+    // Get latest blockchain data from the chain the transaction was sent on
+    const blockchainTx = await chainRegistry.forChain(txResult.rows[0].chain_id).getTransaction(txHash)
+
     res.json({
       success: true,
       data: {
         ...blockchainTx,
+        chainId: txResult.rows[0].chain_id,
         memo: txResult.rows[0].memo,
         type: txResult.rows[0].transaction_type,
+        replacesTransactionId: txResult.rows[0].replaces_transaction_id,
+        replacementType: txResult.rows[0].replacement_type,
+        replacedByHash: txResult.rows[0].replaced_by_hash,
       },
     })
   } catch (error) {
@@ -79,10 +72,18 @@ router.get("/:txHash", [param("txHash").isLength({ min: 66, max: 66 })], async (
   }
 })
 
-// Get network information
-router.get("/network/info", async (req, res) => {
+// Get network information for a chain (the default chain when none is given)
+router.get("/network/info", [queryParam("chainId").optional().isInt()], async (req, res) => {
   try {
-    const networkInfo = await blockchainService.getNetworkInfo()
+    const errors = validationResult(req)
+    if (!errors.isEmpty() || (req.query.chainId && !chainRegistry.isSupported(req.query.chainId))) {
+      return res.status(400).json({
+        success: false,
+        message: "Unsupported chain",
+      })
+    }
+
+    const networkInfo = await chainRegistry.forChain(req.query.chainId || null).getNetworkInfo()
 
     res.json({
       success: true,
@@ -3,7 +3,15 @@ const { body, param, query, validationResult } = require("express-validator")
 const { authenticateToken } = require("../middleware/auth")
 const { checkFeaturePermission, checkTransactionLimits } = require("../middleware/whitelabel")
 const walletService = require("../services/walletService")
+const allowanceService = require("../services/allowanceService")
+const crossChainTransferService = require("../services/crossChainTransferService")
+const payoutBatchService = require("../services/payoutBatchService")
+const clientSigningService = require("../services/clientSigningService")
+const smartAccountService = require("../services/smartAccountService")
 const blockchainService = require("../services/blockchain")
+const assetRegistry = require("../services/assetRegistry")
+const chainRegistry = require("../services/chainRegistry")
+const nameService = require("../services/nameService")
 const logger = require("../utils/logger")
 
 const router = express.Router()
@@ -11,7 +19,75 @@ const router = express.Router()
 // All wallet routes require authentication
 router.use(authenticateToken)
 
-// Create new wallet
+// Limits for a payout retry are checked against the payments it puts back in the queue
+const loadRetryAmount = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const batch = await payoutBatchService.getBatch(req.params.walletId, req.user.id, req.params.batchId)
+    const retried = batch.items.filter((item) =>
+      req.params.line ? item.line === req.params.line : item.status === "failed",
+    )
+    req.transactionAmount = retried.reduce((total, item) => total + Number.parseFloat(item.amount), 0)
+    next()
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+const isSupportedChain = (value) => {
+  if (!chainRegistry.isSupported(value)) {
+    throw new Error("Unsupported chain")
+  }
+  return true
+}
+
+const parseChainId = (value) => (value ? Number.parseInt(value) : null)
+
+// Limits for a device-signed broadcast are checked against the amount of the quote being broadcast
+const loadQuoteAmount = async (req, res, next) => {
+  try {
+    const quote = await clientSigningService.getQuote(req.params.walletId, req.user.id, req.params.quoteId)
+    req.transactionAmount = Number.parseFloat(quote.amount)
+    next()
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+    })
+  }
+}
+
+// Issue a challenge for a device to sign before registering its key as a wallet
+router.post("/device-challenges", checkFeaturePermission("multiple_wallets"), async (req, res) => {
+  try {
+    const challenge = await walletService.createDeviceChallenge(req.user.id)
+
+    res.status(201).json({
+      success: true,
+      data: challenge,
+    })
+  } catch (error) {
+    logger.error("Create device wallet challenge error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to create registration challenge",
+    })
+  }
+})
+
+// Create new wallet (an EOA or a smart account), register a device-signed wallet by its public key and
+// signed challenge, or add a watch-only address
 router.post(
   "/",
   checkFeaturePermission("multiple_wallets"),
@@ -21,6 +97,29 @@ router.post(
       .isLength({ min: 1, max: 100 })
       .matches(/^[a-zA-Z0-9\s\-_]+$/)
       .withMessage("Wallet name can only contain letters, numbers, spaces, hyphens, and underscores"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+    body("publicKey")
+      .optional()
+      .matches(/^0x(0[23][0-9a-fA-F]{64}|04[0-9a-fA-F]{128})$/)
+      .withMessage("Public key must be a hex secp256k1 public key"),
+    body("address")
+      .optional()
+      .custom((value) => {
+        if (!blockchainService.isValidAddress(value)) {
+          throw new Error("Invalid wallet address")
+        }
+        return true
+      }),
+    body("challengeId").optional().isUUID().withMessage("Invalid challenge ID"),
+    body("signature")
+      .optional()
+      .matches(/^0x[0-9a-fA-F]{130}$/)
+      .withMessage("Signature must be a 65-byte hex signature"),
+    body("watchOnly").optional().isBoolean().toBoolean(),
+    body("accountType")
+      .optional()
+      .isIn(["eoa", "smart_account"])
+      .withMessage("Account type must be eoa or smart_account"),
   ],
   async (req, res) => {
     try {
@@ -33,15 +132,61 @@ router.post(
         })
       }
 
-      const { walletName } = req.body
+      const {
+        walletName,
+        chainId,
+        publicKey,
+        address,
+        challengeId,
+        signature,
+        watchOnly = false,
+        accountType = "eoa",
+      } = req.body
       const userId = req.user.id
       const whitelabelClientId = req.whitelabelClient?.id
 
-      const wallet = await walletService.createWallet(userId, walletName, whitelabelClientId)
+      if (watchOnly && (publicKey || !address)) {
+        return res.status(400).json({
+          success: false,
+          message: "A watch-only wallet is added with its address only",
+        })
+      }
+
+      if (address && !publicKey && !watchOnly) {
+        return res.status(400).json({
+          success: false,
+          message: "A device-signed wallet is registered with its public key",
+        })
+      }
+
+      if (publicKey && (!challengeId || !signature)) {
+        return res.status(400).json({
+          success: false,
+          message: "A device-signed wallet is registered with a signed registration challenge",
+        })
+      }
+
+      const wallet = await walletService.createWallet(userId, walletName, whitelabelClientId, parseChainId(chainId), {
+        publicKey,
+        address,
+        watchOnly,
+        accountType,
+        challengeId,
+        signature,
+      })
+
+      let message = "Wallet created successfully"
+      if (accountType === "smart_account") {
+        message = "Smart account wallet created successfully"
+      } else if (watchOnly) {
+        message = "Watch-only wallet added successfully"
+      } else if (publicKey) {
+        message = "Device-signed wallet registered successfully"
+      }
 
       res.status(201).json({
         success: true,
-        message: "Wallet created successfully",
+        message,
         data: wallet,
       })
     } catch (error) {
@@ -135,7 +280,7 @@ router.post("/:walletId/balance", [param("walletId").isUUID()], async (req, res)
   }
 })
 
-// Send USDC
+// Send USDC or another registered asset
 router.post(
   "/:walletId/send",
   checkFeaturePermission("send"),
@@ -143,13 +288,22 @@ router.post(
   [
     param("walletId").isUUID(),
     body("toAddress").custom((value) => {
-      if (!blockchainService.isValidAddress(value)) {
-        throw new Error("Invalid recipient address")
+      if (!nameService.isRecipient(value)) {
+        throw new Error("Recipient must be an address or an ENS name")
       }
       return true
     }),
     body("amount").isFloat({ min: 0.000001 }).withMessage("Amount must be greater than 0.000001"),
     body("memo").optional().trim().isLength({ max: 500 }),
+    body("asset")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 42 })
+      .withMessage("Asset must be a symbol or contract address"),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("maxNetworkFee").optional().isFloat({ gt: 0 }).withMessage("Fee cap must be a positive ETH amount"),
+    body("gasless").optional().isBoolean().withMessage("Gasless must be true or false"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
   ],
   async (req, res) => {
     try {
@@ -163,10 +317,16 @@ router.post(
       }
 
       const { walletId } = req.params
-      const { toAddress, amount, memo } = req.body
+      const { toAddress, amount, memo, asset, chainId, feeTier, maxNetworkFee, gasless } = req.body
       const userId = req.user.id
 
-      const transaction = await walletService.sendUSDC(walletId, userId, toAddress, amount, memo)
+      const transaction = await walletService.sendUSDC(walletId, userId, toAddress, amount, memo, {
+        asset,
+        chainId: parseChainId(chainId),
+        feeTier,
+        maxNetworkFee,
+        gasless: gasless === true || gasless === "true",
+      })
 
       res.json({
         success: true,
@@ -175,6 +335,174 @@ router.post(
       })
     } catch (error) {
       logger.error("Send USDC error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        ...(error.failures && { code: error.code, failures: error.failures }),
+      })
+    }
+  },
+)
+
+// Build an unsigned transfer for a device-signed wallet to sign
+router.post(
+  "/:walletId/transaction-quotes",
+  checkFeaturePermission("send"),
+  checkTransactionLimits,
+  [
+    param("walletId").isUUID(),
+    body("toAddress").custom((value) => {
+      if (!nameService.isRecipient(value)) {
+        throw new Error("Recipient must be an address or an ENS name")
+      }
+      return true
+    }),
+    body("amount").isFloat({ min: 0.000001 }).withMessage("Amount must be greater than 0.000001"),
+    body("memo").optional().trim().isLength({ max: 500 }),
+    body("asset")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 42 })
+      .withMessage("Asset must be a symbol or contract address"),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("maxNetworkFee").optional().isFloat({ gt: 0 }).withMessage("Fee cap must be a positive ETH amount"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId } = req.params
+      const { toAddress, amount, memo, asset, chainId, feeTier, maxNetworkFee } = req.body
+
+      const quote = await clientSigningService.createQuote(walletId, req.user.id, toAddress, amount, memo, {
+        asset,
+        chainId: parseChainId(chainId),
+        feeTier,
+        maxNetworkFee,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Transaction ready to sign",
+        data: quote,
+      })
+    } catch (error) {
+      logger.error("Build unsigned transaction error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        ...(error.failures && { code: error.code, failures: error.failures }),
+      })
+    }
+  },
+)
+
+// Broadcast a quote once the device has signed it
+router.post(
+  "/:walletId/transaction-quotes/:quoteId/broadcast",
+  checkFeaturePermission("send"),
+  [
+    param("walletId").isUUID(),
+    param("quoteId").isUUID(),
+    body("signedTransaction").isHexadecimal().withMessage("Signed transaction must be hex encoded"),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      })
+    }
+    next()
+  },
+  loadQuoteAmount,
+  checkTransactionLimits,
+  async (req, res) => {
+    try {
+      const { walletId, quoteId } = req.params
+
+      const transaction = await clientSigningService.broadcastSigned(
+        walletId,
+        req.user.id,
+        quoteId,
+        req.body.signedTransaction,
+      )
+
+      res.json({
+        success: true,
+        message: "Transaction sent successfully",
+        data: transaction,
+      })
+    } catch (error) {
+      logger.error("Broadcast signed transaction error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Dry-run a send: simulate it and report pre-flight failures and warnings without sending anything
+router.post(
+  "/:walletId/send/preflight",
+  [
+    param("walletId").isUUID(),
+    body("toAddress").custom((value) => {
+      if (!nameService.isRecipient(value)) {
+        throw new Error("Recipient must be an address or an ENS name")
+      }
+      return true
+    }),
+    body("amount").isFloat({ min: 0.000001 }).withMessage("Amount must be greater than 0.000001"),
+    body("asset")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 42 })
+      .withMessage("Asset must be a symbol or contract address"),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("maxNetworkFee").optional().isFloat({ gt: 0 }).withMessage("Fee cap must be a positive ETH amount"),
+    body("gasless").optional().isBoolean().withMessage("Gasless must be true or false"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId } = req.params
+      const { toAddress, amount, asset, chainId, feeTier, maxNetworkFee, gasless } = req.body
+
+      const preflight = await walletService.preflightSend(walletId, req.user.id, toAddress, amount, {
+        asset,
+        chainId: parseChainId(chainId),
+        feeTier,
+        maxNetworkFee,
+        gasless: gasless === true || gasless === "true",
+      })
+
+      res.json({
+        success: true,
+        data: preflight,
+      })
+    } catch (error) {
+      logger.error("Send pre-flight error:", error)
       res.status(400).json({
         success: false,
         message: error.message,
@@ -190,6 +518,8 @@ router.get(
     param("walletId").isUUID(),
     query("limit").optional().isInt({ min: 1, max: 100 }),
     query("offset").optional().isInt({ min: 0 }),
+    query("asset").optional().trim().isLength({ min: 1, max: 42 }),
+    query("chainId").optional().isInt().custom(isSupportedChain),
   ],
   async (req, res) => {
     try {
@@ -207,7 +537,10 @@ router.get(
       const offset = Number.parseInt(req.query.offset) || 0
       const userId = req.user.id
 
-      const transactions = await walletService.getTransactionHistory(walletId, userId, limit, offset)
+      const transactions = await walletService.getTransactionHistory(walletId, userId, limit, offset, {
+        asset: req.query.asset,
+        chainId: parseChainId(req.query.chainId),
+      })
 
       res.json({
         success: true,
@@ -230,52 +563,71 @@ router.get(
   },
 )
 
-// Set primary wallet
-router.post("/:walletId/set-primary", [param("walletId").isUUID()], async (req, res) => {
-  try {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid wallet ID",
-      })
-    }
+// Move USDC to another chain: burn on the source chain and mint on the destination once attested
+router.post(
+  "/:walletId/cross-chain-transfers",
+  checkFeaturePermission("send"),
+  checkTransactionLimits,
+  [
+    param("walletId").isUUID(),
+    body("amount").isFloat({ min: 0.000001 }).withMessage("Amount must be greater than 0.000001"),
+    body("destinationChainId").isInt().custom(isSupportedChain),
+    body("sourceChainId").optional().isInt().custom(isSupportedChain),
+    body("recipient")
+      .optional()
+      .custom((value) => {
+        if (!blockchainService.isValidAddress(value)) {
+          throw new Error("Invalid recipient address")
+        }
+        return true
+      }),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
 
-    const { walletId } = req.params
-    const userId = req.user.id
+      const { walletId } = req.params
+      const { amount, destinationChainId, sourceChainId, recipient, feeTier } = req.body
+      const userId = req.user.id
 
-    await walletService.setPrimaryWallet(walletId, userId)
+      const transfer = await crossChainTransferService.createTransfer(walletId, userId, {
+        amount,
+        destinationChainId: parseChainId(destinationChainId),
+        sourceChainId: parseChainId(sourceChainId),
+        recipient,
+        feeTier,
+      })
 
-    res.json({
-      success: true,
-      message: "Primary wallet updated successfully",
-    })
-  } catch (error) {
-    logger.error("Set primary wallet error:", error)
-    res.status(400).json({
-      success: false,
-      message: error.message,
-    })
-  }
-})
+      res.status(201).json({
+        success: true,
+        message: "Cross-chain transfer started",
+        data: transfer,
+      })
+    } catch (error) {
+      logger.error("Cross-chain transfer error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
 
-// Estimate transaction gas
-router.post(
-  "/estimate-gas",
+// List cross-chain transfers
+router.get(
+  "/:walletId/cross-chain-transfers",
   [
-    body("fromAddress").custom((value) => {
-      if (!blockchainService.isValidAddress(value)) {
-        throw new Error("Invalid from address")
-      }
-      return true
-    }),
-    body("toAddress").custom((value) => {
-      if (!blockchainService.isValidAddress(value)) {
-        throw new Error("Invalid to address")
-      }
-      return true
-    }),
-    body("amount").isFloat({ min: 0.000001 }),
+    param("walletId").isUUID(),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("offset").optional().isInt({ min: 0 }),
   ],
   async (req, res) => {
     try {
@@ -288,13 +640,651 @@ router.post(
         })
       }
 
-      const { fromAddress, toAddress, amount } = req.body
+      const { walletId } = req.params
+      const limit = Number.parseInt(req.query.limit) || 50
+      const offset = Number.parseInt(req.query.offset) || 0
+
+      const transfers = await crossChainTransferService.listTransfers(walletId, req.user.id, limit, offset)
 
-      const gasEstimate = await blockchainService.estimateTransferGas(fromAddress, toAddress, amount)
+      res.json({
+        success: true,
+        data: {
+          transfers,
+          pagination: {
+            limit,
+            offset,
+            hasMore: transfers.length === limit,
+          },
+        },
+      })
+    } catch (error) {
+      logger.error("List cross-chain transfers error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Get a cross-chain transfer
+router.get(
+  "/:walletId/cross-chain-transfers/:transferId",
+  [param("walletId").isUUID(), param("transferId").isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, transferId } = req.params
+      const transfer = await crossChainTransferService.getTransfer(walletId, req.user.id, transferId)
+
+      res.json({
+        success: true,
+        data: transfer,
+      })
+    } catch (error) {
+      logger.error("Get cross-chain transfer error:", error)
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Pay many recipients in one batch; lines are validated up front and sent by the payout worker
+router.post(
+  "/:walletId/payout-batches",
+  checkFeaturePermission("send"),
+  checkTransactionLimits,
+  [
+    param("walletId").isUUID(),
+    body("payments").isArray({ min: 1 }).withMessage("Payments must be a non-empty list"),
+    body("asset")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 42 })
+      .withMessage("Asset must be a symbol or contract address"),
+    body("memo").optional().trim().isLength({ max: 500 }),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId } = req.params
+      const { payments, asset, memo, feeTier, chainId } = req.body
+      const userId = req.user.id
+
+      const batch = await payoutBatchService.createBatch(walletId, userId, {
+        payments,
+        asset,
+        memo,
+        feeTier,
+        chainId: parseChainId(chainId),
+      })
+
+      res.status(202).json({
+        success: true,
+        message: "Payout batch queued",
+        data: batch,
+      })
+    } catch (error) {
+      logger.error("Create payout batch error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        ...(error.lineErrors && { errors: error.lineErrors }),
+      })
+    }
+  },
+)
+
+// List payout batches
+router.get(
+  "/:walletId/payout-batches",
+  [
+    param("walletId").isUUID(),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("offset").optional().isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId } = req.params
+      const limit = Number.parseInt(req.query.limit) || 50
+      const offset = Number.parseInt(req.query.offset) || 0
+
+      const batches = await payoutBatchService.listBatches(walletId, req.user.id, limit, offset)
+
+      res.json({
+        success: true,
+        data: {
+          batches,
+          pagination: {
+            limit,
+            offset,
+            hasMore: batches.length === limit,
+          },
+        },
+      })
+    } catch (error) {
+      logger.error("List payout batches error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Get a payout batch with the result for every recipient
+router.get(
+  "/:walletId/payout-batches/:batchId",
+  [param("walletId").isUUID(), param("batchId").isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, batchId } = req.params
+      const batch = await payoutBatchService.getBatch(walletId, req.user.id, batchId)
+
+      res.json({
+        success: true,
+        data: batch,
+      })
+    } catch (error) {
+      logger.error("Get payout batch error:", error)
+      res.status(404).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Retry the failed payments of a finished batch
+router.post(
+  "/:walletId/payout-batches/:batchId/retry",
+  checkFeaturePermission("send"),
+  [param("walletId").isUUID(), param("batchId").isUUID()],
+  loadRetryAmount,
+  checkTransactionLimits,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, batchId } = req.params
+      const batch = await payoutBatchService.retryBatch(walletId, req.user.id, batchId)
+
+      res.status(202).json({
+        success: true,
+        message: "Failed payments queued for retry",
+        data: batch,
+      })
+    } catch (error) {
+      logger.error("Retry payout batch error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Retry one failed or interrupted payment of a finished batch; for an interrupted payment the user has
+// checked the wallet's transactions and confirms it was not paid
+router.post(
+  "/:walletId/payout-batches/:batchId/lines/:line/retry",
+  checkFeaturePermission("send"),
+  [param("walletId").isUUID(), param("batchId").isUUID(), param("line").isInt({ min: 1 }).toInt()],
+  loadRetryAmount,
+  checkTransactionLimits,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, batchId, line } = req.params
+      const batch = await payoutBatchService.retryLine(walletId, req.user.id, batchId, line)
+
+      res.status(202).json({
+        success: true,
+        message: "Payment queued for retry",
+        data: batch,
+      })
+    } catch (error) {
+      logger.error("Retry payout line error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Speed up a pending send by re-sending it on the same nonce with a higher fee
+router.post(
+  "/:walletId/transactions/:transactionId/speed-up",
+  checkFeaturePermission("send"),
+  [
+    param("walletId").isUUID(),
+    param("transactionId").isUUID(),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, transactionId } = req.params
+      const { feeTier } = req.body
+      const userId = req.user.id
+
+      const transaction = await walletService.replaceTransaction(walletId, userId, transactionId, "speed_up", {
+        feeTier,
+      })
+
+      res.json({
+        success: true,
+        message: "Speed-up sent successfully",
+        data: transaction,
+      })
+    } catch (error) {
+      logger.error("Speed up transaction error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Cancel a pending send with a zero-value self-transfer on the same nonce
+router.post(
+  "/:walletId/transactions/:transactionId/cancel",
+  checkFeaturePermission("send"),
+  [
+    param("walletId").isUUID(),
+    param("transactionId").isUUID(),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, transactionId } = req.params
+      const { feeTier } = req.body
+      const userId = req.user.id
+
+      const transaction = await walletService.replaceTransaction(walletId, userId, transactionId, "cancel", { feeTier })
+
+      res.json({
+        success: true,
+        message: "Cancellation sent successfully",
+        data: transaction,
+      })
+    } catch (error) {
+      logger.error("Cancel transaction error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// List USDC allowances granted by a wallet, with warnings for unlimited approvals
+router.get(
+  "/:walletId/allowances",
+  [param("walletId").isUUID(), query("chainId").optional().isInt().custom(isSupportedChain)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid wallet ID",
+        })
+      }
+
+      const { walletId } = req.params
+      const userId = req.user.id
+
+      const allowances = await allowanceService.listAllowances(walletId, userId, parseChainId(req.query.chainId))
+
+      res.json({
+        success: true,
+        data: allowances,
+      })
+    } catch (error) {
+      logger.error("Get allowances error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Grant a spender an allowance with an approve transaction or a gasless permit
+router.post(
+  "/:walletId/allowances",
+  checkFeaturePermission("send"),
+  [
+    param("walletId").isUUID(),
+    body("spender").custom((value) => {
+      if (!blockchainService.isValidAddress(value)) {
+        throw new Error("Invalid spender address")
+      }
+      return true
+    }),
+    body("amount").optional().isFloat({ min: 0.000001 }).withMessage("Amount must be greater than 0.000001"),
+    body("unlimited").optional().isBoolean(),
+    body("gasless").optional().isBoolean(),
+    body("label").optional().trim().isLength({ max: 100 }),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId } = req.params
+      const { spender, amount, unlimited, gasless, label, feeTier, chainId } = req.body
+      const userId = req.user.id
+
+      const allowance = await allowanceService.grantAllowance(walletId, userId, spender, {
+        amount,
+        unlimited: unlimited === true || unlimited === "true",
+        gasless: gasless === true || gasless === "true",
+        label,
+        feeTier,
+        chainId: parseChainId(chainId),
+      })
+
+      res.json({
+        success: true,
+        message: "Allowance granted successfully",
+        data: allowance,
+      })
+    } catch (error) {
+      logger.error("Grant allowance error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Revoke a spender's allowance
+router.delete(
+  "/:walletId/allowances/:spender",
+  checkFeaturePermission("send"),
+  [
+    param("walletId").isUUID(),
+    param("spender").custom((value) => {
+      if (!blockchainService.isValidAddress(value)) {
+        throw new Error("Invalid spender address")
+      }
+      return true
+    }),
+    body("gasless").optional().isBoolean(),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId, spender } = req.params
+      const { gasless, feeTier, chainId } = req.body
+      const userId = req.user.id
+
+      const allowance = await allowanceService.revokeAllowance(walletId, userId, spender, {
+        gasless: gasless === true || gasless === "true",
+        feeTier,
+        chainId: parseChainId(chainId),
+      })
+
+      res.json({
+        success: true,
+        message: "Allowance revoked successfully",
+        data: allowance,
+      })
+    } catch (error) {
+      logger.error("Revoke allowance error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Get pending nonce queue on one of the wallet's chains
+router.get(
+  "/:walletId/nonces",
+  [param("walletId").isUUID(), query("chainId").optional().isInt().custom(isSupportedChain)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { walletId } = req.params
+      const userId = req.user.id
+
+      const nonceQueue = await walletService.getNonceQueue(walletId, userId, parseChainId(req.query.chainId))
+
+      res.json({
+        success: true,
+        data: nonceQueue,
+      })
+    } catch (error) {
+      logger.error("Get nonce queue error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
+// Hand a smart account over to a new owner key; the address stays the same
+router.post(
+  "/:walletId/smart-account/rotate-owner",
+  [
+    param("walletId").isUUID(),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const rotation = await smartAccountService.rotateOwner(req.params.walletId, req.user.id, {
+        feeTier: req.body.feeTier,
+      })
+
+      res.status(202).json({
+        success: true,
+        message: "Owner key rotation submitted; the new key takes over once the user operation is included",
+        data: rotation,
+      })
+    } catch (error) {
+      logger.error("Smart account owner rotation error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        ...(error.failures && { code: error.code, failures: error.failures }),
+      })
+    }
+  },
+)
+
+// Set primary wallet
+router.post("/:walletId/set-primary", [param("walletId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid wallet ID",
+      })
+    }
+
+    const { walletId } = req.params
+    const userId = req.user.id
+
+    await walletService.setPrimaryWallet(walletId, userId)
+
+    res.json({
+      success: true,
+      message: "Primary wallet updated successfully",
+    })
+  } catch (error) {
+    logger.error("Set primary wallet error:", error)
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+// Estimate transaction gas
+router.post(
+  "/estimate-gas",
+  [
+    body("fromAddress").custom((value) => {
+      if (!blockchainService.isValidAddress(value)) {
+        throw new Error("Invalid from address")
+      }
+      return true
+    }),
+    body("toAddress").custom((value) => {
+      if (!nameService.isRecipient(value)) {
+        throw new Error("Invalid to address or name")
+      }
+      return true
+    }),
+    body("amount").isFloat({ min: 0.000001 }),
+    body("asset")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 42 })
+      .withMessage("Asset must be a symbol or contract address"),
+    body("feeTier").optional().isIn(blockchainService.feeTiers).withMessage("Fee tier must be slow, standard or fast"),
+    body("maxNetworkFee").optional().isFloat({ gt: 0 }).withMessage("Fee cap must be a positive ETH amount"),
+    body("chainId").optional().isInt().custom(isSupportedChain),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { fromAddress, toAddress, amount, asset, chainId, feeTier, maxNetworkFee } = req.body
+      const chain = chainRegistry.forChain(parseChainId(chainId))
+      const token = await assetRegistry.resolveAsset(asset, chain.chainId)
+      const recipient = await nameService.resolveRecipient(toAddress)
+
+      const gasEstimate = await chain.estimateTransferGas(fromAddress, recipient.address, amount, {
+        token,
+        feeTier,
+        maxNetworkFee,
+      })
 
       res.json({
         success: true,
-        data: gasEstimate,
+        data: { ...gasEstimate, to: recipient.address, toName: recipient.name },
       })
     } catch (error) {
       logger.error("Gas estimation error:", error)
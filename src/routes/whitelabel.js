@@ -1,7 +1,8 @@
 const express = require("express")
 const { body, param, query, validationResult } = require("express-validator")
-const { authenticateToken, authenticateApiKey } = require("../middleware/auth")
+const { authenticateToken, authenticateApiKey, requireAdmin } = require("../middleware/auth")
 const whitelabelService = require("../services/whitelabelService")
+const gasStation = require("../services/gasStation")
 const logger = require("../utils/logger")
 
 const router = express.Router()
@@ -214,6 +215,72 @@ router.get("/admin/clients/:clientId/stats", [param("clientId").isUUID()], async
   }
 })
 
+// Get gas sponsorship budget and usage for a client (platform admins only)
+router.get("/admin/clients/:clientId/gas-sponsorship", requireAdmin, [param("clientId").isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid client ID",
+      })
+    }
+
+    const usage = await gasStation.getUsage(req.params.clientId)
+
+    res.json({
+      success: true,
+      data: usage,
+    })
+  } catch (error) {
+    logger.error("Get gas sponsorship error:", error)
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
+// Set gas sponsorship budget for a client (platform admins only; the platform gas station pays)
+router.put(
+  "/admin/clients/:clientId/gas-sponsorship",
+  requireAdmin,
+  [
+    param("clientId").isUUID(),
+    body("monthlyBudgetEth").isFloat({ min: 0 }).withMessage("Monthly budget must be a non-negative ETH amount"),
+    body("maxTopUpEth").isFloat({ gt: 0 }).withMessage("Maximum top-up must be a positive ETH amount"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const { clientId } = req.params
+      const { monthlyBudgetEth, maxTopUpEth } = req.body
+
+      const usage = await gasStation.setBudget(clientId, { monthlyBudgetEth, maxTopUpEth })
+
+      res.json({
+        success: true,
+        message: "Gas sponsorship budget updated successfully",
+        data: usage,
+      })
+    } catch (error) {
+      logger.error("Set gas sponsorship budget error:", error)
+      res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  },
+)
+
 // Public routes (no authentication required)
 
 // Get client configuration by subdomain
@@ -371,6 +438,25 @@ router.get("/dashboard/stats", async (req, res) => {
   }
 })
 
+// Get client's gas sponsorship budget and usage
+router.get("/dashboard/gas-sponsorship", async (req, res) => {
+  try {
+    const clientId = req.apiKey.whitelabelClientId
+    const usage = await gasStation.getUsage(clientId)
+
+    res.json({
+      success: true,
+      data: usage,
+    })
+  } catch (error) {
+    logger.error("Get client gas sponsorship error:", error)
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+})
+
 // Get client's users
 router.get("/dashboard/users", async (req, res) => {
   try {
@@ -8,15 +8,28 @@ const { connectDB } = require("./config/database")
 const logger = require("./utils/logger")
 const errorHandler = require("./middleware/errorHandler")
 const { applyWhitelabelConfig } = require("./middleware/whitelabel")
+const transactionIndexer = require("./services/transactionIndexer")
+const confirmationTracker = require("./services/confirmationTracker")
+const reorgMonitor = require("./services/reorgMonitor")
+const relayer = require("./services/relayer")
+const crossChainTransferService = require("./services/crossChainTransferService")
+const payoutBatchService = require("./services/payoutBatchService")
+const smartAccountService = require("./services/smartAccountService")
+const keyRotationService = require("./services/keyRotationService")
+const rpcHealthMonitor = require("./services/rpcHealthMonitor")
+const chainRegistry = require("./services/chainRegistry")
 
 // Import routes
 const authRoutes = require("./routes/auth")
 const userRoutes = require("./routes/users")
 const walletRoutes = require("./routes/wallets")
+const assetRoutes = require("./routes/assets")
 const transactionRoutes = require("./routes/transactions")
 const whitelabelRoutes = require("./routes/whitelabel")
 const backupRoutes = require("./routes/backup")
 const contactRoutes = require("./routes/contacts")
+const socialRecoveryRoutes = require("./routes/socialRecovery")
+const payrollRoutes = require("./routes/payroll")
 const developerApiRoutes = require("./routes/api/v1/developer")
 const developerDashboardRoutes = require("./routes/developer-dashboard")
 const billingRoutes = require("./routes/billing")
@@ -55,10 +68,24 @@ app.use((req, res, next) => {
 
 // Health check endpoint
 app.get("/health", (req, res) => {
+  const chains = chainRegistry.list().map((chain) => {
+    const rpcEndpoints = chain.provider.getStatus()
+
+    return {
+      ...chainRegistry.describe(chain),
+      rpc: {
+        healthy: rpcEndpoints.filter((endpoint) => endpoint.healthy).length,
+        total: rpcEndpoints.length,
+        endpoints: rpcEndpoints,
+      },
+    }
+  })
+
   res.status(200).json({
-    status: "OK",
+    status: chains.every((chain) => chain.rpc.healthy > 0) ? "OK" : "DEGRADED",
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    chains: chains,
   })
 })
 
@@ -66,10 +93,13 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/wallets", walletRoutes)
+app.use("/api/assets", assetRoutes)
 app.use("/api/transactions", transactionRoutes)
 app.use("/api/whitelabel", whitelabelRoutes)
 app.use("/api/backup", backupRoutes)
 app.use("/api/contacts", contactRoutes)
+app.use("/api/social-recovery", socialRecoveryRoutes)
+app.use("/api/payroll", payrollRoutes)
 app.use("/api/v1", developerApiRoutes)
 app.use("/api/developer", developerDashboardRoutes)
 app.use("/api/billing", billingRoutes)
@@ -89,6 +119,47 @@ app.use(errorHandler)
 async function startServer() {
   try {
     await connectDB()
+
+    // Background workers
+    if (process.env.RPC_HEALTH_CHECK_ENABLED !== "false") {
+      rpcHealthMonitor.start()
+    }
+
+    if (process.env.INDEXER_ENABLED !== "false") {
+      transactionIndexer.start()
+    }
+
+    if (process.env.CONFIRMATION_TRACKER_ENABLED !== "false") {
+      confirmationTracker.start()
+    }
+
+    if (process.env.REORG_MONITOR_ENABLED !== "false") {
+      reorgMonitor.start()
+    }
+
+    if (process.env.RELAYER_ENABLED !== "false" && relayer.isAvailable()) {
+      relayer.start()
+    }
+
+    if (process.env.CCTP_TRANSFERS_ENABLED !== "false") {
+      crossChainTransferService.start()
+    }
+
+    if (process.env.BATCH_PAYOUTS_ENABLED !== "false") {
+      payoutBatchService.start()
+    }
+
+    if (
+      process.env.SMART_ACCOUNTS_ENABLED !== "false" &&
+      chainRegistry.list().some((chain) => chain.supportsSmartAccounts())
+    ) {
+      smartAccountService.start()
+    }
+
+    if (process.env.KEY_ROTATION_ENABLED !== "false") {
+      keyRotationService.start()
+    }
+
     app.listen(PORT, () => {
       logger.info(`USDC Wallet API Server running on port ${PORT}`)
       logger.info(`Environment: ${process.env.NODE_ENV || "development"}`)
@@ -102,11 +173,29 @@ async function startServer() {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received, shutting down gracefully")
+  transactionIndexer.stop()
+  confirmationTracker.stop()
+  reorgMonitor.stop()
+  relayer.stop()
+  crossChainTransferService.stop()
+  payoutBatchService.stop()
+  smartAccountService.stop()
+  keyRotationService.stop()
+  rpcHealthMonitor.stop()
   process.exit(0)
 })
 
 process.on("SIGINT", () => {
   logger.info("SIGINT received, shutting down gracefully")
+  transactionIndexer.stop()
+  confirmationTracker.stop()
+  reorgMonitor.stop()
+  relayer.stop()
+  crossChainTransferService.stop()
+  payoutBatchService.stop()
+  smartAccountService.stop()
+  keyRotationService.stop()
+  rpcHealthMonitor.stop()
   process.exit(0)
 })
 
@@ -0,0 +1,309 @@
+const http = require("http")
+const { ethers } = require("ethers")
+
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }))
+jest.mock("../../config/database", () => mockDatabase)
+jest.mock("../chainRegistry", () => ({ forChain: () => mockChain }))
+
+const CHAIN_ID = 31337
+const RECIPIENT = "0x000000000000000000000000000000000000dEaD"
+
+// A stand-in for Postgres holding the two nonce tables. It answers the statements the nonce manager issues,
+// undoes a transaction's writes on ROLLBACK and holds advisory locks until the transaction ends, so two
+// managers sharing it behave like two processes sharing a database.
+const createDatabase = () => {
+  const db = { reservations: new Map(), nextNonces: new Map(), locks: new Map() }
+
+  const reservationKey = (address, chainId, nonce) => `${address}:${chainId}:${Number(nonce)}`
+  const reservationsFor = (address, chainId) =>
+    [...db.reservations.values()].filter((row) => row.address === address && row.chain_id === chainId)
+
+  const execute = async (connection, text, params = []) => {
+    const sql = text.replace(/\s+/g, " ").trim()
+    const [a, b, c, d] = params
+
+    if (sql === "BEGIN") {
+      connection.snapshot = {
+        reservations: new Map([...db.reservations].map(([key, row]) => [key, { ...row }])),
+        nextNonces: new Map(db.nextNonces),
+      }
+      return { rows: [] }
+    }
+
+    if (sql === "COMMIT" || sql === "ROLLBACK") {
+      if (sql === "ROLLBACK" && connection.snapshot) {
+        Object.assign(db, connection.snapshot)
+      }
+      connection.snapshot = null
+      connection.unlock.forEach((unlock) => unlock())
+      connection.unlock = []
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("SELECT pg_advisory_xact_lock")) {
+      const previous = db.locks.get(a) || Promise.resolve()
+      let unlock
+      const held = new Promise((resolve) => (unlock = resolve))
+      db.locks.set(
+        a,
+        previous.then(() => held),
+      )
+      connection.unlock.push(unlock)
+      await previous
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("SELECT nonce FROM nonce_reservations")) {
+      const released = reservationsFor(a, b)
+        .filter((row) => row.status === "released" && row.nonce >= c)
+        .sort((x, y) => x.nonce - y.nonce)
+      return { rows: released.slice(0, 1).map((row) => ({ nonce: String(row.nonce) })) }
+    }
+
+    if (sql.startsWith("SELECT next_nonce FROM address_nonces")) {
+      const nextNonce = db.nextNonces.get(`${a}:${b}`)
+      return { rows: nextNonce === undefined ? [] : [{ next_nonce: String(nextNonce) }] }
+    }
+
+    if (sql.startsWith("INSERT INTO nonce_reservations")) {
+      db.reservations.set(reservationKey(a, b, d), {
+        address: a,
+        chain_id: b,
+        wallet_id: c,
+        nonce: d,
+        status: "reserved",
+        transaction_hash: null,
+      })
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("INSERT INTO address_nonces")) {
+      db.nextNonces.set(`${a}:${b}`, Math.max(db.nextNonces.get(`${a}:${b}`) ?? 0, c))
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("UPDATE nonce_reservations SET status = 'reserved'")) {
+      Object.assign(db.reservations.get(reservationKey(b, c, d)), { status: "reserved", wallet_id: a })
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("UPDATE nonce_reservations SET status = 'broadcast'")) {
+      Object.assign(db.reservations.get(reservationKey(b, c, d)), { status: "broadcast", transaction_hash: a })
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("UPDATE nonce_reservations SET status = 'released', transaction_hash = NULL")) {
+      Object.assign(db.reservations.get(reservationKey(a, b, c)), { status: "released", transaction_hash: null })
+      return { rows: [] }
+    }
+
+    if (sql.startsWith("UPDATE nonce_reservations SET status = 'released' WHERE transaction_hash")) {
+      const rows = [...db.reservations.values()].filter(
+        (row) => row.transaction_hash === a && ["reserved", "broadcast"].includes(row.status),
+      )
+      rows.forEach((row) => (row.status = "released"))
+      return { rows: rows.map((row) => ({ address: row.address, nonce: String(row.nonce) })) }
+    }
+
+    throw new Error(`Unexpected query: ${sql}`)
+  }
+
+  const connect = async () => {
+    const connection = { snapshot: null, unlock: [] }
+    return { query: (text, params) => execute(connection, text, params), release: () => {} }
+  }
+
+  const query = (text, params) => execute({ snapshot: null, unlock: [] }, text, params)
+
+  return { db, pool: { connect }, query }
+}
+
+// A minimal local dev chain: keeps a mined nonce and a mempool per sender, refuses raw transactions whose
+// nonce is already used or would leave a gap, and can be told to reject the next broadcast
+const startChain = async ({ delayMs = 0 } = {}) => {
+  const chain = { mined: new Map(), mempool: new Map(), rejectNext: null, delayMs }
+
+  const nonceOf = (address, tag) => {
+    const key = address.toLowerCase()
+    const mined = chain.mined.get(key) || 0
+    return tag === "latest" ? mined : mined + (chain.mempool.get(key) || []).length
+  }
+
+  const handle = (request) => {
+    const reply = (result) => ({ jsonrpc: "2.0", id: request.id, result })
+    const fail = (message) => ({ jsonrpc: "2.0", id: request.id, error: { code: -32000, message } })
+
+    switch (request.method) {
+      case "eth_chainId":
+        return reply(ethers.toQuantity(CHAIN_ID))
+      case "eth_blockNumber":
+        return reply(ethers.toQuantity(1))
+      case "eth_getTransactionCount":
+        return reply(ethers.toQuantity(nonceOf(request.params[0], request.params[1])))
+      case "eth_sendRawTransaction": {
+        if (chain.rejectNext) {
+          const message = chain.rejectNext
+          chain.rejectNext = null
+          return fail(message)
+        }
+
+        const tx = ethers.Transaction.from(request.params[0])
+        const expected = nonceOf(tx.from, "pending")
+        if (tx.nonce !== expected) {
+          return fail(tx.nonce < expected ? "nonce too low" : `nonce gap: expected ${expected}, got ${tx.nonce}`)
+        }
+
+        const key = tx.from.toLowerCase()
+        chain.mempool.set(key, [...(chain.mempool.get(key) || []), tx])
+        return reply(tx.hash)
+      }
+      default:
+        return { jsonrpc: "2.0", id: request.id, error: { code: -32601, message: "method not found" } }
+    }
+  }
+
+  chain.server = http.createServer((req, res) => {
+    let body = ""
+    req.on("data", (chunk) => (body += chunk))
+    req.on("end", () => {
+      const payload = JSON.parse(body)
+      const response = Array.isArray(payload) ? payload.map(handle) : handle(payload)
+
+      setTimeout(() => {
+        res.setHeader("content-type", "application/json")
+        res.end(JSON.stringify(response))
+      }, chain.delayMs)
+    })
+  })
+
+  await new Promise((resolve) => chain.server.listen(0, "127.0.0.1", resolve))
+  chain.url = `http://127.0.0.1:${chain.server.address().port}`
+
+  // Mine everything in an address's mempool, or drop it
+  chain.mine = (address) => {
+    const key = address.toLowerCase()
+    chain.mined.set(key, nonceOf(key, "pending"))
+    chain.mempool.delete(key)
+  }
+  chain.drop = (address) => chain.mempool.delete(address.toLowerCase())
+
+  chain.kill = () => new Promise((resolve) => chain.server.close(() => resolve()))
+
+  return chain
+}
+
+const mockDatabase = createDatabase()
+let mockChain
+
+const nonceManager = require("../nonceManager")
+
+describe("NonceManager against a local chain", () => {
+  let chain
+  let provider
+  let wallet
+
+  // Sign a plain transfer with the given nonce and submit it to the local chain
+  const broadcast = async (nonce) => {
+    const signed = await wallet.signTransaction({
+      to: RECIPIENT,
+      value: 1n,
+      nonce,
+      gasLimit: 21000n,
+      gasPrice: 1n,
+      chainId: CHAIN_ID,
+    })
+    const response = await provider.broadcastTransaction(signed)
+
+    return { transactionHash: response.hash }
+  }
+
+  const reservation = (nonce) => mockDatabase.db.reservations.get(`${wallet.address}:${CHAIN_ID}:${nonce}`)
+
+  beforeAll(async () => {
+    chain = await startChain()
+    provider = new ethers.JsonRpcProvider(chain.url, CHAIN_ID, { staticNetwork: true, cacheTimeout: -1 })
+    mockChain = {
+      chainId: CHAIN_ID,
+      getNonces: async (address) => ({
+        latest: await provider.getTransactionCount(address, "latest"),
+        pending: await provider.getTransactionCount(address, "pending"),
+      }),
+    }
+  })
+
+  afterAll(async () => {
+    provider.destroy()
+    await chain.kill()
+  })
+
+  beforeEach(() => {
+    wallet = ethers.Wallet.createRandom()
+    chain.delayMs = 0
+  })
+
+  it("allocates consecutive nonces from the chain's pending count", async () => {
+    chain.mined.set(wallet.address.toLowerCase(), 5)
+
+    const first = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+    const second = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+
+    expect([first.nonce, second.nonce]).toEqual([5, 6])
+    expect(reservation(5)).toMatchObject({ status: "broadcast", transaction_hash: first.transactionHash })
+    expect(reservation(6)).toMatchObject({ status: "broadcast", transaction_hash: second.transactionHash })
+    expect(mockDatabase.db.nextNonces.get(`${wallet.address}:${CHAIN_ID}`)).toBe(7)
+  })
+
+  it("releases the nonce when the broadcast fails and hands it to the next send", async () => {
+    chain.rejectNext = "insufficient funds for gas * price + value"
+
+    await expect(nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)).rejects.toThrow(
+      /insufficient funds/,
+    )
+    expect(reservation(0)).toMatchObject({ status: "released", transaction_hash: null })
+
+    const retried = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+
+    expect(retried.nonce).toBe(0)
+    expect(reservation(0)).toMatchObject({ status: "broadcast", transaction_hash: retried.transactionHash })
+  })
+
+  it("reuses the nonce of a dropped transaction before moving on", async () => {
+    const sent = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+    chain.drop(wallet.address)
+    await nonceManager.releaseNonce(sent.transactionHash)
+
+    const refill = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+    const next = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+
+    expect([sent.nonce, refill.nonce, next.nonce]).toEqual([0, 0, 1])
+  })
+
+  it("does not reuse a released nonce the chain has since used", async () => {
+    const sent = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+    await nonceManager.releaseNonce(sent.transactionHash)
+    chain.mine(wallet.address)
+
+    const next = await nonceManager.sendWithNonce(null, wallet.address, broadcast, CHAIN_ID)
+
+    expect(next.nonce).toBe(1)
+    expect(reservation(0).status).toBe("released")
+  })
+
+  it("hands out distinct nonces to concurrent sends from two processes on one address", async () => {
+    let otherProcess
+    jest.isolateModules(() => {
+      otherProcess = require("../nonceManager")
+    })
+    expect(otherProcess).not.toBe(nonceManager)
+    chain.delayMs = 20
+
+    const sends = Array.from({ length: 6 }, (_, i) =>
+      (i % 2 === 0 ? nonceManager : otherProcess).sendWithNonce(null, wallet.address, broadcast, CHAIN_ID),
+    )
+    const results = await Promise.all(sends)
+
+    expect(results.map((result) => result.nonce).sort((x, y) => x - y)).toEqual([0, 1, 2, 3, 4, 5])
+    expect(new Set(results.map((result) => result.transactionHash)).size).toBe(6)
+    expect(await provider.getTransactionCount(wallet.address, "pending")).toBe(6)
+  })
+})
@@ -0,0 +1,277 @@
+const { ethers } = require("ethers")
+const { query } = require("../config/database")
+const blockchainService = require("./blockchain")
+const chainRegistry = require("./chainRegistry")
+const nonceManager = require("./nonceManager")
+const relayer = require("./relayer")
+const walletService = require("./walletService")
+const logger = require("../utils/logger")
+
+class AllowanceService {
+  constructor() {
+    // How long an approval may take to be mined before the request gives up waiting
+    this.confirmTimeoutMs = Number.parseInt(process.env.APPROVAL_CONFIRM_TIMEOUT_MS || "120000")
+  }
+
+  // Get an active wallet owned by the user
+  async getWallet(walletId, userId) {
+    const result = await query(
+      "SELECT id, address, encrypted_private_key, chain_id, custody_mode, account_type FROM wallets WHERE id = $1 AND user_id = $2 AND status = 'active'",
+      [walletId, userId],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Wallet not found or access denied")
+    }
+
+    return result.rows[0]
+  }
+
+  // List spenders with a non-zero allowance on one of the wallet's chains, refreshed from the chain
+  async listAllowances(walletId, userId, chainId = null) {
+    try {
+      const wallet = await this.getWallet(walletId, userId)
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+      const result = await query(
+        "SELECT * FROM token_approvals WHERE wallet_id = $1 AND chain_id = $2 ORDER BY created_at ASC",
+        [walletId, chain.chainId],
+      )
+
+      const allowances = []
+
+      for (const approval of result.rows) {
+        const current = await chain.getAllowance(wallet.address, approval.spender_address)
+
+        if (current.allowanceWei !== approval.allowance) {
+          await query("UPDATE token_approvals SET allowance = $1, is_unlimited = $2 WHERE id = $3", [
+            current.allowanceWei,
+            current.unlimited,
+            approval.id,
+          ])
+        }
+
+        if (current.allowanceWei === "0") {
+          continue
+        }
+
+        allowances.push({
+          spender: approval.spender_address,
+          label: approval.spender_label,
+          allowance: current.allowance,
+          allowanceWei: current.allowanceWei,
+          unlimited: current.unlimited,
+          source: approval.source,
+          lastTransactionHash: approval.last_transaction_hash,
+          updatedAt: approval.updated_at,
+        })
+      }
+
+      return {
+        walletId: wallet.id,
+        address: wallet.address,
+        chainId: chain.chainId,
+        allowances,
+        warnings: allowances
+          .filter((allowance) => allowance.unlimited)
+          .map((allowance) => this.unlimitedWarning(allowance.spender)),
+      }
+    } catch (error) {
+      logger.error(`Error listing allowances for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  // Grant a spender an allowance, either a fixed amount or unlimited
+  async grantAllowance(
+    walletId,
+    userId,
+    spender,
+    { amount = null, unlimited = false, gasless = false, label = null, feeTier, chainId = null } = {},
+  ) {
+    try {
+      if (!blockchainService.isValidAddress(spender)) {
+        throw new Error("Invalid spender address")
+      }
+
+      if (!unlimited && !(Number.parseFloat(amount) > 0)) {
+        throw new Error("Amount must be greater than 0 unless the approval is unlimited")
+      }
+
+      const wallet = await this.getWallet(walletId, userId)
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+      const valueWei = unlimited ? ethers.MaxUint256 : await chain.parseUSDC(amount)
+
+      return await this.setAllowance(wallet, chain, ethers.getAddress(spender), valueWei, { gasless, label, feeTier })
+    } catch (error) {
+      logger.error(`Error granting allowance for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  // Revoke a spender's allowance by setting it to zero
+  async revokeAllowance(walletId, userId, spender, { gasless = false, feeTier, chainId = null } = {}) {
+    try {
+      if (!blockchainService.isValidAddress(spender)) {
+        throw new Error("Invalid spender address")
+      }
+
+      const wallet = await this.getWallet(walletId, userId)
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+
+      return await this.setAllowance(wallet, chain, ethers.getAddress(spender), 0n, { gasless, feeTier })
+    } catch (error) {
+      logger.error(`Error revoking allowance for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  // Set an allowance with an approve transaction, or gaslessly with a permit the relayer submits.
+  // Without a relayer the signed permit is returned for the spender to submit. A submitted approval or
+  // permit is only recorded once mined.
+  async setAllowance(
+    wallet,
+    chain,
+    spender,
+    valueWei,
+    { gasless = false, label = null, feeTier = "standard", timeoutMs = this.confirmTimeoutMs } = {},
+  ) {
+    walletService.assertServerCustody(wallet)
+    walletService.assertExternallyOwned(wallet)
+
+    const encryptedPrivateKey = JSON.parse(wallet.encrypted_private_key)
+    const source = gasless ? "permit" : "approve"
+    let permit = null
+    let transactionHash = null
+
+    if (gasless) {
+      const deadline = Math.floor(Date.now() / 1000) + relayer.validitySeconds
+      permit = await chain.signPermit(encryptedPrivateKey, spender, valueWei, deadline)
+
+      if (relayer.isAvailable()) {
+        transactionHash = (await relayer.relayPermit(permit, chain)).transactionHash
+      }
+    } else {
+      const approval = await nonceManager.sendWithNonce(
+        wallet.id,
+        wallet.address,
+        (nonce) => chain.approveUSDC(encryptedPrivateKey, spender, valueWei, { nonce, feeTier }),
+        chain.chainId,
+      )
+      transactionHash = approval.transactionHash
+    }
+
+    if (transactionHash && !(await this.waitForApproval(chain, transactionHash, timeoutMs))) {
+      // Recorded at what the chain says now, so listing picks the new allowance up once it is mined
+      const current = await chain.getAllowance(wallet.address, spender)
+      await this.recordAllowance(wallet, chain, spender, BigInt(current.allowanceWei), { label, source })
+
+      throw new Error("Token approval did not confirm in time, please check the allowance again shortly")
+    }
+
+    const unlimited = chain.isUnlimitedAllowance(valueWei)
+
+    await this.recordAllowance(wallet, chain, spender, valueWei, { label, source, transactionHash })
+
+    logger.info(
+      `Allowance for ${spender} on wallet ${wallet.id} (chain ${chain.chainId}) set to ${unlimited ? "unlimited" : valueWei.toString()} (${source})`,
+    )
+
+    return {
+      spender,
+      chainId: chain.chainId,
+      allowance: unlimited ? "unlimited" : await chain.formatUSDC(valueWei),
+      allowanceWei: valueWei.toString(),
+      unlimited,
+      method: source,
+      transactionHash,
+      relayed: gasless && transactionHash !== null,
+      permit: permit && {
+        owner: permit.owner,
+        spender: permit.spender,
+        value: permit.value,
+        nonce: permit.nonce,
+        deadline: permit.deadline,
+        v: permit.v,
+        r: permit.r,
+        s: permit.s,
+      },
+      warning: unlimited ? this.unlimitedWarning(spender) : null,
+    }
+  }
+
+  // Wait for an approval or permit to be mined and settle its nonce: a mined transaction used it up, even
+  // if it reverted, and a dropped one leaves a gap for the next send. Null if it is still pending.
+  async waitForApproval(chain, transactionHash, timeoutMs) {
+    let receipt
+    try {
+      receipt = await chain.provider.waitForTransaction(transactionHash, 1, timeoutMs)
+    } catch (error) {
+      logger.error(`Approval ${transactionHash} not mined in time:`, error)
+    }
+
+    if (!receipt) {
+      if (await chain.provider.getTransaction(transactionHash)) {
+        return null
+      }
+
+      await nonceManager.releaseNonce(transactionHash)
+      throw new Error("Token approval was dropped, please retry")
+    }
+
+    await nonceManager.markNonceUsed(transactionHash, null, null, chain.chainId)
+
+    if (receipt.status !== 1) {
+      throw new Error("Token approval failed")
+    }
+
+    return receipt
+  }
+
+  async recordAllowance(wallet, chain, spender, valueWei, { label = null, source, transactionHash = null }) {
+    await query(
+      `
+      INSERT INTO token_approvals (
+        wallet_id, chain_id, spender_address, spender_label, allowance, is_unlimited, source, last_transaction_hash
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (wallet_id, chain_id, spender_address) DO UPDATE
+      SET spender_label = COALESCE(EXCLUDED.spender_label, token_approvals.spender_label),
+          allowance = EXCLUDED.allowance, is_unlimited = EXCLUDED.is_unlimited, source = EXCLUDED.source,
+          last_transaction_hash = COALESCE(EXCLUDED.last_transaction_hash, token_approvals.last_transaction_hash)
+    `,
+      [
+        wallet.id,
+        chain.chainId,
+        spender,
+        label,
+        valueWei.toString(),
+        chain.isUnlimitedAllowance(valueWei),
+        source,
+        transactionHash,
+      ],
+    )
+  }
+
+  // Make sure a platform contract that pulls tokens from the wallet (CCTP, batch transfers) can take
+  // amountWei, approving exactly that much and waiting for the approval to be mined before returning
+  async ensureAllowance(
+    wallet,
+    chain,
+    spender,
+    amountWei,
+    { label = null, feeTier = "standard", timeoutMs = this.confirmTimeoutMs } = {},
+  ) {
+    const current = await chain.getAllowance(wallet.address, spender)
+
+    if (BigInt(current.allowanceWei) >= amountWei) {
+      return null
+    }
+
+    return this.setAllowance(wallet, chain, spender, amountWei, { label, feeTier, timeoutMs })
+  }
+
+  unlimitedWarning(spender) {
+    return `Unlimited approval: ${spender} can transfer this wallet's entire USDC balance at any time`
+  }
+}
+
+module.exports = new AllowanceService()
@@ -0,0 +1,187 @@
+const { ethers } = require("ethers")
+const { query } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const logger = require("../utils/logger")
+
+const CACHE_MS = 60 * 1000
+
+class AssetRegistry {
+  constructor() {
+    // Registered assets per chain ID
+    this.cache = new Map()
+  }
+
+  // All registered assets on a chain (the default chain when none is given), with the chain's
+  // configured USDC contract as its default asset
+  async loadAssets(chainId = null) {
+    const chain = chainRegistry.forChain(chainId)
+    const cached = this.cache.get(chain.chainId)
+
+    if (cached && Date.now() - cached.fetchedAt < CACHE_MS) {
+      return cached.assets
+    }
+
+    await this.ensureDefaultAsset(chain)
+
+    const result = await query("SELECT * FROM assets WHERE chain_id = $1 ORDER BY created_at ASC", [chain.chainId])
+    const defaultAddress = chain.usdcContractAddress.toLowerCase()
+
+    const assets = result.rows.map((row) => ({
+      id: row.id,
+      chainId: row.chain_id,
+      symbol: row.symbol,
+      name: row.name,
+      contractAddress: row.contract_address,
+      decimals: row.decimals,
+      isActive: row.is_active,
+      isDefault: row.contract_address.toLowerCase() === defaultAddress,
+    }))
+
+    this.cache.set(chain.chainId, { assets, fetchedAt: Date.now() })
+    return assets
+  }
+
+  // Register the chain's configured USDC contract so local and test chains work without a seed row
+  async ensureDefaultAsset(chain) {
+    const existing = await query("SELECT id FROM assets WHERE chain_id = $1 AND LOWER(contract_address) = LOWER($2)", [
+      chain.chainId,
+      chain.usdcContractAddress,
+    ])
+
+    if (existing.rows.length > 0) {
+      return
+    }
+
+    const metadata = await chain.getTokenMetadata(chain.usdcContractAddress)
+
+    await query(
+      `
+      INSERT INTO assets (chain_id, symbol, name, contract_address, decimals)
+      VALUES ($1, 'USDC', $2, $3, $4)
+      ON CONFLICT DO NOTHING
+    `,
+      [chain.chainId, metadata.name, ethers.getAddress(chain.usdcContractAddress), metadata.decimals],
+    )
+  }
+
+  async listAssets({ includeInactive = false, chainId = null } = {}) {
+    const assets = await this.loadAssets(chainId)
+    return includeInactive ? assets : assets.filter((asset) => asset.isActive)
+  }
+
+  async getDefaultAsset(chainId = null) {
+    const assets = await this.loadAssets(chainId)
+    const asset = assets.find((candidate) => candidate.isDefault)
+
+    if (!asset) {
+      throw new Error("The chain's USDC contract is not registered as an asset")
+    }
+
+    return asset
+  }
+
+  // Look up an active asset on a chain by symbol or contract address; no identifier means USDC
+  async resolveAsset(identifier = null, chainId = null) {
+    if (!identifier) {
+      return this.getDefaultAsset(chainId)
+    }
+
+    const assets = await this.listAssets({ chainId })
+    const needle = identifier.toLowerCase()
+    const asset = assets.find(
+      (candidate) => candidate.symbol.toLowerCase() === needle || candidate.contractAddress.toLowerCase() === needle,
+    )
+
+    if (!asset) {
+      throw new Error(`Unsupported asset: ${identifier}`)
+    }
+
+    return asset
+  }
+
+  // Asset of a recorded transaction; rows from before the registry have none and are the chain's USDC
+  async getAssetById(assetId, chainId = null) {
+    if (!assetId) {
+      return this.getDefaultAsset(chainId)
+    }
+
+    const asset = (await this.loadAssets(chainId)).find((candidate) => candidate.id === assetId)
+
+    if (!asset) {
+      throw new Error("Asset not found")
+    }
+
+    return asset
+  }
+
+  // Add an ERC-20 token to the registry. Metadata is read from the contract; a symbol or name given
+  // by the caller overrides it, but decimals always come from the chain.
+  async registerAsset({ contractAddress, symbol = null, name = null, chainId = null }) {
+    try {
+      const chain = chainRegistry.forChain(chainId)
+
+      if (!chain.isValidAddress(contractAddress)) {
+        throw new Error("Invalid contract address")
+      }
+
+      const metadata = await chain.getTokenMetadata(contractAddress)
+
+      const result = await query(
+        `
+        INSERT INTO assets (chain_id, symbol, name, contract_address, decimals)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `,
+        [
+          chain.chainId,
+          (symbol || metadata.symbol).toUpperCase(),
+          name || metadata.name,
+          ethers.getAddress(contractAddress),
+          metadata.decimals,
+        ],
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error("An asset with this symbol or contract address is already registered")
+      }
+
+      this.cache.delete(chain.chainId)
+      logger.info(`Asset registered on chain ${chain.chainId}: ${symbol || metadata.symbol} at ${contractAddress}`)
+
+      return this.getAssetById(result.rows[0].id, chain.chainId)
+    } catch (error) {
+      logger.error(`Error registering asset ${contractAddress}:`, error)
+      throw error
+    }
+  }
+
+  // Enable or disable an asset for sends, balances and indexing
+  async setAssetStatus(assetId, isActive) {
+    try {
+      const chainResult = await query("SELECT chain_id FROM assets WHERE id = $1", [assetId])
+
+      if (chainResult.rows.length === 0) {
+        throw new Error("Asset not found")
+      }
+
+      const asset = await this.getAssetById(assetId, chainResult.rows[0].chain_id)
+
+      if (asset.isDefault && !isActive) {
+        throw new Error("The default USDC asset cannot be disabled")
+      }
+
+      await query("UPDATE assets SET is_active = $1 WHERE id = $2", [isActive, assetId])
+      this.cache.delete(asset.chainId)
+
+      logger.info(`Asset ${asset.symbol} ${isActive ? "enabled" : "disabled"}`)
+
+      return { ...asset, isActive }
+    } catch (error) {
+      logger.error(`Error updating asset ${assetId}:`, error)
+      throw error
+    }
+  }
+}
+
+module.exports = new AssetRegistry()
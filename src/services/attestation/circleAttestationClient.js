@@ -0,0 +1,38 @@
+const axios = require("axios")
+const logger = require("../../utils/logger")
+
+const MAINNET_API_URL = "https://iris-api.circle.com"
+const SANDBOX_API_URL = "https://iris-api-sandbox.circle.com"
+
+// Fetches CCTP attestations from Circle's attestation service (Iris)
+class CircleAttestationClient {
+  constructor() {
+    this.apiUrl = process.env.CCTP_ATTESTATION_API_URL || null
+    this.timeoutMs = Number.parseInt(process.env.CCTP_ATTESTATION_TIMEOUT_MS || "10000")
+  }
+
+  // Attestation for a burn message; pending until Circle has observed enough source chain confirmations
+  async getAttestation({ messageHash, testnet }) {
+    const baseUrl = this.apiUrl || (testnet ? SANDBOX_API_URL : MAINNET_API_URL)
+
+    try {
+      const response = await axios.get(`${baseUrl}/v1/attestations/${messageHash}`, { timeout: this.timeoutMs })
+
+      if (response.data.status !== "complete" || !response.data.attestation) {
+        return { status: "pending", attestation: null }
+      }
+
+      return { status: "complete", attestation: response.data.attestation }
+    } catch (error) {
+      // Messages Circle has not seen yet are reported as not found
+      if (error.response?.status === 404) {
+        return { status: "pending", attestation: null }
+      }
+
+      logger.error(`Error fetching CCTP attestation for ${messageHash}:`, error.message)
+      throw new Error("Failed to fetch attestation")
+    }
+  }
+}
+
+module.exports = CircleAttestationClient
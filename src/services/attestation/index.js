@@ -0,0 +1,21 @@
+const CircleAttestationClient = require("./circleAttestationClient")
+const LocalAttestationClient = require("./localAttestationClient")
+
+// Attestation clients by CCTP_ATTESTATION_PROVIDER. A client implements
+// getAttestation({ messageHash, message, testnet }) and resolves to { status: "pending" | "complete", attestation }.
+const PROVIDERS = {
+  circle: CircleAttestationClient,
+  local: LocalAttestationClient,
+}
+
+const createAttestationClient = (provider = process.env.CCTP_ATTESTATION_PROVIDER || "circle") => {
+  const Client = PROVIDERS[provider]
+
+  if (!Client) {
+    throw new Error(`Unknown CCTP attestation provider: ${provider}`)
+  }
+
+  return new Client()
+}
+
+module.exports = { createAttestationClient }
@@ -1,6 +1,10 @@
 const crypto = require("crypto")
 const { query } = require("../config/database")
 const blockchainService = require("./blockchain")
+const walletService = require("./walletService")
+const chainRegistry = require("./chainRegistry")
+const seedService = require("./seedService")
+const securityLogService = require("./securityLogService")
 const logger = require("../utils/logger")
 
 class BackupService {
@@ -18,12 +22,12 @@ class BackupService {
   }
 
   // Create wallet from mnemonic
-  createWalletFromMnemonic(mnemonic, derivationPath = "m/44'/60'/0'/0/0") {
+  async createWalletFromMnemonic(mnemonic, derivationPath = "m/44'/60'/0'/0/0") {
     try {
       const { ethers } = require("ethers")
       const hdNode = ethers.HDNodeWallet.fromPhrase(mnemonic, null, derivationPath)
 
-      const encryptedPrivateKey = blockchainService.encryptPrivateKey(hdNode.privateKey)
+      const encryptedPrivateKey = await blockchainService.importPrivateKey(hdNode.privateKey)
 
       return {
         address: hdNode.address,
@@ -38,8 +42,153 @@ class BackupService {
     }
   }
 
+  // Recover every wallet derived from a phrase: indices are scanned until gapLimit unused addresses in a
+  // row, and the used ones not already on the platform are restored for the user
+  async recoverWalletsFromMnemonic(
+    userId,
+    mnemonic,
+    whitelabelClientId = null,
+    { derivationPath = seedService.derivationPath, gapLimit = seedService.gapLimit, context = {} } = {},
+  ) {
+    const audit = { userId, whitelabelClientId, action: "wallets_restored_from_phrase", ...context }
+
+    try {
+      const phrase = this.normalizeMnemonic(mnemonic)
+
+      const found = await seedService.discover(phrase, { derivationPath, gapLimit })
+      const nextIndex = found.length > 0 ? found[found.length - 1].index + 1 : 0
+      const seed = await seedService.adoptSeed(userId, phrase, derivationPath, nextIndex)
+
+      const userWallets = await query(
+        "SELECT COUNT(*) as count FROM wallets WHERE user_id = $1 AND custody_mode <> 'watch'",
+        [userId],
+      )
+      let needsPrimary = userWallets.rows[0].count === "0"
+      const restoredWallets = []
+
+      for (const { index } of found) {
+        const walletData = await this.createWalletFromMnemonic(phrase, `${derivationPath}/${index}`)
+
+        const existingWallet = await query("SELECT id FROM wallets WHERE LOWER(address) = LOWER($1)", [
+          walletData.address,
+        ])
+
+        if (existingWallet.rows.length > 0) {
+          logger.warn(`Wallet ${walletData.address} already exists, skipping`)
+          continue
+        }
+
+        const result = await query(
+          `
+          INSERT INTO wallets (
+            user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary, chain_id,
+            wallet_seed_id, derivation_path, derivation_index
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id, address, wallet_name, is_primary, chain_id, derivation_path, created_at
+        `,
+          [
+            userId,
+            whitelabelClientId,
+            `Recovered wallet ${walletData.address.slice(2, 8)}`,
+            walletData.address,
+            JSON.stringify(walletData.encryptedPrivateKey),
+            needsPrimary,
+            chainRegistry.defaultChainId,
+            seed?.id || null,
+            walletData.derivationPath,
+            index,
+          ],
+        )
+
+        await walletService.enableMonitoring(result.rows[0].id)
+        needsPrimary = false
+
+        const wallet = result.rows[0]
+        restoredWallets.push({
+          id: wallet.id,
+          address: wallet.address,
+          walletName: wallet.wallet_name,
+          isPrimary: wallet.is_primary,
+          chainId: wallet.chain_id,
+          derivationPath: wallet.derivation_path,
+          createdAt: wallet.created_at,
+        })
+      }
+
+      logger.info(
+        `Recovered ${restoredWallets.length} of ${found.length} used wallets from a phrase for user ${userId}`,
+      )
+      await securityLogService.log({
+        ...audit,
+        details: {
+          derivationPath,
+          discoveredCount: found.length,
+          addresses: restoredWallets.map((wallet) => wallet.address),
+        },
+        success: true,
+      })
+
+      return {
+        restoredWallets: restoredWallets,
+        discoveredCount: found.length,
+        restoredCount: restoredWallets.length,
+      }
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error recovering wallets from mnemonic:", error)
+      throw error
+    }
+  }
+
+  // Import the single wallet at one derivation path of a phrase
+  async importWalletFromMnemonic(
+    userId,
+    mnemonic,
+    walletName,
+    whitelabelClientId = null,
+    { derivationPath = `${seedService.derivationPath}/0`, context = {} } = {},
+  ) {
+    const audit = { userId, whitelabelClientId, action: "wallet_imported_from_phrase", ...context }
+
+    try {
+      const { ethers } = require("ethers")
+      const phrase = this.normalizeMnemonic(mnemonic)
+      const hdNode = ethers.HDNodeWallet.fromPhrase(phrase, null, derivationPath)
+
+      const wallet = await this.importWallet(userId, hdNode.privateKey, walletName, whitelabelClientId, {
+        derivationPath,
+      })
+
+      await securityLogService.log({
+        ...audit,
+        walletId: wallet.id,
+        details: { derivationPath, address: wallet.address },
+        success: true,
+      })
+
+      return wallet
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { derivationPath, reason: error.message }, success: false })
+      logger.error("Error importing wallet from mnemonic:", error)
+      throw error
+    }
+  }
+
+  // Lowercased words separated by single spaces, rejected unless a valid BIP-39 phrase
+  normalizeMnemonic(mnemonic) {
+    const { ethers } = require("ethers")
+    const phrase = mnemonic.trim().toLowerCase().split(/\s+/).join(" ")
+
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+      throw new Error("Invalid mnemonic phrase")
+    }
+
+    return phrase
+  }
+
   // Import existing wallet
-  async importWallet(userId, privateKey, walletName, whitelabelClientId = null) {
+  async importWallet(userId, privateKey, walletName, whitelabelClientId = null, { derivationPath = null } = {}) {
     try {
       const { ethers } = require("ethers")
 
@@ -58,8 +207,8 @@ class BackupService {
         throw new Error("Wallet with this address already exists")
       }
 
-      // Encrypt private key
-      const encryptedPrivateKey = blockchainService.encryptPrivateKey(privateKey)
+      // Store the key with the configured signer provider
+      const encryptedPrivateKey = await blockchainService.importPrivateKey(privateKey)
 
       // Check if this is the user's first wallet
       const userWallets = await query("SELECT COUNT(*) as count FROM wallets WHERE user_id = $1", [userId])
@@ -68,15 +217,29 @@ class BackupService {
       // Store wallet in database
       const result = await query(
         `
-        INSERT INTO wallets (user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, address, wallet_name, is_primary, created_at
+        INSERT INTO wallets (
+          user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary, chain_id,
+          derivation_path
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, address, wallet_name, is_primary, chain_id, created_at
       `,
-        [userId, whitelabelClientId, walletName, wallet.address, JSON.stringify(encryptedPrivateKey), isPrimary],
+        [
+          userId,
+          whitelabelClientId,
+          walletName,
+          wallet.address,
+          JSON.stringify(encryptedPrivateKey),
+          isPrimary,
+          chainRegistry.defaultChainId,
+          derivationPath,
+        ],
       )
 
       const importedWallet = result.rows[0]
 
+      await walletService.enableMonitoring(importedWallet.id)
+
       logger.info(`Wallet imported for user ${userId}: ${wallet.address}`)
 
       return {
@@ -84,6 +247,7 @@ class BackupService {
         address: importedWallet.address,
         walletName: importedWallet.wallet_name,
         isPrimary: importedWallet.is_primary,
+        chainId: importedWallet.chain_id,
         createdAt: importedWallet.created_at,
       }
     } catch (error) {
@@ -95,12 +259,12 @@ class BackupService {
   // Generate encrypted backup data
   async createBackup(userId, password) {
     try {
-      // Get all user wallets
+      // Get all user wallets with a key on the server; device-signed wallets are backed up on the device
       const walletsResult = await query(
         `
-        SELECT id, wallet_name, address, encrypted_private_key, is_primary, created_at
+        SELECT id, wallet_name, address, encrypted_private_key, is_primary, chain_id, created_at
         FROM wallets 
-        WHERE user_id = $1 AND status = 'active'
+        WHERE user_id = $1 AND status = 'active' AND custody_mode = 'server'
       `,
         [userId],
       )
@@ -119,6 +283,7 @@ class BackupService {
           address: wallet.address,
           encryptedPrivateKey: wallet.encrypted_private_key,
           isPrimary: wallet.is_primary,
+          chainId: wallet.chain_id,
           createdAt: wallet.created_at,
         })),
       }
@@ -166,9 +331,9 @@ class BackupService {
           // Restore wallet
           const result = await query(
             `
-            INSERT INTO wallets (user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary)
-            VALUES ($1, $2, $3, $4, $5, $6)
-            RETURNING id, address, wallet_name
+            INSERT INTO wallets (user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary, chain_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, address, wallet_name, chain_id
           `,
             [
               userId,
@@ -177,9 +342,13 @@ class BackupService {
               walletData.address,
               walletData.encryptedPrivateKey,
               false, // Don't restore primary status
+              // Backups taken before multi-chain support belong to the default chain
+              chainRegistry.isSupported(walletData.chainId) ? walletData.chainId : chainRegistry.defaultChainId,
             ],
           )
 
+          await walletService.enableMonitoring(result.rows[0].id)
+
           restoredWallets.push(result.rows[0])
         } catch (error) {
           logger.error(`Error restoring wallet ${walletData.address}:`, error)
@@ -1,5 +1,7 @@
 const { ethers } = require("ethers")
-const crypto = require("crypto")
+const RpcProviderPool = require("../utils/rpcProviderPool")
+const { getDefaultChain } = require("../config/chains")
+const { getSignerProvider, getProviderForKey } = require("./signers")
 const logger = require("../utils/logger")
 
 // USDC Contract ABI (simplified for essential functions)
@@ -12,28 +14,116 @@ const USDC_ABI = [
   "function decimals() view returns (uint8)",
   "function symbol() view returns (string)",
   "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)",
+  "function receiveWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)",
+  "function authorizationState(address authorizer, bytes32 nonce) view returns (bool)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function nonces(address owner) view returns (uint256)",
+  "function isBlacklisted(address account) view returns (bool)",
   "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce)",
 ]
 
+// CCTP (Cross-Chain Transfer Protocol) contracts: USDC is burned through the TokenMessenger on the
+// source chain and minted by the MessageTransmitter on the destination chain
+const TOKEN_MESSENGER_ABI = [
+  "function depositForBurn(uint256 amount, uint32 destinationDomain, bytes32 mintRecipient, address burnToken) returns (uint64 nonce)",
+  "event DepositForBurn(uint64 indexed nonce, address indexed burnToken, uint256 amount, address indexed depositor, bytes32 mintRecipient, uint32 destinationDomain, bytes32 destinationTokenMessenger, bytes32 destinationCaller)",
+]
+
+const MESSAGE_TRANSMITTER_ABI = [
+  "function receiveMessage(bytes message, bytes attestation) returns (bool success)",
+  "function usedNonces(bytes32 sourceAndNonce) view returns (uint256)",
+  "event MessageSent(bytes message)",
+]
+
+// Disperse-style batch transfer contract: pulls the total from the sender (which must have approved it)
+// and transfers each recipient's value in a single transaction
+const BATCH_TRANSFER_ABI = ["function disperseToken(address token, address[] recipients, uint256[] values)"]
+
+// EIP-712 message signed for EIP-3009 transferWithAuthorization
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validBefore", type: "uint256" },
+    { name: "nonce", type: "bytes32" },
+  ],
+}
+
+// Chainlink aggregator interface used for the ETH/USD price
+const PRICE_FEED_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function decimals() view returns (uint8)",
+]
+
+// EIP-1559 speed tiers: priority fee percentile from recent blocks and base fee headroom (percent)
+const FEE_TIERS = {
+  slow: { rewardPercentile: 10, baseFeeMultiplier: 110n },
+  standard: { rewardPercentile: 50, baseFeeMultiplier: 150n },
+  fast: { rewardPercentile: 90, baseFeeMultiplier: 200n },
+}
+// EIP-712 message signed for EIP-2612 permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+}
+
+// Allowances this large are treated as unlimited (wallets commonly approve MaxUint256)
+const UNLIMITED_ALLOWANCE_THRESHOLD = ethers.MaxUint256 / 2n
+
+const FEE_HISTORY_BLOCKS = 20
+const MIN_PRIORITY_FEE = 1000000n // 0.001 gwei
+const REPLACEMENT_FEE_BUMP = 125n // Nodes only accept a replacement that raises both fees by at least 10%
+const PRICE_CACHE_MS = 60 * 1000
+
 class BlockchainService {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.BASE_RPC_URL)
-    this.chainId = Number.parseInt(process.env.BASE_CHAIN_ID)
-    this.usdcContractAddress = process.env.USDC_CONTRACT_ADDRESS
+  // One instance per chain; see config/chains.js and the chain registry
+  constructor(chain) {
+    this.chainId = chain.chainId
+    this.chainName = chain.name
+    this.testnet = chain.testnet
+    this.provider = new RpcProviderPool(chain.rpcUrls, {
+      chainId: chain.chainId,
+      requestTimeoutMs: Number.parseInt(process.env.RPC_REQUEST_TIMEOUT_MS || "10000"),
+      quorum: Number.parseInt(process.env.RPC_QUORUM || "2"),
+      maxBlockLag: Number.parseInt(process.env.RPC_MAX_BLOCK_LAG || "5"),
+      maxFailures: Number.parseInt(process.env.RPC_MAX_FAILURES || "3"),
+      cooldownMs: Number.parseInt(process.env.RPC_COOLDOWN_MS || "30000"),
+    })
+    this.usdcContractAddress = chain.usdcContractAddress
     this.usdcContract = new ethers.Contract(this.usdcContractAddress, USDC_ABI, this.provider)
-    this.encryptionKey = process.env.WALLET_ENCRYPTION_KEY
+    this.tokenContracts = new Map()
+    this.ethUsdPriceFeedAddress = chain.ethUsdPriceFeedAddress
+    this.eip712Overrides = { name: chain.eip712Name, version: chain.eip712Version }
+    this.cctp = chain.cctp || null
+    this.batchTransferAddress = chain.batchTransferAddress || null
+    this.basenames = chain.basenames || null
+    this.accountAbstraction = chain.accountAbstraction || null
+    this.ethUsdPriceCache = null
+    this.feeTiers = Object.keys(FEE_TIERS)
+    this.usdcDomain = null
   }
 
-  // Generate new wallet with secure key generation
-  generateWallet() {
+  // Generate a new wallet key with the configured signer provider. The stored key is whatever that
+  // provider needs to sign with it later: an encrypted key, or a reference to one held by a key manager.
+  async generateWallet() {
     try {
-      const wallet = ethers.Wallet.createRandom()
-      const encryptedPrivateKey = this.encryptPrivateKey(wallet.privateKey)
+      const { address, publicKey, storedKey } = await getSignerProvider().generateKey()
 
       return {
-        address: wallet.address,
-        encryptedPrivateKey: encryptedPrivateKey,
-        publicKey: wallet.publicKey,
+        address: address,
+        encryptedPrivateKey: storedKey,
+        publicKey: publicKey,
       }
     } catch (error) {
       logger.error("Error generating wallet:", error)
@@ -41,71 +131,83 @@ class BlockchainService {
     }
   }
 
-  // Encrypt private key for secure storage
-  encryptPrivateKey(privateKey) {
+  // Hand an existing private key (an imported or restored wallet) to the configured signer provider
+  async importPrivateKey(privateKey) {
     try {
-      const algorithm = "aes-256-gcm"
-      const iv = crypto.randomBytes(16)
-      const cipher = crypto.createCipher(algorithm, this.encryptionKey)
-
-      let encrypted = cipher.update(privateKey, "utf8", "hex")
-      encrypted += cipher.final("hex")
-
-      const authTag = cipher.getAuthTag()
-
-      return {
-        encrypted: encrypted,
-        iv: iv.toString("hex"),
-        authTag: authTag.toString("hex"),
-      }
+      return await getSignerProvider().importKey(privateKey)
     } catch (error) {
-      logger.error("Error encrypting private key:", error)
-      throw new Error("Failed to encrypt private key")
+      logger.error("Error importing private key:", error)
+      throw new Error(`Failed to store private key: ${error.message}`)
     }
   }
 
-  // Decrypt private key for transaction signing
-  decryptPrivateKey(encryptedData) {
+  // Signer for a stored wallet key, connected to this chain. Signing goes through the provider that
+  // holds the key, so callers never handle the raw key.
+  async getSigner(storedKey) {
     try {
-      const algorithm = "aes-256-gcm"
-      const decipher = crypto.createDecipher(algorithm, this.encryptionKey)
+      return await getProviderForKey(storedKey).getSigner(storedKey, this.provider)
+    } catch (error) {
+      logger.error("Error loading wallet signer:", error)
+      throw new Error("Failed to load wallet signer")
+    }
+  }
 
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, "hex"))
+  // ERC-20 contract for a registered asset ({ contractAddress, decimals }); USDC when no token is given
+  getTokenContract(token = null) {
+    if (!token || token.contractAddress.toLowerCase() === this.usdcContractAddress?.toLowerCase()) {
+      return this.usdcContract
+    }
 
-      let decrypted = decipher.update(encryptedData.encrypted, "hex", "utf8")
-      decrypted += decipher.final("utf8")
+    const key = token.contractAddress.toLowerCase()
+    if (!this.tokenContracts.has(key)) {
+      this.tokenContracts.set(key, new ethers.Contract(token.contractAddress, USDC_ABI, this.provider))
+    }
 
-      return decrypted
+    return this.tokenContracts.get(key)
+  }
+
+  // Registry assets carry their decimals; otherwise ask the contract
+  async getTokenDecimals(token = null) {
+    return token?.decimals ?? Number(await this.getTokenContract(token).decimals())
+  }
+
+  // Read symbol, name and decimals from an ERC-20 contract
+  async getTokenMetadata(contractAddress) {
+    try {
+      const contract = new ethers.Contract(contractAddress, USDC_ABI, this.provider)
+      const [symbol, name, decimals] = await Promise.all([contract.symbol(), contract.name(), contract.decimals()])
+
+      return { symbol, name, decimals: Number(decimals) }
     } catch (error) {
-      logger.error("Error decrypting private key:", error)
-      throw new Error("Failed to decrypt private key")
+      logger.error(`Error reading token metadata for ${contractAddress}:`, error)
+      throw new Error("Failed to read token metadata: address is not an ERC-20 contract on this chain")
     }
   }
 
-  // Get USDC balance for an address
-  async getUSDCBalance(address) {
+  // Get a token balance for an address (quorum read across RPC endpoints), USDC by default
+  async getTokenBalance(address, token = null) {
     try {
-      const balance = await this.usdcContract.balanceOf(address)
-      const decimals = await this.usdcContract.decimals()
-
-      // Convert from wei to USDC (6 decimals)
-      const formattedBalance = ethers.formatUnits(balance, decimals)
+      const contract = this.getTokenContract(token)
+      const data = contract.interface.encodeFunctionData("balanceOf", [address])
+      const result = await this.provider.quorumCall("eth_call", [{ to: await contract.getAddress(), data }])
+      const [balance] = contract.interface.decodeFunctionResult("balanceOf", result)
+      const decimals = await this.getTokenDecimals(token)
 
       return {
-        balance: formattedBalance,
+        balance: ethers.formatUnits(balance, decimals),
         balanceWei: balance.toString(),
         decimals: decimals,
       }
     } catch (error) {
-      logger.error(`Error getting USDC balance for ${address}:`, error)
-      throw new Error("Failed to get USDC balance")
+      logger.error(`Error getting ${token?.symbol || "USDC"} balance for ${address}:`, error)
+      throw new Error(`Failed to get ${token?.symbol || "USDC"} balance`)
     }
   }
 
-  // Get ETH balance for gas fees
+  // Get ETH balance for gas fees (quorum read across RPC endpoints)
   async getETHBalance(address) {
     try {
-      const balance = await this.provider.getBalance(address)
+      const balance = BigInt(await this.provider.quorumCall("eth_getBalance", [address]))
       const formattedBalance = ethers.formatEther(balance)
 
       return {
@@ -118,36 +220,41 @@ class BlockchainService {
     }
   }
 
-  // Send USDC transaction
-  async sendUSDC(fromEncryptedKey, toAddress, amount, gasPrice = null) {
+  // Send a token transfer (USDC unless a registry asset is given) as an EIP-1559 (type 2) transaction
+  async sendToken(
+    fromEncryptedKey,
+    toAddress,
+    amount,
+    { token = null, nonce = null, feeTier = "standard", maxNetworkFee = null } = {},
+  ) {
     try {
-      // Decrypt private key
-      const privateKey = this.decryptPrivateKey(fromEncryptedKey)
-      const wallet = new ethers.Wallet(privateKey, this.provider)
+      // Signer for the wallet key
+      const wallet = await this.getSigner(fromEncryptedKey)
 
       // Get contract with signer
-      const usdcWithSigner = this.usdcContract.connect(wallet)
+      const tokenWithSigner = this.getTokenContract(token).connect(wallet)
 
-      // Convert amount to wei (USDC has 6 decimals)
-      const decimals = await this.usdcContract.decimals()
+      // Convert amount to token base units
+      const decimals = await this.getTokenDecimals(token)
       const amountWei = ethers.parseUnits(amount.toString(), decimals)
 
       // Estimate gas
-      const gasEstimate = await usdcWithSigner.transfer.estimateGas(toAddress, amountWei)
+      const gasEstimate = await tokenWithSigner.transfer.estimateGas(toAddress, amountWei)
 
-      // Get current gas price if not provided
-      if (!gasPrice) {
-        const feeData = await this.provider.getFeeData()
-        gasPrice = feeData.gasPrice
-      }
+      // Price the transaction for the requested tier, within the caller's fee cap
+      const tiers = await this.getFeeTiers()
+      const fees = this.applyFeeCap(this.getTier(tiers, feeTier), gasEstimate, maxNetworkFee)
 
       // Send transaction
-      const tx = await usdcWithSigner.transfer(toAddress, amountWei, {
+      const tx = await tokenWithSigner.transfer(toAddress, amountWei, {
+        type: 2,
         gasLimit: gasEstimate,
-        gasPrice: gasPrice,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
       })
 
-      logger.info(`USDC transaction sent: ${tx.hash}`)
+      logger.info(`${token?.symbol || "USDC"} transaction sent: ${tx.hash}`)
 
       return {
         transactionHash: tx.hash,
@@ -155,13 +262,813 @@ class BlockchainService {
         to: toAddress,
         amount: amount,
         gasUsed: gasEstimate.toString(),
-        gasPrice: gasPrice.toString(),
+        gasPrice: fees.maxFeePerGas.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        feeTier: feeTier,
+        nonce: tx.nonce,
         blockNumber: null, // Will be filled when confirmed
         status: "pending",
       }
     } catch (error) {
-      logger.error("Error sending USDC:", error)
-      throw new Error(`Failed to send USDC: ${error.message}`)
+      logger.error(`Error sending ${token?.symbol || "USDC"}:`, error)
+      throw new Error(`Failed to send ${token?.symbol || "USDC"}: ${error.message}`)
+    }
+  }
+
+  // Build an unsigned EIP-1559 token transfer for a wallet that signs on the user's device. The
+  // serialized form is what the device signs and what a signed copy is checked against.
+  async buildTokenTransfer(
+    fromAddress,
+    toAddress,
+    amount,
+    { token = null, nonce, feeTier = "standard", maxNetworkFee = null } = {},
+  ) {
+    try {
+      const contract = this.getTokenContract(token)
+      const decimals = await this.getTokenDecimals(token)
+      const amountWei = ethers.parseUnits(amount.toString(), decimals)
+
+      const gasLimit = await contract.transfer.estimateGas(toAddress, amountWei, { from: fromAddress })
+      const tiers = await this.getFeeTiers()
+      const fees = this.applyFeeCap(this.getTier(tiers, feeTier), gasLimit, maxNetworkFee)
+
+      const transaction = ethers.Transaction.from({
+        type: 2,
+        chainId: this.chainId,
+        nonce: nonce,
+        to: await contract.getAddress(),
+        data: contract.interface.encodeFunctionData("transfer", [toAddress, amountWei]),
+        value: 0n,
+        gasLimit: gasLimit,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      })
+
+      return {
+        unsignedTransaction: transaction.unsignedSerialized,
+        signingHash: transaction.unsignedHash,
+        transaction: {
+          type: transaction.type,
+          chainId: this.chainId,
+          nonce: transaction.nonce,
+          to: transaction.to,
+          data: transaction.data,
+          value: "0",
+          gasLimit: gasLimit.toString(),
+          maxFeePerGas: fees.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        },
+        maxNetworkFee: ethers.formatEther(gasLimit * fees.maxFeePerGas),
+      }
+    } catch (error) {
+      logger.error(`Error building ${token?.symbol || "USDC"} transfer:`, error)
+      throw new Error(`Failed to build ${token?.symbol || "USDC"} transfer: ${error.message}`)
+    }
+  }
+
+  // Submit a transaction signed elsewhere
+  async broadcastSignedTransaction(signedTransaction) {
+    try {
+      const tx = await this.provider.broadcastTransaction(signedTransaction)
+      logger.info(`Signed transaction broadcast: ${tx.hash}`)
+      return tx.hash
+    } catch (error) {
+      logger.error("Error broadcasting signed transaction:", error)
+      throw new Error(`Failed to broadcast transaction: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Re-broadcast a pending nonce with higher fees: the same token transfer (speed-up) or,
+  // without a recipient, a zero-value self-transfer that cancels it
+  async sendReplacement(
+    fromEncryptedKey,
+    { nonce, toAddress = null, amount = null, token = null, previousFees, feeTier = "fast" },
+  ) {
+    try {
+      const wallet = await this.getSigner(fromEncryptedKey)
+
+      const tiers = await this.getFeeTiers()
+      const fees = this.bumpFees(this.getTier(tiers, feeTier), previousFees)
+      const overrides = {
+        type: 2,
+        nonce: nonce,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      }
+
+      let tx
+      let gasLimit
+
+      if (toAddress) {
+        const tokenWithSigner = this.getTokenContract(token).connect(wallet)
+        const decimals = await this.getTokenDecimals(token)
+        const amountWei = ethers.parseUnits(amount.toString(), decimals)
+
+        gasLimit = await tokenWithSigner.transfer.estimateGas(toAddress, amountWei)
+        tx = await tokenWithSigner.transfer(toAddress, amountWei, { ...overrides, gasLimit })
+      } else {
+        gasLimit = 21000n
+        tx = await wallet.sendTransaction({ to: wallet.address, value: 0n, gasLimit, ...overrides })
+      }
+
+      logger.info(`Replacement transaction sent for nonce ${nonce}: ${tx.hash}`)
+
+      return {
+        transactionHash: tx.hash,
+        from: wallet.address,
+        to: toAddress || wallet.address,
+        amount: toAddress ? amount : "0",
+        gasUsed: gasLimit.toString(),
+        gasPrice: fees.maxFeePerGas.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        feeTier: feeTier,
+        nonce: tx.nonce,
+        status: "pending",
+      }
+    } catch (error) {
+      logger.error(`Error sending replacement for nonce ${nonce}:`, error)
+      throw new Error(`Failed to send replacement transaction: ${error.message}`)
+    }
+  }
+
+  // Use the tier's fees, raised where needed so the replacement outbids the pending transaction
+  bumpFees(fees, previousFees) {
+    const bump = (value) => (BigInt(value) * REPLACEMENT_FEE_BUMP + 99n) / 100n
+    const max = (a, b) => (a > b ? a : b)
+
+    const maxPriorityFeePerGas = max(fees.maxPriorityFeePerGas, bump(previousFees.maxPriorityFeePerGas))
+    const maxFeePerGas = max(max(fees.maxFeePerGas, bump(previousFees.maxFeePerGas)), maxPriorityFeePerGas)
+
+    return { ...fees, maxFeePerGas, maxPriorityFeePerGas }
+  }
+
+  // EIP-712 domain of the USDC contract, read from the contract so USDC-like test tokens work too
+  async getUSDCDomain() {
+    if (this.usdcDomain) {
+      return this.usdcDomain
+    }
+
+    const [name, version, network] = await Promise.all([
+      this.eip712Overrides.name || this.usdcContract.name(),
+      this.eip712Overrides.version || this.usdcContract.version(),
+      this.provider.getNetwork(),
+    ])
+
+    this.usdcDomain = {
+      name,
+      version,
+      chainId: network.chainId,
+      verifyingContract: this.usdcContractAddress,
+    }
+
+    return this.usdcDomain
+  }
+
+  // Sign an EIP-3009 transferWithAuthorization with the wallet key, for a relayer to submit
+  async signTransferAuthorization(fromEncryptedKey, toAddress, amount, { validAfter, validBefore }) {
+    try {
+      const wallet = await this.getSigner(fromEncryptedKey)
+
+      const decimals = await this.usdcContract.decimals()
+      const authorization = {
+        from: wallet.address,
+        to: toAddress,
+        value: ethers.parseUnits(amount.toString(), decimals),
+        validAfter: BigInt(validAfter),
+        validBefore: BigInt(validBefore),
+        nonce: ethers.hexlify(ethers.randomBytes(32)),
+      }
+
+      const signature = await wallet.signTypedData(
+        await this.getUSDCDomain(),
+        TRANSFER_WITH_AUTHORIZATION_TYPES,
+        authorization,
+      )
+
+      return {
+        ...authorization,
+        value: authorization.value.toString(),
+        validAfter: Number(authorization.validAfter),
+        validBefore: Number(authorization.validBefore),
+        signature,
+      }
+    } catch (error) {
+      logger.error("Error signing transfer authorization:", error)
+      throw new Error("Failed to sign transfer authorization")
+    }
+  }
+
+  // Check whether an authorization nonce has already been used (or cancelled) on-chain
+  async isAuthorizationUsed(authorizer, nonce) {
+    try {
+      return await this.usdcContract.authorizationState(authorizer, nonce)
+    } catch (error) {
+      logger.error(`Error getting authorization state for ${authorizer}:`, error)
+      throw new Error("Failed to get authorization state")
+    }
+  }
+
+  // Find the transaction that used an authorization nonce within the last lookbackBlocks blocks, and who
+  // submitted it. Null when none did, e.g. the authorization was cancelled instead.
+  async getAuthorizationUse(authorizer, nonce, lookbackBlocks) {
+    try {
+      const head = await this.provider.getBlockNumber()
+      const filter = this.usdcContract.filters.AuthorizationUsed(authorizer, nonce)
+      const logs = await this.usdcContract.queryFilter(filter, Math.max(head - lookbackBlocks, 0), head)
+
+      if (logs.length === 0) {
+        return null
+      }
+
+      const tx = await this.provider.getTransaction(logs[0].transactionHash)
+
+      return {
+        transactionHash: logs[0].transactionHash,
+        blockNumber: logs[0].blockNumber,
+        submitter: tx ? tx.from : null,
+      }
+    } catch (error) {
+      logger.error(`Error finding authorization use for ${authorizer}:`, error)
+      throw new Error("Failed to find authorization use")
+    }
+  }
+
+  // Submit a signed transferWithAuthorization from the relayer wallet, which pays the gas
+  async relayTransferWithAuthorization(relayerPrivateKey, authorization, { nonce = null, feeTier = "standard" } = {}) {
+    try {
+      const relayer = new ethers.Wallet(relayerPrivateKey, this.provider)
+      const usdcWithRelayer = this.usdcContract.connect(relayer)
+      const { v, r, s } = ethers.Signature.from(authorization.signature)
+
+      const args = [
+        authorization.from,
+        authorization.to,
+        authorization.value,
+        authorization.validAfter,
+        authorization.validBefore,
+        authorization.nonce,
+        v,
+        r,
+        s,
+      ]
+
+      const gasEstimate = await usdcWithRelayer.transferWithAuthorization.estimateGas(...args)
+      const fees = this.getTier(await this.getFeeTiers(), feeTier)
+
+      const tx = await usdcWithRelayer.transferWithAuthorization(...args, {
+        type: 2,
+        gasLimit: gasEstimate,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
+      })
+
+      logger.info(`Transfer authorization relayed for ${authorization.from}: ${tx.hash}`)
+
+      return {
+        transactionHash: tx.hash,
+        relayer: relayer.address,
+        gasUsed: gasEstimate.toString(),
+        gasPrice: fees.maxFeePerGas.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        feeTier: feeTier,
+        nonce: tx.nonce,
+      }
+    } catch (error) {
+      logger.error(`Error relaying transfer authorization for ${authorization.from}:`, error)
+      throw new Error(`Failed to relay transfer authorization: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Convert between USDC amounts and token base units
+  async parseUSDC(amount) {
+    return ethers.parseUnits(amount.toString(), await this.usdcContract.decimals())
+  }
+
+  async formatUSDC(amountWei) {
+    return ethers.formatUnits(amountWei, await this.usdcContract.decimals())
+  }
+
+  isUnlimitedAllowance(allowanceWei) {
+    return BigInt(allowanceWei) >= UNLIMITED_ALLOWANCE_THRESHOLD
+  }
+
+  // Get the USDC allowance an owner has granted a spender
+  async getAllowance(owner, spender) {
+    try {
+      const [allowance, decimals] = await Promise.all([
+        this.usdcContract.allowance(owner, spender),
+        this.usdcContract.decimals(),
+      ])
+
+      return {
+        allowance: this.isUnlimitedAllowance(allowance) ? "unlimited" : ethers.formatUnits(allowance, decimals),
+        allowanceWei: allowance.toString(),
+        unlimited: this.isUnlimitedAllowance(allowance),
+      }
+    } catch (error) {
+      logger.error(`Error getting allowance of ${spender} for ${owner}:`, error)
+      throw new Error("Failed to get allowance")
+    }
+  }
+
+  // Set a spender's USDC allowance with an approve transaction paid by the wallet
+  async approveUSDC(fromEncryptedKey, spender, valueWei, { nonce = null, feeTier = "standard" } = {}) {
+    try {
+      const wallet = await this.getSigner(fromEncryptedKey)
+      const usdcWithSigner = this.usdcContract.connect(wallet)
+
+      const gasEstimate = await usdcWithSigner.approve.estimateGas(spender, valueWei)
+      const fees = this.getTier(await this.getFeeTiers(), feeTier)
+
+      const tx = await usdcWithSigner.approve(spender, valueWei, {
+        type: 2,
+        gasLimit: gasEstimate,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
+      })
+
+      logger.info(`USDC approval sent for spender ${spender}: ${tx.hash}`)
+
+      return { transactionHash: tx.hash, nonce: tx.nonce }
+    } catch (error) {
+      logger.error(`Error approving spender ${spender}:`, error)
+      throw new Error(`Failed to approve spender: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Sign an EIP-2612 permit so the allowance can be set without the wallet paying gas
+  async signPermit(fromEncryptedKey, spender, valueWei, deadline) {
+    try {
+      const wallet = await this.getSigner(fromEncryptedKey)
+
+      const permit = {
+        owner: wallet.address,
+        spender: spender,
+        value: BigInt(valueWei),
+        nonce: await this.usdcContract.nonces(wallet.address),
+        deadline: BigInt(deadline),
+      }
+
+      const signature = await wallet.signTypedData(await this.getUSDCDomain(), PERMIT_TYPES, permit)
+      const { v, r, s } = ethers.Signature.from(signature)
+
+      return {
+        owner: permit.owner,
+        spender: permit.spender,
+        value: permit.value.toString(),
+        nonce: permit.nonce.toString(),
+        deadline: Number(permit.deadline),
+        signature,
+        v,
+        r,
+        s,
+      }
+    } catch (error) {
+      logger.error(`Error signing permit for spender ${spender}:`, error)
+      throw new Error("Failed to sign permit")
+    }
+  }
+
+  // Submit a signed permit from the relayer wallet, which pays the gas
+  async relayPermit(relayerPrivateKey, permit, { nonce = null, feeTier = "standard" } = {}) {
+    try {
+      const relayer = new ethers.Wallet(relayerPrivateKey, this.provider)
+      const usdcWithRelayer = this.usdcContract.connect(relayer)
+      const args = [permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s]
+
+      const gasEstimate = await usdcWithRelayer.permit.estimateGas(...args)
+      const fees = this.getTier(await this.getFeeTiers(), feeTier)
+
+      const tx = await usdcWithRelayer.permit(...args, {
+        type: 2,
+        gasLimit: gasEstimate,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
+      })
+
+      logger.info(`Permit relayed for ${permit.owner} and spender ${permit.spender}: ${tx.hash}`)
+
+      return { transactionHash: tx.hash, nonce: tx.nonce }
+    } catch (error) {
+      logger.error(`Error relaying permit for ${permit.owner}:`, error)
+      throw new Error(`Failed to relay permit: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Get USDC Approval events emitted by a set of owners within a block range
+  async getApprovals(owners, fromBlock, toBlock) {
+    try {
+      const filter = this.usdcContract.filters.Approval(owners)
+      const logs = await this.usdcContract.queryFilter(filter, fromBlock, toBlock)
+
+      return logs.map((log) => ({
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        owner: log.args.owner,
+        spender: log.args.spender,
+        valueWei: log.args.value.toString(),
+      }))
+    } catch (error) {
+      logger.error(`Error getting USDC approvals for blocks ${fromBlock}-${toBlock}:`, error)
+      throw new Error("Failed to get USDC approvals")
+    }
+  }
+
+  supportsBatchTransfers() {
+    return this.batchTransferAddress !== null
+  }
+
+  // Pay several recipients in one transaction through the batch transfer contract, which must already
+  // have a sufficient allowance. Amounts are in whole token units, one per recipient.
+  async sendBatchTransfer(
+    fromEncryptedKey,
+    recipients,
+    amounts,
+    { token = null, nonce = null, feeTier = "standard" } = {},
+  ) {
+    try {
+      const wallet = await this.getSigner(fromEncryptedKey)
+      const batchTransfer = new ethers.Contract(this.batchTransferAddress, BATCH_TRANSFER_ABI, wallet)
+
+      const decimals = await this.getTokenDecimals(token)
+      const values = amounts.map((amount) => ethers.parseUnits(amount.toString(), decimals))
+      const total = values.reduce((sum, value) => sum + value, 0n)
+      const args = [token?.contractAddress || this.usdcContractAddress, recipients, values]
+
+      const gasEstimate = await batchTransfer.disperseToken.estimateGas(...args)
+      const fees = this.getTier(await this.getFeeTiers(), feeTier)
+
+      const tx = await batchTransfer.disperseToken(...args, {
+        type: 2,
+        gasLimit: gasEstimate,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
+      })
+
+      logger.info(`Batch transfer to ${recipients.length} recipients sent on chain ${this.chainId}: ${tx.hash}`)
+
+      return {
+        transactionHash: tx.hash,
+        from: wallet.address,
+        to: this.batchTransferAddress,
+        amount: ethers.formatUnits(total, decimals),
+        gasUsed: gasEstimate.toString(),
+        gasPrice: fees.maxFeePerGas.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        feeTier: feeTier,
+        nonce: tx.nonce,
+        status: "pending",
+      }
+    } catch (error) {
+      logger.error(`Error sending batch transfer on chain ${this.chainId}:`, error)
+      throw new Error(`Failed to send batch transfer: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  supportsSmartAccounts() {
+    return this.accountAbstraction !== null
+  }
+
+  supportsCCTP() {
+    return this.cctp !== null
+  }
+
+  // Burn USDC through the CCTP TokenMessenger so it can be minted to a recipient on another domain.
+  // The TokenMessenger must already have a sufficient USDC allowance.
+  async burnUSDC(
+    fromEncryptedKey,
+    amount,
+    destinationDomain,
+    mintRecipient,
+    { nonce = null, feeTier = "standard" } = {},
+  ) {
+    try {
+      const wallet = await this.getSigner(fromEncryptedKey)
+      const tokenMessenger = new ethers.Contract(this.cctp.tokenMessengerAddress, TOKEN_MESSENGER_ABI, wallet)
+
+      const amountWei = await this.parseUSDC(amount)
+      const args = [amountWei, destinationDomain, ethers.zeroPadValue(mintRecipient, 32), this.usdcContractAddress]
+
+      const gasEstimate = await tokenMessenger.depositForBurn.estimateGas(...args)
+      const fees = this.getTier(await this.getFeeTiers(), feeTier)
+
+      const tx = await tokenMessenger.depositForBurn(...args, {
+        type: 2,
+        gasLimit: gasEstimate,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
+      })
+
+      logger.info(`USDC burn for domain ${destinationDomain} sent on chain ${this.chainId}: ${tx.hash}`)
+
+      return {
+        transactionHash: tx.hash,
+        from: wallet.address,
+        to: mintRecipient,
+        amount: amount,
+        gasUsed: gasEstimate.toString(),
+        gasPrice: fees.maxFeePerGas.toString(),
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        feeTier: feeTier,
+        nonce: tx.nonce,
+        status: "pending",
+      }
+    } catch (error) {
+      logger.error(`Error burning USDC on chain ${this.chainId}:`, error)
+      throw new Error(`Failed to burn USDC: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Find a mined burn by the depositor for this amount, domain and recipient within the last lookbackBlocks
+  // blocks, skipping burns already accounted for. Null when there is none.
+  async findBurn(depositor, { amount, destinationDomain, mintRecipient, lookbackBlocks, exclude = [] }) {
+    try {
+      const tokenMessenger = new ethers.Contract(this.cctp.tokenMessengerAddress, TOKEN_MESSENGER_ABI, this.provider)
+      const head = await this.provider.getBlockNumber()
+      const filter = tokenMessenger.filters.DepositForBurn(null, this.usdcContractAddress, null, depositor)
+      const logs = await tokenMessenger.queryFilter(filter, Math.max(head - lookbackBlocks, 0), head)
+
+      const amountWei = await this.parseUSDC(amount)
+      const recipient = ethers.zeroPadValue(mintRecipient, 32).toLowerCase()
+      const skipped = new Set(exclude.map((hash) => hash.toLowerCase()))
+
+      const log = logs.find(
+        (candidate) =>
+          candidate.args.amount === amountWei &&
+          Number(candidate.args.destinationDomain) === Number(destinationDomain) &&
+          candidate.args.mintRecipient.toLowerCase() === recipient &&
+          !skipped.has(candidate.transactionHash.toLowerCase()),
+      )
+
+      if (!log) {
+        return null
+      }
+
+      const [tx, receipt] = await Promise.all([
+        this.provider.getTransaction(log.transactionHash),
+        this.provider.getTransactionReceipt(log.transactionHash),
+      ])
+
+      return {
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        from: depositor,
+        to: ethers.getAddress(mintRecipient),
+        amount: amount,
+        gasUsed: receipt ? receipt.gasUsed.toString() : null,
+        gasPrice: receipt ? receipt.gasPrice.toString() : null,
+        maxFeePerGas: tx?.maxFeePerGas?.toString() || null,
+        maxPriorityFeePerGas: tx?.maxPriorityFeePerGas?.toString() || null,
+        nonce: tx ? tx.nonce : null,
+      }
+    } catch (error) {
+      logger.error(`Error finding CCTP burn by ${depositor} on chain ${this.chainId}:`, error)
+      throw new Error("Failed to find CCTP burn")
+    }
+  }
+
+  // The CCTP message emitted by a mined burn, or null while the burn has no receipt
+  async getBurnMessage(burnTransactionHash) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(burnTransactionHash)
+
+      if (!receipt) {
+        return null
+      }
+
+      const messageTransmitter = new ethers.Interface(MESSAGE_TRANSMITTER_ABI)
+      const log = receipt.logs.find(
+        (candidate) =>
+          candidate.address.toLowerCase() === this.cctp.messageTransmitterAddress.toLowerCase() &&
+          candidate.topics[0] === messageTransmitter.getEvent("MessageSent").topicHash,
+      )
+
+      if (!log) {
+        const error = new Error("Burn transaction did not emit a CCTP message")
+        error.code = "NO_CCTP_MESSAGE"
+        throw error
+      }
+
+      const message = messageTransmitter.parseLog(log).args.message
+
+      return { message, messageHash: ethers.keccak256(message) }
+    } catch (error) {
+      logger.error(`Error reading CCTP message from ${burnTransactionHash}:`, error)
+      throw error
+    }
+  }
+
+  // Whether a CCTP message has already been received (minted) on this chain. The message transmitter
+  // tracks used messages by source domain (bytes 4-8) and nonce (bytes 12-20) of the message.
+  async isMessageReceived(message) {
+    try {
+      const messageTransmitter = new ethers.Contract(
+        this.cctp.messageTransmitterAddress,
+        MESSAGE_TRANSMITTER_ABI,
+        this.provider,
+      )
+      const sourceAndNonce = ethers.keccak256(
+        ethers.concat([ethers.dataSlice(message, 4, 8), ethers.dataSlice(message, 12, 20)]),
+      )
+
+      return (await messageTransmitter.usedNonces(sourceAndNonce)) > 0n
+    } catch (error) {
+      logger.error(`Error checking CCTP message state on chain ${this.chainId}:`, error)
+      throw new Error("Failed to check CCTP message state")
+    }
+  }
+
+  // Submit an attested CCTP message to mint the burned USDC on this chain. Anyone can submit it,
+  // so the caller picks who pays the gas, passing that account's signer.
+  async receiveMessage(minter, message, attestation, { nonce = null, feeTier = "standard" } = {}) {
+    try {
+      const signer = minter.connect(this.provider)
+      const messageTransmitter = new ethers.Contract(
+        this.cctp.messageTransmitterAddress,
+        MESSAGE_TRANSMITTER_ABI,
+        signer,
+      )
+
+      const gasEstimate = await messageTransmitter.receiveMessage.estimateGas(message, attestation)
+      const fees = this.getTier(await this.getFeeTiers(), feeTier)
+
+      const tx = await messageTransmitter.receiveMessage(message, attestation, {
+        type: 2,
+        gasLimit: gasEstimate,
+        maxFeePerGas: fees.maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        ...(nonce !== null && { nonce }),
+      })
+
+      logger.info(`CCTP mint submitted on chain ${this.chainId}: ${tx.hash}`)
+
+      return { transactionHash: tx.hash, from: signer.address, nonce: tx.nonce }
+    } catch (error) {
+      logger.error(`Error submitting CCTP message on chain ${this.chainId}:`, error)
+      throw new Error(`Failed to mint USDC: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Outcome of a mint transaction and the USDC Transfer it made to the recipient (null while pending)
+  async getMintReceipt(mintTransactionHash, recipient) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(mintTransactionHash)
+
+      if (!receipt) {
+        return null
+      }
+
+      const transferTopic = this.usdcContract.interface.getEvent("Transfer").topicHash
+      const log = receipt.logs.find(
+        (candidate) =>
+          candidate.address.toLowerCase() === this.usdcContractAddress.toLowerCase() &&
+          candidate.topics[0] === transferTopic &&
+          ethers.dataSlice(candidate.topics[2], 12).toLowerCase() === recipient.toLowerCase(),
+      )
+
+      return {
+        status: receipt.status === 1 ? "confirmed" : "failed",
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        transactionIndex: receipt.index,
+        logIndex: log ? log.index : null,
+        transactionFee: ethers.formatEther(receipt.fee),
+      }
+    } catch (error) {
+      logger.error(`Error getting CCTP mint receipt ${mintTransactionHash}:`, error)
+      throw new Error("Failed to get mint receipt")
+    }
+  }
+
+  // Build slow/standard/fast EIP-1559 fee suggestions from recent fee history
+  async getFeeTiers() {
+    try {
+      const tierEntries = Object.entries(FEE_TIERS)
+      const history = await this.provider.send("eth_feeHistory", [
+        ethers.toQuantity(FEE_HISTORY_BLOCKS),
+        "latest",
+        tierEntries.map(([, tier]) => tier.rewardPercentile),
+      ])
+
+      // The last entry is the base fee of the next block
+      const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1])
+      const rewards = history.reward || []
+      const tiers = {}
+
+      tierEntries.forEach(([name, tier], index) => {
+        const blockRewards = rewards
+          .map((blockReward) => BigInt(blockReward[index]))
+          .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+        const medianReward = blockRewards.length > 0 ? blockRewards[Math.floor(blockRewards.length / 2)] : 0n
+        const maxPriorityFeePerGas = medianReward > MIN_PRIORITY_FEE ? medianReward : MIN_PRIORITY_FEE
+
+        tiers[name] = {
+          baseFeePerGas,
+          maxPriorityFeePerGas,
+          maxFeePerGas: (baseFeePerGas * tier.baseFeeMultiplier) / 100n + maxPriorityFeePerGas,
+        }
+      })
+
+      return tiers
+    } catch (error) {
+      logger.error("Error getting fee history:", error)
+      throw new Error("Failed to get network fees")
+    }
+  }
+
+  getTier(tiers, feeTier) {
+    if (!tiers[feeTier]) {
+      throw new Error(`Unknown fee tier '${feeTier}'`)
+    }
+
+    return tiers[feeTier]
+  }
+
+  // Lower maxFeePerGas so gasLimit * maxFeePerGas never exceeds the cap (in ETH)
+  applyFeeCap(fees, gasLimit, maxNetworkFee) {
+    if (!maxNetworkFee) {
+      return fees
+    }
+
+    const capPerGas = ethers.parseEther(maxNetworkFee.toString()) / BigInt(gasLimit)
+
+    if (capPerGas >= fees.maxFeePerGas) {
+      return fees
+    }
+
+    if (capPerGas <= fees.baseFeePerGas) {
+      throw new Error("Fee cap is below the current network base fee")
+    }
+
+    const priorityRoom = capPerGas - fees.baseFeePerGas
+
+    return {
+      ...fees,
+      maxFeePerGas: capPerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas < priorityRoom ? fees.maxPriorityFeePerGas : priorityRoom,
+      capped: true,
+    }
+  }
+
+  // Get ETH price in USD (ETH_USD_PRICE overrides the on-chain feed, e.g. on local dev chains)
+  async getEthUsdPrice() {
+    if (process.env.ETH_USD_PRICE) {
+      return Number.parseFloat(process.env.ETH_USD_PRICE)
+    }
+
+    if (this.ethUsdPriceCache && Date.now() - this.ethUsdPriceCache.fetchedAt < PRICE_CACHE_MS) {
+      return this.ethUsdPriceCache.price
+    }
+
+    try {
+      const priceFeed = new ethers.Contract(this.ethUsdPriceFeedAddress, PRICE_FEED_ABI, this.provider)
+      const [roundData, decimals] = await Promise.all([priceFeed.latestRoundData(), priceFeed.decimals()])
+      const price = Number.parseFloat(ethers.formatUnits(roundData.answer, decimals))
+
+      this.ethUsdPriceCache = { price, fetchedAt: Date.now() }
+      return price
+    } catch (error) {
+      logger.warn("Error getting ETH/USD price:", error)
+      return null
+    }
+  }
+
+  // Convert a wei amount of ETH to its USDC equivalent
+  ethToUSDC(amountWei, ethUsdPrice) {
+    if (ethUsdPrice === null) {
+      return null
+    }
+
+    return (Number.parseFloat(ethers.formatEther(amountWei)) * ethUsdPrice).toFixed(6)
+  }
+
+  // Expected and maximum cost of a tier for a given gas limit, in ETH and USDC
+  quoteFees(fees, gasLimit, ethUsdPrice) {
+    const expectedPerGas = fees.baseFeePerGas + fees.maxPriorityFeePerGas
+    const effectivePerGas = expectedPerGas < fees.maxFeePerGas ? expectedPerGas : fees.maxFeePerGas
+    const estimatedCost = BigInt(gasLimit) * effectivePerGas
+    const maxCost = BigInt(gasLimit) * fees.maxFeePerGas
+
+    return {
+      maxFeePerGas: fees.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+      estimatedCost: ethers.formatEther(estimatedCost),
+      estimatedCostWei: estimatedCost.toString(),
+      estimatedCostUSDC: this.ethToUSDC(estimatedCost, ethUsdPrice),
+      maxCost: ethers.formatEther(maxCost),
+      maxCostWei: maxCost.toString(),
+      maxCostUSDC: this.ethToUSDC(maxCost, ethUsdPrice),
     }
   }
 
@@ -183,6 +1090,8 @@ class BlockchainService {
         gasPrice: tx.gasPrice.toString(),
         gasLimit: tx.gasLimit.toString(),
         gasUsed: receipt ? receipt.gasUsed.toString() : null,
+        effectiveGasPrice: receipt ? receipt.gasPrice.toString() : null,
+        transactionFee: receipt ? ethers.formatEther(receipt.fee) : null,
         blockNumber: tx.blockNumber,
         blockHash: tx.blockHash,
         transactionIndex: tx.transactionIndex,
@@ -191,37 +1100,106 @@ class BlockchainService {
         timestamp: tx.blockNumber ? (await this.provider.getBlock(tx.blockNumber)).timestamp : null,
       }
     } catch (error) {
+      if (error.message === "Transaction not found") {
+        throw error
+      }
+
       logger.error(`Error getting transaction ${txHash}:`, error)
       throw new Error("Failed to get transaction details")
     }
   }
 
+  // Run a token transfer with eth_call from the sender without broadcasting it. A revert comes back as
+  // { success: false, reason }; RPC failures are thrown.
+  async simulateTransfer(fromAddress, toAddress, amount, { token = null } = {}) {
+    const decimals = await this.getTokenDecimals(token)
+    const amountWei = ethers.parseUnits(amount.toString(), decimals)
+
+    try {
+      await this.getTokenContract(token).transfer.staticCall(toAddress, amountWei, { from: fromAddress })
+      return { success: true, reason: null }
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION") {
+        logger.error(`Error simulating transfer from ${fromAddress}:`, error)
+        throw new Error("Failed to simulate transfer")
+      }
+
+      return { success: false, reason: error.reason || error.shortMessage || "Transfer would revert" }
+    }
+  }
+
+  // Whether USDC's blacklister has frozen an address. Null for other tokens and for USDC-like test
+  // tokens without a blacklist.
+  async isBlacklisted(address, token = null) {
+    if (token && token.contractAddress.toLowerCase() !== this.usdcContractAddress.toLowerCase()) {
+      return null
+    }
+
+    try {
+      return await this.usdcContract.isBlacklisted(address)
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") {
+        return null
+      }
+
+      logger.error(`Error checking blacklist for ${address}:`, error)
+      throw new Error("Failed to check USDC blacklist")
+    }
+  }
+
+  // Whether an address has contract code (tokens sent to a contract may not be recoverable)
+  async isContract(address) {
+    try {
+      return (await this.provider.getCode(address)) !== "0x"
+    } catch (error) {
+      logger.error(`Error reading code at ${address}:`, error)
+      throw new Error("Failed to check recipient address")
+    }
+  }
+
   // Validate Ethereum address
   isValidAddress(address) {
     return ethers.isAddress(address)
   }
 
-  // Estimate gas for USDC transfer
-  async estimateTransferGas(fromAddress, toAddress, amount) {
+  // Estimate gas and EIP-1559 fees for a token transfer (USDC unless a registry asset is given)
+  async estimateTransferGas(
+    fromAddress,
+    toAddress,
+    amount,
+    { token = null, feeTier = "standard", maxNetworkFee = null } = {},
+  ) {
     try {
-      const decimals = await this.usdcContract.decimals()
+      const decimals = await this.getTokenDecimals(token)
       const amountWei = ethers.parseUnits(amount.toString(), decimals)
 
-      const gasEstimate = await this.usdcContract.transfer.estimateGas(toAddress, amountWei)
-      const feeData = await this.provider.getFeeData()
+      const gasEstimate = await this.getTokenContract(token).transfer.estimateGas(toAddress, amountWei, {
+        from: fromAddress,
+      })
+      const [tiers, ethUsdPrice] = await Promise.all([this.getFeeTiers(), this.getEthUsdPrice()])
 
-      const estimatedCost = gasEstimate * feeData.gasPrice
-      const estimatedCostETH = ethers.formatEther(estimatedCost)
+      const selectedFees = this.applyFeeCap(this.getTier(tiers, feeTier), gasEstimate, maxNetworkFee)
+      const quote = this.quoteFees(selectedFees, gasEstimate, ethUsdPrice)
 
       return {
         gasLimit: gasEstimate.toString(),
-        gasPrice: feeData.gasPrice.toString(),
-        estimatedCost: estimatedCostETH,
-        estimatedCostWei: estimatedCost.toString(),
+        gasPrice: quote.maxFeePerGas,
+        baseFeePerGas: selectedFees.baseFeePerGas.toString(),
+        feeTier: feeTier,
+        feeCapApplied: Boolean(selectedFees.capped),
+        ethUsdPrice: ethUsdPrice,
+        ...quote,
+        tiers: Object.fromEntries(
+          Object.entries(tiers).map(([name, fees]) => [name, this.quoteFees(fees, gasEstimate, ethUsdPrice)]),
+        ),
       }
     } catch (error) {
       logger.error("Error estimating gas:", error)
-      throw new Error("Failed to estimate gas")
+      throw new Error(
+        error.message.startsWith("Fee cap") || error.message.startsWith("Unknown fee tier")
+          ? error.message
+          : "Failed to estimate gas",
+      )
     }
   }
 
@@ -244,6 +1222,100 @@ class BlockchainService {
     }
   }
 
+  // Get confirmed and pending transaction counts (next nonces) for an address
+  async getNonces(address) {
+    try {
+      const [latest, pending] = await Promise.all([
+        this.provider.getTransactionCount(address, "latest"),
+        this.provider.getTransactionCount(address, "pending"),
+      ])
+
+      return { latest, pending }
+    } catch (error) {
+      logger.error(`Error getting nonces for ${address}:`, error)
+      throw new Error("Failed to get address nonce")
+    }
+  }
+
+  // Get latest block number
+  async getCurrentBlock() {
+    try {
+      return await this.provider.getBlockNumber()
+    } catch (error) {
+      logger.error("Error getting current block:", error)
+      throw new Error("Failed to get current block")
+    }
+  }
+
+  // Get canonical block hashes for a list of block numbers (null if the block does not exist)
+  async getBlockHashes(blockNumbers) {
+    try {
+      const hashes = new Map()
+
+      for (const blockNumber of blockNumbers) {
+        const block = await this.provider.getBlock(blockNumber)
+        hashes.set(blockNumber, block ? block.hash : null)
+      }
+
+      return hashes
+    } catch (error) {
+      logger.error("Error getting block hashes:", error)
+      throw new Error("Failed to get block hashes")
+    }
+  }
+
+  // Get incoming transfers of the given tokens (USDC by default) to a set of addresses within a block range,
+  // with one eth_getLogs call covering every token contract
+  async getIncomingTransfers(addresses, fromBlock, toBlock, tokens = null) {
+    return this.getTransfers(addresses, fromBlock, toBlock, tokens, "incoming")
+  }
+
+  // Get outgoing transfers from a set of addresses, for wallets whose sends don't go through the platform
+  async getOutgoingTransfers(addresses, fromBlock, toBlock, tokens = null) {
+    return this.getTransfers(addresses, fromBlock, toBlock, tokens, "outgoing")
+  }
+
+  async getTransfers(addresses, fromBlock, toBlock, tokens, direction) {
+    try {
+      const tokenList = tokens || [{ contractAddress: this.usdcContractAddress, decimals: null }]
+      const decimalsByAddress = new Map()
+      for (const token of tokenList) {
+        decimalsByAddress.set(token.contractAddress.toLowerCase(), await this.getTokenDecimals(token))
+      }
+
+      const [transferTopic, fromTopics, toTopics] = await this.usdcContract.filters
+        .Transfer(direction === "outgoing" ? addresses : null, direction === "incoming" ? addresses : null)
+        .getTopicFilter()
+
+      const logs = await this.provider.getLogs({
+        address: tokenList.map((token) => token.contractAddress),
+        topics: [transferTopic, fromTopics ?? null, toTopics ?? null],
+        fromBlock,
+        toBlock,
+      })
+
+      return logs.map((log) => {
+        const { args } = this.usdcContract.interface.parseLog(log)
+
+        return {
+          transactionHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          transactionIndex: log.transactionIndex,
+          logIndex: log.index,
+          tokenAddress: log.address,
+          from: args.from,
+          to: args.to,
+          amount: ethers.formatUnits(args.value, decimalsByAddress.get(log.address.toLowerCase())),
+          amountWei: args.value.toString(),
+        }
+      })
+    } catch (error) {
+      logger.error(`Error getting ${direction} token transfers for blocks ${fromBlock}-${toBlock}:`, error)
+      throw new Error("Failed to get token transfers")
+    }
+  }
+
   // Get current network info
   async getNetworkInfo() {
     try {
@@ -266,4 +1338,6 @@ class BlockchainService {
   }
 }
 
-module.exports = new BlockchainService()
+// The default chain's service; the chain registry creates one for every other configured chain
+module.exports = new BlockchainService(getDefaultChain())
+module.exports.BlockchainService = BlockchainService
@@ -0,0 +1,24 @@
+const RpcBundlerClient = require("./rpcBundlerClient")
+const LocalBundlerClient = require("./localBundlerClient")
+
+// Bundler clients by BUNDLER_PROVIDER. A client implements, for a chain with smart accounts configured:
+// estimateUserOperationGas(chain, userOp) resolving to bigint gas limits (paymaster limits null when it
+// leaves them to the paymaster), sendUserOperation(chain, userOp) resolving to the user operation hash,
+// and getUserOperationReceipt(chain, userOpHash) resolving to null until included, then
+// { success, transactionHash, blockNumber, actualGasCost, actualGasUsed, reason }.
+const PROVIDERS = {
+  rpc: RpcBundlerClient,
+  local: LocalBundlerClient,
+}
+
+const createBundlerClient = (provider = process.env.BUNDLER_PROVIDER || "rpc") => {
+  const Client = PROVIDERS[provider]
+
+  if (!Client) {
+    throw new Error(`Unknown bundler provider: ${provider}`)
+  }
+
+  return new Client()
+}
+
+module.exports = { createBundlerClient }
@@ -0,0 +1,119 @@
+const { ethers } = require("ethers")
+const nonceManager = require("../nonceManager")
+const { ENTRY_POINT_ABI, packUserOperation, getUserOperationHash } = require("./userOperation")
+const logger = require("../../utils/logger")
+
+// Generous fixed limits for what can't be estimated without a bundler's simulation; the EntryPoint
+// only charges for gas actually used
+const DEPLOYMENT_VERIFICATION_GAS = 1000000n
+const VERIFICATION_GAS = 200000n
+const PRE_VERIFICATION_GAS = 60000n
+const UNDEPLOYED_CALL_GAS = 500000n
+const RECEIPT_LOOKBACK_BLOCKS = 10000
+
+// Stand-in bundler for local dev chains: submits each user operation straight to the EntryPoint's
+// handleOps from a platform key, which is repaid by the EntryPoint as the beneficiary
+class LocalBundlerClient {
+  constructor() {
+    this.privateKey =
+      process.env.BUNDLER_LOCAL_PRIVATE_KEY || process.env.RELAYER_PRIVATE_KEY || process.env.GAS_STATION_PRIVATE_KEY
+    this.address = this.privateKey ? new ethers.Wallet(this.privateKey).address : null
+  }
+
+  getEntryPoint(chain, runner = chain.provider) {
+    return new ethers.Contract(chain.accountAbstraction.entryPointAddress, ENTRY_POINT_ABI, runner)
+  }
+
+  async estimateUserOperationGas(chain, userOp) {
+    let callGasLimit = UNDEPLOYED_CALL_GAS
+
+    // Calls can only be estimated against an account that already exists
+    if (!userOp.factory) {
+      const estimate = await chain.provider.estimateGas({
+        from: chain.accountAbstraction.entryPointAddress,
+        to: userOp.sender,
+        data: userOp.callData,
+      })
+      callGasLimit = (estimate * 120n) / 100n
+    }
+
+    return {
+      callGasLimit,
+      verificationGasLimit: userOp.factory ? DEPLOYMENT_VERIFICATION_GAS : VERIFICATION_GAS,
+      preVerificationGas: PRE_VERIFICATION_GAS,
+      paymasterVerificationGasLimit: null,
+      paymasterPostOpGasLimit: null,
+    }
+  }
+
+  async sendUserOperation(chain, userOp) {
+    if (!this.address) {
+      throw new Error("BUNDLER_LOCAL_PRIVATE_KEY is not configured")
+    }
+
+    const signer = new ethers.Wallet(this.privateKey, chain.provider)
+    const entryPoint = this.getEntryPoint(chain, signer)
+    const ops = [packUserOperation(userOp)]
+
+    await nonceManager.sendWithNonce(
+      null,
+      this.address,
+      async (nonce) => {
+        // Estimating handleOps runs the account's validation, so a bad signature fails here
+        const gasLimit = await entryPoint.handleOps.estimateGas(ops, this.address)
+        const fees = chain.getTier(await chain.getFeeTiers(), "standard")
+        const tx = await entryPoint.handleOps(ops, this.address, {
+          type: 2,
+          nonce,
+          gasLimit: (gasLimit * 120n) / 100n,
+          maxFeePerGas: fees.maxFeePerGas,
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+        })
+
+        return { transactionHash: tx.hash }
+      },
+      chain.chainId,
+    )
+
+    return getUserOperationHash(userOp, chain.accountAbstraction.entryPointAddress, chain.chainId)
+  }
+
+  // Read from the EntryPoint's UserOperationEvent, so receipts survive restarts
+  async getUserOperationReceipt(chain, userOpHash) {
+    try {
+      const entryPoint = this.getEntryPoint(chain)
+      const latest = await chain.provider.getBlockNumber()
+      const fromBlock = Math.max(0, latest - RECEIPT_LOOKBACK_BLOCKS)
+
+      const [event] = await entryPoint.queryFilter(entryPoint.filters.UserOperationEvent(userOpHash), fromBlock, latest)
+
+      if (!event) {
+        return null
+      }
+
+      let reason = null
+      if (!event.args.success) {
+        const [revert] = await entryPoint.queryFilter(
+          entryPoint.filters.UserOperationRevertReason(userOpHash),
+          event.blockNumber,
+          event.blockNumber,
+        )
+        reason = revert ? `User operation reverted: ${revert.args.revertReason}` : "User operation reverted"
+      }
+
+      return {
+        success: event.args.success,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        actualGasCost: event.args.actualGasCost.toString(),
+        actualGasUsed: event.args.actualGasUsed.toString(),
+        reason,
+      }
+    } catch (error) {
+      logger.error(`Error getting user operation receipt for ${userOpHash}:`, error.message)
+      throw new Error("Failed to get user operation receipt")
+    }
+  }
+}
+
+module.exports = LocalBundlerClient
@@ -0,0 +1,74 @@
+const { ethers } = require("ethers")
+const { toRpcUserOperation } = require("./userOperation")
+const logger = require("../../utils/logger")
+
+// Submits user operations to an ERC-4337 bundler over its JSON-RPC API (eth_sendUserOperation and
+// friends), at each chain's BUNDLER_URL
+class RpcBundlerClient {
+  constructor() {
+    this.providers = new Map()
+  }
+
+  getProvider(chain) {
+    const url = chain.accountAbstraction.bundlerUrl
+
+    if (!url) {
+      throw new Error(`No bundler is configured for chain ${chain.chainId}`)
+    }
+
+    if (!this.providers.has(chain.chainId)) {
+      this.providers.set(chain.chainId, new ethers.JsonRpcProvider(url, chain.chainId, { staticNetwork: true }))
+    }
+
+    return this.providers.get(chain.chainId)
+  }
+
+  async estimateUserOperationGas(chain, userOp) {
+    const estimate = await this.getProvider(chain).send("eth_estimateUserOperationGas", [
+      toRpcUserOperation(userOp),
+      chain.accountAbstraction.entryPointAddress,
+    ])
+
+    return {
+      callGasLimit: BigInt(estimate.callGasLimit),
+      verificationGasLimit: BigInt(estimate.verificationGasLimit),
+      preVerificationGas: BigInt(estimate.preVerificationGas),
+      paymasterVerificationGasLimit: estimate.paymasterVerificationGasLimit
+        ? BigInt(estimate.paymasterVerificationGasLimit)
+        : null,
+      paymasterPostOpGasLimit: estimate.paymasterPostOpGasLimit ? BigInt(estimate.paymasterPostOpGasLimit) : null,
+    }
+  }
+
+  async sendUserOperation(chain, userOp) {
+    return this.getProvider(chain).send("eth_sendUserOperation", [
+      toRpcUserOperation(userOp),
+      chain.accountAbstraction.entryPointAddress,
+    ])
+  }
+
+  // Null until the operation has been included in a block
+  async getUserOperationReceipt(chain, userOpHash) {
+    try {
+      const receipt = await this.getProvider(chain).send("eth_getUserOperationReceipt", [userOpHash])
+
+      if (!receipt) {
+        return null
+      }
+
+      return {
+        success: receipt.success,
+        transactionHash: receipt.receipt.transactionHash,
+        blockNumber: Number(receipt.receipt.blockNumber),
+        actualGasCost: BigInt(receipt.actualGasCost).toString(),
+        actualGasUsed: BigInt(receipt.actualGasUsed).toString(),
+        reason: receipt.success ? null : receipt.reason || "User operation reverted",
+      }
+    } catch (error) {
+      logger.error(`Error getting user operation receipt for ${userOpHash}:`, error.message)
+      throw new Error("Failed to get user operation receipt")
+    }
+  }
+}
+
+module.exports = RpcBundlerClient
@@ -0,0 +1,94 @@
+const { ethers } = require("ethers")
+
+// EntryPoint v0.7: user operations are submitted packed, gas limits and fees two to a bytes32
+const ENTRY_POINT_ABI = [
+  "function handleOps((address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature)[] ops, address beneficiary)",
+  "function getNonce(address sender, uint192 key) view returns (uint256)",
+  "event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)",
+  "event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)",
+]
+
+const pack128 = (high, low) => ethers.concat([ethers.toBeHex(high, 16), ethers.toBeHex(low, 16)])
+
+// A user operation is kept unpacked (as bundlers take it over JSON-RPC), with bigint gas and fee fields:
+// sender, nonce, factory, factoryData, callData, callGasLimit, verificationGasLimit, preVerificationGas,
+// maxFeePerGas, maxPriorityFeePerGas, paymaster, paymasterVerificationGasLimit, paymasterPostOpGasLimit,
+// paymasterData, signature. factory and paymaster are null when unused.
+const packUserOperation = (userOp) => ({
+  sender: userOp.sender,
+  nonce: userOp.nonce,
+  initCode: userOp.factory ? ethers.concat([userOp.factory, userOp.factoryData]) : "0x",
+  callData: userOp.callData,
+  accountGasLimits: pack128(userOp.verificationGasLimit, userOp.callGasLimit),
+  preVerificationGas: userOp.preVerificationGas,
+  gasFees: pack128(userOp.maxPriorityFeePerGas, userOp.maxFeePerGas),
+  paymasterAndData: userOp.paymaster
+    ? ethers.concat([
+        userOp.paymaster,
+        pack128(userOp.paymasterVerificationGasLimit, userOp.paymasterPostOpGasLimit),
+        userOp.paymasterData,
+      ])
+    : "0x",
+  signature: userOp.signature,
+})
+
+// The hash the account owner signs, as EntryPoint v0.7 computes it: everything but the signature,
+// bound to the EntryPoint and chain
+const getUserOperationHash = (userOp, entryPointAddress, chainId) => {
+  const packed = packUserOperation(userOp)
+  const coder = ethers.AbiCoder.defaultAbiCoder()
+
+  const encoded = coder.encode(
+    ["address", "uint256", "bytes32", "bytes32", "bytes32", "uint256", "bytes32", "bytes32"],
+    [
+      packed.sender,
+      packed.nonce,
+      ethers.keccak256(packed.initCode),
+      ethers.keccak256(packed.callData),
+      packed.accountGasLimits,
+      packed.preVerificationGas,
+      packed.gasFees,
+      ethers.keccak256(packed.paymasterAndData),
+    ],
+  )
+
+  return ethers.keccak256(
+    coder.encode(["bytes32", "address", "uint256"], [ethers.keccak256(encoded), entryPointAddress, chainId]),
+  )
+}
+
+// JSON-RPC form for eth_sendUserOperation and friends: quantities as hex, unused fields left out
+const toRpcUserOperation = (userOp) => {
+  const rpcUserOp = {
+    sender: userOp.sender,
+    nonce: ethers.toQuantity(userOp.nonce),
+    callData: userOp.callData,
+    callGasLimit: ethers.toQuantity(userOp.callGasLimit),
+    verificationGasLimit: ethers.toQuantity(userOp.verificationGasLimit),
+    preVerificationGas: ethers.toQuantity(userOp.preVerificationGas),
+    maxFeePerGas: ethers.toQuantity(userOp.maxFeePerGas),
+    maxPriorityFeePerGas: ethers.toQuantity(userOp.maxPriorityFeePerGas),
+    signature: userOp.signature,
+  }
+
+  if (userOp.factory) {
+    rpcUserOp.factory = userOp.factory
+    rpcUserOp.factoryData = userOp.factoryData
+  }
+
+  if (userOp.paymaster) {
+    rpcUserOp.paymaster = userOp.paymaster
+    rpcUserOp.paymasterVerificationGasLimit = ethers.toQuantity(userOp.paymasterVerificationGasLimit)
+    rpcUserOp.paymasterPostOpGasLimit = ethers.toQuantity(userOp.paymasterPostOpGasLimit)
+    rpcUserOp.paymasterData = userOp.paymasterData
+  }
+
+  return rpcUserOp
+}
+
+module.exports = {
+  ENTRY_POINT_ABI,
+  packUserOperation,
+  getUserOperationHash,
+  toRpcUserOperation,
+}
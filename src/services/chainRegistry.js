@@ -0,0 +1,94 @@
+const blockchainService = require("./blockchain")
+const { getAdditionalChains } = require("../config/chains")
+const logger = require("../utils/logger")
+
+class ChainRegistry {
+  constructor() {
+    // One blockchain service per configured chain, starting with the default chain
+    this.defaultChainId = blockchainService.chainId
+    this.services = new Map([[blockchainService.chainId, blockchainService]])
+
+    for (const chain of getAdditionalChains()) {
+      if (this.services.has(chain.chainId)) {
+        logger.warn(`Chain ${chain.chainId} is configured more than once, ignoring ADDITIONAL_CHAIN_IDS entry`)
+        continue
+      }
+
+      if (chain.rpcUrls.length === 0 || !chain.usdcContractAddress) {
+        logger.warn(`Chain ${chain.chainId} needs CHAIN_${chain.chainId}_RPC_URLS and a USDC address, skipping`)
+        continue
+      }
+
+      this.services.set(chain.chainId, new blockchainService.BlockchainService(chain))
+    }
+  }
+
+  // Blockchain service for a chain; no chain ID means the default chain
+  forChain(chainId = null) {
+    if (chainId === null || chainId === undefined) {
+      return this.services.get(this.defaultChainId)
+    }
+
+    const service = this.services.get(Number(chainId))
+
+    if (!service) {
+      throw new Error(`Unsupported chain: ${chainId}`)
+    }
+
+    return service
+  }
+
+  isSupported(chainId) {
+    return this.services.has(Number(chainId))
+  }
+
+  list() {
+    return [...this.services.values()]
+  }
+
+  listChains() {
+    return this.list().map((service) => this.describe(service))
+  }
+
+  describe(service) {
+    return {
+      chainId: service.chainId,
+      name: service.chainName,
+      testnet: service.testnet,
+      isDefault: service.chainId === this.defaultChainId,
+      smartAccounts: service.supportsSmartAccounts(),
+    }
+  }
+
+  // Chains a wallet can use: every configured chain on the same side (mainnet or testnet) as its own,
+  // so sandbox wallets never touch mainnet and vice versa
+  chainsForWallet(walletChainId) {
+    const home = this.forChain(walletChainId)
+    return this.list().filter((service) => service.testnet === home.testnet)
+  }
+
+  // Chain for an operation on a wallet: its own chain unless another chain it can use is requested
+  forWallet(walletChainId, chainId = null) {
+    const service = this.forChain(chainId ?? walletChainId)
+
+    if (!this.chainsForWallet(walletChainId).includes(service)) {
+      throw new Error(`Wallet cannot be used on chain ${service.chainId}`)
+    }
+
+    return service
+  }
+
+  // EVM addresses are the same on every chain, so a wallet is shown once per chain it can use. A smart
+  // account only exists on the chain its factory deployed it to.
+  getWalletAddresses(address, walletChainId, accountType = "eoa") {
+    const chains =
+      accountType === "smart_account" ? [this.forChain(walletChainId)] : this.chainsForWallet(walletChainId)
+
+    return chains.map((service) => ({
+      ...this.describe(service),
+      address: address,
+    }))
+  }
+}
+
+module.exports = new ChainRegistry()
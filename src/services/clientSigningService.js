@@ -0,0 +1,317 @@
+const { ethers } = require("ethers")
+const { query } = require("../config/database")
+const walletService = require("./walletService")
+const preflightService = require("./preflightService")
+const contactService = require("./contactService")
+const nameService = require("./nameService")
+const nonceManager = require("./nonceManager")
+const assetRegistry = require("./assetRegistry")
+const chainRegistry = require("./chainRegistry")
+const logger = require("../utils/logger")
+
+// Fields of an EIP-1559 transaction that a signed copy must share with its quote
+const SIGNED_FIELDS = [
+  "type",
+  "chainId",
+  "nonce",
+  "to",
+  "data",
+  "value",
+  "gasLimit",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+]
+
+// Sends for device-signed wallets: the server builds an unsigned transfer (a quote) with a reserved nonce,
+// the device signs it, and the signed transaction is checked against the quote before it is broadcast.
+// Broadcast sends are recorded like any other, so history, confirmations and webhooks are unchanged.
+class ClientSigningService {
+  constructor() {
+    this.quoteTtlSeconds = Number.parseInt(process.env.CLIENT_SIGNING_QUOTE_TTL_SECONDS || "300")
+  }
+
+  // Get an active device-signed wallet owned by the user
+  async getWallet(walletId, userId) {
+    const result = await query(
+      "SELECT id, address, chain_id, custody_mode FROM wallets WHERE id = $1 AND user_id = $2 AND status = 'active'",
+      [walletId, userId],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Wallet not found or access denied")
+    }
+
+    walletService.assertNotWatchOnly(result.rows[0])
+
+    if (result.rows[0].custody_mode !== "client") {
+      throw new Error("This wallet is signed by the server; use the send endpoint instead")
+    }
+
+    return result.rows[0]
+  }
+
+  // Build an unsigned transfer for the device to sign, after the same pre-flight checks as a server send
+  async createQuote(
+    walletId,
+    userId,
+    recipient,
+    amount,
+    memo = null,
+    { asset = null, chainId = null, feeTier = "standard", maxNetworkFee = null } = {},
+  ) {
+    try {
+      const wallet = await this.getWallet(walletId, userId)
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+      const token = await assetRegistry.resolveAsset(asset, chain.chainId)
+      const { address: toAddress, name: toName } = await nameService.resolveRecipient(recipient)
+
+      // Gas can't be sponsored: the top-up fee would have to be signed on the device as well
+      const preflight = await preflightService.check({
+        walletId,
+        address: wallet.address,
+        chain,
+        token,
+        toAddress,
+        amount,
+        feeTier,
+        maxNetworkFee,
+        sponsorGas: false,
+        nameChanges: await contactService.getNameChanges(userId, { address: toAddress, name: toName }),
+      })
+      if (!preflight.ok) {
+        throw preflightService.toError(preflight)
+      }
+
+      // Quotes that were never signed give their nonces back before a new one is reserved
+      await this.expireQuotes(walletId)
+
+      const nonce = await nonceManager.reserveNonce(walletId, wallet.address, chain.chainId)
+
+      let built
+      try {
+        built = await chain.buildTokenTransfer(wallet.address, toAddress, amount, {
+          token,
+          nonce,
+          feeTier,
+          maxNetworkFee,
+        })
+      } catch (error) {
+        await nonceManager.releaseReserved(wallet.address, nonce, chain.chainId)
+        throw error
+      }
+
+      const result = await query(
+        `
+        INSERT INTO transaction_quotes (
+          wallet_id, chain_id, asset_id, from_address, to_address, to_name, amount, memo, fee_tier,
+          max_network_fee, nonce, unsigned_transaction, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW() + make_interval(secs => $13))
+        RETURNING *
+      `,
+        [
+          walletId,
+          chain.chainId,
+          token.id,
+          wallet.address,
+          toAddress,
+          toName,
+          amount,
+          memo,
+          feeTier,
+          maxNetworkFee,
+          nonce,
+          built.unsignedTransaction,
+          this.quoteTtlSeconds,
+        ],
+      )
+
+      logger.info(`Unsigned ${token.symbol} transfer quoted for wallet ${walletId} with nonce ${nonce}`)
+
+      return {
+        ...this.formatQuote(result.rows[0], token),
+        transaction: built.transaction,
+        signingHash: built.signingHash,
+        maxNetworkFee: built.maxNetworkFee,
+        warnings: preflight.warnings,
+      }
+    } catch (error) {
+      logger.error("Error building unsigned transfer:", error)
+      throw error
+    }
+  }
+
+  // Get a quote the user owns
+  async getQuote(walletId, userId, quoteId) {
+    const result = await query(
+      `
+      SELECT q.*
+      FROM transaction_quotes q
+      JOIN wallets w ON q.wallet_id = w.id
+      WHERE q.id = $1 AND q.wallet_id = $2 AND w.user_id = $3 AND w.status = 'active'
+    `,
+      [quoteId, walletId, userId],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Quote not found or access denied")
+    }
+
+    return result.rows[0]
+  }
+
+  // Check a device-signed transaction against its quote and broadcast it
+  async broadcastSigned(walletId, userId, quoteId, signedTransaction) {
+    try {
+      const quote = await this.getQuote(walletId, userId, quoteId)
+
+      if (quote.status !== "pending") {
+        throw new Error(`Quote has already been ${quote.status === "broadcast" ? "broadcast" : "expired"}`)
+      }
+
+      if (new Date(quote.expires_at) <= new Date()) {
+        await this.expireQuote(quote)
+        throw new Error("Quote has expired; request a new one and sign that")
+      }
+
+      this.verifySigned(quote, signedTransaction)
+
+      const chain = chainRegistry.forChain(quote.chain_id)
+      const expected = ethers.Transaction.from(quote.unsigned_transaction)
+
+      const txResult = await nonceManager.broadcastReserved(
+        quote.from_address,
+        Number(quote.nonce),
+        async () => ({ transactionHash: await chain.broadcastSignedTransaction(signedTransaction) }),
+        chain.chainId,
+      )
+
+      const transaction = await walletService.recordSend(
+        walletId,
+        quote.from_address,
+        {
+          transactionHash: txResult.transactionHash,
+          to: quote.to_address,
+          amount: quote.amount,
+          gasUsed: expected.gasLimit.toString(),
+          gasPrice: expected.maxFeePerGas.toString(),
+          nonce: txResult.nonce,
+          feeTier: quote.fee_tier,
+          maxFeePerGas: expected.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: expected.maxPriorityFeePerGas.toString(),
+        },
+        {
+          memo: quote.memo,
+          maxNetworkFee: quote.max_network_fee,
+          assetId: quote.asset_id,
+          chainId: chain.chainId,
+          sendMode: "client_signed",
+          toName: quote.to_name,
+        },
+      )
+
+      await query(
+        "UPDATE transaction_quotes SET status = 'broadcast', transaction_id = $1, broadcast_at = NOW() WHERE id = $2",
+        [transaction.id, quote.id],
+      )
+
+      const token = await assetRegistry.getAssetById(quote.asset_id)
+
+      logger.info(
+        `Device-signed ${token.symbol} transfer broadcast for wallet ${walletId}: ${txResult.transactionHash}`,
+      )
+
+      return {
+        transactionId: transaction.id,
+        transactionHash: txResult.transactionHash,
+        from: quote.from_address,
+        to: quote.to_address,
+        toName: quote.to_name,
+        amount: quote.amount,
+        asset: token.symbol,
+        chainId: chain.chainId,
+        nonce: txResult.nonce,
+        feeTier: quote.fee_tier,
+        maxFeePerGas: expected.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: expected.maxPriorityFeePerGas.toString(),
+        sendMode: "client_signed",
+        status: "pending",
+        createdAt: transaction.created_at,
+      }
+    } catch (error) {
+      logger.error("Error broadcasting signed transfer:", error)
+      throw error
+    }
+  }
+
+  // A signed transaction must be the quoted transaction, signed by the wallet's own key
+  verifySigned(quote, signedTransaction) {
+    let signed
+    try {
+      signed = ethers.Transaction.from(signedTransaction)
+    } catch (error) {
+      throw new Error(`Signed transaction could not be decoded: ${error.shortMessage || error.message}`)
+    }
+
+    if (!signed.signature) {
+      throw new Error("Transaction is not signed")
+    }
+
+    if (signed.from.toLowerCase() !== quote.from_address.toLowerCase()) {
+      throw new Error("Transaction was not signed by this wallet's key")
+    }
+
+    if (signed.unsignedSerialized !== quote.unsigned_transaction) {
+      const expected = ethers.Transaction.from(quote.unsigned_transaction)
+      const mismatched = SIGNED_FIELDS.filter((field) => String(signed[field]) !== String(expected[field]))
+
+      throw new Error(
+        `Signed transaction does not match the quote${mismatched.length > 0 ? ` (${mismatched.join(", ")} differ)` : ""}`,
+      )
+    }
+  }
+
+  // Expire a wallet's lapsed quotes and release their nonces
+  async expireQuotes(walletId) {
+    const result = await query(
+      "SELECT * FROM transaction_quotes WHERE wallet_id = $1 AND status = 'pending' AND expires_at <= NOW()",
+      [walletId],
+    )
+
+    for (const quote of result.rows) {
+      await this.expireQuote(quote)
+    }
+  }
+
+  async expireQuote(quote) {
+    const result = await query(
+      "UPDATE transaction_quotes SET status = 'expired' WHERE id = $1 AND status = 'pending' RETURNING id",
+      [quote.id],
+    )
+
+    if (result.rows.length > 0) {
+      await nonceManager.releaseReserved(quote.from_address, Number(quote.nonce), quote.chain_id)
+    }
+  }
+
+  formatQuote(quote, token) {
+    return {
+      id: quote.id,
+      walletId: quote.wallet_id,
+      chainId: quote.chain_id,
+      asset: token.symbol,
+      from: quote.from_address,
+      to: quote.to_address,
+      toName: quote.to_name,
+      amount: quote.amount,
+      memo: quote.memo,
+      feeTier: quote.fee_tier,
+      nonce: Number(quote.nonce),
+      unsignedTransaction: quote.unsigned_transaction,
+      status: quote.status,
+      expiresAt: quote.expires_at,
+      createdAt: quote.created_at,
+    }
+  }
+}
+
+module.exports = new ClientSigningService()
@@ -0,0 +1,417 @@
+const { query } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const walletService = require("./walletService")
+const nonceManager = require("./nonceManager")
+const relayer = require("./relayer")
+const notificationService = require("./notificationService")
+const assetRegistry = require("./assetRegistry")
+const webhookService = require("./webhookService")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+const PENDING_TRANSACTION_COLUMNS = `
+  t.id, t.wallet_id, t.transaction_hash, t.transaction_type, t.from_address, t.to_address, t.amount,
+  t.nonce, t.asset_id, t.chain_id, t.send_mode, t.authorization_nonce, t.created_at, t.relayed_at, t.reorged_at, t.stuck_at, COALESCE(t.api_client_id, w.api_client_id) AS api_client_id, w.user_id
+`
+
+class ConfirmationTracker extends PollingWorker {
+  constructor() {
+    super("Confirmation tracker", Number.parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS || "10000"))
+    this.confirmationDepth = Number.parseInt(process.env.CONFIRMATION_DEPTH || "3")
+    this.timeoutMinutes = Number.parseInt(process.env.CONFIRMATION_TIMEOUT_MINUTES || "30")
+    this.batchSize = Number.parseInt(process.env.CONFIRMATION_BATCH_SIZE || "100")
+  }
+
+  // Check the least recently checked pending sends; receives rolled back by a reorg wait as 'reorged' for the
+  // indexer instead. Authorizations still waiting in the relayer queue have no hash yet and are left to the relayer.
+  async run() {
+    const result = await query(
+      `
+      SELECT ${PENDING_TRANSACTION_COLUMNS}
+      FROM transactions t
+      JOIN wallets w ON t.wallet_id = w.id
+      WHERE t.status = 'pending' AND t.transaction_hash IS NOT NULL
+      ORDER BY t.last_checked_at ASC NULLS FIRST
+      LIMIT $1
+    `,
+      [this.batchSize],
+    )
+
+    const summary = { checked: 0, confirmed: 0, failed: 0 }
+
+    for (const transaction of result.rows) {
+      try {
+        const status = await this.checkTransaction(transaction)
+        summary.checked++
+        if (status === "confirmed") summary.confirmed++
+        if (status === "failed") summary.failed++
+      } catch (error) {
+        logger.error(`Error checking transaction ${transaction.transaction_hash}:`, error)
+      }
+    }
+
+    return summary
+  }
+
+  // Check a single pending transaction by ID (used when a client requests its status)
+  async checkTransactionById(transactionId) {
+    const result = await query(
+      `
+      SELECT ${PENDING_TRANSACTION_COLUMNS}
+      FROM transactions t
+      JOIN wallets w ON t.wallet_id = w.id
+      WHERE t.id = $1 AND t.status = 'pending' AND t.transaction_hash IS NOT NULL
+    `,
+      [transactionId],
+    )
+
+    if (result.rows.length === 0) {
+      return null
+    }
+
+    return this.checkTransaction(result.rows[0])
+  }
+
+  // Compare a pending transaction with the chain and finalize it when possible
+  async checkTransaction(transaction) {
+    let chainTx = null
+
+    try {
+      chainTx = await chainRegistry.forChain(transaction.chain_id).getTransaction(transaction.transaction_hash)
+    } catch (error) {
+      if (error.message !== "Transaction not found") {
+        throw error
+      }
+    }
+
+    // While a replacement is in flight the outcome is decided by whichever hash gets mined
+    if ((!chainTx || chainTx.status === "pending") && (await this.hasPendingReplacement(transaction))) {
+      await this.markChecked(transaction.id)
+      return "pending"
+    }
+
+    // Not known to the node: either still propagating or dropped from the mempool
+    if (!chainTx) {
+      if (this.isPastTimeout(transaction)) {
+        if (await this.adoptAuthorizationUse(transaction)) {
+          return "pending"
+        }
+
+        await this.markFailed(transaction, "Transaction was dropped before being mined")
+        return "failed"
+      }
+
+      await this.markChecked(transaction.id)
+      return "pending"
+    }
+
+    if (chainTx.status === "pending") {
+      if (this.isPastTimeout(transaction) && !transaction.stuck_at) {
+        await this.markStuck(transaction)
+      } else {
+        await this.markChecked(transaction.id)
+      }
+      return "pending"
+    }
+
+    if (chainTx.status === "failed") {
+      if (await this.adoptAuthorizationUse(transaction)) {
+        return "pending"
+      }
+
+      await this.markFailed(transaction, "Transaction reverted on-chain", chainTx)
+      return "failed"
+    }
+
+    if (chainTx.confirmations < this.confirmationDepth) {
+      await query(
+        `
+        UPDATE transactions
+        SET block_number = $1, block_hash = $2, transaction_index = $3,
+            confirmations = $4, last_checked_at = NOW()
+        WHERE id = $5
+      `,
+        [chainTx.blockNumber, chainTx.blockHash, chainTx.transactionIndex, chainTx.confirmations, transaction.id],
+      )
+      return "pending"
+    }
+
+    await this.markConfirmed(transaction, chainTx)
+    return "confirmed"
+  }
+
+  // Reorged transactions get a fresh timeout from the moment they were rolled back, relayed ones from submission
+  isPastTimeout(transaction) {
+    const since = new Date(transaction.reorged_at || transaction.relayed_at || transaction.created_at).getTime()
+    return Date.now() - since > this.timeoutMinutes * 60 * 1000
+  }
+
+  async hasPendingReplacement(transaction) {
+    const result = await query(
+      "SELECT 1 FROM transactions WHERE replaces_transaction_id = $1 AND status = 'pending' LIMIT 1",
+      [transaction.id],
+    )
+    return result.rows.length > 0
+  }
+
+  // A relayed authorization whose recorded submission reverted or vanished may still have been used by
+  // another submission (a relayer retrying a stale claim, or anyone holding the signature). The send then
+  // follows that transaction instead of failing.
+  async adoptAuthorizationUse(transaction) {
+    if (transaction.send_mode !== "authorization") {
+      return false
+    }
+
+    const chain = chainRegistry.forChain(transaction.chain_id)
+    if (!(await chain.isAuthorizationUsed(transaction.from_address, transaction.authorization_nonce))) {
+      return false
+    }
+
+    const use = await relayer.findAuthorizationUse(transaction)
+    if (!use || use.transactionHash.toLowerCase() === transaction.transaction_hash.toLowerCase()) {
+      return false
+    }
+
+    await query(
+      `
+      UPDATE transactions
+      SET transaction_hash = $1, relayer_address = $2, stuck_at = NULL, last_checked_at = NOW()
+      WHERE id = $3 AND status = 'pending'
+    `,
+      [use.transactionHash, use.submitter, transaction.id],
+    )
+    logger.warn(`Transaction ${transaction.id} was relayed in ${use.transactionHash}; following it instead`)
+
+    return true
+  }
+
+  async markChecked(transactionId) {
+    await query("UPDATE transactions SET last_checked_at = NOW() WHERE id = $1", [transactionId])
+  }
+
+  async markConfirmed(transaction, chainTx) {
+    const result = await query(
+      `
+      UPDATE transactions
+      SET status = 'confirmed', block_number = $1, block_hash = $2, transaction_index = $3,
+          gas_used = $4, gas_price = $5, transaction_fee = $6, confirmations = $7,
+          confirmed_at = to_timestamp($8), last_checked_at = NOW(), stuck_at = NULL
+      WHERE id = $9 AND status = 'pending'
+      RETURNING id
+    `,
+      [
+        chainTx.blockNumber,
+        chainTx.blockHash,
+        chainTx.transactionIndex,
+        chainTx.gasUsed,
+        chainTx.effectiveGasPrice,
+        chainTx.transactionFee,
+        chainTx.confirmations,
+        chainTx.timestamp,
+        transaction.id,
+      ],
+    )
+
+    // Another check finalized it first
+    if (result.rows.length === 0) {
+      return
+    }
+
+    await nonceManager.markNonceUsed(
+      transaction.transaction_hash,
+      transaction.from_address,
+      transaction.nonce,
+      transaction.chain_id,
+    )
+    await this.markReplaced(transaction)
+
+    logger.info(`Transaction confirmed: ${transaction.transaction_hash} (${chainTx.confirmations} confirmations)`)
+
+    await this.notify(
+      (asset) =>
+        notificationService.notifyTransactionConfirmed(
+          transaction.user_id,
+          transaction.transaction_hash,
+          transaction.amount,
+          asset.symbol,
+        ),
+      transaction,
+      "transaction.confirmed",
+      {
+        block_number: chainTx.blockNumber,
+        confirmations: chainTx.confirmations,
+        transaction_fee: chainTx.transactionFee,
+        status: "confirmed",
+      },
+    )
+  }
+
+  async markFailed(transaction, reason, chainTx = null) {
+    const result = await query(
+      `
+      UPDATE transactions
+      SET status = 'failed', failure_reason = $1, block_number = $2, block_hash = $3,
+          transaction_index = $4, gas_used = COALESCE($5, gas_used), gas_price = COALESCE($6, gas_price),
+          transaction_fee = $7, last_checked_at = NOW()
+      WHERE id = $8 AND status = 'pending'
+      RETURNING id
+    `,
+      [
+        reason,
+        chainTx?.blockNumber ?? null,
+        chainTx?.blockHash ?? null,
+        chainTx?.transactionIndex ?? null,
+        chainTx?.gasUsed ?? null,
+        chainTx?.effectiveGasPrice ?? null,
+        chainTx?.transactionFee ?? null,
+        transaction.id,
+      ],
+    )
+
+    if (result.rows.length === 0) {
+      return
+    }
+
+    // A reverted transaction still consumed its nonce; a dropped one left a gap
+    if (chainTx) {
+      await nonceManager.markNonceUsed(
+        transaction.transaction_hash,
+        transaction.from_address,
+        transaction.nonce,
+        transaction.chain_id,
+      )
+      await this.markReplaced(transaction)
+    } else {
+      await nonceManager.releaseNonce(transaction.transaction_hash)
+    }
+
+    logger.warn(`Transaction failed: ${transaction.transaction_hash} (${reason})`)
+
+    await this.notify(
+      (asset) =>
+        notificationService.notifyTransactionFailed(
+          transaction.user_id,
+          transaction.transaction_hash,
+          transaction.amount,
+          reason,
+          asset.symbol,
+        ),
+      transaction,
+      "transaction.failed",
+      {
+        block_number: chainTx?.blockNumber ?? null,
+        reason: reason,
+        status: "failed",
+      },
+    )
+  }
+
+  // Once one hash for a nonce is mined, every other pending hash sharing that nonce can never land
+  async markReplaced(minedTransaction) {
+    if (minedTransaction.nonce === null || minedTransaction.transaction_type !== "send") {
+      return
+    }
+
+    const result = await query(
+      `
+      UPDATE transactions t
+      SET status = 'replaced', replaced_by_hash = $1, last_checked_at = NOW(), stuck_at = NULL
+      FROM wallets w
+      WHERE t.wallet_id = w.id AND t.wallet_id = $2 AND t.nonce = $3 AND t.id <> $4 AND t.chain_id = $5
+        AND t.transaction_type = 'send' AND t.status = 'pending'
+      RETURNING ${PENDING_TRANSACTION_COLUMNS}
+    `,
+      [
+        minedTransaction.transaction_hash,
+        minedTransaction.wallet_id,
+        minedTransaction.nonce,
+        minedTransaction.id,
+        minedTransaction.chain_id,
+      ],
+    )
+
+    for (const transaction of result.rows) {
+      logger.info(`Transaction ${transaction.transaction_hash} replaced by ${minedTransaction.transaction_hash}`)
+
+      if (transaction.api_client_id) {
+        await webhookService.sendWebhook(transaction.api_client_id, "transaction.replaced", {
+          transaction_id: transaction.id,
+          wallet_id: transaction.wallet_id,
+          type: transaction.transaction_type,
+          hash: transaction.transaction_hash,
+          amount: transaction.amount,
+          from_address: transaction.from_address,
+          to_address: transaction.to_address,
+          replaced_by_hash: minedTransaction.transaction_hash,
+          replaced_by_transaction_id: minedTransaction.id,
+          chain_id: transaction.chain_id,
+          status: "replaced",
+        })
+      }
+    }
+  }
+
+  async markStuck(transaction) {
+    const result = await query(
+      `
+      UPDATE transactions
+      SET stuck_at = NOW(), last_checked_at = NOW()
+      WHERE id = $1 AND stuck_at IS NULL
+      RETURNING id
+    `,
+      [transaction.id],
+    )
+
+    if (result.rows.length === 0) {
+      return
+    }
+
+    logger.warn(`Transaction stuck for over ${this.timeoutMinutes} minutes: ${transaction.transaction_hash}`)
+
+    try {
+      const asset = await assetRegistry.getAssetById(transaction.asset_id, transaction.chain_id)
+      await notificationService.notifyTransactionStuck(
+        transaction.user_id,
+        transaction.transaction_hash,
+        transaction.amount,
+        asset.symbol,
+      )
+    } catch (error) {
+      logger.error(`Failed to notify stuck transaction ${transaction.transaction_hash}:`, error)
+    }
+  }
+
+  // Send user notification and developer webhook, then refresh the wallet balance
+  async notify(sendNotification, transaction, event, details) {
+    const asset = await assetRegistry.getAssetById(transaction.asset_id, transaction.chain_id)
+
+    try {
+      await sendNotification(asset)
+    } catch (error) {
+      logger.error(`Failed to notify ${event} for ${transaction.transaction_hash}:`, error)
+    }
+
+    if (transaction.api_client_id) {
+      await webhookService.sendWebhook(transaction.api_client_id, event, {
+        transaction_id: transaction.id,
+        wallet_id: transaction.wallet_id,
+        type: transaction.transaction_type,
+        hash: transaction.transaction_hash,
+        amount: transaction.amount,
+        asset: asset.symbol,
+        chain_id: transaction.chain_id,
+        from_address: transaction.from_address,
+        to_address: transaction.to_address,
+        ...details,
+      })
+    }
+
+    try {
+      await walletService.updateWalletBalance(transaction.wallet_id)
+    } catch (error) {
+      logger.error(`Failed to refresh balance for wallet ${transaction.wallet_id}:`, error)
+    }
+  }
+}
+
+module.exports = new ConfirmationTracker()
@@ -1,16 +1,19 @@
 const { query } = require("../config/database")
 const blockchainService = require("./blockchain")
+const nameService = require("./nameService")
 const logger = require("../utils/logger")
 
 class ContactService {
-  // Add new contact
-  async addContact(userId, name, address, notes = null) {
+  // Add new contact. The address may be given as an ENS name or Basename, which is stored alongside
+  // the address it resolves to.
+  async addContact(userId, name, addressOrName, notes = null) {
     try {
-      // Validate address
-      if (!blockchainService.isValidAddress(address)) {
-        throw new Error("Invalid Ethereum address")
+      if (!nameService.isRecipient(addressOrName)) {
+        throw new Error("Invalid Ethereum address or name")
       }
 
+      const { address, name: ensName } = await nameService.resolveRecipient(addressOrName)
+
       // Check if contact already exists
       const existingContact = await query("SELECT id FROM contacts WHERE user_id = $1 AND address = $2", [
         userId,
@@ -23,21 +26,22 @@ class ContactService {
 
       const result = await query(
         `
-        INSERT INTO contacts (user_id, name, address, notes)
-        VALUES ($1, $2, $3, $4)
-        RETURNING id, name, address, notes, created_at
+        INSERT INTO contacts (user_id, name, address, notes, ens_name, name_resolved_at)
+        VALUES ($1, $2, $3, $4, $5, CASE WHEN $5::varchar IS NULL THEN NULL ELSE NOW() END)
+        RETURNING id, name, address, notes, ens_name, created_at
       `,
-        [userId, name, address, notes],
+        [userId, name, address, notes, ensName],
       )
 
       const contact = result.rows[0]
 
-      logger.info(`Contact added for user ${userId}: ${name} (${address})`)
+      logger.info(`Contact added for user ${userId}: ${name} (${ensName ? `${ensName}, ` : ""}${address})`)
 
       return {
         id: contact.id,
         name: contact.name,
         address: contact.address,
+        ensName: contact.ens_name,
         notes: contact.notes,
         createdAt: contact.created_at,
       }
@@ -47,12 +51,12 @@ class ContactService {
     }
   }
 
-  // Get user's contacts
+  // Get user's contacts, with the current primary name of each address
   async getContacts(userId) {
     try {
       const result = await query(
         `
-        SELECT id, name, address, notes, created_at, updated_at
+        SELECT id, name, address, notes, ens_name, created_at, updated_at
         FROM contacts 
         WHERE user_id = $1
         ORDER BY name ASC
@@ -60,10 +64,14 @@ class ContactService {
         [userId],
       )
 
+      const primaryNames = await nameService.lookupAddresses(result.rows.map((contact) => contact.address))
+
       return result.rows.map((contact) => ({
         id: contact.id,
         name: contact.name,
         address: contact.address,
+        ensName: contact.ens_name,
+        primaryName: primaryNames.get(contact.address.toLowerCase()) || null,
         notes: contact.notes,
         createdAt: contact.created_at,
         updatedAt: contact.updated_at,
@@ -82,7 +90,7 @@ class ContactService {
         UPDATE contacts 
         SET name = $1, notes = $2, updated_at = NOW()
         WHERE id = $3 AND user_id = $4
-        RETURNING id, name, address, notes, updated_at
+        RETURNING id, name, address, notes, ens_name, updated_at
       `,
         [name, notes, contactId, userId],
       )
@@ -99,6 +107,7 @@ class ContactService {
         id: contact.id,
         name: contact.name,
         address: contact.address,
+        ensName: contact.ens_name,
         notes: contact.notes,
         updatedAt: contact.updated_at,
       }
@@ -129,16 +138,113 @@ class ContactService {
     }
   }
 
+  // Resolve recipients given as an address, a contact name (case-insensitive, must match exactly one
+  // contact) or an ENS name / Basename. Returns a map from each value to { address, contactName } or { error }.
+  async resolveRecipients(userId, values) {
+    try {
+      const names = [...new Set(values.filter((value) => !blockchainService.isValidAddress(value)))]
+      const contacts = new Map()
+
+      if (names.length > 0) {
+        const result = await query(
+          "SELECT name, address FROM contacts WHERE user_id = $1 AND LOWER(name) = ANY($2::text[])",
+          [userId, names.map((name) => name.toLowerCase())],
+        )
+
+        for (const contact of result.rows) {
+          const key = contact.name.toLowerCase()
+          contacts.set(key, [...(contacts.get(key) || []), contact])
+        }
+      }
+
+      const resolved = new Map()
+
+      for (const value of values) {
+        if (blockchainService.isValidAddress(value)) {
+          resolved.set(value, { address: value, contactName: null })
+          continue
+        }
+
+        const matches = contacts.get(value.toLowerCase()) || []
+
+        if (matches.length === 1) {
+          resolved.set(value, { address: matches[0].address, contactName: matches[0].name })
+        } else if (matches.length > 1) {
+          resolved.set(value, { error: `More than one contact is named "${value}"` })
+        } else if (nameService.isName(value)) {
+          const address = await nameService.resolveName(value).catch(() => null)
+          resolved.set(
+            value,
+            address ? { address, contactName: null } : { error: `${value} does not resolve to an address` },
+          )
+        } else {
+          resolved.set(value, { error: `"${value}" is not an address, a contact name or an ENS name` })
+        }
+      }
+
+      return resolved
+    } catch (error) {
+      logger.error("Error resolving recipients:", error)
+      throw new Error("Failed to resolve recipients")
+    }
+  }
+
+  // Contacts saved from an ENS name whose resolution no longer matches the address saved with them, for
+  // a send to that name or to that address. A name that no longer resolves at all counts as a change.
+  async getNameChanges(userId, recipient) {
+    try {
+      const result = await query(
+        `
+        SELECT id, name, address, ens_name
+        FROM contacts
+        WHERE user_id = $1 AND ens_name IS NOT NULL
+          AND (LOWER(ens_name) = LOWER($2) OR LOWER(address) = LOWER($3))
+      `,
+        [userId, recipient.name || "", recipient.address],
+      )
+
+      const changes = []
+
+      for (const contact of result.rows) {
+        const currentAddress =
+          recipient.name && contact.ens_name.toLowerCase() === recipient.name.toLowerCase()
+            ? recipient.address
+            : await nameService.resolveName(contact.ens_name).catch(() => undefined)
+
+        // The name could not be looked up right now, which says nothing about whether it changed
+        if (currentAddress === undefined) {
+          continue
+        }
+
+        if (currentAddress?.toLowerCase() !== contact.address.toLowerCase()) {
+          changes.push({
+            contactId: contact.id,
+            contactName: contact.name,
+            name: contact.ens_name,
+            savedAddress: contact.address,
+            currentAddress: currentAddress,
+          })
+        }
+      }
+
+      return changes
+    } catch (error) {
+      logger.error("Error checking contact name changes:", error)
+      throw new Error("Failed to check contact names")
+    }
+  }
+
   // Search contacts
   async searchContacts(userId, searchTerm) {
     try {
       const result = await query(
         `
-        SELECT id, name, address, notes, created_at
+        SELECT id, name, address, notes, ens_name, created_at
         FROM contacts 
         WHERE user_id = $1 AND (
           name ILIKE $2 OR 
           address ILIKE $2 OR 
+          ens_name ILIKE $2 OR 
           notes ILIKE $2
         )
         ORDER BY name ASC
@@ -151,6 +257,7 @@ class ContactService {
         id: contact.id,
         name: contact.name,
         address: contact.address,
+        ensName: contact.ens_name,
         notes: contact.notes,
         createdAt: contact.created_at,
       }))
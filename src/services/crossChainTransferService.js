@@ -0,0 +1,709 @@
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const assetRegistry = require("./assetRegistry")
+const walletService = require("./walletService")
+const allowanceService = require("./allowanceService")
+const nonceManager = require("./nonceManager")
+const notificationService = require("./notificationService")
+const webhookService = require("./webhookService")
+const { createAttestationClient } = require("./attestation")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+const TERMINAL_STATUSES = ["completed", "failed"]
+
+// Columns the worker may change on a transfer
+const UPDATABLE_COLUMNS = [
+  "status",
+  "burn_transaction_id",
+  "burn_transaction_hash",
+  "message",
+  "message_hash",
+  "attestation",
+  "attested_at",
+  "mint_transaction_id",
+  "mint_transaction_hash",
+  "minter_address",
+  "mint_attempts",
+  "mint_submitted_at",
+  "failure_reason",
+  "completed_at",
+]
+
+// Cross-chain USDC transfers over CCTP: the wallet burns USDC on the source chain, the attestation
+// client vouches for the burn message, and the message is submitted on the destination chain to mint.
+class CrossChainTransferService extends PollingWorker {
+  constructor() {
+    super("Cross-chain transfer worker", Number.parseInt(process.env.CCTP_POLL_INTERVAL_MS || "15000"))
+    // Platform wallet that submits mints and pays their gas; without one the user's wallet mints
+    this.minterPrivateKey =
+      process.env.CCTP_MINTER_PRIVATE_KEY || process.env.RELAYER_PRIVATE_KEY || process.env.GAS_STATION_PRIVATE_KEY
+    this.minterAddress = this.minterPrivateKey ? new ethers.Wallet(this.minterPrivateKey).address : null
+    this.attestationClient = createAttestationClient()
+    this.batchSize = Number.parseInt(process.env.CCTP_BATCH_SIZE || "20")
+    this.maxMintAttempts = Number.parseInt(process.env.CCTP_MAX_MINT_ATTEMPTS || "5")
+    this.approvalTimeoutMs = Number.parseInt(process.env.CCTP_APPROVAL_CONFIRM_TIMEOUT_MS || "120000")
+    this.mintTimeoutMinutes = Number.parseInt(process.env.CCTP_MINT_TIMEOUT_MINUTES || "30")
+    this.pendingBurnTimeoutMinutes = Number.parseInt(process.env.CCTP_PENDING_BURN_TIMEOUT_MINUTES || "10")
+    // How far back to look for the burn of a transfer whose request stopped before recording it
+    this.burnLookbackBlocks = Number.parseInt(process.env.CCTP_BURN_LOOKBACK_BLOCKS || "5000")
+  }
+
+  // Burn USDC on the source chain (the wallet's own chain unless given) for minting on the destination
+  // chain, to the wallet's own address unless another recipient is given
+  async createTransfer(
+    walletId,
+    userId,
+    { amount, destinationChainId, sourceChainId = null, recipient = null, feeTier = "standard" },
+  ) {
+    try {
+      const walletResult = await query(
+        `
+        SELECT id, address, encrypted_private_key, balance_usdc, chain_id, custody_mode, account_type
+        FROM wallets
+        WHERE id = $1 AND user_id = $2 AND status = 'active'
+      `,
+        [walletId, userId],
+      )
+
+      if (walletResult.rows.length === 0) {
+        throw new Error("Wallet not found or access denied")
+      }
+
+      const wallet = walletResult.rows[0]
+      walletService.assertServerCustody(wallet)
+      walletService.assertExternallyOwned(wallet)
+      const source = chainRegistry.forWallet(wallet.chain_id, sourceChainId)
+      const destination = chainRegistry.forWallet(wallet.chain_id, destinationChainId)
+
+      if (source === destination) {
+        throw new Error("Source and destination chains must be different")
+      }
+
+      if (!source.supportsCCTP() || !destination.supportsCCTP()) {
+        throw new Error(`Cross-chain transfers from ${source.chainName} to ${destination.chainName} are not available`)
+      }
+
+      const mintRecipient = recipient || wallet.address
+
+      if (!source.isValidAddress(mintRecipient)) {
+        throw new Error("Invalid recipient address")
+      }
+
+      // wallets.balance_usdc only covers USDC on the wallet's own chain
+      const usdc = await assetRegistry.getDefaultAsset(source.chainId)
+      const balance =
+        source.chainId === wallet.chain_id
+          ? Number.parseFloat(wallet.balance_usdc || "0")
+          : await walletService.getCachedBalance(walletId, usdc.id)
+
+      if (balance < Number.parseFloat(amount)) {
+        throw new Error("Insufficient USDC balance")
+      }
+
+      const encryptedPrivateKey = JSON.parse(wallet.encrypted_private_key)
+
+      // The TokenMessenger pulls the USDC it burns
+      await allowanceService.ensureAllowance(
+        wallet,
+        source,
+        source.cctp.tokenMessengerAddress,
+        await source.parseUSDC(amount),
+        {
+          label: "CCTP TokenMessenger",
+          feeTier,
+          timeoutMs: this.approvalTimeoutMs,
+        },
+      )
+
+      // Recorded before the burn goes out, so a burn is never left without a transfer to mint it
+      const pending = await query(
+        `
+        INSERT INTO cross_chain_transfers (
+          wallet_id, source_chain_id, destination_chain_id, source_domain, destination_domain, amount,
+          recipient_address, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending_burn')
+        RETURNING id
+      `,
+        [
+          walletId,
+          source.chainId,
+          destination.chainId,
+          source.cctp.domain,
+          destination.cctp.domain,
+          amount,
+          ethers.getAddress(mintRecipient),
+        ],
+      )
+      const transferId = pending.rows[0].id
+
+      let burn
+      try {
+        burn = await nonceManager.sendWithNonce(
+          walletId,
+          wallet.address,
+          (nonce) =>
+            source.burnUSDC(encryptedPrivateKey, amount, destination.cctp.domain, ethers.getAddress(mintRecipient), {
+              nonce,
+              feeTier,
+            }),
+          source.chainId,
+        )
+      } catch (error) {
+        await query("UPDATE cross_chain_transfers SET status = 'failed', failure_reason = $1 WHERE id = $2", [
+          error.message,
+          transferId,
+        ])
+        throw error
+      }
+
+      await query("UPDATE cross_chain_transfers SET status = 'burning', burn_transaction_hash = $1 WHERE id = $2", [
+        burn.transactionHash,
+        transferId,
+      ])
+
+      const burnTransaction = await walletService.recordSend(walletId, wallet.address, burn, {
+        memo: `Cross-chain transfer to ${destination.chainName}`,
+        assetId: usdc.id,
+        chainId: source.chainId,
+        sendMode: "cctp_burn",
+      })
+
+      const result = await query(
+        "UPDATE cross_chain_transfers SET burn_transaction_id = $1 WHERE id = $2 RETURNING *",
+        [burnTransaction.id, transferId],
+      )
+
+      logger.info(
+        `Cross-chain transfer started from wallet ${walletId}: ${amount} USDC from chain ${source.chainId} to chain ${destination.chainId}`,
+      )
+
+      return this.formatTransfer(result.rows[0])
+    } catch (error) {
+      logger.error("Error creating cross-chain transfer:", error)
+      throw error
+    }
+  }
+
+  // Advance transfers that have not finished yet, least recently checked first
+  async run() {
+    const summary = { checked: 0, completed: 0, failed: 0 }
+    // Each transfer is advanced at most once per run
+    const attempted = []
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const status = await this.advanceNext(attempted)
+
+      if (!status) {
+        break
+      }
+
+      summary.checked++
+      if (status === "completed") summary.completed++
+      if (status === "failed") summary.failed++
+    }
+
+    return summary
+  }
+
+  // Claim one unfinished transfer (skipping rows another instance holds) and move it forward
+  async advanceNext(attempted) {
+    const client = await pool.connect()
+    let transfer
+    let advanced
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(
+        `
+        SELECT x.*, t.status AS burn_status, t.failure_reason AS burn_failure_reason,
+               w.user_id, w.api_client_id, w.address AS wallet_address, w.encrypted_private_key
+        FROM cross_chain_transfers x
+        JOIN wallets w ON x.wallet_id = w.id
+        LEFT JOIN transactions t ON x.burn_transaction_id = t.id
+        WHERE x.status NOT IN ('completed', 'failed') AND NOT (x.id = ANY($1::uuid[]))
+        ORDER BY x.last_checked_at ASC NULLS FIRST
+        LIMIT 1
+        FOR UPDATE OF x SKIP LOCKED
+      `,
+        [attempted],
+      )
+
+      if (result.rows.length === 0) {
+        await client.query("COMMIT")
+        return null
+      }
+
+      transfer = result.rows[0]
+      attempted.push(transfer.id)
+
+      try {
+        advanced = await this.advance(client, transfer)
+      } catch (error) {
+        // Chain or attestation service hiccups are retried on the next run
+        logger.error(`Error advancing cross-chain transfer ${transfer.id}:`, error)
+        advanced = transfer
+      }
+
+      await client.query("UPDATE cross_chain_transfers SET last_checked_at = NOW() WHERE id = $1", [transfer.id])
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      throw error
+    } finally {
+      client.release()
+    }
+
+    if (advanced.status !== transfer.status && TERMINAL_STATUSES.includes(advanced.status)) {
+      await this.announce(advanced)
+    }
+
+    return advanced.status
+  }
+
+  // Take as many steps as are ready now. A submitted mint is left for a later run to check.
+  async advance(client, transfer) {
+    let current = transfer
+    let previousStatus
+
+    do {
+      previousStatus = current.status
+      current = await this.step(client, current)
+    } while (
+      current.status !== previousStatus &&
+      !TERMINAL_STATUSES.includes(current.status) &&
+      current.status !== "minting"
+    )
+
+    return current
+  }
+
+  async step(client, transfer) {
+    switch (transfer.status) {
+      case "pending_burn":
+        return this.checkPendingBurn(client, transfer)
+      case "burning":
+        return this.checkBurn(client, transfer)
+      case "awaiting_attestation":
+        return this.checkAttestation(client, transfer)
+      case "attested":
+        return this.submitMint(client, transfer)
+      case "minting":
+        return this.checkMint(client, transfer)
+      default:
+        return transfer
+    }
+  }
+
+  // A transfer still waiting for its burn's hash long after it was created belongs to a request that
+  // stopped mid-broadcast. The burn may have gone out anyway: one found on the chain carries the transfer
+  // on, one still in the mempool is waited for, and only a transfer with no burn anywhere is failed.
+  async checkPendingBurn(client, transfer) {
+    if (Date.now() - new Date(transfer.created_at).getTime() < this.pendingBurnTimeoutMinutes * 60 * 1000) {
+      return transfer
+    }
+
+    const source = chainRegistry.forChain(transfer.source_chain_id)
+    const claimed = await client.query(
+      "SELECT burn_transaction_hash FROM cross_chain_transfers WHERE wallet_id = $1 AND burn_transaction_hash IS NOT NULL",
+      [transfer.wallet_id],
+    )
+    const burn = await source.findBurn(transfer.wallet_address, {
+      amount: transfer.amount,
+      destinationDomain: transfer.destination_domain,
+      mintRecipient: transfer.recipient_address,
+      lookbackBlocks: this.burnLookbackBlocks,
+      exclude: claimed.rows.map((row) => row.burn_transaction_hash),
+    })
+
+    if (burn) {
+      return this.recoverBurn(client, transfer, source, burn)
+    }
+
+    // Something from the wallet is still in the mempool, which may be this burn
+    const nonces = await source.getNonces(transfer.wallet_address)
+    if (nonces.pending > nonces.latest) {
+      return transfer
+    }
+
+    return this.fail(
+      client,
+      transfer,
+      "Burn was interrupted before it was recorded and no burn was found on the chain; check the wallet's transactions before retrying",
+    )
+  }
+
+  // Record a burn that went out without being recorded and move its transfer on to attestation
+  async recoverBurn(client, transfer, source, burn) {
+    const existing = await query(
+      "SELECT id FROM transactions WHERE transaction_hash = $1 AND chain_id = $2 AND transaction_type = 'send'",
+      [burn.transactionHash, source.chainId],
+    )
+    let burnTransactionId = existing.rows[0]?.id
+    if (!burnTransactionId) {
+      const usdc = await assetRegistry.getDefaultAsset(source.chainId)
+      const destination = chainRegistry.forChain(transfer.destination_chain_id)
+      const recorded = await walletService.recordSend(transfer.wallet_id, transfer.wallet_address, burn, {
+        memo: `Cross-chain transfer to ${destination.chainName}`,
+        assetId: usdc.id,
+        chainId: source.chainId,
+        sendMode: "cctp_burn",
+      })
+      burnTransactionId = recorded.id
+    }
+
+    const burnMessage = await source.getBurnMessage(burn.transactionHash)
+
+    logger.warn(`Cross-chain transfer ${transfer.id} recovered its unrecorded burn ${burn.transactionHash}`)
+
+    return this.update(client, transfer, {
+      status: "awaiting_attestation",
+      burn_transaction_id: burnTransactionId,
+      burn_transaction_hash: burn.transactionHash,
+      message: burnMessage.message,
+      message_hash: burnMessage.messageHash,
+      failure_reason: null,
+    })
+  }
+
+  // The confirmation tracker finalizes the burn transaction; once it is confirmed read its message
+  async checkBurn(client, transfer) {
+    if (transfer.burn_status === "failed" || transfer.burn_status === "replaced") {
+      return this.fail(client, transfer, transfer.burn_failure_reason || "Burn transaction failed")
+    }
+
+    if (transfer.burn_status !== "confirmed") {
+      return transfer
+    }
+
+    const source = chainRegistry.forChain(transfer.source_chain_id)
+    let burnMessage
+    try {
+      burnMessage = await source.getBurnMessage(transfer.burn_transaction_hash)
+    } catch (error) {
+      // A confirmed burn without a message never gets one, so there is nothing to retry
+      if (error.code === "NO_CCTP_MESSAGE") {
+        return this.fail(client, transfer, error.message)
+      }
+      throw error
+    }
+
+    if (!burnMessage) {
+      return transfer
+    }
+
+    return this.update(client, transfer, {
+      status: "awaiting_attestation",
+      message: burnMessage.message,
+      message_hash: burnMessage.messageHash,
+    })
+  }
+
+  async checkAttestation(client, transfer) {
+    const source = chainRegistry.forChain(transfer.source_chain_id)
+    const result = await this.attestationClient.getAttestation({
+      messageHash: transfer.message_hash,
+      message: transfer.message,
+      testnet: source.testnet,
+    })
+
+    if (result.status !== "complete") {
+      return transfer
+    }
+
+    return this.update(client, transfer, {
+      status: "attested",
+      attestation: result.attestation,
+      attested_at: new Date(),
+    })
+  }
+
+  async submitMint(client, transfer) {
+    const destination = chainRegistry.forChain(transfer.destination_chain_id)
+
+    // Anyone can submit an attested message, so it may already have been minted
+    if (await destination.isMessageReceived(transfer.message)) {
+      return this.complete(client, transfer, null)
+    }
+
+    const minter = await this.getMinter(destination, transfer)
+
+    try {
+      const mint = await nonceManager.sendWithNonce(
+        minter.walletId,
+        minter.address,
+        (nonce) => destination.receiveMessage(minter.signer, transfer.message, transfer.attestation, { nonce }),
+        destination.chainId,
+      )
+
+      return this.update(client, transfer, {
+        status: "minting",
+        mint_transaction_hash: mint.transactionHash,
+        minter_address: mint.from,
+        mint_attempts: (transfer.mint_attempts || 0) + 1,
+        mint_submitted_at: new Date(),
+        failure_reason: null,
+      })
+    } catch (error) {
+      return this.retryMint(client, { ...transfer, mint_attempts: (transfer.mint_attempts || 0) + 1 }, error.message)
+    }
+  }
+
+  async checkMint(client, transfer) {
+    const destination = chainRegistry.forChain(transfer.destination_chain_id)
+    const receipt = await destination.getMintReceipt(transfer.mint_transaction_hash, transfer.recipient_address)
+
+    if (!receipt) {
+      const pendingMs = Date.now() - new Date(transfer.mint_submitted_at).getTime()
+
+      if (pendingMs > this.mintTimeoutMinutes * 60 * 1000) {
+        await nonceManager.releaseNonce(transfer.mint_transaction_hash)
+        return this.retryMint(client, transfer, "Mint transaction was dropped before being mined")
+      }
+
+      return transfer
+    }
+
+    await nonceManager.markNonceUsed(transfer.mint_transaction_hash, null, null, destination.chainId)
+
+    if (receipt.status === "failed") {
+      if (await destination.isMessageReceived(transfer.message)) {
+        return this.complete(client, transfer, null)
+      }
+
+      return this.retryMint(client, transfer, "Mint transaction reverted")
+    }
+
+    return this.complete(client, transfer, receipt)
+  }
+
+  // Go back to the attested state for another mint, unless the attempts are used up
+  async retryMint(client, transfer, reason) {
+    if ((transfer.mint_attempts || 0) >= this.maxMintAttempts) {
+      return this.fail(client, transfer, reason)
+    }
+
+    logger.warn(`Mint attempt ${transfer.mint_attempts} failed for cross-chain transfer ${transfer.id}: ${reason}`)
+
+    return this.update(client, transfer, {
+      status: "attested",
+      mint_attempts: transfer.mint_attempts,
+      failure_reason: reason,
+    })
+  }
+
+  async complete(client, transfer, receipt) {
+    let mintTransactionId = null
+
+    if (
+      receipt &&
+      receipt.logIndex !== null &&
+      transfer.recipient_address === ethers.getAddress(transfer.wallet_address)
+    ) {
+      mintTransactionId = await this.recordMint(client, transfer, receipt)
+    }
+
+    logger.info(`Cross-chain transfer ${transfer.id} completed on chain ${transfer.destination_chain_id}`)
+
+    return this.update(client, transfer, {
+      status: "completed",
+      mint_transaction_id: mintTransactionId,
+      failure_reason: null,
+      completed_at: new Date(),
+    })
+  }
+
+  // Record the mint as a receive on the wallet, linked to the transfer. The indexer may have recorded
+  // the same USDC Transfer log already, in which case that row is linked instead.
+  async recordMint(client, transfer, receipt) {
+    const destination = chainRegistry.forChain(transfer.destination_chain_id)
+    const source = chainRegistry.forChain(transfer.source_chain_id)
+    const usdc = await assetRegistry.getDefaultAsset(destination.chainId)
+
+    const result = await client.query(
+      `
+      INSERT INTO transactions (
+        wallet_id, transaction_hash, block_number, block_hash, transaction_index, log_index,
+        from_address, to_address, amount, transaction_type, status, confirmations, confirmed_at,
+        memo, asset_id, chain_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'receive', 'confirmed', 1, NOW(), $10, $11, $12)
+      ON CONFLICT (wallet_id, chain_id, transaction_hash, log_index) WHERE transaction_type = 'receive'
+      DO UPDATE SET memo = COALESCE(transactions.memo, EXCLUDED.memo)
+      RETURNING id
+    `,
+      [
+        transfer.wallet_id,
+        transfer.mint_transaction_hash,
+        receipt.blockNumber,
+        receipt.blockHash,
+        receipt.transactionIndex,
+        receipt.logIndex,
+        ethers.ZeroAddress,
+        transfer.recipient_address,
+        transfer.amount,
+        `Cross-chain transfer from ${source.chainName}`,
+        usdc.id,
+        destination.chainId,
+      ],
+    )
+
+    return result.rows[0].id
+  }
+
+  async fail(client, transfer, reason) {
+    logger.warn(`Cross-chain transfer ${transfer.id} failed: ${reason}`)
+
+    return this.update(client, transfer, { status: "failed", failure_reason: reason })
+  }
+
+  // Write changed columns and return the transfer with them applied
+  async update(client, transfer, changes) {
+    const columns = Object.keys(changes).filter((column) => UPDATABLE_COLUMNS.includes(column))
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`)
+
+    await client.query(`UPDATE cross_chain_transfers SET ${assignments.join(", ")} WHERE id = $1`, [
+      transfer.id,
+      ...columns.map((column) => changes[column]),
+    ])
+
+    return { ...transfer, ...changes }
+  }
+
+  // The platform minter when configured, otherwise the wallet itself (which then needs gas on the destination)
+  async getMinter(destination, transfer) {
+    if (this.minterPrivateKey) {
+      return { walletId: null, address: this.minterAddress, signer: new ethers.Wallet(this.minterPrivateKey) }
+    }
+
+    return {
+      walletId: transfer.wallet_id,
+      address: transfer.wallet_address,
+      signer: await destination.getSigner(JSON.parse(transfer.encrypted_private_key)),
+    }
+  }
+
+  // Tell the user and the API client how a transfer ended
+  async announce(transfer) {
+    const destination = chainRegistry.forChain(transfer.destination_chain_id)
+
+    try {
+      if (transfer.status === "completed") {
+        await notificationService.notifyCrossChainTransferCompleted(
+          transfer.user_id,
+          transfer.id,
+          transfer.amount,
+          destination.chainName,
+        )
+      } else {
+        await notificationService.notifyCrossChainTransferFailed(
+          transfer.user_id,
+          transfer.id,
+          transfer.amount,
+          transfer.failure_reason,
+        )
+      }
+    } catch (error) {
+      logger.error(`Failed to notify cross-chain transfer ${transfer.id}:`, error)
+    }
+
+    if (transfer.api_client_id) {
+      await webhookService.sendWebhook(transfer.api_client_id, `cross_chain_transfer.${transfer.status}`, {
+        transfer_id: transfer.id,
+        wallet_id: transfer.wallet_id,
+        amount: transfer.amount,
+        source_chain_id: transfer.source_chain_id,
+        destination_chain_id: transfer.destination_chain_id,
+        recipient_address: transfer.recipient_address,
+        burn_hash: transfer.burn_transaction_hash,
+        mint_hash: transfer.mint_transaction_hash,
+        reason: transfer.failure_reason,
+        status: transfer.status,
+      })
+    }
+
+    if (transfer.status === "completed") {
+      try {
+        await walletService.updateWalletBalance(transfer.wallet_id)
+      } catch (error) {
+        logger.error(`Failed to refresh balance for wallet ${transfer.wallet_id}:`, error)
+      }
+    }
+  }
+
+  // Get a transfer owned by the user
+  async getTransfer(walletId, userId, transferId) {
+    try {
+      const result = await query(
+        `
+        SELECT x.*
+        FROM cross_chain_transfers x
+        JOIN wallets w ON x.wallet_id = w.id
+        WHERE x.id = $1 AND x.wallet_id = $2 AND w.user_id = $3
+      `,
+        [transferId, walletId, userId],
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error("Transfer not found or access denied")
+      }
+
+      return this.formatTransfer(result.rows[0])
+    } catch (error) {
+      logger.error(`Error getting cross-chain transfer ${transferId}:`, error)
+      throw error
+    }
+  }
+
+  // List a wallet's transfers, newest first
+  async listTransfers(walletId, userId, limit = 50, offset = 0) {
+    try {
+      const walletResult = await query("SELECT id FROM wallets WHERE id = $1 AND user_id = $2", [walletId, userId])
+
+      if (walletResult.rows.length === 0) {
+        throw new Error("Wallet not found or access denied")
+      }
+
+      const result = await query(
+        `
+        SELECT * FROM cross_chain_transfers
+        WHERE wallet_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2 OFFSET $3
+      `,
+        [walletId, limit, offset],
+      )
+
+      return result.rows.map((row) => this.formatTransfer(row))
+    } catch (error) {
+      logger.error(`Error listing cross-chain transfers for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  formatTransfer(row) {
+    return {
+      id: row.id,
+      walletId: row.wallet_id,
+      amount: row.amount,
+      asset: "USDC",
+      sourceChainId: row.source_chain_id,
+      destinationChainId: row.destination_chain_id,
+      recipient: row.recipient_address,
+      status: row.status,
+      burnTransactionId: row.burn_transaction_id,
+      burnTransactionHash: row.burn_transaction_hash,
+      messageHash: row.message_hash,
+      mintTransactionId: row.mint_transaction_id,
+      mintTransactionHash: row.mint_transaction_hash,
+      mintAttempts: row.mint_attempts,
+      failureReason: row.failure_reason,
+      createdAt: row.created_at,
+      attestedAt: row.attested_at,
+      completedAt: row.completed_at,
+    }
+  }
+}
+
+module.exports = new CrossChainTransferService()
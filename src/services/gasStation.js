@@ -0,0 +1,339 @@
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const nonceManager = require("./nonceManager")
+const logger = require("../utils/logger")
+
+class GasStation {
+  constructor() {
+    // Platform-owned wallet that funds sponsored sends and receives recovered fees
+    this.privateKey = process.env.GAS_STATION_PRIVATE_KEY
+    this.address = this.privateKey ? new ethers.Wallet(this.privateKey).address : null
+    this.defaultMonthlyBudget = process.env.GAS_SPONSORSHIP_MONTHLY_BUDGET_ETH || "0.05"
+    this.defaultMaxTopUp = process.env.GAS_SPONSORSHIP_MAX_TOP_UP_ETH || "0.0005"
+    this.bufferPercent = BigInt(Number.parseInt(process.env.GAS_SPONSORSHIP_BUFFER_PERCENT || "20"))
+    this.confirmTimeoutMs = Number.parseInt(process.env.GAS_SPONSORSHIP_CONFIRM_TIMEOUT_MS || "120000")
+  }
+
+  // Sponsorship settings for the white label client that owns a wallet (null when not enabled)
+  async getPolicy(walletId) {
+    const result = await query(
+      `
+      SELECT wlc.id, wlc.features_config, b.monthly_budget_eth, b.max_top_up_eth
+      FROM wallets w
+      JOIN white_label_clients wlc ON w.white_label_client_id = wlc.id AND wlc.is_active = true
+      LEFT JOIN gas_sponsorship_budgets b ON b.white_label_client_id = wlc.id
+      WHERE w.id = $1
+    `,
+      [walletId],
+    )
+
+    if (!this.address || result.rows.length === 0) {
+      return null
+    }
+
+    const client = result.rows[0]
+    const sponsorship = client.features_config?.gasSponsorship
+
+    if (!sponsorship?.enabled) {
+      return null
+    }
+
+    return {
+      clientId: client.id,
+      recoverFee: Boolean(sponsorship.recoverFee),
+      monthlyBudgetWei: ethers.parseEther(String(client.monthly_budget_eth ?? this.defaultMonthlyBudget)),
+      maxTopUpWei: ethers.parseEther(String(client.max_top_up_eth ?? this.defaultMaxTopUp)),
+    }
+  }
+
+  // Work out whether a send on a chain needs a top-up. Returns null when the wallet already has enough
+  // ETH there and throws when it does not and cannot be sponsored.
+  async planTopUp(walletId, address, gasEstimate, chain = chainRegistry.forChain()) {
+    const policy = await this.getPolicy(walletId)
+
+    // Recovering the fee takes a second transfer from the wallet
+    const transfers = policy?.recoverFee ? 2n : 1n
+    const requiredWei = BigInt(gasEstimate.maxCostWei) * transfers
+    const balanceWei = BigInt((await chain.getETHBalance(address)).balanceWei)
+
+    if (balanceWei >= requiredWei) {
+      return null
+    }
+
+    if (!policy) {
+      throw new Error("Insufficient ETH balance for gas fees")
+    }
+
+    const topUpWei = ((requiredWei - balanceWei) * (100n + this.bufferPercent)) / 100n
+
+    if (topUpWei > policy.maxTopUpWei) {
+      throw new Error("Network fees exceed the gas sponsorship limit for a single transaction")
+    }
+
+    let feeUSDC = null
+    if (policy.recoverFee) {
+      feeUSDC = chain.ethToUSDC(topUpWei, gasEstimate.ethUsdPrice)
+
+      if (feeUSDC === null) {
+        throw new Error("Gas sponsorship is unavailable: ETH price could not be determined")
+      }
+    }
+
+    return {
+      chain,
+      clientId: policy.clientId,
+      monthlyBudgetWei: policy.monthlyBudgetWei,
+      topUpWei,
+      ethUsdPrice: gasEstimate.ethUsdPrice,
+      feeUSDC,
+    }
+  }
+
+  // Reserve budget for a planned top-up, send it from the gas station and wait until it is mined
+  async fund(plan, walletId, address) {
+    const sponsorshipId = await this.reserveBudget(plan, walletId)
+
+    let topUp
+    try {
+      topUp = await nonceManager.sendWithNonce(
+        null,
+        this.address,
+        (nonce) => this.sendTopUp(plan.chain, address, plan.topUpWei, nonce),
+        plan.chain.chainId,
+      )
+    } catch (error) {
+      await query("UPDATE sponsored_gas SET status = 'failed', failure_reason = $1 WHERE id = $2", [
+        error.message,
+        sponsorshipId,
+      ])
+      throw new Error(`Failed to fund gas for transaction: ${error.message}`)
+    }
+
+    await query("UPDATE sponsored_gas SET top_up_transaction_hash = $1 WHERE id = $2", [
+      topUp.transactionHash,
+      sponsorshipId,
+    ])
+
+    // The send is rejected unless the top-up is already part of the wallet's balance. A top-up that
+    // times out stays pending (and counted against the budget) since it may still be mined.
+    let receipt
+    try {
+      receipt = await plan.chain.provider.waitForTransaction(topUp.transactionHash, 1, this.confirmTimeoutMs)
+    } catch (error) {
+      logger.error(`Gas top-up ${topUp.transactionHash} not mined in time:`, error)
+      throw new Error("Gas top-up did not confirm in time, please retry shortly")
+    }
+
+    if (!receipt || receipt.status !== 1) {
+      await query("UPDATE sponsored_gas SET status = 'failed', failure_reason = $1 WHERE id = $2", [
+        "Top-up transaction reverted",
+        sponsorshipId,
+      ])
+      throw new Error("Gas top-up transaction failed")
+    }
+
+    await nonceManager.markNonceUsed(topUp.transactionHash, null, null, plan.chain.chainId)
+    await query("UPDATE sponsored_gas SET status = 'funded', top_up_fee_eth = $1 WHERE id = $2", [
+      ethers.formatEther(receipt.fee),
+      sponsorshipId,
+    ])
+
+    logger.info(
+      `Sponsored ${ethers.formatEther(plan.topUpWei)} ETH of gas for ${address} on chain ${plan.chain.chainId}: ${topUp.transactionHash}`,
+    )
+
+    return {
+      id: sponsorshipId,
+      topUp: ethers.formatEther(plan.topUpWei),
+      topUpTransactionHash: topUp.transactionHash,
+      feeUSDC: plan.feeUSDC,
+    }
+  }
+
+  // Check the client's monthly budget and record the top-up, serialized per client
+  async reserveBudget(plan, walletId) {
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`gas:${plan.clientId}`])
+
+      const spent = await this.getMonthlySpendWei(plan.clientId, client)
+
+      if (spent + plan.topUpWei > plan.monthlyBudgetWei) {
+        throw new Error("Gas sponsorship budget for this month has been used up")
+      }
+
+      const result = await client.query(
+        `
+        INSERT INTO sponsored_gas (white_label_client_id, wallet_id, chain_id, top_up_amount_eth, eth_usd_price, fee_usdc)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `,
+        [
+          plan.clientId,
+          walletId,
+          plan.chain.chainId,
+          ethers.formatEther(plan.topUpWei),
+          plan.ethUsdPrice,
+          plan.feeUSDC,
+        ],
+      )
+
+      await client.query("COMMIT")
+      return result.rows[0].id
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Transfer ETH from the gas station wallet, which has the same address on every chain
+  async sendTopUp(chain, toAddress, amountWei, nonce) {
+    const wallet = new ethers.Wallet(this.privateKey, chain.provider)
+    const fees = chain.getTier(await chain.getFeeTiers(), "fast")
+
+    const tx = await wallet.sendTransaction({
+      to: toAddress,
+      value: amountWei,
+      type: 2,
+      gasLimit: 21000n,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      nonce: nonce,
+    })
+
+    return { transactionHash: tx.hash }
+  }
+
+  // ETH sent by the gas station for a client this month, including the top-ups' own gas
+  async getMonthlySpendWei(clientId, db = { query }) {
+    const result = await db.query(
+      `
+      SELECT COALESCE(SUM(top_up_amount_eth + COALESCE(top_up_fee_eth, 0)), 0) AS spent
+      FROM sponsored_gas
+      WHERE white_label_client_id = $1 AND status <> 'failed' AND created_at >= date_trunc('month', NOW())
+    `,
+      [clientId],
+    )
+
+    return ethers.parseEther(String(result.rows[0].spent))
+  }
+
+  // Link a top-up to the send it paid for
+  async attachTransaction(sponsorshipId, transactionId) {
+    await query("UPDATE sponsored_gas SET transaction_id = $1 WHERE id = $2", [transactionId, sponsorshipId])
+  }
+
+  // Record the outcome of the USDC fee transfer back to the gas station
+  async recordFee(sponsorshipId, { transactionId = null, error = null }) {
+    await query(
+      "UPDATE sponsored_gas SET fee_transaction_id = $1, fee_status = $2, failure_reason = COALESCE($3, failure_reason) WHERE id = $4",
+      [transactionId, error ? "failed" : "sent", error?.message ?? null, sponsorshipId],
+    )
+  }
+
+  // Budget, usage and recent top-ups for a white label client
+  async getUsage(clientId, limit = 50) {
+    try {
+      const clientResult = await query(
+        `
+        SELECT wlc.features_config, b.monthly_budget_eth, b.max_top_up_eth
+        FROM white_label_clients wlc
+        LEFT JOIN gas_sponsorship_budgets b ON b.white_label_client_id = wlc.id
+        WHERE wlc.id = $1
+      `,
+        [clientId],
+      )
+
+      if (clientResult.rows.length === 0) {
+        throw new Error("Client not found")
+      }
+
+      const settings = clientResult.rows[0]
+      const spentWei = await this.getMonthlySpendWei(clientId)
+      const monthlyBudget = settings.monthly_budget_eth ?? this.defaultMonthlyBudget
+
+      const totals = await query(
+        `
+        SELECT COUNT(*) AS sponsored_count,
+               COALESCE(SUM(fee_usdc) FILTER (WHERE fee_status = 'sent'), 0) AS recovered_usdc
+        FROM sponsored_gas
+        WHERE white_label_client_id = $1 AND status <> 'failed' AND created_at >= date_trunc('month', NOW())
+      `,
+        [clientId],
+      )
+
+      const history = await query(
+        `
+        SELECT id, wallet_id, chain_id, transaction_id, top_up_transaction_hash, top_up_amount_eth, top_up_fee_eth,
+               status, fee_usdc, fee_status, failure_reason, created_at
+        FROM sponsored_gas
+        WHERE white_label_client_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `,
+        [clientId, limit],
+      )
+
+      return {
+        enabled: Boolean(settings.features_config?.gasSponsorship?.enabled),
+        recoverFee: Boolean(settings.features_config?.gasSponsorship?.recoverFee),
+        monthlyBudgetEth: String(monthlyBudget),
+        maxTopUpEth: String(settings.max_top_up_eth ?? this.defaultMaxTopUp),
+        spentThisMonthEth: ethers.formatEther(spentWei),
+        remainingThisMonthEth: ethers.formatEther(
+          ethers.parseEther(String(monthlyBudget)) > spentWei
+            ? ethers.parseEther(String(monthlyBudget)) - spentWei
+            : 0n,
+        ),
+        sponsoredThisMonth: Number.parseInt(totals.rows[0].sponsored_count),
+        recoveredThisMonthUSDC: totals.rows[0].recovered_usdc,
+        topUps: history.rows.map((row) => ({
+          id: row.id,
+          walletId: row.wallet_id,
+          chainId: row.chain_id,
+          transactionId: row.transaction_id,
+          topUpTransactionHash: row.top_up_transaction_hash,
+          topUpAmountEth: row.top_up_amount_eth,
+          topUpFeeEth: row.top_up_fee_eth,
+          status: row.status,
+          feeUSDC: row.fee_usdc,
+          feeStatus: row.fee_status,
+          failureReason: row.failure_reason,
+          createdAt: row.created_at,
+        })),
+      }
+    } catch (error) {
+      logger.error(`Error getting gas sponsorship usage for client ${clientId}:`, error)
+      throw error
+    }
+  }
+
+  // Set the platform-controlled budget for a white label client
+  async setBudget(clientId, { monthlyBudgetEth, maxTopUpEth }) {
+    try {
+      await query(
+        `
+        INSERT INTO gas_sponsorship_budgets (white_label_client_id, monthly_budget_eth, max_top_up_eth)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (white_label_client_id) DO UPDATE
+        SET monthly_budget_eth = EXCLUDED.monthly_budget_eth, max_top_up_eth = EXCLUDED.max_top_up_eth
+      `,
+        [clientId, monthlyBudgetEth, maxTopUpEth],
+      )
+
+      logger.info(`Gas sponsorship budget set for client ${clientId}: ${monthlyBudgetEth} ETH/month`)
+
+      return await this.getUsage(clientId)
+    } catch (error) {
+      logger.error(`Error setting gas sponsorship budget for client ${clientId}:`, error)
+      throw error
+    }
+  }
+}
+
+module.exports = new GasStation()
@@ -0,0 +1,115 @@
+const { query } = require("../config/database")
+const keyring = require("./keyring")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+// Re-encrypts locally held private keys, HD seeds and social recovery shares under the keyring's active
+// master key, in batches. Each run walks the ciphertexts still under another master key (legacy ones
+// included), so an interrupted rotation simply picks up where it left off on the next run; an old key can
+// be removed from the keyring once nothing uses it. Keys held by a KMS or HSM signer provider are rotated by the key manager, not here.
+class KeyRotationService extends PollingWorker {
+  constructor() {
+    super("Key rotation", Number.parseInt(process.env.KEY_ROTATION_POLL_INTERVAL_MS || "300000"))
+    this.batchSize = Number.parseInt(process.env.KEY_ROTATION_BATCH_SIZE || "100")
+  }
+
+  // Rotate every wallet key, HD seed, recovery share and pending owner-rotation key not yet under the active
+  // master key
+  async run() {
+    if (!keyring.activeKeyId) {
+      return { rotated: 0, failed: 0 }
+    }
+
+    const summary = { rotated: 0, failed: 0 }
+
+    await this.rotateTable("wallets", "encrypted_private_key", "signer_provider = 'local'", summary)
+    await this.rotateTable("wallet_seeds", "encrypted_mnemonic", "TRUE", summary)
+    await this.rotateTable("social_recovery_shares", "encrypted_share", "TRUE", summary)
+    await this.rotateTable("social_recovery_approvals", "encrypted_share", "TRUE", summary)
+
+    // Owner rotations in flight hold the new owner's key until the operation is included
+    const pendingResult = await query(`
+      SELECT id, new_owner_encrypted_key FROM user_operations
+      WHERE status = 'submitted' AND new_owner_encrypted_key IS NOT NULL
+    `)
+
+    for (const operation of pendingResult.rows) {
+      const storedKey = JSON.parse(operation.new_owner_encrypted_key)
+
+      if (!storedKey.scheme && keyring.needsRotation(storedKey)) {
+        const rotated = await this.rotate(
+          "user_operations",
+          "new_owner_encrypted_key",
+          operation.id,
+          operation.new_owner_encrypted_key,
+        )
+        summary[rotated ? "rotated" : "failed"]++
+      }
+    }
+
+    if (summary.rotated > 0 || summary.failed > 0) {
+      logger.info(
+        `Key rotation to ${keyring.activeKeyId}: ${summary.rotated} key(s) re-encrypted, ${summary.failed} failed`,
+      )
+    }
+
+    return summary
+  }
+
+  // Walk a table's ciphertexts under other master keys in id order, a batch at a time
+  async rotateTable(table, column, condition, summary) {
+    let afterId = null
+
+    for (;;) {
+      const result = await query(
+        `
+        SELECT id, ${column} AS stored FROM ${table}
+        WHERE ${column} IS NOT NULL
+          AND ${condition}
+          AND encryption_key_id IS DISTINCT FROM $1
+          AND ($2::uuid IS NULL OR id > $2)
+        ORDER BY id
+        LIMIT $3
+      `,
+        [keyring.activeKeyId, afterId, this.batchSize],
+      )
+
+      for (const row of result.rows) {
+        const rotated = await this.rotate(table, column, row.id, row.stored)
+        summary[rotated ? "rotated" : "failed"]++
+      }
+
+      if (result.rows.length < this.batchSize) {
+        return
+      }
+
+      afterId = result.rows[result.rows.length - 1].id
+    }
+  }
+
+  // Re-encrypt one stored key. The update only applies if the row still holds the ciphertext that was read,
+  // so a key replaced in the meantime is left for the next run.
+  async rotate(table, column, id, stored) {
+    try {
+      const privateKey = keyring.decrypt(JSON.parse(stored))
+      const encrypted = keyring.encrypt(privateKey)
+
+      if (keyring.decrypt(encrypted) !== privateKey) {
+        throw new Error("Re-encrypted key does not decrypt to the original")
+      }
+
+      await query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2 AND ${column} = $3`, [
+        JSON.stringify(encrypted),
+        id,
+        stored,
+      ])
+
+      return true
+    } catch (error) {
+      logger.error(`Error rotating encryption key for ${table} ${id}:`, error.message)
+      return false
+    }
+  }
+}
+
+module.exports = new KeyRotationService()
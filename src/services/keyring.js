@@ -0,0 +1,152 @@
+const crypto = require("crypto")
+const logger = require("../utils/logger")
+
+const ALGORITHM = "aes-256-gcm"
+const KEY_BYTES = 32
+const IV_BYTES = 12
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/
+// Key id for the key derived from WALLET_ENCRYPTION_KEY when no keyring is configured
+const DERIVED_KEY_ID = "derived"
+
+// Master keys that encrypt wallet private keys. Every ciphertext carries the id of the key that encrypted
+// it, so several keys can be active at once: new ciphertexts use the active key, and the key rotation
+// job re-encrypts the rest until the old keys can be retired. WALLET_ENCRYPTION_KEYS lists them as
+// comma-separated id:hex pairs.
+class Keyring {
+  constructor() {
+    this.keys = new Map()
+    this.legacyPassphrase = process.env.WALLET_ENCRYPTION_KEY || null
+
+    for (const entry of (process.env.WALLET_ENCRYPTION_KEYS || "").split(",")) {
+      if (entry.trim()) {
+        this.addKey(entry.trim())
+      }
+    }
+
+    // Deployments that predate the keyring keep working from the old passphrase until they configure one
+    if (this.keys.size === 0 && this.legacyPassphrase) {
+      logger.warn("WALLET_ENCRYPTION_KEYS is not configured; deriving a key from WALLET_ENCRYPTION_KEY")
+      this.keys.set(DERIVED_KEY_ID, crypto.scryptSync(this.legacyPassphrase, "wallet-encryption-keyring", KEY_BYTES))
+    }
+
+    this.activeKeyId = process.env.WALLET_ENCRYPTION_ACTIVE_KEY_ID || this.keys.keys().next().value || null
+
+    if (this.activeKeyId && !this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active wallet encryption key ${this.activeKeyId} is not in WALLET_ENCRYPTION_KEYS`)
+    }
+  }
+
+  addKey(entry) {
+    const separator = entry.indexOf(":")
+    const keyId = entry.slice(0, separator)
+    const hex = entry.slice(separator + 1).replace(/^0x/, "")
+
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error("WALLET_ENCRYPTION_KEYS entries must be id:hex pairs with ids of letters, digits, . _ or -")
+    }
+
+    if (!new RegExp(`^[0-9a-fA-F]{${KEY_BYTES * 2}}$`).test(hex)) {
+      throw new Error(`Wallet encryption key ${keyId} must be ${KEY_BYTES} bytes of hex`)
+    }
+
+    if (this.keys.has(keyId)) {
+      throw new Error(`Wallet encryption key ${keyId} is listed more than once`)
+    }
+
+    this.keys.set(keyId, Buffer.from(hex, "hex"))
+  }
+
+  getKey(keyId) {
+    const key = this.keys.get(keyId)
+
+    if (!key) {
+      throw new Error(`Wallet encryption key ${keyId} is not in the keyring`)
+    }
+
+    return key
+  }
+
+  // Encrypt with the active key; the key id is authenticated along with the ciphertext
+  encrypt(plaintext) {
+    if (!this.activeKeyId) {
+      throw new Error("No wallet encryption key is configured")
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES)
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(this.activeKeyId), iv)
+    cipher.setAAD(Buffer.from(this.activeKeyId, "utf8"))
+
+    let encrypted = cipher.update(plaintext, "utf8", "hex")
+    encrypted += cipher.final("hex")
+
+    return {
+      keyId: this.activeKeyId,
+      iv: iv.toString("hex"),
+      authTag: cipher.getAuthTag().toString("hex"),
+      encrypted: encrypted,
+    }
+  }
+
+  // Decrypt with whichever key the ciphertext names; ciphertexts without a key id are legacy ones
+  decrypt(encryptedData) {
+    if (this.isLegacy(encryptedData)) {
+      return this.decryptLegacy(encryptedData)
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      this.getKey(encryptedData.keyId),
+      Buffer.from(encryptedData.iv, "hex"),
+    )
+    decipher.setAAD(Buffer.from(encryptedData.keyId, "utf8"))
+    decipher.setAuthTag(Buffer.from(encryptedData.authTag, "hex"))
+
+    let decrypted = decipher.update(encryptedData.encrypted, "hex", "utf8")
+    decrypted += decipher.final("utf8")
+
+    return decrypted
+  }
+
+  // Legacy ciphertexts came from crypto.createCipher, which ignored the stored IV and derived both key
+  // and IV from the passphrase with OpenSSL's EVP_BytesToKey (MD5, one round, no salt)
+  decryptLegacy(encryptedData) {
+    if (!this.legacyPassphrase) {
+      throw new Error("WALLET_ENCRYPTION_KEY is needed to decrypt legacy wallet keys")
+    }
+
+    const passphrase = Buffer.from(this.legacyPassphrase, "utf8")
+    let derived = Buffer.alloc(0)
+    let block = Buffer.alloc(0)
+
+    while (derived.length < KEY_BYTES + IV_BYTES) {
+      block = crypto
+        .createHash("md5")
+        .update(Buffer.concat([block, passphrase]))
+        .digest()
+      derived = Buffer.concat([derived, block])
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      derived.subarray(0, KEY_BYTES),
+      derived.subarray(KEY_BYTES, KEY_BYTES + IV_BYTES),
+    )
+    decipher.setAuthTag(Buffer.from(encryptedData.authTag, "hex"))
+
+    let decrypted = decipher.update(encryptedData.encrypted, "hex", "utf8")
+    decrypted += decipher.final("utf8")
+
+    return decrypted
+  }
+
+  isLegacy(encryptedData) {
+    return !encryptedData.keyId
+  }
+
+  // Whether a ciphertext should be re-encrypted under the active key
+  needsRotation(encryptedData) {
+    return encryptedData.keyId !== this.activeKeyId
+  }
+}
+
+module.exports = new Keyring()
@@ -0,0 +1,20 @@
+const LocalKmsClient = require("./localKmsClient")
+
+// KMS clients by KMS_PROVIDER, used to wrap the data keys of envelope-encrypted wallet keys. A client
+// implements generateDataKey() resolving to { keyId, plaintext (32-byte Buffer), ciphertext }, and
+// decrypt(ciphertext, keyId) resolving to the plaintext data key. The caller zeroes plaintext keys after use.
+const PROVIDERS = {
+  local: LocalKmsClient,
+}
+
+const createKmsClient = (provider = process.env.KMS_PROVIDER || "local") => {
+  const Client = PROVIDERS[provider]
+
+  if (!Client) {
+    throw new Error(`Unknown KMS provider: ${provider}`)
+  }
+
+  return new Client()
+}
+
+module.exports = { createKmsClient }
@@ -0,0 +1,55 @@
+const crypto = require("crypto")
+
+const ALGORITHM = "aes-256-gcm"
+const DATA_KEY_BYTES = 32
+const IV_BYTES = 12
+const AUTH_TAG_BYTES = 16
+
+// Stand-in KMS for development and tests: data keys are wrapped in-process with AES-256-GCM under
+// LOCAL_KMS_MASTER_KEY, the way a cloud KMS wraps them under a key that never leaves it
+class LocalKmsClient {
+  constructor() {
+    this.keyId = process.env.LOCAL_KMS_KEY_ID || "local"
+    this.masterKey = process.env.LOCAL_KMS_MASTER_KEY
+      ? Buffer.from(process.env.LOCAL_KMS_MASTER_KEY.replace(/^0x/, ""), "hex")
+      : null
+  }
+
+  getMasterKey(keyId) {
+    if (!this.masterKey || this.masterKey.length !== DATA_KEY_BYTES) {
+      throw new Error(`LOCAL_KMS_MASTER_KEY must be ${DATA_KEY_BYTES} bytes of hex`)
+    }
+
+    if (keyId !== this.keyId) {
+      throw new Error(`Unknown KMS key: ${keyId}`)
+    }
+
+    return this.masterKey
+  }
+
+  async generateDataKey() {
+    const plaintext = crypto.randomBytes(DATA_KEY_BYTES)
+    const iv = crypto.randomBytes(IV_BYTES)
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getMasterKey(this.keyId), iv)
+    cipher.setAAD(Buffer.from(this.keyId, "utf8"))
+
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()])
+
+    return {
+      keyId: this.keyId,
+      plaintext: plaintext,
+      ciphertext: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64"),
+    }
+  }
+
+  async decrypt(ciphertext, keyId) {
+    const data = Buffer.from(ciphertext, "base64")
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getMasterKey(keyId), data.subarray(0, IV_BYTES))
+    decipher.setAAD(Buffer.from(keyId, "utf8"))
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + AUTH_TAG_BYTES))
+
+    return Buffer.concat([decipher.update(data.subarray(IV_BYTES + AUTH_TAG_BYTES)), decipher.final()])
+  }
+}
+
+module.exports = LocalKmsClient
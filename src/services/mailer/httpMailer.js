@@ -0,0 +1,35 @@
+const axios = require("axios")
+const logger = require("../../utils/logger")
+
+// Sends mail through a transactional email API at MAILER_HTTP_URL, which takes { from, to, subject, text }
+// as JSON
+class HttpMailer {
+  constructor() {
+    this.url = process.env.MAILER_HTTP_URL || null
+    this.token = process.env.MAILER_HTTP_TOKEN || null
+    this.from = process.env.MAILER_FROM || null
+    this.timeoutMs = Number.parseInt(process.env.MAILER_TIMEOUT_MS || "10000")
+  }
+
+  async send({ to, subject, text }) {
+    if (!this.url || !this.from) {
+      throw new Error("MAILER_HTTP_URL and MAILER_FROM must be configured")
+    }
+
+    try {
+      await axios.post(
+        this.url,
+        { from: this.from, to: to, subject: subject, text: text },
+        {
+          timeout: this.timeoutMs,
+          headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+        },
+      )
+    } catch (error) {
+      logger.error(`Error sending email to ${to}:`, error.message)
+      throw new Error("Failed to send email")
+    }
+  }
+}
+
+module.exports = HttpMailer
@@ -0,0 +1,21 @@
+const HttpMailer = require("./httpMailer")
+const LogMailer = require("./logMailer")
+
+// Mailers by MAILER_PROVIDER. A mailer implements send({ to, subject, text }) and resolves once the
+// message has been handed off for delivery.
+const PROVIDERS = {
+  http: HttpMailer,
+  log: LogMailer,
+}
+
+const createMailer = (provider = process.env.MAILER_PROVIDER || "log") => {
+  const Mailer = PROVIDERS[provider]
+
+  if (!Mailer) {
+    throw new Error(`Unknown mailer provider: ${provider}`)
+  }
+
+  return new Mailer()
+}
+
+module.exports = { createMailer }
@@ -0,0 +1,10 @@
+const logger = require("../../utils/logger")
+
+// Stand-in mailer for development: writes each message to the log instead of sending it
+class LogMailer {
+  async send({ to, subject, text }) {
+    logger.info(`Email to ${to}: ${subject}\n${text}`)
+  }
+}
+
+module.exports = LogMailer
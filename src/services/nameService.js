@@ -0,0 +1,207 @@
+const { ethers } = require("ethers")
+const chainRegistry = require("./chainRegistry")
+const logger = require("../utils/logger")
+
+// ENS registry and resolver interface, as deployed by Basenames on Base
+const REGISTRY_ABI = ["function resolver(bytes32 node) view returns (address)"]
+const RESOLVER_ABI = [
+  "function addr(bytes32 node) view returns (address)",
+  "function name(bytes32 node) view returns (string)",
+]
+
+const CACHE_MS = Number.parseInt(process.env.NAME_CACHE_TTL_MS || "300000")
+const MAX_CACHE_ENTRIES = 10000
+
+// Forward (name -> address) and reverse (address -> primary name) resolution for ENS names on Ethereum
+// and Basenames on Base. Both directions are cached, including names and addresses that don't resolve.
+class NameService {
+  constructor() {
+    this.forward = new Map()
+    this.reverse = new Map()
+    this.ensProvider = null
+  }
+
+  // Whether a value looks like a name (e.g. alice.base.eth) rather than an address
+  isName(value) {
+    if (typeof value !== "string" || !value.includes(".")) {
+      return false
+    }
+
+    try {
+      const normalized = ethers.ensNormalize(value)
+      return normalized.split(".").every((label) => label.length > 0)
+    } catch {
+      return false
+    }
+  }
+
+  // Accepted wherever a recipient can be given as an address or a name
+  isRecipient(value) {
+    return ethers.isAddress(value) || this.isName(value)
+  }
+
+  // Address and name for a recipient given as either. Throws when a name doesn't resolve.
+  async resolveRecipient(value) {
+    if (ethers.isAddress(value)) {
+      return { address: value, name: null }
+    }
+
+    if (!this.isName(value)) {
+      throw new Error("Invalid recipient address")
+    }
+
+    const name = ethers.ensNormalize(value)
+    const address = await this.resolveName(name)
+
+    if (!address) {
+      throw new Error(`${name} does not resolve to an address`)
+    }
+
+    return { address, name }
+  }
+
+  // Address a name points to, or null when it has none
+  async resolveName(value) {
+    const name = ethers.ensNormalize(value)
+    const cached = this.fromCache(this.forward, name)
+
+    if (cached !== undefined) {
+      return cached
+    }
+
+    const basenamesChain = this.getBasenamesChain(name)
+    let address
+
+    if (basenamesChain) {
+      address = await this.resolveBasename(basenamesChain, name)
+    } else {
+      const provider = this.getEnsProvider()
+
+      if (!provider) {
+        throw new Error(`ENS resolution is not configured, cannot resolve ${name}`)
+      }
+
+      address = await provider.resolveName(name)
+    }
+
+    // An unset addr record reads as the zero address
+    address = address && address !== ethers.ZeroAddress ? ethers.getAddress(address) : null
+    this.remember(this.forward, name, address)
+    return address
+  }
+
+  // Primary name of an address, verified against forward resolution; null when it has none. ENS is
+  // checked first, then Basenames. Lookup errors are logged and not cached, so a listing never fails on them.
+  async lookupAddress(address) {
+    const key = address.toLowerCase()
+    const cached = this.fromCache(this.reverse, key)
+
+    if (cached !== undefined) {
+      return cached
+    }
+
+    try {
+      const provider = this.getEnsProvider()
+      let name = provider ? await provider.lookupAddress(address) : null
+
+      for (const chain of chainRegistry.list()) {
+        if (name) {
+          break
+        }
+
+        if (chain.basenames) {
+          name = await this.lookupBasename(chain, address)
+        }
+      }
+
+      this.remember(this.reverse, key, name)
+      return name
+    } catch (error) {
+      logger.warn(`Reverse name lookup failed for ${address}: ${error.message}`)
+      return null
+    }
+  }
+
+  // Primary names for several addresses, keyed by lowercased address
+  async lookupAddresses(addresses) {
+    const unique = [...new Set(addresses.map((address) => address.toLowerCase()))]
+    const names = await Promise.all(unique.map((address) => this.lookupAddress(address)))
+
+    return new Map(unique.map((address, index) => [address, names[index]]))
+  }
+
+  // Configured chain whose Basenames registry holds a name (alice.base.eth on Base, alice.basetest.eth
+  // on Base Sepolia); names elsewhere go to ENS
+  getBasenamesChain(name) {
+    return (
+      chainRegistry.list().find((chain) => chain.basenames && name.endsWith(`.${chain.basenames.parentDomain}`)) || null
+    )
+  }
+
+  async getResolver(chain, node) {
+    const registry = new ethers.Contract(chain.basenames.registryAddress, REGISTRY_ABI, chain.provider)
+    const resolverAddress = await registry.resolver(node)
+
+    return resolverAddress === ethers.ZeroAddress
+      ? null
+      : new ethers.Contract(resolverAddress, RESOLVER_ABI, chain.provider)
+  }
+
+  async resolveBasename(chain, name) {
+    const node = ethers.namehash(name)
+    const resolver = await this.getResolver(chain, node)
+
+    return resolver ? resolver.addr(node) : null
+  }
+
+  // Basenames keeps primary names in the chain's own reverse namespace (ENSIP-19), e.g.
+  // <address>.80002105.reverse on Base, and only counts one that resolves back to the address
+  async lookupBasename(chain, address) {
+    const coinType = ((0x80000000 | chain.chainId) >>> 0).toString(16)
+    const node = ethers.namehash(`${address.slice(2).toLowerCase()}.${coinType}.reverse`)
+    const resolver = await this.getResolver(chain, node)
+    const name = resolver ? await resolver.name(node) : ""
+
+    if (!name) {
+      return null
+    }
+
+    const resolved = await this.resolveBasename(chain, name)
+    return resolved && resolved.toLowerCase() === address.toLowerCase() ? name : null
+  }
+
+  // Ethereum mainnet for ENS: the configured chain 1 when there is one, otherwise ENS_RPC_URL
+  getEnsProvider() {
+    if (chainRegistry.isSupported(1)) {
+      return chainRegistry.forChain(1).provider
+    }
+
+    if (!this.ensProvider && process.env.ENS_RPC_URL) {
+      this.ensProvider = new ethers.JsonRpcProvider(process.env.ENS_RPC_URL, 1, { staticNetwork: true })
+    }
+
+    return this.ensProvider
+  }
+
+  fromCache(cache, key) {
+    const entry = cache.get(key)
+
+    if (!entry || Date.now() - entry.fetchedAt >= CACHE_MS) {
+      return undefined
+    }
+
+    return entry.value
+  }
+
+  // Maps keep insertion order, so the oldest entry is dropped once the cache is full
+  remember(cache, key, value) {
+    cache.delete(key)
+    cache.set(key, { value, fetchedAt: Date.now() })
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value)
+    }
+  }
+}
+
+module.exports = new NameService()
@@ -0,0 +1,341 @@
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const logger = require("../utils/logger")
+
+class NonceManager {
+  constructor() {
+    // Per-address promise chains that serialize signing within this process
+    this.addressLocks = new Map()
+  }
+
+  // Run fn exclusively for an address within this process
+  async withAddressLock(address, fn) {
+    const key = address.toLowerCase()
+    const previous = this.addressLocks.get(key) || Promise.resolve()
+
+    let release
+    const current = new Promise((resolve) => {
+      release = resolve
+    })
+    const tail = previous.then(() => current)
+    this.addressLocks.set(key, tail)
+
+    await previous
+
+    try {
+      return await fn()
+    } finally {
+      release()
+      if (this.addressLocks.get(key) === tail) {
+        this.addressLocks.delete(key)
+      }
+    }
+  }
+
+  // Reserve a nonce on a chain (the default chain when none is given), call broadcast(nonce), and record
+  // the outcome. Signing for the address is serialized across processes with a transaction-scoped advisory lock.
+  async sendWithNonce(walletId, address, broadcast, chainId = null) {
+    const chain = chainRegistry.forChain(chainId)
+
+    return this.withAddressLock(`${chain.chainId}:${address}`, async () => {
+      const client = await pool.connect()
+
+      try {
+        await client.query("BEGIN")
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          `nonce:${chain.chainId}:${address.toLowerCase()}`,
+        ])
+
+        const nonce = await this.allocateNonce(client, walletId, address, chain)
+
+        let result
+        try {
+          result = await broadcast(nonce)
+        } catch (error) {
+          // Nothing after this nonce was handed out, so releasing it leaves no gap
+          await client.query(
+            "UPDATE nonce_reservations SET status = 'released', transaction_hash = NULL WHERE address = $1 AND chain_id = $2 AND nonce = $3",
+            [address, chain.chainId, nonce],
+          )
+          await client.query("COMMIT")
+          logger.warn(`Released nonce ${nonce} for ${address} on chain ${chain.chainId} after failed broadcast`)
+          throw error
+        }
+
+        await client.query(
+          "UPDATE nonce_reservations SET status = 'broadcast', transaction_hash = $1 WHERE address = $2 AND chain_id = $3 AND nonce = $4",
+          [result.transactionHash, address, chain.chainId, nonce],
+        )
+        await client.query(
+          `
+          INSERT INTO address_nonces (address, chain_id, next_nonce)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (address, chain_id) DO UPDATE SET next_nonce = GREATEST(address_nonces.next_nonce, EXCLUDED.next_nonce)
+        `,
+          [address, chain.chainId, nonce + 1],
+        )
+        await client.query("COMMIT")
+
+        return { ...result, nonce }
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+    })
+  }
+
+  // Broadcast a replacement for a nonce that is still in flight and point its reservation at the new hash
+  async replaceWithNonce(address, nonce, broadcast, chainId = null) {
+    const chain = chainRegistry.forChain(chainId)
+
+    return this.withAddressLock(`${chain.chainId}:${address}`, async () => {
+      const client = await pool.connect()
+
+      try {
+        await client.query("BEGIN")
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          `nonce:${chain.chainId}:${address.toLowerCase()}`,
+        ])
+
+        const reservation = await client.query(
+          "SELECT status FROM nonce_reservations WHERE address = $1 AND chain_id = $2 AND nonce = $3 FOR UPDATE",
+          [address, chain.chainId, nonce],
+        )
+
+        if (reservation.rows.length === 0 || reservation.rows[0].status !== "broadcast") {
+          throw new Error("Transaction nonce is no longer pending")
+        }
+
+        const result = await broadcast(nonce)
+
+        await client.query(
+          "UPDATE nonce_reservations SET transaction_hash = $1 WHERE address = $2 AND chain_id = $3 AND nonce = $4",
+          [result.transactionHash, address, chain.chainId, nonce],
+        )
+        await client.query("COMMIT")
+
+        return { ...result, nonce }
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+    })
+  }
+
+  // Reserve a nonce for a transaction that is signed elsewhere (a device-signed wallet). The reservation
+  // is held until broadcastReserved uses it or releaseReserved hands it back.
+  async reserveNonce(walletId, address, chainId = null) {
+    const chain = chainRegistry.forChain(chainId)
+
+    return this.withAddressLock(`${chain.chainId}:${address}`, async () => {
+      const client = await pool.connect()
+
+      try {
+        await client.query("BEGIN")
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          `nonce:${chain.chainId}:${address.toLowerCase()}`,
+        ])
+
+        const nonce = await this.allocateNonce(client, walletId, address, chain)
+
+        // Held nonces count as used, so the next reservation gets the one after
+        await client.query(
+          `
+          INSERT INTO address_nonces (address, chain_id, next_nonce)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (address, chain_id) DO UPDATE SET next_nonce = GREATEST(address_nonces.next_nonce, EXCLUDED.next_nonce)
+        `,
+          [address, chain.chainId, nonce + 1],
+        )
+        await client.query("COMMIT")
+
+        return nonce
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+    })
+  }
+
+  // Broadcast the signed transaction for a reserved nonce. A failed broadcast keeps the reservation, so the
+  // same signed transaction can be submitted again.
+  async broadcastReserved(address, nonce, broadcast, chainId = null) {
+    const chain = chainRegistry.forChain(chainId)
+
+    return this.withAddressLock(`${chain.chainId}:${address}`, async () => {
+      const client = await pool.connect()
+
+      try {
+        await client.query("BEGIN")
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          `nonce:${chain.chainId}:${address.toLowerCase()}`,
+        ])
+
+        const reservation = await client.query(
+          "SELECT status FROM nonce_reservations WHERE address = $1 AND chain_id = $2 AND nonce = $3 FOR UPDATE",
+          [address, chain.chainId, nonce],
+        )
+
+        if (reservation.rows.length === 0 || reservation.rows[0].status !== "reserved") {
+          throw new Error("Transaction nonce is no longer reserved")
+        }
+
+        const result = await broadcast(nonce)
+
+        await client.query(
+          "UPDATE nonce_reservations SET status = 'broadcast', transaction_hash = $1 WHERE address = $2 AND chain_id = $3 AND nonce = $4",
+          [result.transactionHash, address, chain.chainId, nonce],
+        )
+        await client.query("COMMIT")
+
+        return { ...result, nonce }
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+    })
+  }
+
+  // Hand back a reserved nonce that will never be broadcast, for the next send to fill
+  async releaseReserved(address, nonce, chainId = null) {
+    try {
+      await query(
+        "UPDATE nonce_reservations SET status = 'released' WHERE address = $1 AND chain_id = $2 AND nonce = $3 AND status = 'reserved'",
+        [address, chainRegistry.forChain(chainId).chainId, nonce],
+      )
+    } catch (error) {
+      logger.error(`Error releasing nonce ${nonce} for ${address}:`, error)
+    }
+  }
+
+  // Pick the lowest released nonce the chain has not used yet, otherwise the next fresh one
+  async allocateNonce(client, walletId, address, chain) {
+    const chainNonces = await chain.getNonces(address)
+
+    const released = await client.query(
+      `
+      SELECT nonce FROM nonce_reservations
+      WHERE address = $1 AND chain_id = $2 AND status = 'released' AND nonce >= $3
+      ORDER BY nonce ASC
+      LIMIT 1
+    `,
+      [address, chain.chainId, chainNonces.latest],
+    )
+
+    if (released.rows.length > 0) {
+      const nonce = Number(released.rows[0].nonce)
+
+      await client.query(
+        "UPDATE nonce_reservations SET status = 'reserved', wallet_id = $1, transaction_hash = NULL WHERE address = $2 AND chain_id = $3 AND nonce = $4",
+        [walletId, address, chain.chainId, nonce],
+      )
+
+      logger.info(`Reusing released nonce ${nonce} for ${address} on chain ${chain.chainId}`)
+      return nonce
+    }
+
+    const stored = await client.query("SELECT next_nonce FROM address_nonces WHERE address = $1 AND chain_id = $2", [
+      address,
+      chain.chainId,
+    ])
+    const storedNonce = stored.rows.length > 0 ? Number(stored.rows[0].next_nonce) : 0
+    const nonce = Math.max(storedNonce, chainNonces.pending)
+
+    await client.query(
+      `
+      INSERT INTO nonce_reservations (address, chain_id, wallet_id, nonce, status)
+      VALUES ($1, $2, $3, $4, 'reserved')
+      ON CONFLICT (address, chain_id, nonce) DO UPDATE SET status = 'reserved', wallet_id = EXCLUDED.wallet_id, transaction_hash = NULL
+    `,
+      [address, chain.chainId, walletId, nonce],
+    )
+
+    return nonce
+  }
+
+  // A mined transaction (successful or reverted) has consumed its nonce. Matching on address and nonce
+  // as well covers an earlier hash landing after the reservation moved to a replacement.
+  async markNonceUsed(transactionHash, address = null, nonce = null, chainId = null) {
+    try {
+      await query(
+        `
+        UPDATE nonce_reservations SET status = 'confirmed', transaction_hash = $1
+        WHERE transaction_hash = $1 OR (address = $2 AND nonce = $3 AND chain_id = $4)
+      `,
+        [transactionHash, address, nonce, chainRegistry.forChain(chainId).chainId],
+      )
+    } catch (error) {
+      logger.error(`Error marking nonce used for ${transactionHash}:`, error)
+    }
+  }
+
+  // A dropped transaction leaves a gap that the next send should fill
+  async releaseNonce(transactionHash) {
+    try {
+      const result = await query(
+        `
+        UPDATE nonce_reservations SET status = 'released'
+        WHERE transaction_hash = $1 AND status IN ('reserved', 'broadcast')
+        RETURNING address, nonce
+      `,
+        [transactionHash],
+      )
+
+      if (result.rows.length > 0) {
+        logger.warn(`Released nonce ${result.rows[0].nonce} for ${result.rows[0].address} (${transactionHash} dropped)`)
+      }
+    } catch (error) {
+      logger.error(`Error releasing nonce for ${transactionHash}:`, error)
+    }
+  }
+
+  // Current nonce state and outstanding reservations for an address on a chain
+  async getNonceQueue(address, chainId = null) {
+    try {
+      const chain = chainRegistry.forChain(chainId)
+      const chainNonces = await chain.getNonces(address)
+      const stored = await query("SELECT next_nonce FROM address_nonces WHERE address = $1 AND chain_id = $2", [
+        address,
+        chain.chainId,
+      ])
+      const reservations = await query(
+        `
+        SELECT nonce, status, transaction_hash, wallet_id, created_at, updated_at
+        FROM nonce_reservations
+        WHERE address = $1 AND chain_id = $2 AND nonce >= $3 AND status IN ('reserved', 'broadcast', 'released')
+        ORDER BY nonce ASC
+      `,
+        [address, chain.chainId, chainNonces.latest],
+      )
+
+      return {
+        address: address,
+        chainId: chain.chainId,
+        confirmedNonce: chainNonces.latest,
+        pendingChainNonce: chainNonces.pending,
+        nextNonce: Math.max(stored.rows.length > 0 ? Number(stored.rows[0].next_nonce) : 0, chainNonces.pending),
+        queue: reservations.rows.map((reservation) => ({
+          nonce: Number(reservation.nonce),
+          status: reservation.status,
+          transactionHash: reservation.transaction_hash,
+          walletId: reservation.wallet_id,
+          createdAt: reservation.created_at,
+          updatedAt: reservation.updated_at,
+        })),
+      }
+    } catch (error) {
+      logger.error(`Error getting nonce queue for ${address}:`, error)
+      throw new Error("Failed to get nonce queue")
+    }
+  }
+}
+
+module.exports = new NonceManager()
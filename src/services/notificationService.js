@@ -119,45 +119,166 @@ class NotificationService {
   }
 
   // Notification types for transactions
-  async notifyTransactionSent(userId, transactionHash, amount, toAddress) {
+  async notifyTransactionSent(userId, transactionHash, amount, toAddress, symbol = "USDC") {
     return this.createNotification(
       userId,
       "transaction_sent",
       "Transaction Sent",
-      `Successfully sent ${amount} USDC to ${toAddress.substring(0, 6)}...${toAddress.substring(38)}`,
+      `Successfully sent ${amount} ${symbol} to ${toAddress.substring(0, 6)}...${toAddress.substring(38)}`,
       { transactionHash, amount, toAddress },
     )
   }
 
-  async notifyTransactionReceived(userId, transactionHash, amount, fromAddress) {
+  async notifyTransactionReceived(userId, transactionHash, amount, fromAddress, symbol = "USDC") {
     return this.createNotification(
       userId,
       "transaction_received",
-      "USDC Received",
-      `Received ${amount} USDC from ${fromAddress.substring(0, 6)}...${fromAddress.substring(38)}`,
+      `${symbol} Received`,
+      `Received ${amount} ${symbol} from ${fromAddress.substring(0, 6)}...${fromAddress.substring(38)}`,
       { transactionHash, amount, fromAddress },
     )
   }
 
-  async notifyTransactionConfirmed(userId, transactionHash, amount) {
+  // An incoming payment that a chain reorganization removed and that was never included again
+  async notifyTransactionReversed(userId, transactionHash, amount, fromAddress, symbol = "USDC") {
+    return this.createNotification(
+      userId,
+      "transaction_reversed",
+      `${symbol} Receipt Reversed`,
+      `The ${amount} ${symbol} received from ${fromAddress.substring(0, 6)}...${fromAddress.substring(38)} was reversed by a blockchain reorganization and is no longer in your wallet`,
+      { transactionHash, amount, fromAddress },
+    )
+  }
+
+  async notifyTransactionConfirmed(userId, transactionHash, amount, symbol = "USDC") {
     return this.createNotification(
       userId,
       "transaction_confirmed",
       "Transaction Confirmed",
-      `Your transaction of ${amount} USDC has been confirmed on the blockchain`,
+      `Your transaction of ${amount} ${symbol} has been confirmed on the blockchain`,
       { transactionHash, amount },
     )
   }
 
-  async notifyTransactionFailed(userId, transactionHash, amount, reason) {
+  async notifyTransactionFailed(userId, transactionHash, amount, reason, symbol = "USDC") {
     return this.createNotification(
       userId,
       "transaction_failed",
       "Transaction Failed",
-      `Your transaction of ${amount} USDC failed: ${reason}`,
+      `Your transaction of ${amount} ${symbol} failed: ${reason}`,
       { transactionHash, amount, reason },
     )
   }
+
+  async notifyTransactionStuck(userId, transactionHash, amount, symbol = "USDC") {
+    return this.createNotification(
+      userId,
+      "transaction_stuck",
+      "Transaction Delayed",
+      `Your transaction of ${amount} ${symbol} has not been confirmed yet and may need a higher fee`,
+      { transactionHash, amount },
+    )
+  }
+
+  async notifyCrossChainTransferCompleted(userId, transferId, amount, destinationChainName) {
+    return this.createNotification(
+      userId,
+      "cross_chain_transfer_completed",
+      "Cross-Chain Transfer Completed",
+      `${amount} USDC has arrived on ${destinationChainName}`,
+      { transferId, amount, destinationChainName },
+    )
+  }
+
+  async notifyCrossChainTransferFailed(userId, transferId, amount, reason) {
+    return this.createNotification(
+      userId,
+      "cross_chain_transfer_failed",
+      "Cross-Chain Transfer Failed",
+      `Your cross-chain transfer of ${amount} USDC failed: ${reason}`,
+      { transferId, amount, reason },
+    )
+  }
+
+  async notifyPayoutBatchFinished(userId, batchId, paidCount, failedCount, symbol = "USDC", interruptedCount = 0) {
+    const unpaidCount = failedCount + interruptedCount
+    let message =
+      unpaidCount === 0
+        ? `All ${paidCount} ${symbol} payments in your batch were sent`
+        : `${paidCount} ${symbol} payments in your batch were sent and ${failedCount} failed`
+    if (interruptedCount > 0) {
+      message += `; ${interruptedCount} were interrupted while sending, check your wallet's transactions before retrying them`
+    }
+
+    return this.createNotification(
+      userId,
+      unpaidCount === 0 ? "payout_batch_completed" : "payout_batch_failed",
+      unpaidCount === 0 ? "Batch Payout Completed" : "Batch Payout Needs Attention",
+      message,
+      { batchId, paidCount, failedCount, interruptedCount },
+    )
+  }
+
+  // Notification types for social recovery
+  async notifyGuardianInvited(userId, shareId, ownerName) {
+    return this.createNotification(
+      userId,
+      "guardian_invited",
+      "Recovery Guardian Invitation",
+      `${ownerName} asked you to hold a share of their wallet recovery phrase`,
+      { shareId, ownerName },
+    )
+  }
+
+  async notifyGuardianResponded(userId, shareId, guardianName, accepted) {
+    return this.createNotification(
+      userId,
+      accepted ? "guardian_accepted" : "guardian_declined",
+      accepted ? "Guardian Accepted" : "Guardian Declined",
+      `${guardianName} ${accepted ? "now holds" : "declined to hold"} a share of your recovery phrase`,
+      { shareId, guardianName },
+    )
+  }
+
+  async notifySocialRecoveryRequested(userId, requestId, unlocksAt) {
+    return this.createNotification(
+      userId,
+      "social_recovery_requested",
+      "Wallet Recovery Requested",
+      `Someone asked to recover your wallets from your guardians' shares. If it wasn't you, cancel the request before ${unlocksAt.toISOString()}`,
+      { requestId, unlocksAt },
+    )
+  }
+
+  async notifyGuardianApprovalRequested(userId, requestId, ownerName) {
+    return this.createNotification(
+      userId,
+      "guardian_approval_requested",
+      "Recovery Approval Requested",
+      `${ownerName} is recovering their wallets. Approve only if you have confirmed it's really them`,
+      { requestId, ownerName },
+    )
+  }
+
+  async notifySocialRecoveryApproved(userId, requestId, guardianName) {
+    return this.createNotification(
+      userId,
+      "social_recovery_approved",
+      "Wallet Recovery Approved",
+      `${guardianName} approved the request to recover your wallets`,
+      { requestId, guardianName },
+    )
+  }
+
+  async notifySocialRecoveryCompleted(userId, requestId) {
+    return this.createNotification(
+      userId,
+      "social_recovery_completed",
+      "Wallets Recovered",
+      "Your recovery phrase was rebuilt from your guardians' shares",
+      { requestId },
+    )
+  }
 }
 
 module.exports = new NotificationService()
@@ -0,0 +1,60 @@
+const { ethers } = require("ethers")
+const { toRpcUserOperation } = require("../bundler/userOperation")
+const logger = require("../../utils/logger")
+
+// USDC paymaster service speaking ERC-7677 (pm_getPaymasterStubData / pm_getPaymasterData) at each
+// chain's PAYMASTER_URL. The token to pay in is passed as the request context.
+class Erc7677PaymasterClient {
+  constructor() {
+    this.providers = new Map()
+  }
+
+  getProvider(chain) {
+    const url = chain.accountAbstraction.paymasterUrl
+
+    if (!url) {
+      throw new Error(`No paymaster is configured for chain ${chain.chainId}`)
+    }
+
+    if (!this.providers.has(chain.chainId)) {
+      this.providers.set(chain.chainId, new ethers.JsonRpcProvider(url, chain.chainId, { staticNetwork: true }))
+    }
+
+    return this.providers.get(chain.chainId)
+  }
+
+  // Placeholder paymaster fields for gas estimation
+  async getPaymasterStubData(chain, userOp, token) {
+    return this.request(chain, "pm_getPaymasterStubData", userOp, token)
+  }
+
+  // Final paymaster fields for a fully priced user operation, just before it is signed
+  async getPaymasterData(chain, userOp, token) {
+    return this.request(chain, "pm_getPaymasterData", userOp, token)
+  }
+
+  async request(chain, method, userOp, token) {
+    try {
+      const result = await this.getProvider(chain).send(method, [
+        toRpcUserOperation(userOp),
+        chain.accountAbstraction.entryPointAddress,
+        ethers.toQuantity(chain.chainId),
+        { token: token.contractAddress },
+      ])
+
+      return {
+        paymaster: ethers.getAddress(result.paymaster),
+        paymasterData: result.paymasterData,
+        paymasterVerificationGasLimit: result.paymasterVerificationGasLimit
+          ? BigInt(result.paymasterVerificationGasLimit)
+          : null,
+        paymasterPostOpGasLimit: result.paymasterPostOpGasLimit ? BigInt(result.paymasterPostOpGasLimit) : null,
+      }
+    } catch (error) {
+      logger.error(`Paymaster ${method} failed on chain ${chain.chainId}:`, error.message)
+      throw new Error(`Paymaster unavailable: ${error.shortMessage || error.message}`)
+    }
+  }
+}
+
+module.exports = Erc7677PaymasterClient
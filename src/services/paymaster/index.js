@@ -0,0 +1,27 @@
+const Erc7677PaymasterClient = require("./erc7677PaymasterClient")
+const TokenPaymasterClient = require("./tokenPaymasterClient")
+
+// USDC paymaster clients by PAYMASTER_PROVIDER ("none" leaves smart accounts paying gas in ETH). A client
+// implements getPaymasterStubData(chain, userOp, token) and getPaymasterData(chain, userOp, token), both
+// resolving to { paymaster, paymasterData, paymasterVerificationGasLimit, paymasterPostOpGasLimit }
+// with bigint gas limits, or null limits where the bundler's estimate is to be used.
+const PROVIDERS = {
+  erc7677: Erc7677PaymasterClient,
+  token: TokenPaymasterClient,
+}
+
+const createPaymasterClient = (provider = process.env.PAYMASTER_PROVIDER || "none") => {
+  if (provider === "none") {
+    return null
+  }
+
+  const Client = PROVIDERS[provider]
+
+  if (!Client) {
+    throw new Error(`Unknown paymaster provider: ${provider}`)
+  }
+
+  return new Client()
+}
+
+module.exports = { createPaymasterClient }
@@ -0,0 +1,32 @@
+const { ethers } = require("ethers")
+
+// A token paymaster contract at each chain's PAYMASTER_ADDRESS that needs no off-chain signature: it
+// fronts the gas and takes USDC from the account's allowance afterwards. Suits a paymaster deployed
+// alongside the EntryPoint on a local dev chain.
+class TokenPaymasterClient {
+  constructor() {
+    this.verificationGasLimit = BigInt(process.env.PAYMASTER_VERIFICATION_GAS_LIMIT || "150000")
+    this.postOpGasLimit = BigInt(process.env.PAYMASTER_POST_OP_GAS_LIMIT || "100000")
+  }
+
+  async getPaymasterStubData(chain) {
+    const paymaster = chain.accountAbstraction.paymasterAddress
+
+    if (!paymaster) {
+      throw new Error(`No paymaster is configured for chain ${chain.chainId}`)
+    }
+
+    return {
+      paymaster: ethers.getAddress(paymaster),
+      paymasterData: "0x",
+      paymasterVerificationGasLimit: this.verificationGasLimit,
+      paymasterPostOpGasLimit: this.postOpGasLimit,
+    }
+  }
+
+  async getPaymasterData(chain) {
+    return this.getPaymasterStubData(chain)
+  }
+}
+
+module.exports = TokenPaymasterClient
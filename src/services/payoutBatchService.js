@@ -0,0 +1,948 @@
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const assetRegistry = require("./assetRegistry")
+const walletService = require("./walletService")
+const smartAccountService = require("./smartAccountService")
+const allowanceService = require("./allowanceService")
+const nonceManager = require("./nonceManager")
+const notificationService = require("./notificationService")
+const webhookService = require("./webhookService")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+const ITEM_STATUSES = ["pending", "sending", "submitted", "confirmed", "failed", "interrupted"]
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Batch payouts: a list of recipients paid from one wallet. With a batch transfer contract on the chain,
+// USDC lines go out in one transaction per chunk; otherwise each line is a paced sequential send.
+class PayoutBatchService extends PollingWorker {
+  constructor() {
+    super("Payout batch worker", Number.parseInt(process.env.BATCH_PAYOUT_POLL_INTERVAL_MS || "10000"))
+    this.maxRecipients = Number.parseInt(process.env.BATCH_PAYOUT_MAX_RECIPIENTS || "500")
+    // Recipients per batch transfer contract call
+    this.chunkSize = Number.parseInt(process.env.BATCH_PAYOUT_CHUNK_SIZE || "100")
+    // Sequential sends per batch per run, spaced out so one batch does not flood the RPC or the mempool
+    this.sendsPerRun = Number.parseInt(process.env.BATCH_PAYOUT_SENDS_PER_RUN || "25")
+    this.sendDelayMs = Number.parseInt(process.env.BATCH_PAYOUT_SEND_DELAY_MS || "250")
+    this.maxAttempts = Number.parseInt(process.env.BATCH_PAYOUT_MAX_ATTEMPTS || "3")
+    this.approvalTimeoutMs = Number.parseInt(process.env.BATCH_PAYOUT_APPROVAL_CONFIRM_TIMEOUT_MS || "120000")
+    this.batchesPerRun = Number.parseInt(process.env.BATCH_PAYOUT_BATCHES_PER_RUN || "5")
+  }
+
+  // Get an active wallet owned by the user
+  async getWallet(walletId, userId) {
+    const result = await query(
+      `
+      SELECT id, user_id, address, encrypted_private_key, balance_usdc, chain_id, custody_mode, account_type,
+             owner_address, account_salt
+      FROM wallets
+      WHERE id = $1 AND user_id = $2 AND status = 'active'
+    `,
+      [walletId, userId],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Wallet not found or access denied")
+    }
+
+    return result.rows[0]
+  }
+
+  // wallets.balance_usdc only covers USDC on the wallet's own chain
+  async getSpendableBalance(wallet, chain, token) {
+    if (token.isDefault && chain.chainId === wallet.chain_id) {
+      return Number.parseFloat(wallet.balance_usdc || "0")
+    }
+
+    return walletService.getCachedBalance(wallet.id, token.id)
+  }
+
+  // Check every line and return the normalized lines and total, or the problems found per line
+  validatePayments(payments, chain, token, maxPaymentAmount = null) {
+    const lines = []
+    const errors = []
+    let totalWei = 0n
+
+    payments.forEach((payment, index) => {
+      const line = index + 1
+      const lineErrors = []
+
+      if (!payment || typeof payment !== "object") {
+        errors.push({ line, field: null, message: "Payment must be an object with toAddress and amount" })
+        return
+      }
+
+      if (!chain.isValidAddress(payment.toAddress)) {
+        lineErrors.push({ line, field: "toAddress", message: "Invalid recipient address" })
+      }
+
+      let amountWei = null
+      try {
+        amountWei = ethers.parseUnits(String(payment.amount), token.decimals)
+      } catch (error) {
+        amountWei = null
+      }
+
+      if (amountWei === null || amountWei <= 0n) {
+        lineErrors.push({
+          line,
+          field: "amount",
+          message: `Amount must be a positive number with at most ${token.decimals} decimals`,
+        })
+      } else if (maxPaymentAmount !== null && Number.parseFloat(payment.amount) > maxPaymentAmount) {
+        lineErrors.push({
+          line,
+          field: "amount",
+          message: `Amount exceeds the per-payment limit of ${maxPaymentAmount}`,
+        })
+      }
+
+      if (payment.memo && String(payment.memo).length > 500) {
+        lineErrors.push({ line, field: "memo", message: "Memo must be at most 500 characters" })
+      }
+
+      if (lineErrors.length > 0) {
+        errors.push(...lineErrors)
+        return
+      }
+
+      totalWei += amountWei
+      lines.push({
+        line,
+        toAddress: ethers.getAddress(payment.toAddress),
+        amount: ethers.formatUnits(amountWei, token.decimals),
+        memo: payment.memo ? String(payment.memo) : null,
+      })
+    })
+
+    return { lines, errors, total: ethers.formatUnits(totalWei, token.decimals) }
+  }
+
+  // Validate a list of payments and queue them as a batch for the worker. Nothing is sent unless every
+  // line is valid; the per-line problems are attached to the error as lineErrors.
+  async createBatch(walletId, userId, options) {
+    try {
+      const batch = await this.prepareBatch(walletId, userId, options)
+      const client = await pool.connect()
+      let batchId
+
+      try {
+        await client.query("BEGIN")
+        batchId = await this.insertBatch(client, batch)
+        await client.query("COMMIT")
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+
+      return this.getBatch(walletId, userId, batchId)
+    } catch (error) {
+      logger.error(`Error creating payout batch for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  // Check a batch against its wallet and balance and work out how it will be paid, without saving anything
+  async prepareBatch(
+    walletId,
+    userId,
+    { payments, asset = null, chainId = null, feeTier = "standard", memo = null, maxPaymentAmount = null },
+  ) {
+    if (!Array.isArray(payments) || payments.length === 0) {
+      throw new Error("At least one payment is required")
+    }
+
+    if (payments.length > this.maxRecipients) {
+      throw new Error(`A batch can pay at most ${this.maxRecipients} recipients`)
+    }
+
+    const wallet = await this.getWallet(walletId, userId)
+    walletService.assertServerCustody(wallet)
+
+    const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+    const token = await assetRegistry.resolveAsset(asset, chain.chainId)
+
+    const { lines, errors, total } = this.validatePayments(payments, chain, token, maxPaymentAmount)
+
+    if (errors.length > 0) {
+      const error = new Error(`${new Set(errors.map((lineError) => lineError.line)).size} payment(s) are invalid`)
+      error.lineErrors = errors
+      throw error
+    }
+
+    if ((await this.getSpendableBalance(wallet, chain, token)) < Number.parseFloat(total)) {
+      throw new Error(`Insufficient ${token.symbol} balance for a batch totalling ${total} ${token.symbol}`)
+    }
+
+    // A smart account pays each chunk in one user operation. The batch transfer contract is only
+    // approved for the chain's USDC.
+    let executionMode = "sequential"
+    if (wallet.account_type === "smart_account") {
+      executionMode = "user_operation"
+    } else if (token.isDefault && chain.supportsBatchTransfers()) {
+      executionMode = "contract"
+    }
+
+    return { walletId, chainId: chain.chainId, token, executionMode, lines, total, feeTier, memo }
+  }
+
+  // Save a prepared batch and its lines inside the caller's transaction, so it can be committed together
+  // with whatever the batch was created for
+  async insertBatch(client, batch) {
+    const { walletId, chainId, token, executionMode, lines, total, feeTier, memo } = batch
+
+    const batchResult = await client.query(
+      `
+      INSERT INTO payout_batches (
+        wallet_id, chain_id, asset_id, execution_mode, total_amount, recipient_count, fee_tier, memo
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `,
+      [walletId, chainId, token.id, executionMode, total, lines.length, feeTier, memo],
+    )
+    const batchId = batchResult.rows[0].id
+
+    await client.query(
+      `
+      INSERT INTO payout_batch_items (batch_id, line_number, recipient_address, amount, memo)
+      SELECT $1, * FROM unnest($2::int[], $3::varchar[], $4::numeric[], $5::text[])
+    `,
+      [
+        batchId,
+        lines.map((line) => line.line),
+        lines.map((line) => line.toAddress),
+        lines.map((line) => line.amount),
+        lines.map((line) => line.memo),
+      ],
+    )
+
+    logger.info(
+      `Payout batch ${batchId} created for wallet ${walletId}: ${lines.length} payments, ${total} ${token.symbol} (${executionMode})`,
+    )
+
+    return batchId
+  }
+
+  // Put a finished batch's failed lines back in the queue, each still within the per-payment limit if one
+  // is given. Interrupted lines may have been paid, so they are left for retryLine.
+  async retryBatch(walletId, userId, batchId, { maxPaymentAmount = null } = {}) {
+    try {
+      const wallet = await this.getWallet(walletId, userId)
+      const client = await pool.connect()
+
+      try {
+        await client.query("BEGIN")
+
+        const batchResult = await client.query(
+          "SELECT * FROM payout_batches WHERE id = $1 AND wallet_id = $2 FOR UPDATE",
+          [batchId, walletId],
+        )
+
+        if (batchResult.rows.length === 0) {
+          throw new Error("Payout batch not found or access denied")
+        }
+
+        const batch = batchResult.rows[0]
+
+        if (!["partially_failed", "failed"].includes(batch.status)) {
+          throw new Error("Only finished batches with failed payments can be retried")
+        }
+
+        const failedResult = await client.query(
+          `
+          SELECT COUNT(*)::int AS count, COALESCE(SUM(amount), 0) AS total, MAX(amount) AS largest
+          FROM payout_batch_items WHERE batch_id = $1 AND status = 'failed'
+        `,
+          [batchId],
+        )
+
+        if (failedResult.rows[0].count === 0) {
+          throw new Error("This batch has no failed payments to retry; interrupted payments are retried one at a time")
+        }
+
+        if (maxPaymentAmount !== null && Number.parseFloat(failedResult.rows[0].largest) > maxPaymentAmount) {
+          throw new Error(`A failed payment exceeds the per-payment limit of ${maxPaymentAmount}`)
+        }
+
+        const chain = chainRegistry.forChain(batch.chain_id)
+        const token = await assetRegistry.getAssetById(batch.asset_id, chain.chainId)
+
+        if ((await this.getSpendableBalance(wallet, chain, token)) < Number.parseFloat(failedResult.rows[0].total)) {
+          throw new Error(`Insufficient ${token.symbol} balance to retry the failed payments`)
+        }
+
+        await client.query(
+          `
+          UPDATE payout_batch_items
+          SET status = 'pending', attempts = 0, failure_reason = NULL, transaction_id = NULL, transaction_hash = NULL
+          WHERE batch_id = $1 AND status = 'failed'
+        `,
+          [batchId],
+        )
+        await client.query("UPDATE payout_batches SET status = 'processing', completed_at = NULL WHERE id = $1", [
+          batchId,
+        ])
+
+        await client.query("COMMIT")
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+
+      logger.info(`Payout batch ${batchId} queued for retry`)
+
+      return this.getBatch(walletId, userId, batchId)
+    } catch (error) {
+      logger.error(`Error retrying payout batch ${batchId}:`, error)
+      throw error
+    }
+  }
+
+  // Put one failed or interrupted line back in the queue. For an interrupted line this is the user
+  // confirming, after checking the wallet's transactions, that the payment did not go out.
+  async retryLine(walletId, userId, batchId, lineNumber, { maxPaymentAmount = null } = {}) {
+    try {
+      const wallet = await this.getWallet(walletId, userId)
+      const client = await pool.connect()
+
+      try {
+        await client.query("BEGIN")
+
+        const batchResult = await client.query(
+          "SELECT * FROM payout_batches WHERE id = $1 AND wallet_id = $2 FOR UPDATE",
+          [batchId, walletId],
+        )
+
+        if (batchResult.rows.length === 0) {
+          throw new Error("Payout batch not found or access denied")
+        }
+
+        const batch = batchResult.rows[0]
+
+        if (!["partially_failed", "failed"].includes(batch.status)) {
+          throw new Error("Only finished batches with failed payments can be retried")
+        }
+
+        const itemResult = await client.query(
+          "SELECT * FROM payout_batch_items WHERE batch_id = $1 AND line_number = $2 FOR UPDATE",
+          [batchId, lineNumber],
+        )
+        const item = itemResult.rows[0]
+
+        if (!item || !["failed", "interrupted"].includes(item.status)) {
+          throw new Error("Only a failed or interrupted payment can be retried")
+        }
+
+        if (maxPaymentAmount !== null && Number.parseFloat(item.amount) > maxPaymentAmount) {
+          throw new Error(`Amount exceeds the per-payment limit of ${maxPaymentAmount}`)
+        }
+
+        const chain = chainRegistry.forChain(batch.chain_id)
+        const token = await assetRegistry.getAssetById(batch.asset_id, chain.chainId)
+
+        if ((await this.getSpendableBalance(wallet, chain, token)) < Number.parseFloat(item.amount)) {
+          throw new Error(`Insufficient ${token.symbol} balance to retry this payment`)
+        }
+
+        await client.query(
+          `
+          UPDATE payout_batch_items
+          SET status = 'pending', attempts = 0, failure_reason = NULL, transaction_id = NULL, transaction_hash = NULL
+          WHERE id = $1
+        `,
+          [item.id],
+        )
+        await client.query("UPDATE payout_batches SET status = 'processing', completed_at = NULL WHERE id = $1", [
+          batchId,
+        ])
+
+        await client.query("COMMIT")
+
+        if (item.status === "interrupted") {
+          logger.warn(`Interrupted line ${lineNumber} of payout batch ${batchId} confirmed unpaid and queued again`)
+        }
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+
+      return this.getBatch(walletId, userId, batchId)
+    } catch (error) {
+      logger.error(`Error retrying line ${lineNumber} of payout batch ${batchId}:`, error)
+      throw error
+    }
+  }
+
+  // Work through batches that are still processing, least recently checked first
+  async run() {
+    const summary = { checked: 0, submitted: 0, finished: 0 }
+    // Each batch is processed at most once per run
+    const attempted = []
+
+    for (let i = 0; i < this.batchesPerRun; i++) {
+      const outcome = await this.processNext(attempted)
+
+      if (!outcome) {
+        break
+      }
+
+      summary.checked++
+      summary.submitted += outcome.submitted
+      if (outcome.status !== "processing") summary.finished++
+    }
+
+    return summary
+  }
+
+  // Claim one processing batch (skipping batches another instance holds) and move it forward. The claim is
+  // a session lock rather than an open transaction, so every line's state is committed as it changes and
+  // nothing a send has done is lost if the worker dies or the database connection drops mid-run.
+  async processNext(attempted) {
+    const client = await pool.connect()
+    let batch = null
+    let outcome
+
+    try {
+      const candidates = await client.query(
+        `
+        SELECT id FROM payout_batches
+        WHERE status = 'processing' AND NOT (id = ANY($1::uuid[]))
+        ORDER BY last_checked_at ASC NULLS FIRST
+        LIMIT $2
+      `,
+        [attempted, this.batchesPerRun],
+      )
+
+      for (const { id } of candidates.rows) {
+        attempted.push(id)
+        const lock = await client.query("SELECT pg_try_advisory_lock(hashtext($1)) AS locked", [`payout_batch:${id}`])
+
+        if (lock.rows[0].locked) {
+          batch = { id }
+          break
+        }
+      }
+
+      if (!batch) {
+        client.release()
+        return null
+      }
+    } catch (error) {
+      client.release(error)
+      throw error
+    }
+
+    try {
+      const result = await query(
+        `
+        SELECT b.*, w.user_id, w.api_client_id, w.address AS wallet_address, w.encrypted_private_key,
+               w.chain_id AS wallet_chain_id, w.owner_address, w.account_salt
+        FROM payout_batches b
+        JOIN wallets w ON b.wallet_id = w.id
+        WHERE b.id = $1 AND b.status = 'processing'
+      `,
+        [batch.id],
+      )
+
+      // Finished by another instance between picking it and locking it
+      if (result.rows.length === 0) {
+        return null
+      }
+
+      batch = result.rows[0]
+      outcome = await this.process(batch)
+
+      await query("UPDATE payout_batches SET last_checked_at = NOW() WHERE id = $1", [batch.id])
+    } finally {
+      await this.unlock(client, batch.id)
+    }
+
+    if (outcome.status !== "processing") {
+      await this.announce(batch, outcome)
+    }
+
+    return outcome
+  }
+
+  // Let go of a batch; a connection that can't unlock is closed rather than handed back to the pool
+  async unlock(client, batchId) {
+    try {
+      await client.query("SELECT pg_advisory_unlock(hashtext($1))", [`payout_batch:${batchId}`])
+      client.release()
+    } catch (error) {
+      logger.error(`Failed to unlock payout batch ${batchId}:`, error)
+      client.release(error)
+    }
+  }
+
+  async process(batch) {
+    await this.resolveInterrupted(batch)
+    await this.syncSubmitted(batch)
+
+    let submitted
+    if (batch.execution_mode === "contract") {
+      submitted = await this.submitChunks(batch)
+    } else if (batch.execution_mode === "user_operation") {
+      submitted = await this.submitUserOperations(batch)
+    } else {
+      submitted = await this.submitSequential(batch)
+    }
+
+    return this.finalize(batch, submitted)
+  }
+
+  // Lines still 'sending' while we hold the batch were left by a worker that stopped mid-send. They may
+  // have been paid, so they are set aside for the user to check rather than sent again.
+  async resolveInterrupted(batch) {
+    const result = await query(
+      `
+      UPDATE payout_batch_items
+      SET status = 'interrupted',
+          failure_reason = COALESCE(
+            failure_reason,
+            'Interrupted while sending; check the wallet''s transactions before retrying this payment'
+          )
+      WHERE batch_id = $1 AND status = 'sending'
+      RETURNING id
+    `,
+      [batch.id],
+    )
+
+    if (result.rows.length > 0) {
+      logger.error(`Payout batch ${batch.id}: ${result.rows.length} line(s) were interrupted mid-send`)
+    }
+  }
+
+  // The confirmation tracker finalizes the underlying sends; carry their outcome over to the lines
+  async syncSubmitted(batch) {
+    // A sped-up send still pays the same recipient under a new hash
+    await query(
+      `
+      UPDATE payout_batch_items i
+      SET transaction_id = r.id, transaction_hash = r.transaction_hash
+      FROM transactions t
+      JOIN transactions r ON r.replaces_transaction_id = t.id AND r.replacement_type = 'speed_up'
+      WHERE i.batch_id = $1 AND i.status = 'submitted' AND i.transaction_id = t.id AND t.status = 'replaced'
+    `,
+      [batch.id],
+    )
+
+    await query(
+      `
+      UPDATE payout_batch_items i
+      SET status = CASE WHEN t.status = 'confirmed' THEN 'confirmed' ELSE 'failed' END,
+          transaction_hash = COALESCE(i.transaction_hash, t.transaction_hash),
+          failure_reason = CASE
+            WHEN t.status = 'confirmed' THEN NULL
+            WHEN t.status = 'replaced' THEN 'Send was cancelled'
+            ELSE COALESCE(t.failure_reason, 'Transaction failed')
+          END
+      FROM transactions t
+      WHERE i.batch_id = $1 AND i.status = 'submitted' AND i.transaction_id = t.id
+        AND t.status IN ('confirmed', 'failed', 'replaced')
+    `,
+      [batch.id],
+    )
+  }
+
+  // Contract mode: approve the batch transfer contract for everything still pending, then send one
+  // transaction per chunk. A failed chunk stops the run so later chunks keep their order.
+  async submitChunks(batch) {
+    const chain = chainRegistry.forChain(batch.chain_id)
+    const token = await assetRegistry.getAssetById(batch.asset_id, chain.chainId)
+    const pending = await this.getPendingItems(batch.id)
+
+    if (pending.length === 0) {
+      return 0
+    }
+
+    const wallet = {
+      id: batch.wallet_id,
+      address: batch.wallet_address,
+      encrypted_private_key: batch.encrypted_private_key,
+    }
+    const totalWei = pending.reduce((sum, item) => sum + ethers.parseUnits(item.amount, token.decimals), 0n)
+
+    try {
+      await allowanceService.ensureAllowance(wallet, chain, chain.batchTransferAddress, totalWei, {
+        label: "Batch transfer contract",
+        feeTier: batch.fee_tier,
+        timeoutMs: this.approvalTimeoutMs,
+      })
+    } catch (error) {
+      await this.recordFailedAttempt(pending, error.message)
+      return 0
+    }
+
+    const encryptedPrivateKey = JSON.parse(batch.encrypted_private_key)
+    let submitted = 0
+
+    for (let i = 0; i < pending.length; i += this.chunkSize) {
+      const chunk = pending.slice(i, i + this.chunkSize)
+      await this.claimSending(chunk)
+
+      let result
+      try {
+        result = await nonceManager.sendWithNonce(
+          batch.wallet_id,
+          batch.wallet_address,
+          (nonce) =>
+            chain.sendBatchTransfer(
+              encryptedPrivateKey,
+              chunk.map((item) => item.recipient_address),
+              chunk.map((item) => item.amount),
+              { token, nonce, feeTier: batch.fee_tier },
+            ),
+          chain.chainId,
+        )
+      } catch (error) {
+        await this.recordFailedAttempt(chunk, error.message)
+        break
+      }
+
+      // Once broadcast the chunk stays 'sending' if recording it fails; it must not go back to pending
+      const transaction = await walletService.recordSend(batch.wallet_id, batch.wallet_address, result, {
+        memo: batch.memo || `Batch payout to ${chunk.length} recipients`,
+        assetId: token.id,
+        chainId: chain.chainId,
+        sendMode: "batch",
+      })
+
+      await this.markSubmitted(chunk, transaction.id, result.transactionHash)
+      submitted += chunk.length
+    }
+
+    return submitted
+  }
+
+  // User operation mode: a smart account pays each chunk with one user operation of transfer calls,
+  // which gets its transaction hash once included. A failed chunk stops the run, as in contract mode.
+  async submitUserOperations(batch) {
+    const chain = chainRegistry.forChain(batch.chain_id)
+    const token = await assetRegistry.getAssetById(batch.asset_id, chain.chainId)
+    const pending = await this.getPendingItems(batch.id)
+    const wallet = {
+      id: batch.wallet_id,
+      address: batch.wallet_address,
+      encrypted_private_key: batch.encrypted_private_key,
+      chain_id: batch.wallet_chain_id,
+      owner_address: batch.owner_address,
+      account_salt: batch.account_salt,
+    }
+    let submitted = 0
+
+    for (let i = 0; i < pending.length; i += this.chunkSize) {
+      const chunk = pending.slice(i, i + this.chunkSize)
+      await this.claimSending(chunk)
+
+      let result
+      try {
+        result = await smartAccountService.sendBatch(
+          wallet,
+          chain,
+          token,
+          chunk.map((item) => item.recipient_address),
+          chunk.map((item) => item.amount),
+          { feeTier: batch.fee_tier },
+        )
+      } catch (error) {
+        await this.recordFailedAttempt(chunk, error.message)
+        break
+      }
+
+      const transaction = await walletService.recordSend(batch.wallet_id, batch.wallet_address, result, {
+        memo: batch.memo || `Batch payout to ${chunk.length} recipients`,
+        assetId: token.id,
+        chainId: chain.chainId,
+        sendMode: "batch",
+        userOperationHash: result.userOperationHash,
+      })
+      await smartAccountService.attachTransaction(result.operationId, transaction.id)
+
+      await this.markSubmitted(chunk, transaction.id, null)
+      submitted += chunk.length
+    }
+
+    return submitted
+  }
+
+  // Sequential mode: ordinary sends, a limited number per run with a pause between them
+  async submitSequential(batch) {
+    const token = await assetRegistry.getAssetById(batch.asset_id, batch.chain_id)
+    const pending = await this.getPendingItems(batch.id, this.sendsPerRun)
+    let submitted = 0
+
+    for (const [index, item] of pending.entries()) {
+      if (index > 0) {
+        await wait(this.sendDelayMs)
+      }
+      await this.claimSending([item])
+
+      try {
+        const sent = await walletService.sendUSDC(
+          batch.wallet_id,
+          batch.user_id,
+          item.recipient_address,
+          item.amount,
+          item.memo || batch.memo,
+          { asset: token.contractAddress, chainId: batch.chain_id, feeTier: batch.fee_tier },
+        )
+
+        await this.markSubmitted([item], sent.transactionId, sent.transactionHash)
+        submitted++
+      } catch (error) {
+        if (!error.broadcast) {
+          await this.recordFailedAttempt([item], error.message)
+        } else if (error.transactionId) {
+          // Paid, but something after recording the send failed; the tracker settles it as usual
+          await this.markSubmitted([item], error.transactionId, error.transactionHash)
+          submitted++
+        } else {
+          // Paid but never recorded: the line stays 'sending' with what is known of the send, and is never
+          // sent again automatically
+          await this.recordUnrecordedSend(item, error)
+        }
+      }
+    }
+
+    return submitted
+  }
+
+  async getPendingItems(batchId, limit = null) {
+    const result = await query(
+      `
+      SELECT * FROM payout_batch_items
+      WHERE batch_id = $1 AND status = 'pending'
+      ORDER BY line_number ASC
+      LIMIT $2
+    `,
+      [batchId, limit],
+    )
+
+    return result.rows
+  }
+
+  // Committed before each broadcast, so a line is never sent twice because its outcome was lost
+  async claimSending(items) {
+    await query("UPDATE payout_batch_items SET status = 'sending' WHERE id = ANY($1::uuid[]) AND status = 'pending'", [
+      items.map((item) => item.id),
+    ])
+  }
+
+  async markSubmitted(items, transactionId, transactionHash) {
+    await query(
+      `
+      UPDATE payout_batch_items
+      SET status = 'submitted', transaction_id = $1, transaction_hash = $2, attempts = attempts + 1,
+          failure_reason = NULL, submitted_at = NOW()
+      WHERE id = ANY($3::uuid[])
+    `,
+      [transactionId, transactionHash, items.map((item) => item.id)],
+    )
+  }
+
+  // A broadcast send that couldn't be recorded keeps its hash on the line, for the user to check
+  async recordUnrecordedSend(item, error) {
+    await query("UPDATE payout_batch_items SET transaction_hash = $1, failure_reason = $2 WHERE id = $3", [
+      error.transactionHash,
+      `Sent but not recorded: ${error.message}`,
+      item.id,
+    ])
+
+    logger.error(`Payout line ${item.id} of batch ${item.batch_id} was sent but not recorded:`, error)
+  }
+
+  // Lines are retried on later runs until they run out of attempts
+  async recordFailedAttempt(items, reason) {
+    await query(
+      `
+      UPDATE payout_batch_items
+      SET attempts = attempts + 1, failure_reason = $1,
+          status = CASE WHEN attempts + 1 >= $2 THEN 'failed' ELSE 'pending' END
+      WHERE id = ANY($3::uuid[])
+    `,
+      [reason, this.maxAttempts, items.map((item) => item.id)],
+    )
+
+    logger.warn(`Payout attempt failed for ${items.length} line(s) of batch ${items[0].batch_id}: ${reason}`)
+  }
+
+  // Close the batch once no line is pending or in flight
+  async finalize(batch, submitted) {
+    const result = await query(
+      "SELECT status, COUNT(*)::int AS count FROM payout_batch_items WHERE batch_id = $1 GROUP BY status",
+      [batch.id],
+    )
+    const counts = Object.fromEntries(ITEM_STATUSES.map((status) => [status, 0]))
+    for (const row of result.rows) {
+      counts[row.status] = row.count
+    }
+
+    if (counts.pending > 0 || counts.sending > 0 || counts.submitted > 0) {
+      return { status: "processing", submitted, counts }
+    }
+
+    // Interrupted lines aren't known to be paid, so they keep the batch from counting as completed
+    const unpaid = counts.failed + counts.interrupted
+    const status = unpaid === 0 ? "completed" : counts.confirmed > 0 ? "partially_failed" : "failed"
+
+    await query("UPDATE payout_batches SET status = $1, completed_at = NOW() WHERE id = $2", [status, batch.id])
+    logger.info(
+      `Payout batch ${batch.id} ${status}: ${counts.confirmed} paid, ${counts.failed} failed, ${counts.interrupted} interrupted`,
+    )
+
+    return { status, submitted, counts }
+  }
+
+  // Tell the user and the API client how a batch ended
+  async announce(batch, outcome) {
+    const token = await assetRegistry.getAssetById(batch.asset_id, batch.chain_id)
+
+    try {
+      await notificationService.notifyPayoutBatchFinished(
+        batch.user_id,
+        batch.id,
+        outcome.counts.confirmed,
+        outcome.counts.failed,
+        token.symbol,
+        outcome.counts.interrupted,
+      )
+    } catch (error) {
+      logger.error(`Failed to notify payout batch ${batch.id}:`, error)
+    }
+
+    if (batch.api_client_id) {
+      await webhookService.sendWebhook(batch.api_client_id, `payout_batch.${outcome.status}`, {
+        batch_id: batch.id,
+        wallet_id: batch.wallet_id,
+        chain_id: batch.chain_id,
+        asset: token.symbol,
+        total_amount: batch.total_amount,
+        recipient_count: batch.recipient_count,
+        confirmed_count: outcome.counts.confirmed,
+        failed_count: outcome.counts.failed,
+        interrupted_count: outcome.counts.interrupted,
+        status: outcome.status,
+      })
+    }
+
+    try {
+      await walletService.updateWalletBalance(batch.wallet_id)
+    } catch (error) {
+      logger.error(`Failed to refresh balance for wallet ${batch.wallet_id}:`, error)
+    }
+  }
+
+  // Get a batch owned by the user with every line and its result
+  async getBatch(walletId, userId, batchId) {
+    try {
+      const batches = await this.queryBatches("b.id = $1 AND b.wallet_id = $2 AND w.user_id = $3", [
+        batchId,
+        walletId,
+        userId,
+      ])
+
+      if (batches.length === 0) {
+        throw new Error("Payout batch not found or access denied")
+      }
+
+      const itemsResult = await query("SELECT * FROM payout_batch_items WHERE batch_id = $1 ORDER BY line_number ASC", [
+        batchId,
+      ])
+
+      return { ...batches[0], items: itemsResult.rows.map((item) => this.formatItem(item)) }
+    } catch (error) {
+      logger.error(`Error getting payout batch ${batchId}:`, error)
+      throw error
+    }
+  }
+
+  // List a wallet's batches, newest first, with per-status line counts
+  async listBatches(walletId, userId, limit = 50, offset = 0) {
+    try {
+      await this.getWallet(walletId, userId)
+
+      return await this.queryBatches(
+        "b.wallet_id = $1 AND w.user_id = $2",
+        [walletId, userId],
+        `ORDER BY b.created_at DESC LIMIT $3 OFFSET $4`,
+        [limit, offset],
+      )
+    } catch (error) {
+      logger.error(`Error listing payout batches for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  async queryBatches(where, params, suffix = "", suffixParams = []) {
+    const result = await query(
+      `
+      SELECT b.*, a.symbol AS asset_symbol,
+             COUNT(i.id) FILTER (WHERE i.status = 'pending')::int AS pending_count,
+             COUNT(i.id) FILTER (WHERE i.status IN ('sending', 'submitted'))::int AS submitted_count,
+             COUNT(i.id) FILTER (WHERE i.status = 'confirmed')::int AS confirmed_count,
+             COUNT(i.id) FILTER (WHERE i.status = 'failed')::int AS failed_count,
+             COUNT(i.id) FILTER (WHERE i.status = 'interrupted')::int AS interrupted_count
+      FROM payout_batches b
+      JOIN wallets w ON b.wallet_id = w.id
+      JOIN assets a ON b.asset_id = a.id
+      LEFT JOIN payout_batch_items i ON i.batch_id = b.id
+      WHERE ${where}
+      GROUP BY b.id, a.symbol
+      ${suffix}
+    `,
+      [...params, ...suffixParams],
+    )
+
+    return result.rows.map((row) => this.formatBatch(row))
+  }
+
+  formatBatch(row) {
+    return {
+      id: row.id,
+      walletId: row.wallet_id,
+      chainId: row.chain_id,
+      asset: row.asset_symbol,
+      executionMode: row.execution_mode,
+      status: row.status,
+      totalAmount: row.total_amount,
+      recipientCount: row.recipient_count,
+      feeTier: row.fee_tier,
+      memo: row.memo,
+      summary: {
+        pending: row.pending_count,
+        submitted: row.submitted_count,
+        confirmed: row.confirmed_count,
+        failed: row.failed_count,
+        interrupted: row.interrupted_count,
+      },
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+    }
+  }
+
+  formatItem(row) {
+    return {
+      line: row.line_number,
+      toAddress: row.recipient_address,
+      amount: row.amount,
+      memo: row.memo,
+      status: row.status,
+      transactionId: row.transaction_id,
+      transactionHash: row.transaction_hash,
+      attempts: row.attempts,
+      failureReason: row.failure_reason,
+      submittedAt: row.submitted_at,
+    }
+  }
+}
+
+module.exports = new PayoutBatchService()
@@ -0,0 +1,402 @@
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const assetRegistry = require("./assetRegistry")
+const contactService = require("./contactService")
+const payoutBatchService = require("./payoutBatchService")
+const walletService = require("./walletService")
+const smartAccountService = require("./smartAccountService")
+const { parseCsv, toCsv } = require("../utils/csv")
+const logger = require("../utils/logger")
+
+// Header names accepted for each column; files without a header are read as recipient, amount, memo
+const COLUMN_ALIASES = {
+  recipient: ["recipient", "address", "to", "to_address", "name", "contact", "payee"],
+  amount: ["amount", "value", "usdc"],
+  memo: ["memo", "note", "notes", "description", "reference"],
+}
+
+// CSV payroll uploads: a file of (address or contact name, amount, memo) rows is validated into a
+// preview, and sent as a payout batch only once the user confirms it
+class PayrollService {
+  constructor() {
+    this.previewTtlMinutes = Number.parseInt(process.env.PAYROLL_PREVIEW_TTL_MINUTES || "60")
+  }
+
+  // Work out which cell holds which column from the header row, if the file has one
+  readColumns(rows) {
+    const header = rows[0].map((cell) => cell.toLowerCase().replace(/\s+/g, "_"))
+    const hasHeader = Object.values(COLUMN_ALIASES).some((aliases) => header.some((cell) => aliases.includes(cell)))
+
+    if (!hasHeader) {
+      return { columns: { recipient: 0, amount: 1, memo: 2 }, dataRows: rows, firstRowNumber: 1 }
+    }
+
+    const columns = Object.fromEntries(
+      Object.entries(COLUMN_ALIASES).map(([column, aliases]) => [
+        column,
+        header.findIndex((cell) => aliases.includes(cell)),
+      ]),
+    )
+
+    if (columns.recipient === -1 || columns.amount === -1) {
+      throw new Error("CSV header must include a recipient (address or contact name) and an amount column")
+    }
+
+    return { columns, dataRows: rows.slice(1), firstRowNumber: 2 }
+  }
+
+  // Parse and validate an uploaded CSV and store the preview: every row with its resolved recipient and
+  // problems, the total, an estimated network fee and whether the wallet's balances cover it
+  async createUpload(
+    walletId,
+    userId,
+    { buffer, filename },
+    { asset = null, chainId = null, feeTier = "standard" } = {},
+  ) {
+    try {
+      const wallet = await payoutBatchService.getWallet(walletId, userId)
+      walletService.assertServerCustody(wallet)
+
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+      const token = await assetRegistry.resolveAsset(asset, chain.chainId)
+
+      const parsed = parseCsv(buffer.toString("utf8"))
+
+      if (parsed.length === 0) {
+        throw new Error("CSV file is empty")
+      }
+
+      const { columns, dataRows, firstRowNumber } = this.readColumns(parsed)
+
+      if (dataRows.length === 0) {
+        throw new Error("CSV has no payment rows")
+      }
+
+      if (dataRows.length > payoutBatchService.maxRecipients) {
+        throw new Error(`A payroll file can have at most ${payoutBatchService.maxRecipients} rows`)
+      }
+
+      const cell = (cells, column) => (columns[column] === -1 ? "" : cells[columns[column]] || "")
+      const recipients = await contactService.resolveRecipients(
+        userId,
+        dataRows.map((cells) => cell(cells, "recipient")).filter(Boolean),
+      )
+
+      const resolvedRows = dataRows.map((cells, index) => {
+        const recipient = cell(cells, "recipient")
+        const resolution = recipient ? recipients.get(recipient) : { error: "Recipient is missing" }
+
+        return {
+          row: firstRowNumber + index,
+          recipient,
+          address: resolution.address || null,
+          contactName: resolution.contactName || null,
+          amount: cell(cells, "amount"),
+          memo: cell(cells, "memo") || null,
+          errors: resolution.error ? [resolution.error] : [],
+        }
+      })
+
+      // Amount, memo and address checks are the same as for batches sent through the API
+      const { lines, errors } = payoutBatchService.validatePayments(
+        resolvedRows.map((row) => ({ toAddress: row.address, amount: row.amount, memo: row.memo })),
+        chain,
+        token,
+      )
+
+      for (const lineError of errors) {
+        const row = resolvedRows[lineError.line - 1]
+
+        // An unresolved recipient already explains the missing address
+        if (lineError.field === "toAddress" && row.errors.length > 0) {
+          continue
+        }
+
+        row.errors.push(lineError.message)
+      }
+
+      for (const line of lines) {
+        const row = resolvedRows[line.line - 1]
+        row.address = line.toAddress
+        row.amount = line.amount
+      }
+
+      const invalidCount = resolvedRows.filter((row) => row.errors.length > 0).length
+      const total = lines.reduce((sum, line) => sum + ethers.parseUnits(line.amount, token.decimals), 0n)
+      const totalAmount = ethers.formatUnits(total, token.decimals)
+
+      const fee = await this.estimateFees(chain, wallet, lines, token, feeTier)
+      const tokenBalance = await payoutBatchService.getSpendableBalance(wallet, chain, token)
+      const ethBalance = await chain.getETHBalance(wallet.address)
+
+      // A smart account with a paymaster pays its gas in USDC when the batch is sent
+      const gasPaidInUSDC = wallet.account_type === "smart_account" && smartAccountService.paysGasInUSDC()
+      const balanceSufficient =
+        tokenBalance >= Number.parseFloat(totalAmount) &&
+        (fee === null || gasPaidInUSDC || BigInt(ethBalance.balanceWei) >= BigInt(fee.estimatedCostWei))
+
+      const result = await query(
+        `
+        INSERT INTO payroll_uploads (
+          wallet_id, filename, chain_id, asset_id, fee_tier, row_count, invalid_count, total_amount,
+          estimated_fee_eth, estimated_fee_usdc, token_balance, eth_balance, balance_sufficient, rows, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW() + make_interval(mins => $15))
+        RETURNING id
+      `,
+        [
+          walletId,
+          filename,
+          chain.chainId,
+          token.id,
+          feeTier,
+          resolvedRows.length,
+          invalidCount,
+          totalAmount,
+          fee?.estimatedCost ?? null,
+          fee?.estimatedCostUSDC ?? null,
+          tokenBalance,
+          ethBalance.balance,
+          balanceSufficient,
+          JSON.stringify(resolvedRows),
+          this.previewTtlMinutes,
+        ],
+      )
+
+      logger.info(
+        `Payroll upload ${result.rows[0].id} previewed for wallet ${walletId}: ${resolvedRows.length} rows, ${invalidCount} invalid, ${totalAmount} ${token.symbol}`,
+      )
+
+      return this.getUpload(userId, result.rows[0].id)
+    } catch (error) {
+      logger.error(`Error previewing payroll upload for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  // Network fee for paying every valid line, priced from one transfer of the first line. Null when it
+  // cannot be estimated (e.g. the wallet does not hold the tokens yet).
+  async estimateFees(chain, wallet, lines, token, feeTier) {
+    if (lines.length === 0) {
+      return null
+    }
+
+    try {
+      const estimate = await chain.estimateTransferGas(wallet.address, lines[0].toAddress, lines[0].amount, {
+        token,
+        feeTier,
+      })
+      const costWei = BigInt(estimate.estimatedCostWei) * BigInt(lines.length)
+
+      return {
+        estimatedCost: ethers.formatEther(costWei),
+        estimatedCostWei: costWei.toString(),
+        estimatedCostUSDC: chain.ethToUSDC(costWei, estimate.ethUsdPrice),
+      }
+    } catch (error) {
+      logger.warn(`Could not estimate payroll fees for wallet ${wallet.id}: ${error.message}`)
+      return null
+    }
+  }
+
+  // Send a previewed upload as a payout batch. Only fully valid, unexpired previews can be confirmed.
+  async confirmUpload(userId, uploadId) {
+    try {
+      const client = await pool.connect()
+      let batchId
+
+      try {
+        await client.query("BEGIN")
+
+        const result = await client.query(
+          `
+          SELECT u.*
+          FROM payroll_uploads u
+          JOIN wallets w ON u.wallet_id = w.id
+          WHERE u.id = $1 AND w.user_id = $2
+          FOR UPDATE OF u
+        `,
+          [uploadId, userId],
+        )
+
+        if (result.rows.length === 0) {
+          throw new Error("Payroll upload not found or access denied")
+        }
+
+        const upload = result.rows[0]
+
+        if (upload.status !== "previewed") {
+          throw new Error("Payroll upload has already been confirmed")
+        }
+
+        if (new Date(upload.expires_at) < new Date()) {
+          throw new Error("Preview has expired, please upload the file again")
+        }
+
+        if (upload.invalid_count > 0) {
+          throw new Error(`${upload.invalid_count} row(s) are invalid; fix them and upload the file again`)
+        }
+
+        const token = await assetRegistry.getAssetById(upload.asset_id, upload.chain_id)
+
+        // Balances are checked again by the batch, as they may have changed since the preview. The batch is
+        // saved in this transaction, so an upload is never left previewed with a batch already queued for it.
+        const prepared = await payoutBatchService.prepareBatch(upload.wallet_id, userId, {
+          payments: upload.rows.map((row) => ({ toAddress: row.address, amount: row.amount, memo: row.memo })),
+          asset: token.contractAddress,
+          chainId: upload.chain_id,
+          feeTier: upload.fee_tier,
+          memo: upload.filename ? `Payroll: ${upload.filename}` : "Payroll",
+        })
+        batchId = await payoutBatchService.insertBatch(client, prepared)
+
+        await client.query(
+          "UPDATE payroll_uploads SET status = 'confirmed', payout_batch_id = $1, confirmed_at = NOW() WHERE id = $2",
+          [batchId, uploadId],
+        )
+        await client.query("COMMIT")
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+
+      logger.info(`Payroll upload ${uploadId} confirmed as payout batch ${batchId}`)
+
+      return this.getUpload(userId, uploadId)
+    } catch (error) {
+      logger.error(`Error confirming payroll upload ${uploadId}:`, error)
+      throw error
+    }
+  }
+
+  async loadUpload(userId, uploadId) {
+    const result = await query(
+      `
+      SELECT u.*, a.symbol AS asset_symbol, w.user_id
+      FROM payroll_uploads u
+      JOIN wallets w ON u.wallet_id = w.id
+      JOIN assets a ON u.asset_id = a.id
+      WHERE u.id = $1 AND w.user_id = $2
+    `,
+      [uploadId, userId],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Payroll upload not found or access denied")
+    }
+
+    return result.rows[0]
+  }
+
+  // Get an upload's preview, and its batch once confirmed
+  async getUpload(userId, uploadId) {
+    try {
+      const upload = await this.loadUpload(userId, uploadId)
+      const batch = upload.payout_batch_id
+        ? await payoutBatchService.getBatch(upload.wallet_id, userId, upload.payout_batch_id)
+        : null
+
+      return this.formatUpload(upload, batch)
+    } catch (error) {
+      logger.error(`Error getting payroll upload ${uploadId}:`, error)
+      throw error
+    }
+  }
+
+  // List a wallet's uploads, newest first, without their rows
+  async listUploads(walletId, userId, limit = 50, offset = 0) {
+    try {
+      await payoutBatchService.getWallet(walletId, userId)
+
+      const result = await query(
+        `
+        SELECT u.*, a.symbol AS asset_symbol
+        FROM payroll_uploads u
+        JOIN assets a ON u.asset_id = a.id
+        WHERE u.wallet_id = $1
+        ORDER BY u.created_at DESC
+        LIMIT $2 OFFSET $3
+      `,
+        [walletId, limit, offset],
+      )
+
+      return result.rows.map((upload) => {
+        const { rows, ...summary } = this.formatUpload(upload, null)
+        return summary
+      })
+    } catch (error) {
+      logger.error(`Error listing payroll uploads for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
+  // Results file for finance: one line per CSV row with its validation outcome or, once confirmed, the
+  // payment status and transaction hash
+  async getResultsCsv(userId, uploadId) {
+    try {
+      const upload = await this.getUpload(userId, uploadId)
+      // Confirmed uploads only have valid rows, sent as batch lines in the same order
+      const items = upload.batch ? upload.batch.items : []
+
+      const lines = [
+        ["row", "recipient", "contact", "address", "amount", "asset", "memo", "status", "transaction_hash", "error"],
+        ...upload.rows.map((row, index) => {
+          const item = items[index]
+
+          return [
+            row.row,
+            row.recipient,
+            row.contactName,
+            row.address,
+            row.amount,
+            upload.asset,
+            row.memo,
+            item ? item.status : row.errors.length > 0 ? "invalid" : "valid",
+            item?.transactionHash,
+            item ? item.failureReason : row.errors.join("; "),
+          ]
+        }),
+      ]
+
+      const basename = (upload.filename || "payroll").replace(/\.csv$/i, "").replace(/[^\w.-]+/g, "_")
+
+      return { filename: `${basename}-results.csv`, content: toCsv(lines) }
+    } catch (error) {
+      logger.error(`Error building results for payroll upload ${uploadId}:`, error)
+      throw error
+    }
+  }
+
+  formatUpload(upload, batch) {
+    return {
+      id: upload.id,
+      walletId: upload.wallet_id,
+      filename: upload.filename,
+      chainId: upload.chain_id,
+      asset: upload.asset_symbol,
+      feeTier: upload.fee_tier,
+      status: upload.status,
+      rowCount: upload.row_count,
+      invalidCount: upload.invalid_count,
+      totalAmount: upload.total_amount,
+      estimatedNetworkFee:
+        upload.estimated_fee_eth === null ? null : { eth: upload.estimated_fee_eth, usdc: upload.estimated_fee_usdc },
+      balances: {
+        token: upload.token_balance,
+        eth: upload.eth_balance,
+        sufficient: upload.balance_sufficient,
+      },
+      canConfirm:
+        upload.status === "previewed" && upload.invalid_count === 0 && new Date(upload.expires_at) > new Date(),
+      rows: upload.rows,
+      batch: batch,
+      expiresAt: upload.expires_at,
+      confirmedAt: upload.confirmed_at,
+      createdAt: upload.created_at,
+    }
+  }
+}
+
+module.exports = new PayrollService()
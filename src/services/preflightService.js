@@ -0,0 +1,202 @@
+const { ethers } = require("ethers")
+const gasStation = require("./gasStation")
+const logger = require("../utils/logger")
+
+// Machine-readable reasons a send would fail; the message alongside each is for display
+const FAILURES = {
+  INVALID_RECIPIENT: "INVALID_RECIPIENT",
+  SENDER_BLACKLISTED: "SENDER_BLACKLISTED",
+  RECIPIENT_BLACKLISTED: "RECIPIENT_BLACKLISTED",
+  INSUFFICIENT_TOKEN_BALANCE: "INSUFFICIENT_TOKEN_BALANCE",
+  INSUFFICIENT_ETH_FOR_GAS: "INSUFFICIENT_ETH_FOR_GAS",
+  GAS_SPONSORSHIP_UNAVAILABLE: "GAS_SPONSORSHIP_UNAVAILABLE",
+  FEE_CAP_TOO_LOW: "FEE_CAP_TOO_LOW",
+  TOKEN_PAUSED: "TOKEN_PAUSED",
+  SIMULATION_REVERTED: "SIMULATION_REVERTED",
+}
+
+const WARNINGS = {
+  RECIPIENT_IS_CONTRACT: "RECIPIENT_IS_CONTRACT",
+  SELF_TRANSFER: "SELF_TRANSFER",
+  GAS_SPONSORED: "GAS_SPONSORED",
+  NAME_RESOLUTION_CHANGED: "NAME_RESOLUTION_CHANGED",
+}
+
+// Pre-flight checks for a send: simulate the transfer with eth_call, check USDC's blacklist for both
+// sides, look at whether the recipient is a contract, and make sure token and ETH balances cover it
+class PreflightService {
+  constructor() {
+    this.FAILURES = FAILURES
+    this.WARNINGS = WARNINGS
+  }
+
+  async check({
+    walletId,
+    address,
+    chain,
+    token,
+    toAddress,
+    amount,
+    feeTier = "standard",
+    maxNetworkFee = null,
+    gasless = false,
+    sponsorGas = true,
+    nameChanges = [],
+  }) {
+    const failures = []
+    const warnings = []
+    const fail = (code, message, details = {}) => failures.push({ code, message, ...details })
+    const checks = {
+      simulation: "skipped",
+      senderBlacklisted: null,
+      recipientBlacklisted: null,
+      recipientIsContract: null,
+      tokenBalance: null,
+      ethBalance: null,
+    }
+
+    if (!chain.isValidAddress(toAddress) || toAddress.toLowerCase() === ethers.ZeroAddress) {
+      fail(FAILURES.INVALID_RECIPIENT, "Recipient is not a valid address")
+      return { ok: false, failures, warnings, checks, fees: null }
+    }
+
+    // Contacts saved from a name that now points somewhere else (see contactService.getNameChanges)
+    for (const change of nameChanges) {
+      warnings.push({
+        code: WARNINGS.NAME_RESOLUTION_CHANGED,
+        message: change.currentAddress
+          ? `${change.name} now resolves to ${change.currentAddress}, not the address saved for contact ${change.contactName}`
+          : `${change.name} no longer resolves to the address saved for contact ${change.contactName}`,
+        ...change,
+      })
+    }
+
+    if (toAddress.toLowerCase() === address.toLowerCase()) {
+      warnings.push({ code: WARNINGS.SELF_TRANSFER, message: "Recipient is this wallet's own address" })
+    }
+
+    const [senderBlacklisted, recipientBlacklisted, recipientIsContract, tokenBalance] = await Promise.all([
+      chain.isBlacklisted(address, token),
+      chain.isBlacklisted(toAddress, token),
+      chain.isContract(toAddress),
+      chain.getTokenBalance(address, token),
+    ])
+
+    checks.senderBlacklisted = senderBlacklisted
+    checks.recipientBlacklisted = recipientBlacklisted
+    checks.recipientIsContract = recipientIsContract
+
+    if (senderBlacklisted) {
+      fail(FAILURES.SENDER_BLACKLISTED, `This wallet is blocked from sending ${token.symbol}`)
+    }
+
+    if (recipientBlacklisted) {
+      fail(FAILURES.RECIPIENT_BLACKLISTED, `The recipient is blocked from receiving ${token.symbol}`)
+    }
+
+    if (recipientIsContract) {
+      warnings.push({
+        code: WARNINGS.RECIPIENT_IS_CONTRACT,
+        message: "The recipient is a smart contract; funds may be unrecoverable unless it is built to receive them",
+      })
+    }
+
+    const requiredWei = ethers.parseUnits(amount.toString(), tokenBalance.decimals)
+    checks.tokenBalance = {
+      required: ethers.formatUnits(requiredWei, tokenBalance.decimals),
+      available: tokenBalance.balance,
+      sufficient: BigInt(tokenBalance.balanceWei) >= requiredWei,
+    }
+
+    if (!checks.tokenBalance.sufficient) {
+      fail(FAILURES.INSUFFICIENT_TOKEN_BALANCE, `Insufficient ${token.symbol} balance`, {
+        required: checks.tokenBalance.required,
+        available: checks.tokenBalance.available,
+      })
+    }
+
+    const simulation = await chain.simulateTransfer(address, toAddress, amount, { token })
+    checks.simulation = simulation.success ? "passed" : "failed"
+
+    // A revert already explained by an earlier check is not reported twice
+    if (!simulation.success && failures.length === 0) {
+      if (/paused/i.test(simulation.reason)) {
+        fail(FAILURES.TOKEN_PAUSED, `${token.symbol} transfers are paused`)
+      } else {
+        fail(FAILURES.SIMULATION_REVERTED, `The transfer would fail: ${simulation.reason}`, {
+          reason: simulation.reason,
+        })
+      }
+    }
+
+    // Gasless sends are paid for by the relayer, and gas cannot be estimated for a reverting transfer
+    if (gasless || !simulation.success) {
+      return { ok: failures.length === 0, failures, warnings, checks, fees: null }
+    }
+
+    let fees
+    try {
+      fees = await chain.estimateTransferGas(address, toAddress, amount, { token, feeTier, maxNetworkFee })
+    } catch (error) {
+      if (error.message.startsWith("Fee cap")) {
+        fail(FAILURES.FEE_CAP_TOO_LOW, error.message)
+        return { ok: false, failures, warnings, checks, fees: null }
+      }
+      throw error
+    }
+
+    checks.ethBalance = await this.checkGas(walletId, address, chain, fees, fail, warnings, sponsorGas)
+
+    return { ok: failures.length === 0, failures, warnings, checks, fees }
+  }
+
+  // ETH for gas, or a gas station top-up when the wallet's client sponsors gas and the wallet can take one
+  async checkGas(walletId, address, chain, fees, fail, warnings, sponsorGas = true) {
+    const ethBalance = await chain.getETHBalance(address)
+    const result = {
+      required: fees.maxCost,
+      available: ethBalance.balance,
+      sufficient: BigInt(ethBalance.balanceWei) >= BigInt(fees.maxCostWei),
+      sponsored: false,
+    }
+
+    if (result.sufficient) {
+      return result
+    }
+
+    if (!sponsorGas || !(await gasStation.getPolicy(walletId))) {
+      fail(FAILURES.INSUFFICIENT_ETH_FOR_GAS, "Insufficient ETH balance for gas fees", {
+        required: result.required,
+        available: result.available,
+      })
+      return result
+    }
+
+    try {
+      const plan = await gasStation.planTopUp(walletId, address, fees, chain)
+      result.sponsored = plan !== null
+      result.sufficient = true
+      warnings.push({
+        code: WARNINGS.GAS_SPONSORED,
+        message: plan?.feeUSDC
+          ? `Gas will be sponsored for a fee of ${plan.feeUSDC} USDC`
+          : "Gas will be sponsored by your provider",
+      })
+    } catch (error) {
+      logger.warn(`Gas sponsorship unavailable for wallet ${walletId}: ${error.message}`)
+      fail(FAILURES.GAS_SPONSORSHIP_UNAVAILABLE, error.message)
+    }
+
+    return result
+  }
+
+  // Error for a send that failed its pre-flight checks, carrying every failure for the API response
+  toError(preflight) {
+    const error = new Error(preflight.failures[0].message)
+    error.code = "PREFLIGHT_FAILED"
+    error.failures = preflight.failures
+    return error
+  }
+}
+
+module.exports = new PreflightService()
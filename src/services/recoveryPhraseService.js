@@ -0,0 +1,271 @@
+const crypto = require("crypto")
+const bcrypt = require("bcryptjs")
+const speakeasy = require("speakeasy")
+const { query } = require("../config/database")
+const seedService = require("./seedService")
+const securityLogService = require("./securityLogService")
+const logger = require("../utils/logger")
+
+// Backing up a user's HD seed phrase: it is shown once, behind the password and a 2FA code, and the user
+// then proves they wrote it down by giving the words at a few random positions. Every step is audited.
+class RecoveryPhraseService {
+  constructor() {
+    this.quizWords = Number.parseInt(process.env.RECOVERY_QUIZ_WORDS || "3")
+    this.quizTtlMinutes = Number.parseInt(process.env.RECOVERY_QUIZ_TTL_MINUTES || "10")
+    this.quizMaxAttempts = Number.parseInt(process.env.RECOVERY_QUIZ_MAX_ATTEMPTS || "3")
+  }
+
+  // Backup state of the user's phrase
+  async getStatus(userId) {
+    try {
+      const seed = await seedService.getUserSeed(userId)
+
+      return {
+        exists: seed !== null,
+        revealed: Boolean(seed?.mnemonic_revealed_at),
+        revealedAt: seed?.mnemonic_revealed_at || null,
+        verified: Boolean(seed?.mnemonic_verified_at),
+        verifiedAt: seed?.mnemonic_verified_at || null,
+        walletCount: seed ? await this.countWallets(seed.id) : 0,
+      }
+    } catch (error) {
+      logger.error("Error getting recovery phrase status:", error)
+      throw new Error("Failed to get recovery phrase status")
+    }
+  }
+
+  // Show the phrase, once. Needs the account password and a current 2FA code, so a stolen session alone
+  // can't read it.
+  async reveal(userId, whitelabelClientId, { password, twoFactorCode }, context = {}) {
+    const audit = { userId, whitelabelClientId, action: "recovery_phrase_revealed", ...context }
+    let claimed = null
+
+    try {
+      await this.reauthenticate(userId, password, twoFactorCode)
+
+      if (seedService.scope === "tenant" && whitelabelClientId) {
+        throw new Error("Wallets on this platform are backed up by the provider, not a personal recovery phrase")
+      }
+
+      const seed = await seedService.getOrCreateSeed(userId)
+
+      if (seed.mnemonic_revealed_at) {
+        throw new Error("The recovery phrase has already been revealed")
+      }
+
+      // Everything that can fail happens before the one reveal is claimed
+      const mnemonic = seedService.getMnemonic(seed)
+      const walletCount = await this.countWallets(seed.id)
+
+      claimed = await query(
+        `
+        UPDATE wallet_seeds SET mnemonic_revealed_at = NOW()
+        WHERE id = $1 AND mnemonic_revealed_at IS NULL
+        RETURNING mnemonic_revealed_at
+      `,
+        [seed.id],
+      )
+
+      if (claimed.rows.length === 0) {
+        throw new Error("The recovery phrase has already been revealed")
+      }
+
+      await securityLogService.log({ ...audit, details: { seedId: seed.id, walletCount }, success: true })
+      logger.info(`Recovery phrase revealed for user ${userId}`)
+
+      return {
+        mnemonic: mnemonic,
+        wordCount: mnemonic.split(" ").length,
+        derivationPath: seed.derivation_path,
+        walletCount: walletCount,
+        revealedAt: claimed.rows[0].mnemonic_revealed_at,
+      }
+    } catch (error) {
+      if (claimed?.rows.length > 0) {
+        await this.releaseReveal(userId)
+      }
+
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error revealing recovery phrase:", error.message)
+      throw error
+    }
+  }
+
+  // Give the reveal back when the phrase never reached the user (the response could not be sent). Only
+  // possible before the quiz has started, since starting it shows the user has the phrase.
+  async releaseReveal(userId) {
+    try {
+      const result = await query(
+        `
+        UPDATE wallet_seeds SET mnemonic_revealed_at = NULL
+        WHERE user_id = $1 AND mnemonic_verified_at IS NULL AND quiz_positions IS NULL AND quiz_attempts = 0
+        RETURNING id
+      `,
+        [userId],
+      )
+
+      if (result.rows.length > 0) {
+        await securityLogService.log({
+          userId,
+          action: "recovery_phrase_reveal_released",
+          details: { seedId: result.rows[0].id },
+          success: true,
+        })
+        logger.warn(`Recovery phrase reveal released for user ${userId}: the phrase was not delivered`)
+      }
+    } catch (error) {
+      logger.error("Error releasing recovery phrase reveal:", error)
+    }
+  }
+
+  // Ask for the words at a few random positions (1-based) of the revealed phrase
+  async startQuiz(userId, whitelabelClientId, context = {}) {
+    const audit = { userId, whitelabelClientId, action: "recovery_phrase_quiz_started", ...context }
+
+    try {
+      const seed = await this.getRevealedSeed(userId)
+      const wordCount = seedService.getMnemonic(seed).split(" ").length
+
+      const positions = new Set()
+      while (positions.size < Math.min(this.quizWords, wordCount)) {
+        positions.add(crypto.randomInt(1, wordCount + 1))
+      }
+      const sorted = [...positions].sort((a, b) => a - b)
+
+      const result = await query(
+        `
+        UPDATE wallet_seeds
+        SET quiz_positions = $1, quiz_attempts = 0, quiz_expires_at = NOW() + make_interval(mins => $2)
+        WHERE id = $3
+        RETURNING quiz_expires_at
+      `,
+        [sorted, this.quizTtlMinutes, seed.id],
+      )
+
+      await securityLogService.log({ ...audit, details: { seedId: seed.id, positions: sorted }, success: true })
+
+      return { positions: sorted, expiresAt: result.rows[0].quiz_expires_at }
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error starting recovery phrase quiz:", error.message)
+      throw error
+    }
+  }
+
+  // Check the quiz answers, given as words in the order of the quiz positions
+  async verifyQuiz(userId, whitelabelClientId, words, context = {}) {
+    const audit = { userId, whitelabelClientId, action: "recovery_phrase_verified", ...context }
+
+    try {
+      const seed = await this.getRevealedSeed(userId)
+
+      if (!seed.quiz_positions || new Date(seed.quiz_expires_at) < new Date()) {
+        throw new Error("No recovery phrase quiz is open; start a new one")
+      }
+
+      const phraseWords = seedService.getMnemonic(seed).split(" ")
+      const correct =
+        words.length === seed.quiz_positions.length &&
+        seed.quiz_positions.every((position, i) => String(words[i]).trim().toLowerCase() === phraseWords[position - 1])
+
+      if (!correct) {
+        const attempts = seed.quiz_attempts + 1
+        const exhausted = attempts >= this.quizMaxAttempts
+
+        await query(
+          `
+          UPDATE wallet_seeds
+          SET quiz_attempts = $1,
+              quiz_positions = CASE WHEN $2 THEN NULL ELSE quiz_positions END,
+              quiz_expires_at = CASE WHEN $2 THEN NULL ELSE quiz_expires_at END
+          WHERE id = $3
+        `,
+          [attempts, exhausted, seed.id],
+        )
+
+        throw new Error(
+          exhausted
+            ? "The words don't match the recovery phrase; start a new quiz"
+            : "The words don't match the recovery phrase",
+        )
+      }
+
+      const result = await query(
+        `
+        UPDATE wallet_seeds
+        SET mnemonic_verified_at = NOW(), quiz_positions = NULL, quiz_expires_at = NULL, quiz_attempts = 0
+        WHERE id = $1
+        RETURNING mnemonic_verified_at
+      `,
+        [seed.id],
+      )
+
+      await securityLogService.log({ ...audit, details: { seedId: seed.id }, success: true })
+      logger.info(`Recovery phrase backup verified for user ${userId}`)
+
+      return { verified: true, verifiedAt: result.rows[0].mnemonic_verified_at }
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error verifying recovery phrase:", error.message)
+      throw error
+    }
+  }
+
+  async getRevealedSeed(userId) {
+    const seed = await seedService.getUserSeed(userId)
+
+    if (!seed?.mnemonic_revealed_at) {
+      throw new Error("Reveal the recovery phrase first")
+    }
+
+    if (seed.mnemonic_verified_at) {
+      throw new Error("The recovery phrase backup has already been verified")
+    }
+
+    return seed
+  }
+
+  async countWallets(seedId) {
+    const result = await query(
+      "SELECT COUNT(*)::int AS count FROM wallets WHERE wallet_seed_id = $1 AND status <> 'deleted'",
+      [seedId],
+    )
+
+    return result.rows[0].count
+  }
+
+  // Password and a current 2FA code, checked again for this action
+  async reauthenticate(userId, password, twoFactorCode) {
+    const result = await query("SELECT password_hash, two_factor_enabled, two_factor_secret FROM users WHERE id = $1", [
+      userId,
+    ])
+    const user = result.rows[0]
+
+    if (!user?.two_factor_enabled) {
+      throw this.reauthenticationError("Enable two-factor authentication first")
+    }
+
+    if (!(await bcrypt.compare(password, user.password_hash))) {
+      throw this.reauthenticationError("Invalid password")
+    }
+
+    const verified = speakeasy.totp.verify({
+      secret: user.two_factor_secret,
+      encoding: "base32",
+      token: twoFactorCode,
+      window: 2,
+    })
+
+    if (!verified) {
+      throw this.reauthenticationError("Invalid 2FA code")
+    }
+  }
+
+  reauthenticationError(message) {
+    const error = new Error(message)
+    error.code = "REAUTHENTICATION_FAILED"
+    return error
+  }
+}
+
+module.exports = new RecoveryPhraseService()
@@ -0,0 +1,282 @@
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const nonceManager = require("./nonceManager")
+const notificationService = require("./notificationService")
+const webhookService = require("./webhookService")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+class Relayer extends PollingWorker {
+  constructor() {
+    super("Authorization relayer", Number.parseInt(process.env.RELAYER_POLL_INTERVAL_MS || "5000"))
+    // Platform wallet that submits signed authorizations and pays their gas
+    this.privateKey = process.env.RELAYER_PRIVATE_KEY || process.env.GAS_STATION_PRIVATE_KEY
+    this.address = this.privateKey ? new ethers.Wallet(this.privateKey).address : null
+    this.batchSize = Number.parseInt(process.env.RELAYER_BATCH_SIZE || "20")
+    this.maxAttempts = Number.parseInt(process.env.RELAYER_MAX_ATTEMPTS || "5")
+    // Skip authorizations that would expire before a submission is likely to be mined
+    this.expiryMarginSeconds = Number.parseInt(process.env.RELAYER_EXPIRY_MARGIN_SECONDS || "30")
+    this.validitySeconds = Number.parseInt(process.env.AUTHORIZATION_VALIDITY_SECONDS || "3600")
+    // A claim older than this is taken to be from a relayer that stopped mid-broadcast
+    this.staleClaimSeconds = Number.parseInt(process.env.RELAYER_STALE_CLAIM_SECONDS || "300")
+    // How far back to look for the transaction that used an authorization
+    this.lookbackBlocks = Number.parseInt(process.env.RELAYER_LOOKBACK_BLOCKS || "5000")
+  }
+
+  isAvailable() {
+    return Boolean(this.address)
+  }
+
+  // Submit queued authorizations, oldest first
+  async run() {
+    if (!this.isAvailable()) {
+      return { skipped: true }
+    }
+
+    const summary = { submitted: 0, expired: 0, rejected: 0, retrying: 0 }
+    // Failed attempts are retried on the next run rather than straight away
+    const attempted = []
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const outcome = await this.relayNext(attempted)
+
+      if (!outcome) {
+        break
+      }
+
+      summary[outcome]++
+    }
+
+    return summary
+  }
+
+  // Claim one queued authorization (skipping rows another instance holds) and submit it. The claim is
+  // committed before the broadcast, so nothing the broadcast did can be rolled back with it.
+  async relayNext(attempted) {
+    const client = await pool.connect()
+    let transaction
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(
+        `
+        SELECT t.*, COALESCE(t.api_client_id, w.api_client_id) AS api_client_id, w.user_id
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        WHERE (t.relay_status = 'queued' OR (t.relay_status = 'relaying' AND t.relayed_at < NOW() - make_interval(secs => $2)))
+          AND t.valid_after <= EXTRACT(EPOCH FROM NOW()) AND NOT (t.id = ANY($1::uuid[]))
+        ORDER BY t.created_at ASC
+        LIMIT 1
+        FOR UPDATE OF t SKIP LOCKED
+      `,
+        [attempted, this.staleClaimSeconds],
+      )
+
+      if (result.rows.length === 0) {
+        await client.query("COMMIT")
+        return null
+      }
+
+      transaction = result.rows[0]
+      attempted.push(transaction.id)
+
+      await client.query("UPDATE transactions SET relay_status = 'relaying', relayed_at = NOW() WHERE id = $1", [
+        transaction.id,
+      ])
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      throw error
+    } finally {
+      client.release()
+    }
+
+    const outcome = await this.relay(transaction)
+
+    if (outcome.rejected) {
+      await this.notifyRejected(transaction, outcome.reason)
+    }
+
+    return outcome.status
+  }
+
+  async relay(transaction) {
+    const chain = chainRegistry.forChain(transaction.chain_id)
+    const nowSeconds = Math.floor(Date.now() / 1000)
+
+    // A stale claim whose transaction is still waiting to be mined must not be relayed again: the second
+    // submission would revert and hide the first one's outcome
+    if (await this.isPreviousRelayPending(chain, transaction)) {
+      await query("UPDATE transactions SET relayed_at = NOW() WHERE id = $1", [transaction.id])
+      logger.warn(`Authorization for transaction ${transaction.id} is still in the mempool; waiting for it`)
+      return { status: "retrying" }
+    }
+
+    // Checked before expiry: a claim left behind by a stopped relayer may have been relayed just in time
+    if (await chain.isAuthorizationUsed(transaction.from_address, transaction.authorization_nonce)) {
+      const use = await this.findAuthorizationUse(transaction)
+
+      // Whoever submitted it, the transfer went through exactly as signed; usually it is our own
+      // submission whose result was lost
+      if (use) {
+        await this.markSubmitted(transaction, { transactionHash: use.transactionHash, relayer: use.submitter })
+        logger.warn(`Authorization for transaction ${transaction.id} was already relayed in ${use.transactionHash}`)
+        return { status: "submitted" }
+      }
+
+      await this.reject(transaction, "rejected", "Authorization has already been used")
+      return { status: "rejected", rejected: true, reason: "Authorization has already been used" }
+    }
+
+    if (Number(transaction.valid_before) <= nowSeconds + this.expiryMarginSeconds) {
+      await this.reject(transaction, "expired", "Authorization expired before it could be relayed")
+      return { status: "expired", rejected: true, reason: "Authorization expired before it could be relayed" }
+    }
+
+    const authorization = {
+      from: transaction.from_address,
+      to: transaction.to_address,
+      value: transaction.authorization_value,
+      validAfter: transaction.valid_after,
+      validBefore: transaction.valid_before,
+      nonce: transaction.authorization_nonce,
+      signature: transaction.authorization_signature,
+    }
+
+    let relayed
+    try {
+      relayed = await nonceManager.sendWithNonce(
+        null,
+        this.address,
+        async (nonce) => {
+          await query("UPDATE transactions SET relay_nonce = $1 WHERE id = $2", [nonce, transaction.id])
+
+          return chain.relayTransferWithAuthorization(this.privateKey, authorization, {
+            nonce,
+            feeTier: transaction.fee_tier || "standard",
+          })
+        },
+        chain.chainId,
+      )
+    } catch (error) {
+      const attempts = (transaction.relay_attempts || 0) + 1
+
+      if (attempts >= this.maxAttempts) {
+        await this.reject(transaction, "rejected", error.message)
+        return { status: "rejected", rejected: true, reason: error.message }
+      }
+
+      await query(
+        `
+        UPDATE transactions
+        SET relay_status = 'queued', relay_nonce = NULL, relay_attempts = $1, last_relay_error = $2
+        WHERE id = $3
+      `,
+        [attempts, error.message, transaction.id],
+      )
+      logger.warn(`Relay attempt ${attempts} failed for transaction ${transaction.id}: ${error.message}`)
+
+      return { status: "retrying" }
+    }
+
+    // Should this fail, the claim goes stale and the next look at the authorization finds it used
+    await this.markSubmitted(transaction, relayed)
+
+    return { status: "submitted" }
+  }
+
+  // Whether a claimed authorization was broadcast with a relayer nonce that is still pending: the chain
+  // hasn't used the nonce yet, but the mempool holds a transaction for it
+  async isPreviousRelayPending(chain, transaction) {
+    if (transaction.relay_status !== "relaying" || transaction.relay_nonce === null) {
+      return false
+    }
+
+    const relayNonce = Number(transaction.relay_nonce)
+    const nonces = await chain.getNonces(this.address)
+
+    return nonces.latest <= relayNonce && nonces.pending > relayNonce
+  }
+
+  // The transaction that used an authorization, searched for within the relayer's lookback window
+  async findAuthorizationUse(transaction) {
+    return chainRegistry
+      .forChain(transaction.chain_id)
+      .getAuthorizationUse(transaction.from_address, transaction.authorization_nonce, this.lookbackBlocks)
+  }
+
+  async markSubmitted(transaction, relayed) {
+    await query(
+      `
+      UPDATE transactions
+      SET transaction_hash = $1, relay_status = 'submitted', relayer_address = $2, gas_used = $3, gas_price = $4,
+          max_fee_per_gas = $5, max_priority_fee_per_gas = $6, relay_attempts = relay_attempts + 1,
+          last_relay_error = NULL, relayed_at = NOW()
+      WHERE id = $7
+    `,
+      [
+        relayed.transactionHash,
+        relayed.relayer,
+        relayed.gasUsed ?? null,
+        relayed.gasPrice ?? null,
+        relayed.maxFeePerGas ?? null,
+        relayed.maxPriorityFeePerGas ?? null,
+        transaction.id,
+      ],
+    )
+  }
+
+  // Submit a signed EIP-2612 permit on its chain straight away (permits are not queued)
+  async relayPermit(permit, chain = chainRegistry.forChain()) {
+    if (!this.isAvailable()) {
+      throw new Error("Relayer is not configured")
+    }
+
+    return nonceManager.sendWithNonce(
+      null,
+      this.address,
+      (nonce) => chain.relayPermit(this.privateKey, permit, { nonce }),
+      chain.chainId,
+    )
+  }
+
+  // Take an authorization out of the queue for good and fail its transaction
+  async reject(transaction, relayStatus, reason) {
+    await query(
+      `
+      UPDATE transactions
+      SET relay_status = $1, status = 'failed', failure_reason = $2, last_relay_error = $2, last_checked_at = NOW()
+      WHERE id = $3
+    `,
+      [relayStatus, reason, transaction.id],
+    )
+
+    logger.warn(`Authorization for transaction ${transaction.id} ${relayStatus}: ${reason}`)
+  }
+
+  async notifyRejected(transaction, reason) {
+    try {
+      await notificationService.notifyTransactionFailed(transaction.user_id, null, transaction.amount, reason)
+    } catch (error) {
+      logger.error(`Failed to notify rejected authorization ${transaction.id}:`, error)
+    }
+
+    if (transaction.api_client_id) {
+      await webhookService.sendWebhook(transaction.api_client_id, "transaction.failed", {
+        transaction_id: transaction.id,
+        wallet_id: transaction.wallet_id,
+        type: transaction.transaction_type,
+        hash: null,
+        amount: transaction.amount,
+        from_address: transaction.from_address,
+        to_address: transaction.to_address,
+        reason: reason,
+        status: "failed",
+      })
+    }
+  }
+}
+
+module.exports = new Relayer()
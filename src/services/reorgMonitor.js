@@ -0,0 +1,243 @@
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const walletService = require("./walletService")
+const confirmationTracker = require("./confirmationTracker")
+const webhookService = require("./webhookService")
+const notificationService = require("./notificationService")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+class ReorgMonitor extends PollingWorker {
+  constructor() {
+    super("Reorg monitor", Number.parseInt(process.env.REORG_POLL_INTERVAL_MS || "30000"))
+    this.lookbackBlocks = Number.parseInt(process.env.REORG_LOOKBACK_BLOCKS || "256")
+    // How long a reorged receive has to turn up again in the indexer's rescan before it counts as reversed
+    this.receiveGraceMinutes = Number.parseInt(process.env.REORG_RECEIVE_GRACE_MINUTES || "30")
+  }
+
+  // Check every configured chain; one chain being unreachable does not hold up the others
+  async run() {
+    const summary = {}
+
+    for (const chain of chainRegistry.list()) {
+      try {
+        summary[chain.chainId] = await this.runChain(chain)
+      } catch (error) {
+        logger.error(`Reorg monitor failed on chain ${chain.chainId}:`, error)
+        summary[chain.chainId] = { error: error.message }
+      }
+    }
+
+    return summary
+  }
+
+  // Compare stored block hashes in the lookback window with the chain's canonical blocks
+  async runChain(chain) {
+    const latestBlock = await chain.getCurrentBlock()
+    const windowStart = Math.max(latestBlock - this.lookbackBlocks, 0)
+
+    const checkpointsResult = await query(
+      `
+      SELECT block_number, block_hash FROM block_checkpoints
+      WHERE chain_id = $1 AND block_number >= $2
+      ORDER BY block_number ASC
+    `,
+      [chain.chainId, windowStart],
+    )
+    const transactionsResult = await query(
+      `
+      SELECT t.id, t.wallet_id, t.transaction_hash, t.transaction_type, t.from_address, t.to_address,
+             t.amount, t.status, t.block_number, t.block_hash,
+             COALESCE(t.api_client_id, w.api_client_id) AS api_client_id
+      FROM transactions t
+      JOIN wallets w ON t.wallet_id = w.id
+      WHERE t.chain_id = $1 AND t.block_hash IS NOT NULL AND t.block_number >= $2
+        AND t.status IN ('pending', 'confirmed')
+    `,
+      [chain.chainId, windowStart],
+    )
+
+    const checkpoints = checkpointsResult.rows.map((row) => ({
+      blockNumber: Number(row.block_number),
+      blockHash: row.block_hash,
+    }))
+    const transactions = transactionsResult.rows.map((row) => ({ ...row, block_number: Number(row.block_number) }))
+
+    const blockNumbers = new Set([
+      ...checkpoints.map((checkpoint) => checkpoint.blockNumber),
+      ...transactions.map((transaction) => transaction.block_number),
+    ])
+    const canonicalHashes = await chain.getBlockHashes([...blockNumbers])
+
+    const staleCheckpoints = checkpoints.filter(
+      (checkpoint) => canonicalHashes.get(checkpoint.blockNumber) !== checkpoint.blockHash,
+    )
+    const reorgedTransactions = transactions.filter(
+      (transaction) => canonicalHashes.get(transaction.block_number) !== transaction.block_hash,
+    )
+
+    if (staleCheckpoints.length > 0) {
+      await this.rewindIndexer(chain, checkpoints, staleCheckpoints[0].blockNumber, windowStart)
+    }
+
+    for (const transaction of reorgedTransactions) {
+      await this.rollbackTransaction(transaction)
+    }
+
+    await query("DELETE FROM block_checkpoints WHERE chain_id = $1 AND block_number < $2", [chain.chainId, windowStart])
+
+    const reversedReceives = await this.reverseVanishedReceives(chain)
+
+    return {
+      staleCheckpoints: staleCheckpoints.length,
+      reorgedTransactions: reorgedTransactions.length,
+      reversedReceives,
+    }
+  }
+
+  // Move the chain's indexer cursors back to the last checkpoint that is still canonical so the fork
+  // gets rescanned
+  async rewindIndexer(chain, checkpoints, firstStaleBlock, windowStart) {
+    const lastValid = checkpoints.filter((checkpoint) => checkpoint.blockNumber < firstStaleBlock).pop()
+    const forkBlock = lastValid ? lastValid.blockNumber : Math.max(windowStart - 1, 0)
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+      await client.query(
+        "UPDATE transaction_monitoring SET last_checked_block = $1 WHERE chain_id = $2 AND last_checked_block > $1",
+        [forkBlock, chain.chainId],
+      )
+      await client.query("DELETE FROM block_checkpoints WHERE chain_id = $1 AND block_number > $2", [
+        chain.chainId,
+        forkBlock,
+      ])
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.warn(
+      `Chain reorganization detected on chain ${chain.chainId} at block ${firstStaleBlock}, indexer rewound to block ${forkBlock}`,
+    )
+  }
+
+  // Return a transaction whose block is no longer canonical to pending and re-process it. Receives are
+  // found by the indexer's rescan, not by hash, so they wait as 'reorged' for it to pick them up again.
+  async rollbackTransaction(transaction) {
+    const receive = transaction.transaction_type === "receive"
+    const result = await query(
+      `
+      UPDATE transactions
+      SET status = $3, block_number = NULL, block_hash = NULL, transaction_index = NULL,
+          confirmations = 0, confirmed_at = NULL, stuck_at = NULL,
+          reorg_count = COALESCE(reorg_count, 0) + 1, reorged_at = NOW()
+      WHERE id = $1 AND block_hash = $2
+      RETURNING id
+    `,
+      [transaction.id, transaction.block_hash, receive ? "reorged" : "pending"],
+    )
+
+    if (result.rows.length === 0) {
+      return
+    }
+
+    logger.warn(
+      `Transaction ${transaction.transaction_hash} reorged out of block ${transaction.block_number} (${transaction.block_hash})`,
+    )
+
+    if (transaction.api_client_id) {
+      await webhookService.sendWebhook(transaction.api_client_id, "transaction.reorged", {
+        transaction_id: transaction.id,
+        wallet_id: transaction.wallet_id,
+        type: transaction.transaction_type,
+        hash: transaction.transaction_hash,
+        amount: transaction.amount,
+        from_address: transaction.from_address,
+        to_address: transaction.to_address,
+        previous_status: transaction.status,
+        previous_block_number: transaction.block_number,
+        previous_block_hash: transaction.block_hash,
+        status: receive ? "reorged" : "pending",
+      })
+    }
+
+    try {
+      await walletService.updateWalletBalance(transaction.wallet_id)
+    } catch (error) {
+      logger.error(`Failed to refresh balance for wallet ${transaction.wallet_id}:`, error)
+    }
+
+    if (receive) {
+      return
+    }
+
+    try {
+      await confirmationTracker.checkTransactionById(transaction.id)
+    } catch (error) {
+      logger.error(`Failed to re-check reorged transaction ${transaction.transaction_hash}:`, error)
+    }
+  }
+
+  // Receives the rescan hasn't found again within the grace period are no longer on the chain: the payment
+  // was reversed, which the recipient hears about as such rather than as a failed send
+  async reverseVanishedReceives(chain) {
+    const result = await query(
+      `
+      UPDATE transactions t
+      SET status = 'reversed', failure_reason = 'Reversed by a chain reorganization'
+      FROM wallets w
+      WHERE t.wallet_id = w.id AND t.chain_id = $1 AND t.status = 'reorged'
+        AND t.reorged_at < NOW() - make_interval(mins => $2)
+      RETURNING t.id, t.wallet_id, t.transaction_hash, t.from_address, t.to_address, t.amount, w.user_id,
+                COALESCE(t.api_client_id, w.api_client_id) AS api_client_id,
+                COALESCE((SELECT symbol FROM assets WHERE id = t.asset_id), 'USDC') AS symbol
+    `,
+      [chain.chainId, this.receiveGraceMinutes],
+    )
+
+    for (const transaction of result.rows) {
+      logger.warn(`Receive ${transaction.transaction_hash} on chain ${chain.chainId} was reversed by a reorganization`)
+
+      try {
+        await notificationService.notifyTransactionReversed(
+          transaction.user_id,
+          transaction.transaction_hash,
+          transaction.amount,
+          transaction.from_address,
+          transaction.symbol,
+        )
+      } catch (error) {
+        logger.error(`Failed to notify reversed receive ${transaction.transaction_hash}:`, error)
+      }
+
+      if (transaction.api_client_id) {
+        await webhookService.sendWebhook(transaction.api_client_id, "transaction.reorged", {
+          transaction_id: transaction.id,
+          wallet_id: transaction.wallet_id,
+          type: "receive",
+          hash: transaction.transaction_hash,
+          amount: transaction.amount,
+          from_address: transaction.from_address,
+          to_address: transaction.to_address,
+          previous_status: "reorged",
+          status: "reversed",
+        })
+      }
+
+      try {
+        await walletService.updateWalletBalance(transaction.wallet_id)
+      } catch (error) {
+        logger.error(`Failed to refresh balance for wallet ${transaction.wallet_id}:`, error)
+      }
+    }
+
+    return result.rows.length
+  }
+}
+
+module.exports = new ReorgMonitor()
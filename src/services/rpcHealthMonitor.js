@@ -0,0 +1,21 @@
+const chainRegistry = require("./chainRegistry")
+const PollingWorker = require("../utils/pollingWorker")
+
+// Periodically probes every RPC endpoint of every chain so failover decisions use fresh latency and lag data
+class RpcHealthMonitor extends PollingWorker {
+  constructor() {
+    super("RPC health monitor", Number.parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || "15000"))
+  }
+
+  async run() {
+    const summary = {}
+
+    for (const chain of chainRegistry.list()) {
+      summary[chain.chainId] = await chain.provider.checkHealth()
+    }
+
+    return summary
+  }
+}
+
+module.exports = new RpcHealthMonitor()
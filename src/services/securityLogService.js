@@ -0,0 +1,34 @@
+const { query } = require("../config/database")
+const logger = require("../utils/logger")
+
+// Audit trail of security-sensitive account events in security_logs
+class SecurityLogService {
+  // Record an event; a failure to write the log never fails the action being audited
+  async log({
+    userId,
+    walletId = null,
+    whitelabelClientId = null,
+    action,
+    details = {},
+    ipAddress = null,
+    userAgent = null,
+    success,
+  }) {
+    try {
+      await query("SELECT log_security_event($1, $2, $3, $4, $5, $6, $7, $8)", [
+        userId,
+        walletId,
+        whitelabelClientId,
+        action,
+        JSON.stringify(details),
+        ipAddress,
+        userAgent,
+        success,
+      ])
+    } catch (error) {
+      logger.error(`Failed to write security log for ${action}:`, error)
+    }
+  }
+}
+
+module.exports = new SecurityLogService()
@@ -0,0 +1,207 @@
+const { ethers } = require("ethers")
+const { query } = require("../config/database")
+const keyring = require("./keyring")
+const chainRegistry = require("./chainRegistry")
+const { getSignerProvider } = require("./signers")
+const logger = require("../utils/logger")
+
+const DERIVATION_PATH_PATTERN = /^m(\/\d+'?)+$/
+
+// HD master seeds. Each user (or, with HD_SEED_SCOPE=tenant, each white-label tenant) gets one BIP-39
+// seed, encrypted under the keyring, and new server wallets are derived from it at the next index under
+// HD_DERIVATION_PATH. A wallet's key is derived once and handed to the signer provider like any other key;
+// the seed is what backs the wallets up and what recovery scans.
+class SeedService {
+  constructor() {
+    this.enabled = process.env.HD_WALLETS_ENABLED !== "false"
+    this.scope = process.env.HD_SEED_SCOPE || "user"
+    this.derivationPath = process.env.HD_DERIVATION_PATH || "m/44'/60'/0'/0"
+    // Consecutive unused addresses after which recovery stops scanning
+    this.gapLimit = Number.parseInt(process.env.HD_GAP_LIMIT || "20")
+
+    if (!["user", "tenant"].includes(this.scope)) {
+      throw new Error(`Unknown HD_SEED_SCOPE: ${this.scope}`)
+    }
+
+    if (!DERIVATION_PATH_PATTERN.test(this.derivationPath)) {
+      throw new Error(`Invalid HD_DERIVATION_PATH: ${this.derivationPath}`)
+    }
+  }
+
+  // Keys held in an HSM are generated there and can't come from a seed
+  isEnabled() {
+    return this.enabled && getSignerProvider().importsKeys
+  }
+
+  // The seed new wallets for this user are derived from, created on first use
+  async getOrCreateSeed(userId, whitelabelClientId = null) {
+    try {
+      const owner =
+        this.scope === "tenant" && whitelabelClientId
+          ? { column: "white_label_client_id", id: whitelabelClientId }
+          : { column: "user_id", id: userId }
+
+      const existing = await query(`SELECT * FROM wallet_seeds WHERE ${owner.column} = $1`, [owner.id])
+      if (existing.rows.length > 0) {
+        return existing.rows[0]
+      }
+
+      const mnemonic = ethers.Mnemonic.fromEntropy(ethers.randomBytes(16)).phrase
+      const inserted = await query(
+        `
+        INSERT INTO wallet_seeds (${owner.column}, encrypted_mnemonic, derivation_path)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (${owner.column}) DO NOTHING
+        RETURNING *
+      `,
+        [owner.id, JSON.stringify(keyring.encrypt(mnemonic)), this.derivationPath],
+      )
+
+      // Another request created it first
+      if (inserted.rows.length === 0) {
+        return (await query(`SELECT * FROM wallet_seeds WHERE ${owner.column} = $1`, [owner.id])).rows[0]
+      }
+
+      logger.info(`HD seed created for ${owner.column.replace(/_id$/, "")} ${owner.id}`)
+
+      return inserted.rows[0]
+    } catch (error) {
+      logger.error("Error getting HD seed:", error)
+      throw new Error("Failed to get HD seed")
+    }
+  }
+
+  // The user's own seed, or null before their first HD wallet
+  async getUserSeed(userId) {
+    const result = await query("SELECT * FROM wallet_seeds WHERE user_id = $1", [userId])
+
+    return result.rows[0] || null
+  }
+
+  // Derive the user's next wallet key and store it with the signer provider
+  async deriveWallet(userId, whitelabelClientId = null) {
+    try {
+      const seed = await this.getOrCreateSeed(userId, whitelabelClientId)
+
+      // Claiming the index first means concurrent derivations never share one; an index left unused by a
+      // failed wallet creation is just a gap, which recovery tolerates
+      const claimed = await query(
+        "UPDATE wallet_seeds SET next_index = next_index + 1 WHERE id = $1 RETURNING next_index - 1 AS index",
+        [seed.id],
+      )
+      const index = claimed.rows[0].index
+      const node = this.deriveNode(this.getMnemonic(seed), seed.derivation_path, index)
+
+      return {
+        address: node.address,
+        encryptedPrivateKey: await getSignerProvider().importKey(node.privateKey),
+        publicKey: node.publicKey,
+        seedId: seed.id,
+        derivationPath: node.path,
+        derivationIndex: index,
+      }
+    } catch (error) {
+      logger.error("Error deriving HD wallet:", error)
+      throw new Error("Failed to derive wallet")
+    }
+  }
+
+  // The seed to attach wallets recovered from a phrase to: the user's seed when it is this phrase (with
+  // its next index moved past the recovered ones), a new seed when the user has none, otherwise null
+  async adoptSeed(userId, mnemonic, derivationPath, nextIndex) {
+    try {
+      const inserted = await query(
+        `
+        INSERT INTO wallet_seeds (user_id, encrypted_mnemonic, derivation_path, next_index)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (user_id) DO NOTHING
+        RETURNING *
+      `,
+        [userId, JSON.stringify(keyring.encrypt(mnemonic)), derivationPath, nextIndex],
+      )
+
+      if (inserted.rows.length > 0) {
+        return inserted.rows[0]
+      }
+
+      const seed = (await query("SELECT * FROM wallet_seeds WHERE user_id = $1", [userId])).rows[0]
+      if (seed.derivation_path !== derivationPath || this.getMnemonic(seed) !== mnemonic) {
+        return null
+      }
+
+      const updated = await query(
+        "UPDATE wallet_seeds SET next_index = GREATEST(next_index, $1) WHERE id = $2 RETURNING *",
+        [nextIndex, seed.id],
+      )
+
+      return updated.rows[0]
+    } catch (error) {
+      logger.error("Error adopting HD seed:", error)
+      throw new Error("Failed to save HD seed")
+    }
+  }
+
+  getMnemonic(seed) {
+    return keyring.decrypt(JSON.parse(seed.encrypted_mnemonic))
+  }
+
+  deriveNode(mnemonic, derivationPath, index) {
+    return ethers.HDNodeWallet.fromPhrase(mnemonic, null, `${derivationPath}/${index}`)
+  }
+
+  // Walk a phrase's addresses from index 0 until gapLimit in a row have never been used, returning the
+  // used ones. An address is used if the platform knows it or it has a nonce or a balance on any chain.
+  async discover(mnemonic, { derivationPath = this.derivationPath, gapLimit = this.gapLimit } = {}) {
+    if (!DERIVATION_PATH_PATTERN.test(derivationPath)) {
+      throw new Error("Invalid derivation path")
+    }
+
+    const found = []
+    let unused = 0
+
+    for (let index = 0; unused < gapLimit; index++) {
+      const node = this.deriveNode(mnemonic, derivationPath, index)
+
+      if (await this.hasActivity(node.address)) {
+        found.push({ index, node })
+        unused = 0
+      } else {
+        unused++
+      }
+    }
+
+    return found
+  }
+
+  async hasActivity(address) {
+    const known = await query(
+      `
+      SELECT 1 FROM wallets WHERE LOWER(address) = LOWER($1)
+      UNION ALL
+      SELECT 1 FROM transactions WHERE LOWER(from_address) = LOWER($1) OR LOWER(to_address) = LOWER($1)
+      LIMIT 1
+    `,
+      [address],
+    )
+
+    if (known.rows.length > 0) {
+      return true
+    }
+
+    for (const chain of chainRegistry.list()) {
+      const [nonce, eth, usdc] = await Promise.all([
+        chain.provider.getTransactionCount(address, "latest"),
+        chain.getETHBalance(address),
+        chain.getTokenBalance(address),
+      ])
+
+      if (nonce > 0 || eth.balanceWei !== "0" || usdc.balanceWei !== "0") {
+        return true
+      }
+    }
+
+    return false
+  }
+}
+
+module.exports = new SeedService()
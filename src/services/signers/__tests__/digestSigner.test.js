@@ -0,0 +1,98 @@
+const { ethers } = require("ethers")
+const DigestSigner = require("../digestSigner")
+
+const SECP256K1_N = BigInt("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141")
+
+// A key manager stand-in that signs raw digests and, like a PKCS#11 token, returns r and s only. With
+// highS it hands back the equally valid high-s form of each signature.
+const keyManager = (signingKey, { highS = false } = {}) => {
+  const digests = []
+
+  const signDigest = async (digest) => {
+    digests.push(digest)
+    const { r, s } = signingKey.sign(digest)
+
+    return { r, s: highS ? ethers.toBeHex(SECP256K1_N - BigInt(s), 32) : s }
+  }
+
+  return { signDigest, digests }
+}
+
+describe("DigestSigner", () => {
+  const wallet = ethers.Wallet.createRandom()
+
+  it("normalises high-s signatures to low-s", async () => {
+    const signer = new DigestSigner(wallet.address, keyManager(wallet.signingKey, { highS: true }).signDigest)
+
+    for (let i = 0; i < 8; i++) {
+      const signature = ethers.Signature.from(await signer.signMessage(`message ${i}`))
+
+      expect(BigInt(signature.s) <= SECP256K1_N / 2n).toBe(true)
+      expect(ethers.verifyMessage(`message ${i}`, signature)).toBe(wallet.address)
+    }
+  })
+
+  it("recovers v for both parities", async () => {
+    const signer = new DigestSigner(wallet.address, keyManager(wallet.signingKey).signDigest)
+    const parities = new Set()
+
+    for (let i = 0; parities.size < 2 && i < 64; i++) {
+      const digest = ethers.id(`digest ${i}`)
+      const signature = await signer.sign(digest)
+
+      expect(signature.serialized).toBe(wallet.signingKey.sign(digest).serialized)
+      parities.add(signature.v)
+    }
+
+    expect([...parities].sort()).toEqual([27, 28])
+  })
+
+  it("rejects signatures from a key other than the wallet's", async () => {
+    const other = ethers.Wallet.createRandom()
+    const signer = new DigestSigner(wallet.address, keyManager(other.signingKey).signDigest)
+
+    await expect(signer.signMessage("hello")).rejects.toThrow(
+      "Signature from the key manager does not match the wallet address",
+    )
+  })
+
+  it("signs transactions over their unsigned hash", async () => {
+    const { signDigest, digests } = keyManager(wallet.signingKey)
+    const signer = new DigestSigner(wallet.address, signDigest)
+    const request = {
+      type: 2,
+      chainId: 8453,
+      nonce: 7,
+      to: "0x000000000000000000000000000000000000dEaD",
+      value: 1n,
+      gasLimit: 21000n,
+      maxFeePerGas: 2000000000n,
+      maxPriorityFeePerGas: 1000000n,
+    }
+
+    const transaction = ethers.Transaction.from(await signer.signTransaction(request))
+
+    expect(transaction.from).toBe(wallet.address)
+    expect(digests).toEqual([transaction.unsignedHash])
+    await expect(signer.signTransaction({ ...request, from: ethers.ZeroAddress })).rejects.toThrow(
+      "Transaction from address does not match the signer",
+    )
+  })
+
+  it("signs typed data", async () => {
+    const signer = new DigestSigner(wallet.address, keyManager(wallet.signingKey, { highS: true }).signDigest)
+    const domain = { name: "USD Coin", version: "2", chainId: 8453, verifyingContract: ethers.ZeroAddress }
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "value", type: "uint256" },
+      ],
+    }
+    const value = { owner: wallet.address, value: 5n }
+
+    const signature = await signer.signTypedData(domain, types, value)
+
+    expect(ethers.verifyTypedData(domain, types, value, signature)).toBe(wallet.address)
+    expect(signature).toBe(await wallet.signTypedData(domain, types, value))
+  })
+})
@@ -0,0 +1,76 @@
+const crypto = require("crypto")
+const { ethers } = require("ethers")
+
+process.env.KMS_PROVIDER = "local"
+process.env.LOCAL_KMS_KEY_ID = "test-key"
+process.env.LOCAL_KMS_MASTER_KEY = crypto.randomBytes(32).toString("hex")
+
+const EnvelopeSignerProvider = require("../envelopeSignerProvider")
+const { getProviderForKey } = require("..")
+
+describe("EnvelopeSignerProvider with the local KMS", () => {
+  const provider = new EnvelopeSignerProvider()
+  const wallet = ethers.Wallet.createRandom()
+
+  it("signs with an imported key after a round trip through the KMS", async () => {
+    const storedKey = await provider.importKey(wallet.privateKey)
+    const signer = await provider.getSigner(storedKey)
+
+    expect(signer.address).toBe(wallet.address)
+    expect(ethers.verifyMessage("hello", await signer.signMessage("hello"))).toBe(wallet.address)
+  })
+
+  it("stores only the wrapped data key and the encrypted wallet key", async () => {
+    const storedKey = await provider.importKey(wallet.privateKey)
+    const serialized = JSON.stringify(storedKey)
+
+    expect(storedKey).toMatchObject({ scheme: "envelope", kmsKeyId: "test-key" })
+    expect(serialized).not.toContain(wallet.privateKey.slice(2))
+    expect(getProviderForKey(storedKey)).toBeInstanceOf(EnvelopeSignerProvider)
+  })
+
+  it("wraps every key under its own data key", async () => {
+    const first = await provider.importKey(wallet.privateKey)
+    const second = await provider.importKey(wallet.privateKey)
+
+    expect(first.wrappedKey).not.toBe(second.wrappedKey)
+    expect(first.encrypted).not.toBe(second.encrypted)
+  })
+
+  it("zeroes the plaintext data key once the wallet key is encrypted", async () => {
+    const generateDataKey = provider.kms.generateDataKey.bind(provider.kms)
+    let dataKey
+    jest.spyOn(provider.kms, "generateDataKey").mockImplementationOnce(async () => {
+      dataKey = await generateDataKey()
+      return dataKey
+    })
+
+    await provider.importKey(wallet.privateKey)
+
+    expect(dataKey.plaintext.equals(Buffer.alloc(32))).toBe(true)
+  })
+
+  it("generates keys it can sign with", async () => {
+    const generated = await provider.generateKey()
+    const signer = await provider.getSigner(generated.storedKey)
+
+    expect(signer.address).toBe(generated.address)
+    expect(ethers.computeAddress(generated.publicKey)).toBe(generated.address)
+  })
+
+  it("refuses a stored key whose wrapped data key was tampered with", async () => {
+    const storedKey = await provider.importKey(wallet.privateKey)
+    const wrapped = Buffer.from(storedKey.wrappedKey, "base64")
+    wrapped[wrapped.length - 1] ^= 0xff
+
+    await expect(provider.getSigner({ ...storedKey, wrappedKey: wrapped.toString("base64") })).rejects.toThrow()
+  })
+
+  it("refuses a stored key naming a KMS key it doesn't have", async () => {
+    const storedKey = await provider.importKey(wallet.privateKey)
+
+    await expect(provider.getSigner({ ...storedKey, kmsKeyId: "other-key" })).rejects.toThrow(
+      "Unknown KMS key: other-key",
+    )
+  })
+})
@@ -0,0 +1,77 @@
+const { ethers } = require("ethers")
+
+const SECP256K1_N = BigInt("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141")
+
+// An ethers Signer for a key held elsewhere that can only sign 32-byte digests, as a PKCS#11 token does
+// with CKM_ECDSA. Transactions, messages and typed data are hashed here; signDigest(digest) resolves to
+// the raw { r, s }, and the recovery id is found by recovering against the wallet address.
+class DigestSigner extends ethers.AbstractSigner {
+  constructor(address, signDigest, provider = null) {
+    super(provider)
+    this.address = ethers.getAddress(address)
+    this.signDigest = signDigest
+  }
+
+  async getAddress() {
+    return this.address
+  }
+
+  connect(provider) {
+    return new DigestSigner(this.address, this.signDigest, provider)
+  }
+
+  // Ethereum only accepts signatures with s in the lower half of the curve order
+  async sign(digest) {
+    const { r, s } = await this.signDigest(digest)
+    let sValue = BigInt(s)
+    if (sValue > SECP256K1_N / 2n) {
+      sValue = SECP256K1_N - sValue
+    }
+
+    for (const v of [27, 28]) {
+      const signature = ethers.Signature.from({ r: ethers.toBeHex(r, 32), s: ethers.toBeHex(sValue, 32), v })
+
+      if (ethers.recoverAddress(digest, signature) === this.address) {
+        return signature
+      }
+    }
+
+    throw new Error("Signature from the key manager does not match the wallet address")
+  }
+
+  async signTransaction(tx) {
+    const request = ethers.copyRequest(tx)
+    const { to, from } = await ethers.resolveProperties({
+      to: request.to ? ethers.resolveAddress(request.to, this.provider) : undefined,
+      from: request.from ? ethers.resolveAddress(request.from, this.provider) : undefined,
+    })
+
+    if (to != null) {
+      request.to = to
+    }
+
+    if (from != null && ethers.getAddress(from) !== this.address) {
+      throw new Error("Transaction from address does not match the signer")
+    }
+    delete request.from
+
+    const transaction = ethers.Transaction.from(request)
+    transaction.signature = await this.sign(transaction.unsignedHash)
+
+    return transaction.serialized
+  }
+
+  async signMessage(message) {
+    return (await this.sign(ethers.hashMessage(message))).serialized
+  }
+
+  async signTypedData(domain, types, value) {
+    const populated = await ethers.TypedDataEncoder.resolveNames(domain, types, value, (name) =>
+      ethers.resolveAddress(name, this.provider),
+    )
+
+    return (await this.sign(ethers.TypedDataEncoder.hash(populated.domain, types, populated.value))).serialized
+  }
+}
+
+module.exports = DigestSigner
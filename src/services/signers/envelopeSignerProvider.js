@@ -0,0 +1,66 @@
+const crypto = require("crypto")
+const { ethers } = require("ethers")
+const { createKmsClient } = require("../kms")
+
+const ALGORITHM = "aes-256-gcm"
+const IV_BYTES = 12
+
+// Envelope encryption: each wallet key is encrypted under its own data key, which is stored wrapped by
+// the KMS. Signing asks the KMS to unwrap the data key, so a copy of the database alone can't sign.
+class EnvelopeSignerProvider {
+  constructor() {
+    this.kms = createKmsClient()
+    this.importsKeys = true
+  }
+
+  async generateKey() {
+    const wallet = ethers.Wallet.createRandom()
+
+    return {
+      address: wallet.address,
+      publicKey: wallet.publicKey,
+      storedKey: await this.importKey(wallet.privateKey),
+    }
+  }
+
+  async importKey(privateKey) {
+    const dataKey = await this.kms.generateDataKey()
+
+    try {
+      const iv = crypto.randomBytes(IV_BYTES)
+      const cipher = crypto.createCipheriv(ALGORITHM, dataKey.plaintext, iv)
+
+      let encrypted = cipher.update(privateKey, "utf8", "hex")
+      encrypted += cipher.final("hex")
+
+      return {
+        scheme: "envelope",
+        kmsKeyId: dataKey.keyId,
+        wrappedKey: dataKey.ciphertext,
+        iv: iv.toString("hex"),
+        authTag: cipher.getAuthTag().toString("hex"),
+        encrypted: encrypted,
+      }
+    } finally {
+      dataKey.plaintext.fill(0)
+    }
+  }
+
+  async getSigner(storedKey, provider = null) {
+    const dataKey = await this.kms.decrypt(storedKey.wrappedKey, storedKey.kmsKeyId)
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, Buffer.from(storedKey.iv, "hex"))
+      decipher.setAuthTag(Buffer.from(storedKey.authTag, "hex"))
+
+      let privateKey = decipher.update(storedKey.encrypted, "hex", "utf8")
+      privateKey += decipher.final("utf8")
+
+      return new ethers.Wallet(privateKey, provider)
+    } finally {
+      dataKey.fill(0)
+    }
+  }
+}
+
+module.exports = EnvelopeSignerProvider
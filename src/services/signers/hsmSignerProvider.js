@@ -0,0 +1,73 @@
+const axios = require("axios")
+const { ethers } = require("ethers")
+const DigestSigner = require("./digestSigner")
+const logger = require("../../utils/logger")
+
+// Keys generated and held in an HSM behind a PKCS#11 signing gateway at HSM_SIGNER_URL. The wallet
+// stores only the key's label and address; the key never leaves the HSM, which signs transaction and
+// message digests on request.
+class HsmSignerProvider {
+  constructor() {
+    this.url = process.env.HSM_SIGNER_URL || null
+    this.token = process.env.HSM_SIGNER_TOKEN || null
+    this.timeoutMs = Number.parseInt(process.env.HSM_SIGNER_TIMEOUT_MS || "10000")
+    this.importsKeys = false
+  }
+
+  async request(path, data) {
+    if (!this.url) {
+      throw new Error("HSM_SIGNER_URL is not configured")
+    }
+
+    const response = await axios.post(`${this.url.replace(/\/$/, "")}${path}`, data, {
+      timeout: this.timeoutMs,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+    })
+
+    return response.data
+  }
+
+  // A new secp256k1 key pair generated inside the HSM
+  async generateKey() {
+    try {
+      const { keyLabel, publicKey } = await this.request("/keys", { curve: "secp256k1" })
+      const address = ethers.computeAddress(publicKey)
+
+      return {
+        address: address,
+        publicKey: ethers.SigningKey.computePublicKey(publicKey, true),
+        storedKey: { scheme: "hsm", keyLabel: keyLabel, address: address },
+      }
+    } catch (error) {
+      logger.error("Error generating HSM key:", error.message)
+      throw new Error("Failed to generate a key in the HSM")
+    }
+  }
+
+  async importKey() {
+    throw new Error("Existing keys can't be imported into the HSM signer")
+  }
+
+  async getSigner(storedKey, provider = null) {
+    return new DigestSigner(storedKey.address, (digest) => this.signDigest(storedKey.keyLabel, digest), provider)
+  }
+
+  // Raw ECDSA signature (r || s) of a 32-byte digest
+  async signDigest(keyLabel, digest) {
+    try {
+      const { signature } = await this.request(`/keys/${encodeURIComponent(keyLabel)}/sign`, { digest: digest })
+      const bytes = ethers.getBytes(signature)
+
+      if (bytes.length !== 64) {
+        throw new Error(`Expected a 64-byte signature, got ${bytes.length} bytes`)
+      }
+
+      return { r: ethers.hexlify(bytes.slice(0, 32)), s: ethers.hexlify(bytes.slice(32)) }
+    } catch (error) {
+      logger.error(`Error signing with HSM key ${keyLabel}:`, error.message)
+      throw new Error("Failed to sign with the HSM")
+    }
+  }
+}
+
+module.exports = HsmSignerProvider
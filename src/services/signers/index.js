@@ -0,0 +1,36 @@
+const LocalSignerProvider = require("./localSignerProvider")
+const EnvelopeSignerProvider = require("./envelopeSignerProvider")
+const HsmSignerProvider = require("./hsmSignerProvider")
+
+// Signer providers by name. New wallet keys go to SIGNER_PROVIDER; a stored key names the provider that
+// holds it in its scheme field, so wallets keep working when the default provider changes (keys from
+// before providers existed have none and are local). A provider implements:
+// generateKey() resolving to { address, publicKey, storedKey }, importKey(privateKey) resolving to a
+// storedKey (when importsKeys is set), and getSigner(storedKey, provider) resolving to an ethers Signer
+// with an address property.
+const PROVIDERS = {
+  local: LocalSignerProvider,
+  envelope: EnvelopeSignerProvider,
+  hsm: HsmSignerProvider,
+}
+
+const instances = new Map()
+
+const getSignerProvider = (provider = process.env.SIGNER_PROVIDER || "local") => {
+  const Provider = PROVIDERS[provider]
+
+  if (!Provider) {
+    throw new Error(`Unknown signer provider: ${provider}`)
+  }
+
+  if (!instances.has(provider)) {
+    instances.set(provider, new Provider())
+  }
+
+  return instances.get(provider)
+}
+
+// The provider holding a stored wallet key
+const getProviderForKey = (storedKey) => getSignerProvider(storedKey.scheme || "local")
+
+module.exports = { getSignerProvider, getProviderForKey }
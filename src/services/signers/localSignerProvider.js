@@ -0,0 +1,29 @@
+const { ethers } = require("ethers")
+const keyring = require("../keyring")
+
+// Wallet keys encrypted under the keyring's master keys and decrypted in-process to sign
+class LocalSignerProvider {
+  constructor() {
+    this.importsKeys = true
+  }
+
+  async generateKey() {
+    const wallet = ethers.Wallet.createRandom()
+
+    return {
+      address: wallet.address,
+      publicKey: wallet.publicKey,
+      storedKey: keyring.encrypt(wallet.privateKey),
+    }
+  }
+
+  async importKey(privateKey) {
+    return keyring.encrypt(privateKey)
+  }
+
+  async getSigner(storedKey, provider = null) {
+    return new ethers.Wallet(keyring.decrypt(storedKey), provider)
+  }
+}
+
+module.exports = LocalSignerProvider
@@ -0,0 +1,723 @@
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const assetRegistry = require("./assetRegistry")
+const preflightService = require("./preflightService")
+const notificationService = require("./notificationService")
+const webhookService = require("./webhookService")
+const { createBundlerClient } = require("./bundler")
+const { ENTRY_POINT_ABI, getUserOperationHash } = require("./bundler/userOperation")
+const { createPaymasterClient } = require("./paymaster")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+const FACTORY_ABI = [
+  "function createAccount(address owner, uint256 salt) returns (address)",
+  "function getAddress(address owner, uint256 salt) view returns (address)",
+]
+
+const ACCOUNT_ABI = [
+  "function execute(address dest, uint256 value, bytes func)",
+  "function executeBatch(address[] dest, uint256[] value, bytes[] func)",
+  "function transferOwnership(address newOwner)",
+]
+
+// Account implementations a factory may deploy. Both validate the owner's EIP-191 signature of the user
+// operation hash; LightAccount v2 prefixes it with a signature type (0x00 for the owner's key) and lets
+// the owner hand the account over to a new key. The reference SimpleAccount has a fixed owner.
+const IMPLEMENTATIONS = {
+  light: { signaturePrefix: "0x00", ownerRotation: true },
+  simple: { signaturePrefix: "0x", ownerRotation: false },
+}
+
+// Well-formed stand-in signature for gas estimation: it recovers to some address without reverting
+const DUMMY_SIGNATURE = `0x${"f".repeat(31)}0${"0".repeat(31)}7${"7".padEnd(64, "a")}1c`
+
+// ERC-4337 smart account wallets. The wallet's address is an account from the chain's factory, deployed
+// by its first user operation; the stored key is the account owner's and only signs user operations,
+// which go to the bundler client. With a paymaster configured, gas is paid in USDC: the paymaster's
+// allowance is approved in the same operation. As a worker, follows submitted operations until the
+// EntryPoint includes them, then hands their transactions to the confirmation tracker.
+class SmartAccountService extends PollingWorker {
+  constructor() {
+    super("User operation tracker", Number.parseInt(process.env.USER_OPERATION_POLL_INTERVAL_MS || "5000"))
+    this.bundlerClient = createBundlerClient()
+    this.paymasterClient = createPaymasterClient()
+    this.factoryInterface = new ethers.Interface(FACTORY_ABI)
+    this.accountInterface = new ethers.Interface(ACCOUNT_ABI)
+    this.batchSize = Number.parseInt(process.env.USER_OPERATION_BATCH_SIZE || "50")
+    this.timeoutMinutes = Number.parseInt(process.env.USER_OPERATION_TIMEOUT_MINUTES || "30")
+    // Headroom (percent) on the paymaster's USDC allowance over the operation's maximum gas cost
+    this.paymasterMarkupPercent = BigInt(process.env.PAYMASTER_USDC_MARKUP_PERCENT || "20")
+  }
+
+  getConfig(chain) {
+    if (!chain.supportsSmartAccounts()) {
+      throw new Error(`Smart accounts are not available on chain ${chain.chainId}`)
+    }
+
+    return chain.accountAbstraction
+  }
+
+  getImplementation(chain) {
+    const { implementation } = this.getConfig(chain)
+
+    if (!IMPLEMENTATIONS[implementation]) {
+      throw new Error(`Unknown smart account implementation: ${implementation}`)
+    }
+
+    return IMPLEMENTATIONS[implementation]
+  }
+
+  paysGasInUSDC() {
+    return this.paymasterClient !== null
+  }
+
+  // Counterfactual address of the account the factory deploys for an owner key
+  async getAccountAddress(chain, ownerAddress, salt = 0n) {
+    const { factoryAddress } = this.getConfig(chain)
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, chain.provider)
+
+    // The factory's getAddress is shadowed by the Contract's own getAddress()
+    const address = await factory.getFunction("getAddress")(ownerAddress, salt)
+
+    return { address, factoryAddress, salt: salt.toString() }
+  }
+
+  // Get an active smart account wallet owned by the user
+  async getWallet(walletId, userId) {
+    const result = await query(
+      `
+      SELECT id, address, encrypted_private_key, chain_id, account_type, owner_address, account_salt
+      FROM wallets
+      WHERE id = $1 AND user_id = $2 AND status = 'active'
+    `,
+      [walletId, userId],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Wallet not found or access denied")
+    }
+
+    if (result.rows[0].account_type !== "smart_account") {
+      throw new Error("This wallet is not a smart account")
+    }
+
+    return result.rows[0]
+  }
+
+  // Token transfer from a smart account, in the shape of chain.sendToken's result plus the operation
+  async sendToken(wallet, chain, token, toAddress, amount, { feeTier = "standard", maxNetworkFee = null } = {}) {
+    const decimals = await chain.getTokenDecimals(token)
+    const amountWei = ethers.parseUnits(amount.toString(), decimals)
+    const tokenAddress = await chain.getTokenContract(token).getAddress()
+
+    const operation = await this.submit(
+      wallet,
+      chain,
+      [this.transferCall(chain, token, tokenAddress, toAddress, amountWei)],
+      {
+        purpose: "transfer",
+        feeTier,
+        maxNetworkFee,
+        usdcSpentWei: token.isDefault ? amountWei : 0n,
+      },
+    )
+
+    logger.info(`${token.symbol} transfer sent from smart account ${wallet.address}: ${operation.userOperationHash}`)
+
+    return this.toSendResult(operation, { to: toAddress, amount, feeTier })
+  }
+
+  // Pay several recipients from a smart account in one user operation
+  async sendBatch(wallet, chain, token, recipients, amounts, { feeTier = "standard" } = {}) {
+    const decimals = await chain.getTokenDecimals(token)
+    const values = amounts.map((amount) => ethers.parseUnits(amount.toString(), decimals))
+    const total = values.reduce((sum, value) => sum + value, 0n)
+    const tokenAddress = await chain.getTokenContract(token).getAddress()
+
+    const calls = recipients.map((recipient, index) =>
+      this.transferCall(chain, token, tokenAddress, recipient, values[index]),
+    )
+
+    const operation = await this.submit(wallet, chain, calls, {
+      purpose: "batch",
+      feeTier,
+      usdcSpentWei: token.isDefault ? total : 0n,
+    })
+
+    logger.info(
+      `Batch of ${recipients.length} ${token.symbol} transfers sent from smart account ${wallet.address}: ${operation.userOperationHash}`,
+    )
+
+    return this.toSendResult(operation, { to: tokenAddress, amount: ethers.formatUnits(total, decimals), feeTier })
+  }
+
+  transferCall(chain, token, tokenAddress, toAddress, amountWei) {
+    return {
+      to: tokenAddress,
+      data: chain.getTokenContract(token).interface.encodeFunctionData("transfer", [toAddress, amountWei]),
+    }
+  }
+
+  // A smart account's transaction hash and nonce are only known once the bundler includes the operation
+  toSendResult(operation, { to, amount, feeTier }) {
+    return {
+      transactionHash: null,
+      userOperationHash: operation.userOperationHash,
+      operationId: operation.id,
+      to: to,
+      amount: amount,
+      gasUsed: operation.gasLimit,
+      gasPrice: operation.maxFeePerGas,
+      maxFeePerGas: operation.maxFeePerGas,
+      maxPriorityFeePerGas: operation.maxPriorityFeePerGas,
+      feeTier: feeTier,
+      nonce: null,
+      paymaster: operation.paymaster,
+      maxFeeUSDC: operation.maxFeeUSDC,
+      deploysAccount: operation.deploysAccount,
+      status: "pending",
+    }
+  }
+
+  // Hand a smart account over to a newly generated owner key. The address stays the same; the stored
+  // key is only swapped for the new one once the operation has been included.
+  async rotateOwner(walletId, userId, { feeTier = "standard" } = {}) {
+    try {
+      const wallet = await this.getWallet(walletId, userId)
+      const chain = chainRegistry.forChain(wallet.chain_id)
+
+      if (!this.getImplementation(chain).ownerRotation) {
+        throw new Error("Smart accounts on this chain cannot change their owner key")
+      }
+
+      const pending = await query(
+        "SELECT id FROM user_operations WHERE wallet_id = $1 AND purpose = 'owner_rotation' AND status = 'submitted'",
+        [walletId],
+      )
+
+      if (pending.rows.length > 0) {
+        throw new Error("An owner key rotation is already in progress for this wallet")
+      }
+
+      const newOwner = await chain.generateWallet()
+      const call = {
+        to: wallet.address,
+        data: this.accountInterface.encodeFunctionData("transferOwnership", [newOwner.address]),
+      }
+
+      const operation = await this.submit(wallet, chain, [call], { purpose: "owner_rotation", feeTier, newOwner })
+
+      logger.info(`Owner key rotation submitted for smart account ${wallet.address}: ${operation.userOperationHash}`)
+
+      return {
+        operationId: operation.id,
+        userOperationHash: operation.userOperationHash,
+        address: wallet.address,
+        previousOwner: wallet.owner_address,
+        newOwner: newOwner.address,
+        paymaster: operation.paymaster,
+        maxFeeUSDC: operation.maxFeeUSDC,
+        status: "submitted",
+        createdAt: operation.createdAt,
+      }
+    } catch (error) {
+      logger.error("Error rotating smart account owner:", error)
+      throw error
+    }
+  }
+
+  // Submit a user operation running the calls from the wallet's account and keep track of it until it is
+  // included, or is cancelled once it has been pending past valid_until
+  async submit(
+    wallet,
+    chain,
+    calls,
+    { purpose, feeTier = "standard", maxNetworkFee = null, usdcSpentWei = 0n, newOwner = null },
+  ) {
+    const sent = await this.send(wallet, chain, calls, { feeTier, maxNetworkFee, usdcSpentWei })
+
+    const result = await query(
+      `
+      INSERT INTO user_operations (
+        wallet_id, chain_id, user_operation_hash, entry_point_address, sender, nonce, purpose, paymaster_address,
+        new_owner_address, new_owner_encrypted_key, max_fee_per_gas, max_priority_fee_per_gas, valid_until
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW() + make_interval(mins => $13))
+      RETURNING id, created_at
+    `,
+      [
+        wallet.id,
+        chain.chainId,
+        sent.userOperationHash,
+        sent.entryPointAddress,
+        wallet.address,
+        sent.nonce.toString(),
+        purpose,
+        sent.paymaster,
+        newOwner?.address || null,
+        newOwner ? JSON.stringify(newOwner.encryptedPrivateKey) : null,
+        sent.maxFeePerGas.toString(),
+        sent.maxPriorityFeePerGas.toString(),
+        this.timeoutMinutes,
+      ],
+    )
+
+    return {
+      id: result.rows[0].id,
+      userOperationHash: sent.userOperationHash,
+      gasLimit: sent.gasLimit.toString(),
+      maxFeePerGas: sent.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: sent.maxPriorityFeePerGas.toString(),
+      paymaster: sent.paymaster,
+      maxFeeUSDC: sent.maxFeeUSDC,
+      deploysAccount: sent.deploysAccount,
+      createdAt: result.rows[0].created_at,
+    }
+  }
+
+  // Build, price, sign and hand a user operation to the bundler. usdcSpentWei is the USDC the calls move,
+  // checked together with the paymaster's fee. Given a nonce, the operation replaces one still pending with
+  // it, and its fees are raised to at least minFees so the bundler accepts the replacement.
+  async send(
+    wallet,
+    chain,
+    calls,
+    { feeTier = "standard", maxNetworkFee = null, usdcSpentWei = 0n, nonce = null, minFees = null },
+  ) {
+    const config = this.getConfig(chain)
+    const implementation = this.getImplementation(chain)
+
+    if (chain.chainId !== Number(wallet.chain_id)) {
+      throw new Error("A smart account can only be used on the chain it was created on")
+    }
+
+    const entryPoint = new ethers.Contract(config.entryPointAddress, ENTRY_POINT_ABI, chain.provider)
+    // A random nonce key gives each operation its own sequence, so operations in flight never collide
+    const nonceKey = ethers.toBigInt(ethers.randomBytes(24))
+    const [userOpNonce, deployed, tiers] = await Promise.all([
+      nonce ?? entryPoint.getNonce(wallet.address, nonceKey),
+      chain.isContract(wallet.address),
+      chain.getFeeTiers(),
+    ])
+    const tier = chain.getTier(tiers, feeTier)
+
+    const userOp = {
+      sender: wallet.address,
+      nonce: userOpNonce,
+      factory: deployed ? null : config.factoryAddress,
+      factoryData: deployed
+        ? null
+        : this.factoryInterface.encodeFunctionData("createAccount", [wallet.owner_address, wallet.account_salt]),
+      callData: this.encodeCalls(calls),
+      callGasLimit: 0n,
+      verificationGasLimit: 0n,
+      preVerificationGas: 0n,
+      maxFeePerGas: tier.maxFeePerGas,
+      maxPriorityFeePerGas: tier.maxPriorityFeePerGas,
+      paymaster: null,
+      paymasterData: null,
+      paymasterVerificationGasLimit: null,
+      paymasterPostOpGasLimit: null,
+      signature: ethers.concat([implementation.signaturePrefix, DUMMY_SIGNATURE]),
+    }
+
+    // The paymaster takes its USDC from an allowance approved at the start of the same operation. The
+    // approval is estimated at its largest and narrowed to the real fee once gas is known.
+    const usdc = this.paysGasInUSDC() ? await assetRegistry.getDefaultAsset(chain.chainId) : null
+    if (usdc) {
+      Object.assign(userOp, await this.paymasterClient.getPaymasterStubData(chain, userOp, usdc))
+      userOp.callData = this.encodeCalls([
+        this.approvalCall(chain, usdc, userOp.paymaster, ethers.MaxUint256),
+        ...calls,
+      ])
+    }
+
+    const estimate = await this.bundlerClient.estimateUserOperationGas(chain, userOp)
+    userOp.callGasLimit = estimate.callGasLimit
+    userOp.verificationGasLimit = estimate.verificationGasLimit
+    userOp.preVerificationGas = estimate.preVerificationGas
+    if (usdc) {
+      userOp.paymasterVerificationGasLimit =
+        estimate.paymasterVerificationGasLimit ?? userOp.paymasterVerificationGasLimit
+      userOp.paymasterPostOpGasLimit = estimate.paymasterPostOpGasLimit ?? userOp.paymasterPostOpGasLimit
+    }
+
+    const gasLimit =
+      userOp.callGasLimit +
+      userOp.verificationGasLimit +
+      userOp.preVerificationGas +
+      (userOp.paymasterVerificationGasLimit || 0n) +
+      (userOp.paymasterPostOpGasLimit || 0n)
+    let fees = chain.applyFeeCap(tier, gasLimit, maxNetworkFee)
+    if (minFees) {
+      const atLeast = (value, min) => (value > min ? value : min)
+      fees = {
+        ...fees,
+        maxFeePerGas: atLeast(fees.maxFeePerGas, minFees.maxFeePerGas),
+        maxPriorityFeePerGas: atLeast(fees.maxPriorityFeePerGas, minFees.maxPriorityFeePerGas),
+      }
+    }
+    userOp.maxFeePerGas = fees.maxFeePerGas
+    userOp.maxPriorityFeePerGas = fees.maxPriorityFeePerGas
+    const maxCostWei = gasLimit * fees.maxFeePerGas
+
+    let maxFeeUSDC = null
+    if (usdc) {
+      maxFeeUSDC = await this.checkPaymasterFunds(wallet, chain, usdc, maxCostWei, usdcSpentWei)
+      userOp.callData = this.encodeCalls([
+        this.approvalCall(chain, usdc, userOp.paymaster, ethers.parseUnits(maxFeeUSDC, usdc.decimals)),
+        ...calls,
+      ])
+
+      const { paymaster, paymasterData } = await this.paymasterClient.getPaymasterData(chain, userOp, usdc)
+      userOp.paymaster = paymaster
+      userOp.paymasterData = paymasterData
+    } else {
+      await this.checkGasFunds(wallet, chain, maxCostWei)
+    }
+
+    const owner = await chain.getSigner(JSON.parse(wallet.encrypted_private_key))
+    const userOpHash = getUserOperationHash(userOp, config.entryPointAddress, chain.chainId)
+    userOp.signature = ethers.concat([
+      implementation.signaturePrefix,
+      await owner.signMessage(ethers.getBytes(userOpHash)),
+    ])
+
+    const submittedHash = await this.bundlerClient.sendUserOperation(chain, userOp)
+
+    return {
+      userOperationHash: submittedHash,
+      entryPointAddress: config.entryPointAddress,
+      nonce: userOpNonce,
+      gasLimit: gasLimit,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      paymaster: userOp.paymaster,
+      maxFeeUSDC: maxFeeUSDC,
+      deploysAccount: !deployed,
+    }
+  }
+
+  // Replace an operation still pending past valid_until with a no-op using the same nonce, so that at most
+  // one of the two is ever included. The fees go up by a quarter, above the bump bundlers require.
+  async cancel(operation, chain) {
+    const nonce = BigInt(operation.nonce)
+    const entryPoint = new ethers.Contract(operation.entry_point_address, ENTRY_POINT_ABI, chain.provider)
+
+    // Used up already: the operation went in and the bundler hasn't reported its receipt yet
+    if ((await entryPoint.getNonce(operation.sender, nonce >> 64n)) !== nonce) {
+      await query("UPDATE user_operations SET last_checked_at = NOW() WHERE id = $1", [operation.id])
+      return
+    }
+
+    const walletResult = await query(
+      "SELECT id, address, chain_id, owner_address, account_salt, encrypted_private_key FROM wallets WHERE id = $1",
+      [operation.wallet_id],
+    )
+    const bump = (value) => (value ? (BigInt(value) * 125n) / 100n : 0n)
+
+    const sent = await this.send(walletResult.rows[0], chain, [], {
+      feeTier: "fast",
+      nonce,
+      minFees: {
+        maxFeePerGas: bump(operation.max_fee_per_gas),
+        maxPriorityFeePerGas: bump(operation.max_priority_fee_per_gas),
+      },
+    })
+
+    await query(
+      `
+      UPDATE user_operations
+      SET cancel_user_operation_hash = $1, cancel_submitted_at = NOW(), last_checked_at = NOW()
+      WHERE id = $2
+    `,
+      [sent.userOperationHash, operation.id],
+    )
+
+    logger.warn(
+      `User operation ${operation.user_operation_hash} was not included in time; cancelling with ${sent.userOperationHash}`,
+    )
+  }
+
+  // Calls run by the account: execute for one, executeBatch for several
+  encodeCalls(calls) {
+    if (calls.length === 1) {
+      return this.accountInterface.encodeFunctionData("execute", [calls[0].to, calls[0].value || 0n, calls[0].data])
+    }
+
+    return this.accountInterface.encodeFunctionData("executeBatch", [
+      calls.map((call) => call.to),
+      calls.map((call) => call.value || 0n),
+      calls.map((call) => call.data),
+    ])
+  }
+
+  approvalCall(chain, usdc, spender, valueWei) {
+    const contract = chain.getTokenContract(usdc)
+
+    return {
+      to: usdc.contractAddress,
+      data: contract.interface.encodeFunctionData("approve", [spender, valueWei]),
+    }
+  }
+
+  // The paymaster's USDC fee cap for an operation's maximum gas cost, which the account's USDC must
+  // cover on top of what the operation itself sends
+  async checkPaymasterFunds(wallet, chain, usdc, maxCostWei, usdcSpentWei) {
+    const ethUsdPrice = await chain.getEthUsdPrice()
+    const maxFeeUSDC = chain.ethToUSDC((maxCostWei * (100n + this.paymasterMarkupPercent)) / 100n, ethUsdPrice)
+
+    if (maxFeeUSDC === null) {
+      throw new Error("ETH/USD price is unavailable, so the paymaster's USDC fee cannot be capped")
+    }
+
+    const balance = await chain.getTokenBalance(wallet.address, usdc)
+    const requiredWei = ethers.parseUnits(maxFeeUSDC, usdc.decimals) + usdcSpentWei
+
+    if (BigInt(balance.balanceWei) < requiredWei) {
+      throw preflightService.toError({
+        failures: [
+          {
+            code: preflightService.FAILURES.INSUFFICIENT_TOKEN_BALANCE,
+            message: `Insufficient USDC balance to cover the paymaster's gas fee of up to ${maxFeeUSDC} USDC`,
+            required: ethers.formatUnits(requiredWei, usdc.decimals),
+            available: balance.balance,
+          },
+        ],
+      })
+    }
+
+    return maxFeeUSDC
+  }
+
+  // Without a paymaster the account pays the EntryPoint for its gas in ETH
+  async checkGasFunds(wallet, chain, maxCostWei) {
+    const balance = await chain.getETHBalance(wallet.address)
+
+    if (BigInt(balance.balanceWei) < maxCostWei) {
+      throw preflightService.toError({
+        failures: [
+          {
+            code: preflightService.FAILURES.INSUFFICIENT_ETH_FOR_GAS,
+            message: "Insufficient ETH balance in the smart account for gas fees",
+            required: ethers.formatEther(maxCostWei),
+            available: balance.balance,
+          },
+        ],
+      })
+    }
+  }
+
+  // Link an operation to the transaction recorded for it
+  async attachTransaction(operationId, transactionId) {
+    await query("UPDATE user_operations SET transaction_id = $1 WHERE id = $2", [transactionId, operationId])
+  }
+
+  // Check submitted operations, least recently checked first. An operation is only picked up once its
+  // transaction has been recorded (or, failing that, after a minute) so the transaction never misses its hash.
+  async run() {
+    const result = await query(
+      `
+      SELECT o.*, w.user_id, COALESCE(t.api_client_id, w.api_client_id) AS api_client_id,
+             t.amount, t.to_address, t.from_address, t.transaction_type, t.asset_id
+      FROM user_operations o
+      JOIN wallets w ON o.wallet_id = w.id
+      LEFT JOIN transactions t ON o.transaction_id = t.id
+      WHERE o.status = 'submitted'
+        AND (o.transaction_id IS NOT NULL OR o.purpose = 'owner_rotation' OR o.created_at < NOW() - INTERVAL '1 minute')
+      ORDER BY o.last_checked_at ASC NULLS FIRST
+      LIMIT $1
+    `,
+      [this.batchSize],
+    )
+
+    const summary = { checked: 0, included: 0, failed: 0 }
+
+    for (const operation of result.rows) {
+      try {
+        const status = await this.checkOperation(operation)
+        summary.checked++
+        if (status === "included") summary.included++
+        if (status === "failed") summary.failed++
+      } catch (error) {
+        logger.error(`Error checking user operation ${operation.user_operation_hash}:`, error)
+      }
+    }
+
+    return summary
+  }
+
+  // An operation only fails for not being included once its cancellation is, since until then its nonce
+  // could still be used and the operation go through late
+  async checkOperation(operation) {
+    const chain = chainRegistry.forChain(operation.chain_id)
+    const receipt = await this.bundlerClient.getUserOperationReceipt(chain, operation.user_operation_hash)
+
+    if (!receipt) {
+      if (operation.cancel_user_operation_hash) {
+        const cancelReceipt = await this.bundlerClient.getUserOperationReceipt(
+          chain,
+          operation.cancel_user_operation_hash,
+        )
+
+        if (cancelReceipt) {
+          await this.markFailed(operation, "User operation was not included in time and was cancelled", cancelReceipt)
+          return "failed"
+        }
+      }
+
+      const validUntil = operation.valid_until
+        ? new Date(operation.valid_until).getTime()
+        : new Date(operation.created_at).getTime() + this.timeoutMinutes * 60 * 1000
+
+      if (Date.now() > validUntil && !operation.cancel_user_operation_hash) {
+        await this.cancel(operation, chain)
+        return "submitted"
+      }
+
+      await query("UPDATE user_operations SET last_checked_at = NOW() WHERE id = $1", [operation.id])
+      return "submitted"
+    }
+
+    if (!receipt.success) {
+      await this.markFailed(operation, receipt.reason, receipt)
+      return "failed"
+    }
+
+    await this.markIncluded(operation, receipt)
+    return "included"
+  }
+
+  // The operation's transaction goes on to the confirmation tracker; a rotation takes effect here
+  async markIncluded(operation, receipt) {
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const updated = await client.query(
+        `
+        UPDATE user_operations
+        SET status = 'included', transaction_hash = $1, actual_gas_cost = $2, included_at = NOW(),
+            last_checked_at = NOW(), new_owner_encrypted_key = NULL
+        WHERE id = $3 AND status = 'submitted'
+        RETURNING id
+      `,
+        [receipt.transactionHash, receipt.actualGasCost, operation.id],
+      )
+
+      // Another instance got there first
+      if (updated.rows.length === 0) {
+        await client.query("COMMIT")
+        return
+      }
+
+      await client.query(
+        "UPDATE wallets SET account_deployed_at = COALESCE(account_deployed_at, NOW()) WHERE id = $1",
+        [operation.wallet_id],
+      )
+
+      if (operation.transaction_id) {
+        await client.query("UPDATE transactions SET transaction_hash = $1, relayed_at = NOW() WHERE id = $2", [
+          receipt.transactionHash,
+          operation.transaction_id,
+        ])
+      }
+
+      if (operation.purpose === "owner_rotation") {
+        await client.query("UPDATE wallets SET owner_address = $1, encrypted_private_key = $2 WHERE id = $3", [
+          operation.new_owner_address,
+          operation.new_owner_encrypted_key,
+          operation.wallet_id,
+        ])
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      throw error
+    } finally {
+      client.release()
+    }
+
+    if (operation.purpose === "owner_rotation") {
+      logger.info(`Smart account ${operation.sender} is now owned by ${operation.new_owner_address}`)
+    }
+  }
+
+  // A reverted operation may still have deployed the account, and its gas is still paid
+  async markFailed(operation, reason, receipt = null) {
+    const updated = await query(
+      `
+      UPDATE user_operations
+      SET status = 'failed', failure_reason = $1, transaction_hash = $2, actual_gas_cost = $3,
+          last_checked_at = NOW(), new_owner_encrypted_key = NULL
+      WHERE id = $4 AND status = 'submitted'
+      RETURNING id
+    `,
+      [reason, receipt?.transactionHash || null, receipt?.actualGasCost || null, operation.id],
+    )
+
+    if (updated.rows.length === 0) {
+      return
+    }
+
+    if (receipt) {
+      await query("UPDATE wallets SET account_deployed_at = COALESCE(account_deployed_at, NOW()) WHERE id = $1", [
+        operation.wallet_id,
+      ])
+    }
+
+    logger.warn(`User operation ${operation.user_operation_hash} failed: ${reason}`)
+
+    if (!operation.transaction_id) {
+      return
+    }
+
+    await query(
+      `
+      UPDATE transactions
+      SET status = 'failed', failure_reason = $1, transaction_hash = COALESCE($2, transaction_hash), last_checked_at = NOW()
+      WHERE id = $3 AND status = 'pending'
+    `,
+      [reason, receipt?.transactionHash || null, operation.transaction_id],
+    )
+
+    await this.notifyFailed(operation, reason, receipt)
+  }
+
+  async notifyFailed(operation, reason, receipt) {
+    const token = await assetRegistry.getAssetById(operation.asset_id)
+
+    try {
+      await notificationService.notifyTransactionFailed(
+        operation.user_id,
+        receipt?.transactionHash || null,
+        operation.amount,
+        reason,
+        token.symbol,
+      )
+    } catch (error) {
+      logger.error(`Failed to notify failed user operation ${operation.id}:`, error)
+    }
+
+    if (operation.api_client_id) {
+      await webhookService.sendWebhook(operation.api_client_id, "transaction.failed", {
+        transaction_id: operation.transaction_id,
+        wallet_id: operation.wallet_id,
+        type: operation.transaction_type,
+        hash: receipt?.transactionHash || null,
+        user_operation_hash: operation.user_operation_hash,
+        amount: operation.amount,
+        asset: token.symbol,
+        from_address: operation.from_address,
+        to_address: operation.to_address,
+        reason: reason,
+        status: "failed",
+      })
+    }
+  }
+}
+
+module.exports = new SmartAccountService()
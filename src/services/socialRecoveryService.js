@@ -0,0 +1,899 @@
+const crypto = require("crypto")
+const { ethers } = require("ethers")
+const { query, pool } = require("../config/database")
+const keyring = require("./keyring")
+const seedService = require("./seedService")
+const recoveryPhraseService = require("./recoveryPhraseService")
+const notificationService = require("./notificationService")
+const securityLogService = require("./securityLogService")
+const { createMailer } = require("./mailer")
+const shamir = require("../utils/shamir")
+const logger = require("../utils/logger")
+
+const SHARE_PATTERN = /^(?:[0-9a-f]{2}){2,}$/
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex")
+
+// Social recovery of a user's HD seed. The seed's entropy is split into Shamir shares held by guardians
+// (platform users picked from the owner's contacts), by the platform and by the owner's email. Someone who
+// has lost the phrase opens a recovery request, whose token is emailed to the account; guardians approve
+// by handing their shares back, and once the time lock has passed and threshold shares are in, the token
+// rebuilds the phrase. The owner is told about every request and can cancel it until then.
+class SocialRecoveryService {
+  constructor() {
+    this.timeLockHours = Number.parseInt(process.env.SOCIAL_RECOVERY_TIME_LOCK_HOURS || "48")
+    this.requestTtlHours = Number.parseInt(process.env.SOCIAL_RECOVERY_REQUEST_TTL_HOURS || "168")
+    this.invitationTtlDays = Number.parseInt(process.env.SOCIAL_RECOVERY_INVITATION_TTL_DAYS || "14")
+    this.maxShares = Number.parseInt(process.env.SOCIAL_RECOVERY_MAX_SHARES || "10")
+    this.mailer = createMailer()
+
+    if (this.requestTtlHours <= this.timeLockHours) {
+      throw new Error("SOCIAL_RECOVERY_REQUEST_TTL_HOURS must be longer than SOCIAL_RECOVERY_TIME_LOCK_HOURS")
+    }
+  }
+
+  // Split the user's seed into shares for the chosen custodians, replacing any previous setup. Guardians'
+  // shares wait for them to accept; the email share is sent straight away.
+  async setUp(
+    userId,
+    whitelabelClientId,
+    { threshold, guardianContactIds = [], includePlatform = true, includeEmail = true, password, twoFactorCode },
+    context = {},
+  ) {
+    const audit = { userId, whitelabelClientId, action: "social_recovery_set_up", ...context }
+    const client = await pool.connect()
+
+    try {
+      await recoveryPhraseService.reauthenticate(userId, password, twoFactorCode)
+
+      if (seedService.scope === "tenant" && whitelabelClientId) {
+        throw new Error("Wallets on this platform are backed up by the provider, not social recovery")
+      }
+
+      const guardians = await this.resolveGuardians(userId, [...new Set(guardianContactIds)])
+      const custodians = [
+        ...guardians.map((guardian) => ({ type: "guardian", ...guardian })),
+        ...(includePlatform ? [{ type: "platform" }] : []),
+        ...(includeEmail ? [{ type: "email" }] : []),
+      ]
+
+      if (custodians.length > this.maxShares) {
+        throw new Error(`At most ${this.maxShares} shares can be handed out`)
+      }
+
+      if (!Number.isInteger(threshold) || threshold < 2 || threshold > custodians.length) {
+        throw new Error(`The threshold must be between 2 and the number of shares (${custodians.length})`)
+      }
+
+      // Otherwise the platform and a compromised mailbox could recover the seed without any guardian
+      if (threshold <= custodians.length - guardians.length) {
+        throw new Error("The threshold must be high enough to need at least one guardian's share")
+      }
+
+      const owner = (await query("SELECT email, first_name, last_name FROM users WHERE id = $1", [userId])).rows[0]
+      const seed = await seedService.getOrCreateSeed(userId)
+      const entropy = Buffer.from(ethers.getBytes(ethers.Mnemonic.fromPhrase(seedService.getMnemonic(seed)).entropy))
+      const shares = shamir.split(entropy, custodians.length, threshold).map((share) => share.toString("hex"))
+
+      await client.query("BEGIN")
+      await this.revokeSetups(client, userId)
+
+      const setupResult = await client.query(
+        `
+        INSERT INTO social_recovery_setups (user_id, wallet_seed_id, threshold, share_count, seed_fingerprint)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `,
+        [userId, seed.id, threshold, custodians.length, sha256(entropy)],
+      )
+      const setupId = setupResult.rows[0].id
+      const invitations = []
+
+      for (const [i, custodian] of custodians.entries()) {
+        const share = shares[i]
+        const result = await client.query(
+          `
+          INSERT INTO social_recovery_shares (
+            setup_id, share_index, custodian_type, contact_id, guardian_user_id, email, encrypted_share, share_hash,
+            status, invitation_expires_at, delivered_at
+          )
+          VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9,
+            CASE WHEN $3 = 'guardian' THEN NOW() + make_interval(days => $10) END,
+            CASE WHEN $3 = 'email' THEN NOW() END
+          )
+          RETURNING id
+        `,
+          [
+            setupId,
+            i + 1,
+            custodian.type,
+            custodian.contactId || null,
+            custodian.guardianUserId || null,
+            custodian.type === "email" ? owner.email : null,
+            custodian.type === "email" ? null : JSON.stringify(keyring.encrypt(share)),
+            sha256(share),
+            custodian.type === "guardian" ? "invited" : "held",
+            this.invitationTtlDays,
+          ],
+        )
+
+        if (custodian.type === "guardian") {
+          invitations.push({ userId: custodian.guardianUserId, shareId: result.rows[0].id })
+        }
+
+        // Sent before committing, so a setup never records an email share that didn't go out
+        if (custodian.type === "email") {
+          await this.mailer.send({
+            to: owner.email,
+            subject: "Your wallet recovery share",
+            text: [
+              `This is one of ${custodians.length} shares of your wallet recovery phrase; any ${threshold} of them`,
+              "recover your wallets if you lose access. Keep it somewhere safe and away from your devices.",
+              "",
+              `Share: ${share}`,
+            ].join("\n"),
+          })
+        }
+      }
+
+      await client.query("COMMIT")
+
+      await securityLogService.log({
+        ...audit,
+        details: { setupId, threshold, shareCount: custodians.length, guardianCount: guardians.length },
+        success: true,
+      })
+      await this.notifyAll(
+        invitations.map(({ userId: guardianUserId, shareId }) =>
+          notificationService.notifyGuardianInvited(guardianUserId, shareId, this.displayName(owner)),
+        ),
+      )
+      logger.info(`Social recovery set up for user ${userId}: ${threshold} of ${custodians.length} shares`)
+
+      return this.getSetup(userId)
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error setting up social recovery:", error.message)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // The user's active setup with its custodians and pending requests, or null
+  async getSetup(userId) {
+    try {
+      const setupResult = await query("SELECT * FROM social_recovery_setups WHERE user_id = $1 AND status = 'active'", [
+        userId,
+      ])
+
+      if (setupResult.rows.length === 0) {
+        return null
+      }
+
+      const setup = setupResult.rows[0]
+      const [sharesResult, requestsResult] = await Promise.all([
+        query(
+          `
+          SELECT s.id, s.share_index, s.custodian_type, s.status, s.email, s.invitation_expires_at, s.delivered_at,
+                 c.name AS contact_name, c.address AS contact_address
+          FROM social_recovery_shares s
+          LEFT JOIN contacts c ON s.contact_id = c.id
+          WHERE s.setup_id = $1
+          ORDER BY s.share_index
+        `,
+          [setup.id],
+        ),
+        query(
+          `
+          SELECT r.id, r.unlocks_at, r.expires_at, r.ip_address, r.created_at,
+                 (SELECT COUNT(*)::int FROM social_recovery_approvals a WHERE a.request_id = r.id) AS approval_count
+          FROM social_recovery_requests r
+          WHERE r.setup_id = $1 AND r.status = 'pending' AND r.expires_at > NOW()
+          ORDER BY r.created_at DESC
+        `,
+          [setup.id],
+        ),
+      ])
+
+      const custodians = sharesResult.rows.map((share) => ({
+        id: share.id,
+        shareIndex: share.share_index,
+        type: share.custodian_type,
+        status:
+          share.status === "invited" && new Date(share.invitation_expires_at) < new Date() ? "expired" : share.status,
+        contactName: share.contact_name,
+        contactAddress: share.contact_address,
+        email: share.email,
+        invitationExpiresAt: share.invitation_expires_at,
+        deliveredAt: share.delivered_at,
+      }))
+      const heldCount = custodians.filter((custodian) => custodian.status === "held").length
+
+      return {
+        id: setup.id,
+        threshold: setup.threshold,
+        shareCount: setup.share_count,
+        heldCount: heldCount,
+        recoverable: heldCount >= setup.threshold,
+        custodians: custodians,
+        pendingRequests: requestsResult.rows.map((request) => ({
+          id: request.id,
+          unlocksAt: request.unlocks_at,
+          expiresAt: request.expires_at,
+          ipAddress: request.ip_address,
+          approvalCount: request.approval_count,
+          createdAt: request.created_at,
+        })),
+        createdAt: setup.created_at,
+      }
+    } catch (error) {
+      logger.error("Error getting social recovery setup:", error)
+      throw new Error("Failed to get social recovery setup")
+    }
+  }
+
+  // Turn social recovery off; every share handed out stops counting
+  async revoke(userId, whitelabelClientId, context = {}) {
+    const audit = { userId, whitelabelClientId, action: "social_recovery_revoked", ...context }
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+      const revoked = await this.revokeSetups(client, userId)
+      await client.query("COMMIT")
+
+      if (revoked.length === 0) {
+        throw new Error("Social recovery is not set up")
+      }
+
+      await securityLogService.log({ ...audit, details: { setupId: revoked[0] }, success: true })
+      logger.info(`Social recovery revoked for user ${userId}`)
+
+      return { revoked: true }
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error revoking social recovery:", error.message)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Shares the user holds or is invited to hold for others, with any recovery waiting on their approval
+  async getGuardianships(guardianUserId) {
+    try {
+      const result = await query(
+        `
+        SELECT s.id, s.status, s.invitation_expires_at, s.delivered_at, s.created_at,
+               u.email AS owner_email, u.first_name AS owner_first_name, u.last_name AS owner_last_name,
+               r.id AS request_id, r.unlocks_at, r.expires_at, a.approved_at
+        FROM social_recovery_shares s
+        JOIN social_recovery_setups st ON s.setup_id = st.id AND st.status = 'active'
+        JOIN users u ON st.user_id = u.id
+        LEFT JOIN social_recovery_requests r ON r.setup_id = st.id AND r.status = 'pending' AND r.expires_at > NOW()
+        LEFT JOIN social_recovery_approvals a ON a.request_id = r.id AND a.share_id = s.id
+        WHERE s.guardian_user_id = $1
+          AND (s.status = 'held' OR (s.status = 'invited' AND s.invitation_expires_at > NOW()))
+        ORDER BY s.created_at DESC, r.created_at DESC
+      `,
+        [guardianUserId],
+      )
+
+      const guardianships = new Map()
+
+      for (const row of result.rows) {
+        if (!guardianships.has(row.id)) {
+          guardianships.set(row.id, {
+            id: row.id,
+            owner: this.displayName({
+              email: row.owner_email,
+              first_name: row.owner_first_name,
+              last_name: row.owner_last_name,
+            }),
+            status: row.status,
+            invitationExpiresAt: row.status === "invited" ? row.invitation_expires_at : null,
+            acceptedAt: row.delivered_at,
+            pendingRequests: [],
+          })
+        }
+
+        // Only a guardian holding their share can approve
+        if (row.request_id && row.status === "held") {
+          guardianships.get(row.id).pendingRequests.push({
+            id: row.request_id,
+            unlocksAt: row.unlocks_at,
+            expiresAt: row.expires_at,
+            approved: row.approved_at !== null,
+          })
+        }
+      }
+
+      return [...guardianships.values()]
+    } catch (error) {
+      logger.error("Error getting guardianships:", error)
+      throw new Error("Failed to get guardianships")
+    }
+  }
+
+  // Accept an invitation and take the share, which the platform then forgets; it can't be shown again
+  async acceptInvitation(guardianUserId, shareId, context = {}) {
+    const audit = { userId: guardianUserId, action: "social_recovery_guardian_accepted", ...context }
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(
+        `
+        SELECT s.encrypted_share, s.share_index, st.user_id AS owner_user_id, st.threshold, st.share_count
+        FROM social_recovery_shares s
+        JOIN social_recovery_setups st ON s.setup_id = st.id AND st.status = 'active'
+        WHERE s.id = $1 AND s.guardian_user_id = $2 AND s.status = 'invited' AND s.invitation_expires_at > NOW()
+        FOR UPDATE OF s
+      `,
+        [shareId, guardianUserId],
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error("Invitation not found or no longer open")
+      }
+
+      const claimed = result.rows[0]
+      // Decrypted before the stored copy is dropped, so a failure leaves the invitation as it was
+      const share = keyring.decrypt(JSON.parse(claimed.encrypted_share))
+
+      await client.query(
+        "UPDATE social_recovery_shares SET status = 'held', encrypted_share = NULL, delivered_at = NOW() WHERE id = $1",
+        [shareId],
+      )
+      await client.query("COMMIT")
+
+      await securityLogService.log({
+        ...audit,
+        details: { shareId, ownerUserId: claimed.owner_user_id },
+        success: true,
+      })
+      await this.notifyAll([
+        notificationService.notifyGuardianResponded(
+          claimed.owner_user_id,
+          shareId,
+          await this.getGuardianName(guardianUserId),
+          true,
+        ),
+      ])
+
+      return {
+        share: share,
+        shareIndex: claimed.share_index,
+        threshold: claimed.threshold,
+        shareCount: claimed.share_count,
+      }
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      await securityLogService.log({ ...audit, details: { shareId, reason: error.message }, success: false })
+      logger.error("Error accepting guardian invitation:", error.message)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Put a share back in custody when the response handing it to the guardian never finished sending
+  async restoreInvitation(guardianUserId, shareId, share) {
+    try {
+      const result = await query(
+        `
+        UPDATE social_recovery_shares SET status = 'invited', encrypted_share = $3, delivered_at = NULL
+        WHERE id = $1 AND guardian_user_id = $2 AND status = 'held' AND share_hash = $4
+          AND NOT EXISTS (SELECT 1 FROM social_recovery_approvals a WHERE a.share_id = social_recovery_shares.id)
+        RETURNING id
+      `,
+        [shareId, guardianUserId, JSON.stringify(keyring.encrypt(share)), sha256(share)],
+      )
+
+      if (result.rows.length > 0) {
+        logger.warn(`Guardian share ${shareId} put back in custody: it was not delivered`)
+      }
+    } catch (error) {
+      logger.error(`Error restoring guardian share ${shareId}:`, error)
+    }
+  }
+
+  // Decline an invitation; the share is discarded and the owner is told
+  async declineInvitation(guardianUserId, shareId, context = {}) {
+    const audit = { userId: guardianUserId, action: "social_recovery_guardian_declined", ...context }
+
+    try {
+      const result = await query(
+        `
+        UPDATE social_recovery_shares s
+        SET status = 'declined', encrypted_share = NULL
+        FROM social_recovery_setups st
+        WHERE s.id = $1 AND s.guardian_user_id = $2 AND s.status = 'invited'
+          AND st.id = s.setup_id AND st.status = 'active'
+        RETURNING st.user_id AS owner_user_id
+      `,
+        [shareId, guardianUserId],
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error("Invitation not found or no longer open")
+      }
+
+      const ownerUserId = result.rows[0].owner_user_id
+
+      await securityLogService.log({ ...audit, details: { shareId, ownerUserId }, success: true })
+      await this.notifyAll([
+        notificationService.notifyGuardianResponded(
+          ownerUserId,
+          shareId,
+          await this.getGuardianName(guardianUserId),
+          false,
+        ),
+      ])
+
+      return { declined: true }
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { shareId, reason: error.message }, success: false })
+      logger.error("Error declining guardian invitation:", error.message)
+      throw error
+    }
+  }
+
+  // Open a recovery request for the account with this email. Its id and token go to that email, never in the
+  // response, and the result is the same whether or not the account exists or has social recovery set up,
+  // so the endpoint can't be used to find out either.
+  async openRequest(email, context = {}) {
+    const audit = { action: "social_recovery_requested", ...context }
+    const now = Date.now()
+    const result = {
+      unlocksAt: new Date(now + this.timeLockHours * 3600 * 1000),
+      expiresAt: new Date(now + this.requestTtlHours * 3600 * 1000),
+    }
+
+    try {
+      const setupResult = await query(
+        `
+        SELECT st.id, st.user_id, u.email, u.first_name, u.last_name
+        FROM social_recovery_setups st
+        JOIN users u ON st.user_id = u.id
+        WHERE u.email = $1 AND u.status = 'active' AND st.status = 'active'
+      `,
+        [email],
+      )
+
+      if (setupResult.rows.length === 0) {
+        await securityLogService.log({ ...audit, details: { reason: "No social recovery setup" }, success: false })
+        return result
+      }
+
+      const setup = setupResult.rows[0]
+      audit.userId = setup.user_id
+      await this.expireRequests(setup.id)
+
+      const token = crypto.randomBytes(32).toString("hex")
+      const inserted = await query(
+        `
+        INSERT INTO social_recovery_requests (
+          setup_id, user_id, token_hash, unlocks_at, expires_at, ip_address, user_agent
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `,
+        [
+          setup.id,
+          setup.user_id,
+          sha256(token),
+          result.unlocksAt,
+          result.expiresAt,
+          context.ipAddress || null,
+          context.userAgent || null,
+        ],
+      )
+      const requestId = inserted.rows[0].id
+
+      const guardiansResult = await query(
+        "SELECT guardian_user_id FROM social_recovery_shares WHERE setup_id = $1 AND status = 'held' AND custodian_type = 'guardian'",
+        [setup.id],
+      )
+
+      await securityLogService.log({ ...audit, details: { requestId }, success: true })
+      await this.notifyAll([
+        notificationService.notifySocialRecoveryRequested(setup.user_id, requestId, result.unlocksAt),
+        this.mailer.send({
+          to: setup.email,
+          subject: "Someone asked to recover your wallets",
+          text: [
+            `A request to recover your wallets from your guardians' shares was opened from ${context.ipAddress || "an unknown address"}.`,
+            `It can complete after ${result.unlocksAt.toISOString()} if enough guardians approve it.`,
+            "If it wasn't you, sign in and cancel the request before then.",
+            "",
+            "If it was you, you'll need these to follow the request and complete it:",
+            `Request: ${requestId}`,
+            `Token: ${token}`,
+          ].join("\n"),
+        }),
+        ...guardiansResult.rows.map((guardian) =>
+          notificationService.notifyGuardianApprovalRequested(
+            guardian.guardian_user_id,
+            requestId,
+            this.displayName(setup),
+          ),
+        ),
+      ])
+      logger.info(`Social recovery requested for user ${setup.user_id}: ${requestId}`)
+
+      return result
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { reason: error.message }, success: false })
+      logger.error("Error opening social recovery request:", error.message)
+      throw error
+    }
+  }
+
+  // Progress of a request, for whoever holds its token
+  async getRequest(requestId, token) {
+    try {
+      const request = await this.findRequest(query, requestId, token)
+
+      return {
+        id: request.id,
+        status: this.requestStatus(request),
+        unlocksAt: request.unlocks_at,
+        expiresAt: request.expires_at,
+        threshold: request.threshold,
+        approvalCount: request.approval_count,
+        platformShare: request.has_platform_share,
+        createdAt: request.created_at,
+      }
+    } catch (error) {
+      logger.error("Error getting social recovery request:", error.message)
+      throw error
+    }
+  }
+
+  // A guardian approves a request by handing back the share they hold
+  async approveRequest(guardianUserId, requestId, share, context = {}) {
+    const audit = { userId: guardianUserId, action: "social_recovery_approved", ...context }
+
+    try {
+      const normalized = this.normalizeShare(share)
+      const result = await query(
+        `
+        SELECT r.user_id AS owner_user_id, s.id AS share_id, s.share_hash
+        FROM social_recovery_requests r
+        JOIN social_recovery_setups st ON r.setup_id = st.id AND st.status = 'active'
+        JOIN social_recovery_shares s ON s.setup_id = st.id AND s.guardian_user_id = $2 AND s.status = 'held'
+        WHERE r.id = $1 AND r.status = 'pending' AND r.expires_at > NOW()
+      `,
+        [requestId, guardianUserId],
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error("Recovery request not found or not waiting on you")
+      }
+
+      const { owner_user_id: ownerUserId, share_id: shareId, share_hash: shareHash } = result.rows[0]
+
+      if (sha256(normalized) !== shareHash) {
+        throw new Error("That isn't the share you hold for this account")
+      }
+
+      const inserted = await query(
+        `
+        INSERT INTO social_recovery_approvals (request_id, share_id, encrypted_share)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (request_id, share_id) DO NOTHING
+        RETURNING approved_at
+      `,
+        [requestId, shareId, JSON.stringify(keyring.encrypt(normalized))],
+      )
+
+      if (inserted.rows.length === 0) {
+        throw new Error("You have already approved this request")
+      }
+
+      await securityLogService.log({ ...audit, details: { requestId, ownerUserId }, success: true })
+      await this.notifyAll([
+        notificationService.notifySocialRecoveryApproved(
+          ownerUserId,
+          requestId,
+          await this.getGuardianName(guardianUserId),
+        ),
+      ])
+      logger.info(`Social recovery request ${requestId} approved by guardian ${guardianUserId}`)
+
+      return { approved: true, approvedAt: inserted.rows[0].approved_at }
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { requestId, reason: error.message }, success: false })
+      logger.error("Error approving social recovery request:", error.message)
+      throw error
+    }
+  }
+
+  // The owner cancels a pending request; the shares guardians handed back for it are discarded
+  async cancelRequest(userId, requestId, whitelabelClientId, context = {}) {
+    const audit = { userId, whitelabelClientId, action: "social_recovery_cancelled", ...context }
+
+    try {
+      const result = await query(
+        `
+        UPDATE social_recovery_requests SET status = 'cancelled', cancelled_at = NOW()
+        WHERE id = $1 AND user_id = $2 AND status = 'pending' AND expires_at > NOW()
+        RETURNING id
+      `,
+        [requestId, userId],
+      )
+
+      if (result.rows.length === 0) {
+        throw new Error("Recovery request not found or no longer pending")
+      }
+
+      await query("UPDATE social_recovery_approvals SET encrypted_share = NULL WHERE request_id = $1", [requestId])
+
+      await securityLogService.log({ ...audit, details: { requestId }, success: true })
+      logger.info(`Social recovery request ${requestId} cancelled by user ${userId}`)
+
+      return { cancelled: true }
+    } catch (error) {
+      await securityLogService.log({ ...audit, details: { requestId, reason: error.message }, success: false })
+      logger.error("Error cancelling social recovery request:", error.message)
+      throw error
+    }
+  }
+
+  // Rebuild the recovery phrase once the time lock has passed, from the guardians' approvals, the
+  // platform's share and any shares the requester has (such as the email share)
+  async completeRequest(requestId, token, submittedShares = [], context = {}) {
+    const audit = { action: "social_recovery_completed", ...context }
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const request = await this.findRequest((text, params) => client.query(text, params), requestId, token, true)
+      audit.userId = request.user_id
+      const status = this.requestStatus(request)
+
+      if (status !== "pending") {
+        throw new Error(`The recovery request is ${status}`)
+      }
+
+      if (new Date(request.unlocks_at) > new Date()) {
+        throw new Error(`The recovery request can't complete before ${request.unlocks_at.toISOString()}`)
+      }
+
+      const custodyResult = await client.query(
+        `
+        SELECT s.share_index, s.share_hash, s.custodian_type, s.encrypted_share, a.encrypted_share AS approved_share
+        FROM social_recovery_shares s
+        LEFT JOIN social_recovery_approvals a ON a.share_id = s.id AND a.request_id = $2
+        WHERE s.setup_id = $1 AND s.status = 'held'
+      `,
+        [request.setup_id, request.id],
+      )
+
+      const shares = new Map()
+      const byHash = new Map(custodyResult.rows.map((custody) => [custody.share_hash, custody]))
+
+      for (const custody of custodyResult.rows) {
+        const stored = custody.approved_share || (custody.custodian_type === "platform" && custody.encrypted_share)
+        if (stored) {
+          shares.set(custody.share_index, keyring.decrypt(JSON.parse(stored)))
+        }
+      }
+
+      for (const submitted of submittedShares) {
+        const normalized = this.normalizeShare(submitted)
+        const custody = byHash.get(sha256(normalized))
+
+        if (!custody) {
+          throw new Error("A submitted share doesn't belong to this account's recovery setup")
+        }
+
+        shares.set(custody.share_index, normalized)
+      }
+
+      if (shares.size < request.threshold) {
+        throw new Error(`${shares.size} of the ${request.threshold} shares needed are in`)
+      }
+
+      const entropy = shamir.combine([...shares.values()].map((share) => Buffer.from(share, "hex")))
+
+      if (sha256(entropy) !== request.seed_fingerprint) {
+        throw new Error("The shares don't rebuild the recovery phrase")
+      }
+
+      await client.query(
+        "UPDATE social_recovery_requests SET status = 'completed', completed_at = NOW() WHERE id = $1",
+        [request.id],
+      )
+      await client.query("UPDATE social_recovery_approvals SET encrypted_share = NULL WHERE request_id = $1", [
+        request.id,
+      ])
+      await client.query("COMMIT")
+
+      const mnemonic = ethers.Mnemonic.fromEntropy(entropy).phrase
+
+      await securityLogService.log({ ...audit, details: { requestId, shareCount: shares.size }, success: true })
+      await this.notifyAll([notificationService.notifySocialRecoveryCompleted(request.user_id, request.id)])
+      logger.info(`Social recovery request ${requestId} completed for user ${request.user_id}`)
+
+      return {
+        mnemonic: mnemonic,
+        wordCount: mnemonic.split(" ").length,
+        derivationPath: request.derivation_path,
+      }
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {})
+      await securityLogService.log({ ...audit, details: { requestId, reason: error.message }, success: false })
+      logger.error("Error completing social recovery request:", error.message)
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Contacts that can be guardians: each must be the address of another active platform user's wallet
+  async resolveGuardians(userId, contactIds) {
+    if (contactIds.length === 0) {
+      return []
+    }
+
+    const result = await query(
+      `
+      SELECT c.id, c.name, w.user_id AS guardian_user_id
+      FROM contacts c
+      LEFT JOIN LATERAL (
+        SELECT w.user_id FROM wallets w
+        JOIN users u ON w.user_id = u.id AND u.status = 'active'
+        WHERE LOWER(w.address) = LOWER(c.address) AND w.status <> 'deleted' AND w.custody_mode <> 'watch'
+          AND w.user_id <> $1
+        LIMIT 1
+      ) w ON TRUE
+      WHERE c.user_id = $1 AND c.id = ANY($2::uuid[])
+    `,
+      [userId, contactIds],
+    )
+
+    if (result.rows.length !== contactIds.length) {
+      throw new Error("Contact not found or access denied")
+    }
+
+    const unreachable = result.rows.filter((contact) => !contact.guardian_user_id)
+    if (unreachable.length > 0) {
+      throw new Error(
+        `Guardians must be users of this platform; ${unreachable.map((contact) => contact.name).join(", ")} is not`,
+      )
+    }
+
+    if (new Set(result.rows.map((contact) => contact.guardian_user_id)).size !== result.rows.length) {
+      throw new Error("Two of the contacts belong to the same user")
+    }
+
+    return result.rows.map((contact) => ({
+      contactId: contact.id,
+      guardianUserId: contact.guardian_user_id,
+    }))
+  }
+
+  // Revoke the user's active setup, discarding its stored shares and ending its pending requests
+  async revokeSetups(client, userId) {
+    const result = await client.query(
+      `
+      UPDATE social_recovery_setups SET status = 'revoked', revoked_at = NOW()
+      WHERE user_id = $1 AND status = 'active'
+      RETURNING id
+    `,
+      [userId],
+    )
+    const setupIds = result.rows.map((setup) => setup.id)
+
+    if (setupIds.length > 0) {
+      await client.query(
+        "UPDATE social_recovery_shares SET status = 'revoked', encrypted_share = NULL WHERE setup_id = ANY($1::uuid[])",
+        [setupIds],
+      )
+      await client.query(
+        `
+        UPDATE social_recovery_approvals SET encrypted_share = NULL
+        WHERE request_id IN (SELECT id FROM social_recovery_requests WHERE setup_id = ANY($1::uuid[]))
+      `,
+        [setupIds],
+      )
+      await client.query(
+        `
+        UPDATE social_recovery_requests SET status = 'cancelled', cancelled_at = NOW()
+        WHERE setup_id = ANY($1::uuid[]) AND status = 'pending'
+      `,
+        [setupIds],
+      )
+    }
+
+    return setupIds
+  }
+
+  // Mark a setup's lapsed requests expired and discard the shares handed back for them
+  async expireRequests(setupId) {
+    await query(
+      `
+      WITH expired AS (
+        UPDATE social_recovery_requests SET status = 'expired'
+        WHERE setup_id = $1 AND status = 'pending' AND expires_at <= NOW()
+        RETURNING id
+      )
+      UPDATE social_recovery_approvals SET encrypted_share = NULL
+      WHERE request_id IN (SELECT id FROM expired)
+    `,
+      [setupId],
+    )
+  }
+
+  async findRequest(run, requestId, token, forUpdate = false) {
+    const result = await run(
+      `
+      SELECT r.*, st.threshold, st.seed_fingerprint, ws.derivation_path,
+             (SELECT COUNT(*)::int FROM social_recovery_approvals a WHERE a.request_id = r.id) AS approval_count,
+             EXISTS (
+               SELECT 1 FROM social_recovery_shares s
+               WHERE s.setup_id = st.id AND s.custodian_type = 'platform' AND s.status = 'held'
+             ) AS has_platform_share
+      FROM social_recovery_requests r
+      JOIN social_recovery_setups st ON r.setup_id = st.id
+      JOIN wallet_seeds ws ON st.wallet_seed_id = ws.id
+      WHERE r.id = $1 AND r.token_hash = $2
+      ${forUpdate ? "FOR UPDATE OF r" : ""}
+    `,
+      [requestId, sha256(String(token))],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("Recovery request not found")
+    }
+
+    return result.rows[0]
+  }
+
+  requestStatus(request) {
+    return request.status === "pending" && new Date(request.expires_at) <= new Date() ? "expired" : request.status
+  }
+
+  normalizeShare(share) {
+    const normalized = String(share).trim().toLowerCase().replace(/^0x/, "")
+
+    if (!SHARE_PATTERN.test(normalized)) {
+      throw new Error("A share must be the hex string it was handed out as")
+    }
+
+    return normalized
+  }
+
+  async getGuardianName(userId) {
+    const result = await query("SELECT email, first_name, last_name FROM users WHERE id = $1", [userId])
+
+    return this.displayName(result.rows[0])
+  }
+
+  displayName(user) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ")
+
+    return name || user.email
+  }
+
+  // Notifications and emails about recovery never fail the action they report
+  async notifyAll(deliveries) {
+    const results = await Promise.allSettled(deliveries)
+
+    for (const result of results) {
+      if (result.status === "rejected") {
+        logger.error("Error delivering social recovery notice:", result.reason?.message || result.reason)
+      }
+    }
+  }
+}
+
+module.exports = new SocialRecoveryService()
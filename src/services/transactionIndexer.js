@@ -0,0 +1,443 @@
+const { query, pool } = require("../config/database")
+const chainRegistry = require("./chainRegistry")
+const walletService = require("./walletService")
+const assetRegistry = require("./assetRegistry")
+const notificationService = require("./notificationService")
+const webhookService = require("./webhookService")
+const PollingWorker = require("../utils/pollingWorker")
+const logger = require("../utils/logger")
+
+// Max addresses per eth_getLogs topic filter
+const ADDRESS_BATCH_SIZE = 100
+
+class TransactionIndexer extends PollingWorker {
+  constructor() {
+    super("Transaction indexer", Number.parseInt(process.env.INDEXER_POLL_INTERVAL_MS || "15000"))
+    this.confirmations = Number.parseInt(process.env.INDEXER_CONFIRMATIONS || "5")
+    this.blockBatchSize = Number.parseInt(process.env.INDEXER_BATCH_BLOCKS || "2000")
+    this.startBlock = process.env.INDEXER_START_BLOCK ? Number.parseInt(process.env.INDEXER_START_BLOCK) : null
+  }
+
+  // Scan every configured chain; one chain being unreachable does not hold up the others
+  async run() {
+    const summary = {}
+
+    for (const chain of chainRegistry.list()) {
+      try {
+        summary[chain.chainId] = await this.runChain(chain)
+      } catch (error) {
+        logger.error(`Transaction indexer failed on chain ${chain.chainId}:`, error)
+        summary[chain.chainId] = { error: error.message }
+      }
+    }
+
+    return summary
+  }
+
+  // Scan all wallets monitored on a chain up to its latest safe block
+  async runChain(chain) {
+    const latestBlock = await chain.getCurrentBlock()
+    const safeBlock = latestBlock - this.confirmations
+
+    if (safeBlock < 0) {
+      return { skipped: true }
+    }
+
+    await this.initializeCursors(chain, safeBlock)
+
+    const wallets = await this.getMonitoredWallets(chain.chainId)
+    if (wallets.length === 0) {
+      return { scannedTo: safeBlock, received: 0 }
+    }
+
+    let fromBlock = Math.min(...wallets.map((wallet) => wallet.lastCheckedBlock)) + 1
+    let received = 0
+
+    while (fromBlock <= safeBlock) {
+      const toBlock = Math.min(fromBlock + this.blockBatchSize - 1, safeBlock)
+      const pendingWallets = wallets.filter((wallet) => wallet.lastCheckedBlock < toBlock)
+
+      received += await this.scanRange(chain, pendingWallets, fromBlock, toBlock, latestBlock)
+      fromBlock = toBlock + 1
+    }
+
+    return { scannedTo: safeBlock, received }
+  }
+
+  // Wallets that have never been scanned on a chain start from the configured block (default chain
+  // only, block numbers differ between chains) or the chain head. Monitored wallets get a cursor on
+  // chains added after they were created.
+  async initializeCursors(chain, safeBlock) {
+    const startBlock = chain.chainId === chainRegistry.defaultChainId ? this.startBlock : null
+    const startFrom = startBlock !== null ? startBlock - 1 : safeBlock
+    const walletChainIds = chainRegistry.chainsForWallet(chain.chainId).map((service) => service.chainId)
+
+    await query(
+      `
+      INSERT INTO transaction_monitoring (wallet_id, chain_id, last_checked_block)
+      SELECT DISTINCT tm.wallet_id, $1::integer, 0
+      FROM transaction_monitoring tm
+      JOIN wallets w ON tm.wallet_id = w.id
+      WHERE tm.is_active = true AND w.chain_id = ANY($2)
+      ON CONFLICT (wallet_id, chain_id) DO NOTHING
+    `,
+      [chain.chainId, walletChainIds],
+    )
+
+    await query(
+      `
+      UPDATE transaction_monitoring
+      SET last_checked_block = $1
+      WHERE last_checked_block = 0 AND is_active = true AND chain_id = $2
+    `,
+      [Math.max(startFrom, 0), chain.chainId],
+    )
+  }
+
+  async getMonitoredWallets(chainId) {
+    const result = await query(
+      `
+      SELECT tm.wallet_id, tm.last_checked_block, w.address, w.user_id, w.api_client_id, w.custody_mode
+      FROM transaction_monitoring tm
+      JOIN wallets w ON tm.wallet_id = w.id
+      WHERE tm.is_active = true AND tm.chain_id = $1 AND w.status = 'active'
+    `,
+      [chainId],
+    )
+
+    return result.rows.map((row) => ({
+      walletId: row.wallet_id,
+      userId: row.user_id,
+      apiClientId: row.api_client_id,
+      address: row.address,
+      watchOnly: row.custody_mode === "watch",
+      lastCheckedBlock: Number(row.last_checked_block),
+    }))
+  }
+
+  // Record transfers for one block range and advance the wallets' cursors atomically
+  async scanRange(chain, wallets, fromBlock, toBlock, latestBlock) {
+    if (wallets.length === 0) {
+      return 0
+    }
+
+    // Several wallets can share an address (a watch-only wallet for another user's wallet, say)
+    const walletsByAddress = new Map()
+    for (const wallet of wallets) {
+      const key = wallet.address.toLowerCase()
+      walletsByAddress.set(key, [...(walletsByAddress.get(key) || []), wallet])
+    }
+
+    const addresses = [...new Set(wallets.map((wallet) => wallet.address.toLowerCase()))]
+    const watchedAddresses = [...new Set(wallets.filter((w) => w.watchOnly).map((w) => w.address.toLowerCase()))]
+    const assets = await assetRegistry.listAssets({ chainId: chain.chainId })
+    const assetsByAddress = new Map(assets.map((asset) => [asset.contractAddress.toLowerCase(), asset]))
+    const transfers = []
+    const outgoing = []
+    const approvals = []
+
+    for (let i = 0; i < addresses.length; i += ADDRESS_BATCH_SIZE) {
+      const batch = addresses.slice(i, i + ADDRESS_BATCH_SIZE)
+      transfers.push(...(await chain.getIncomingTransfers(batch, fromBlock, toBlock, assets)))
+      approvals.push(...(await chain.getApprovals(batch, fromBlock, toBlock)))
+    }
+
+    // Sends from watch-only wallets never go through the platform, so they are picked up from the chain
+    for (let i = 0; i < watchedAddresses.length; i += ADDRESS_BATCH_SIZE) {
+      const batch = watchedAddresses.slice(i, i + ADDRESS_BATCH_SIZE)
+      outgoing.push(...(await chain.getOutgoingTransfers(batch, fromBlock, toBlock, assets)))
+    }
+
+    const checkpoints = await chain.getBlockHashes([toBlock])
+    const recorded = []
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      for (const transfer of transfers) {
+        const asset = assetsByAddress.get(transfer.tokenAddress.toLowerCase())
+
+        for (const wallet of walletsByAddress.get(transfer.to.toLowerCase()) || []) {
+          // Skip wallets whose cursor is already past this block
+          if (transfer.blockNumber <= wallet.lastCheckedBlock) {
+            continue
+          }
+
+          // A receive rolled back by a reorg is the same payment when it turns up again, possibly at another
+          // log index, so it takes the new position instead of being recorded (and credited) a second time
+          const reincluded = await client.query(
+            `
+            UPDATE transactions
+            SET status = 'confirmed', block_number = $5, block_hash = $6, transaction_index = $7, log_index = $8,
+                confirmations = $9, confirmed_at = NOW()
+            WHERE id = (
+              SELECT id FROM transactions
+              WHERE wallet_id = $1 AND chain_id = $2 AND transaction_hash = $3 AND transaction_type = 'receive'
+                AND status = 'reorged' AND asset_id = $4 AND LOWER(from_address) = LOWER($10) AND amount = $11
+              ORDER BY log_index ASC
+              LIMIT 1
+            )
+            RETURNING id
+          `,
+            [
+              wallet.walletId,
+              chain.chainId,
+              transfer.transactionHash,
+              asset.id,
+              transfer.blockNumber,
+              transfer.blockHash,
+              transfer.transactionIndex,
+              transfer.logIndex,
+              latestBlock - transfer.blockNumber + 1,
+              transfer.from,
+              transfer.amount,
+            ],
+          )
+
+          if (reincluded.rows.length > 0) {
+            logger.info(`Reorged receive ${transfer.transactionHash} included again in block ${transfer.blockNumber}`)
+            continue
+          }
+
+          const result = await client.query(
+            `
+            INSERT INTO transactions (
+              wallet_id, api_client_id, transaction_hash, block_number, block_hash, transaction_index,
+              log_index, from_address, to_address, amount, transaction_type, status, confirmations, confirmed_at,
+              asset_id, chain_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'receive', 'confirmed', $11, NOW(), $12, $13)
+            ON CONFLICT (wallet_id, chain_id, transaction_hash, log_index) WHERE transaction_type = 'receive' DO NOTHING
+            RETURNING id
+          `,
+            [
+              wallet.walletId,
+              wallet.apiClientId,
+              transfer.transactionHash,
+              transfer.blockNumber,
+              transfer.blockHash,
+              transfer.transactionIndex,
+              transfer.logIndex,
+              transfer.from,
+              transfer.to,
+              transfer.amount,
+              latestBlock - transfer.blockNumber + 1,
+              asset.id,
+              chain.chainId,
+            ],
+          )
+
+          if (result.rows.length > 0) {
+            recorded.push({
+              wallet,
+              transfer,
+              asset,
+              transactionId: result.rows[0].id,
+            })
+          }
+        }
+      }
+
+      for (const transfer of outgoing) {
+        const asset = assetsByAddress.get(transfer.tokenAddress.toLowerCase())
+
+        for (const wallet of walletsByAddress.get(transfer.from.toLowerCase()) || []) {
+          if (!wallet.watchOnly || transfer.blockNumber <= wallet.lastCheckedBlock) {
+            continue
+          }
+
+          // Sends are keyed by hash, so a transaction with several transfers out is recorded once
+          const result = await client.query(
+            `
+            INSERT INTO transactions (
+              wallet_id, api_client_id, transaction_hash, block_number, block_hash, transaction_index,
+              log_index, from_address, to_address, amount, transaction_type, status, confirmations, confirmed_at,
+              asset_id, chain_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'send', 'confirmed', $11, NOW(), $12, $13)
+            ON CONFLICT (wallet_id, chain_id, transaction_hash) WHERE transaction_type = 'send' DO NOTHING
+            RETURNING id
+          `,
+            [
+              wallet.walletId,
+              wallet.apiClientId,
+              transfer.transactionHash,
+              transfer.blockNumber,
+              transfer.blockHash,
+              transfer.transactionIndex,
+              transfer.logIndex,
+              transfer.from,
+              transfer.to,
+              transfer.amount,
+              latestBlock - transfer.blockNumber + 1,
+              asset.id,
+              chain.chainId,
+            ],
+          )
+
+          if (result.rows.length > 0) {
+            recorded.push({
+              wallet,
+              transfer,
+              asset,
+              transactionId: result.rows[0].id,
+              outgoing: true,
+            })
+          }
+        }
+      }
+
+      // Track spenders approved outside the platform so they show up in the wallet's allowance list
+      for (const approval of approvals) {
+        for (const wallet of walletsByAddress.get(approval.owner.toLowerCase()) || []) {
+          if (approval.blockNumber <= wallet.lastCheckedBlock) {
+            continue
+          }
+
+          await client.query(
+            `
+            INSERT INTO token_approvals (
+              wallet_id, chain_id, spender_address, allowance, is_unlimited, source, last_transaction_hash,
+              last_block_number
+            ) VALUES ($1, $2, $3, $4, $5, 'indexer', $6, $7)
+            ON CONFLICT (wallet_id, chain_id, spender_address) DO UPDATE
+            SET allowance = EXCLUDED.allowance, is_unlimited = EXCLUDED.is_unlimited,
+                last_transaction_hash = EXCLUDED.last_transaction_hash, last_block_number = EXCLUDED.last_block_number
+            WHERE token_approvals.last_block_number IS NULL OR token_approvals.last_block_number <= EXCLUDED.last_block_number
+          `,
+            [
+              wallet.walletId,
+              chain.chainId,
+              approval.spender,
+              approval.valueWei,
+              chain.isUnlimitedAllowance(approval.valueWei),
+              approval.transactionHash,
+              approval.blockNumber,
+            ],
+          )
+        }
+      }
+
+      await client.query(
+        `
+        UPDATE transaction_monitoring
+        SET last_checked_block = $1
+        WHERE wallet_id = ANY($2) AND chain_id = $3 AND last_checked_block < $1
+      `,
+        [toBlock, wallets.map((wallet) => wallet.walletId), chain.chainId],
+      )
+
+      // Remember the hash we scanned up to so the reorg monitor can detect forks below it
+      await client.query(
+        `
+        INSERT INTO block_checkpoints (chain_id, block_number, block_hash)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (chain_id, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash, created_at = NOW()
+      `,
+        [chain.chainId, toBlock, checkpoints.get(toBlock)],
+      )
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    for (const wallet of wallets) {
+      wallet.lastCheckedBlock = Math.max(wallet.lastCheckedBlock, toBlock)
+    }
+
+    if (recorded.length > 0) {
+      logger.info(
+        `Indexed ${recorded.length} token transfers on chain ${chain.chainId} in blocks ${fromBlock}-${toBlock}`,
+      )
+      await this.announceTransfers(chain, recorded)
+    }
+
+    return recorded.length
+  }
+
+  // Refresh balances and notify users and API clients about new deposits, and sends seen from watch-only wallets
+  async announceTransfers(chain, recorded) {
+    const walletIds = new Set()
+
+    for (const { wallet, transfer, asset, transactionId, outgoing } of recorded) {
+      walletIds.add(wallet.walletId)
+
+      if (outgoing) {
+        await this.announceOutgoing(chain, wallet, transfer, asset, transactionId)
+        continue
+      }
+
+      try {
+        await notificationService.notifyTransactionReceived(
+          wallet.userId,
+          transfer.transactionHash,
+          transfer.amount,
+          transfer.from,
+          asset.symbol,
+        )
+      } catch (error) {
+        logger.error(`Failed to notify deposit ${transfer.transactionHash}:`, error)
+      }
+
+      if (wallet.apiClientId) {
+        await webhookService.sendWebhook(wallet.apiClientId, "transaction.received", {
+          transaction_id: transactionId,
+          wallet_id: wallet.walletId,
+          type: "receive",
+          hash: transfer.transactionHash,
+          amount: transfer.amount,
+          asset: asset.symbol,
+          chain_id: chain.chainId,
+          from_address: transfer.from,
+          to_address: transfer.to,
+          block_number: transfer.blockNumber,
+          status: "confirmed",
+        })
+      }
+    }
+
+    for (const walletId of walletIds) {
+      try {
+        await walletService.updateWalletBalance(walletId)
+      } catch (error) {
+        logger.error(`Failed to refresh balance for wallet ${walletId}:`, error)
+      }
+    }
+  }
+
+  // An outgoing transfer is already mined when the indexer sees it, so it is announced as confirmed
+  async announceOutgoing(chain, wallet, transfer, asset, transactionId) {
+    try {
+      await notificationService.notifyTransactionSent(
+        wallet.userId,
+        transfer.transactionHash,
+        transfer.amount,
+        transfer.to,
+        asset.symbol,
+      )
+    } catch (error) {
+      logger.error(`Failed to notify send ${transfer.transactionHash}:`, error)
+    }
+
+    if (wallet.apiClientId) {
+      await webhookService.sendWebhook(wallet.apiClientId, "transaction.confirmed", {
+        transaction_id: transactionId,
+        wallet_id: wallet.walletId,
+        type: "send",
+        hash: transfer.transactionHash,
+        amount: transfer.amount,
+        asset: asset.symbol,
+        chain_id: chain.chainId,
+        from_address: transfer.from,
+        to_address: transfer.to,
+        block_number: transfer.blockNumber,
+        status: "confirmed",
+      })
+    }
+  }
+}
+
+module.exports = new TransactionIndexer()
@@ -1,11 +1,48 @@
+const crypto = require("crypto")
+const { ethers } = require("ethers")
 const { query } = require("../config/database")
 const blockchainService = require("./blockchain")
+const nonceManager = require("./nonceManager")
+const gasStation = require("./gasStation")
+const relayer = require("./relayer")
+const smartAccountService = require("./smartAccountService")
+const seedService = require("./seedService")
+const preflightService = require("./preflightService")
+const contactService = require("./contactService")
+const nameService = require("./nameService")
+const assetRegistry = require("./assetRegistry")
+const chainRegistry = require("./chainRegistry")
 const logger = require("../utils/logger")
 
 class WalletService {
-  // Create new wallet for user
-  async createWallet(userId, walletName, whitelabelClientId = null) {
+  constructor() {
+    this.challengeTtlSeconds = Number.parseInt(process.env.WALLET_CHALLENGE_TTL_SECONDS || "300")
+  }
+
+  // Create new wallet for user. The chain (default chain when not given) makes it a mainnet or sandbox
+  // wallet; the address works on every configured chain of the same kind. Given a public key and its
+  // signature over a registration challenge, the wallet is registered as device-signed instead: no key is
+  // generated or stored, and sends go through clientSigningService. A watch-only wallet is just an address
+  // to track and can never send. A smart account wallet's address is an ERC-4337 account on its own chain
+  // only, owned by the generated key. Other server wallets are derived from the user's HD seed when HD
+  // wallets are enabled.
+  async createWallet(
+    userId,
+    walletName,
+    whitelabelClientId = null,
+    chainId = null,
+    {
+      publicKey = null,
+      address = null,
+      watchOnly = false,
+      accountType = "eoa",
+      challengeId = null,
+      signature = null,
+    } = {},
+  ) {
     try {
+      const chain = chainRegistry.forChain(chainId)
+
       // Check if user already has a wallet with this name
       const existingWallet = await query("SELECT id FROM wallets WHERE user_id = $1 AND wallet_name = $2", [
         userId,
@@ -16,58 +53,265 @@ class WalletService {
         throw new Error("Wallet with this name already exists")
       }
 
-      // Generate new wallet
-      const walletData = blockchainService.generateWallet()
+      const custodyMode = watchOnly ? "watch" : publicKey ? "client" : "server"
+
+      if (accountType === "smart_account" && custodyMode !== "server") {
+        throw new Error("Smart account wallets are created with a server-held owner key")
+      }
 
-      // Check if this is the user's first wallet (make it primary)
-      const userWallets = await query("SELECT COUNT(*) as count FROM wallets WHERE user_id = $1", [userId])
-      const isPrimary = userWallets.rows[0].count === "0"
+      // Generate new wallet, or take the address of the device's key or the watched address
+      let walletData
+      if (custodyMode === "watch") {
+        walletData = await this.getWatchedWallet(userId, address)
+      } else if (custodyMode === "client") {
+        walletData = await this.getDeviceWallet(userId, publicKey, { address, challengeId, signature })
+      } else if (accountType === "smart_account") {
+        walletData = await this.getSmartAccountWallet(chain)
+      } else if (seedService.isEnabled()) {
+        walletData = await seedService.deriveWallet(userId, whitelabelClientId)
+      } else {
+        walletData = await blockchainService.generateWallet()
+      }
+
+      // Check if this is the user's first wallet that can send (make it primary)
+      const userWallets = await query(
+        "SELECT COUNT(*) as count FROM wallets WHERE user_id = $1 AND custody_mode <> 'watch'",
+        [userId],
+      )
+      const isPrimary = custodyMode !== "watch" && userWallets.rows[0].count === "0"
 
       // Store wallet in database
       const result = await query(
         `
-        INSERT INTO wallets (user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, address, wallet_name, is_primary, created_at
+        INSERT INTO wallets (
+          user_id, white_label_client_id, wallet_name, address, encrypted_private_key, is_primary, chain_id,
+          custody_mode, public_key, account_type, owner_address, account_factory_address, account_salt,
+          wallet_seed_id, derivation_path, derivation_index
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING id, address, wallet_name, is_primary, chain_id, custody_mode, account_type, owner_address,
+                  account_deployed_at, derivation_path, created_at
       `,
         [
           userId,
           whitelabelClientId,
           walletName,
           walletData.address,
-          JSON.stringify(walletData.encryptedPrivateKey),
+          custodyMode === "server" ? JSON.stringify(walletData.encryptedPrivateKey) : null,
           isPrimary,
+          chain.chainId,
+          custodyMode,
+          walletData.publicKey,
+          accountType,
+          walletData.ownerAddress || null,
+          walletData.factoryAddress || null,
+          walletData.salt || null,
+          walletData.seedId || null,
+          walletData.derivationPath || null,
+          walletData.derivationIndex ?? null,
         ],
       )
 
       const wallet = result.rows[0]
 
+      // Start watching for incoming transfers
+      await this.enableMonitoring(wallet.id)
+
       // Get initial balance
       const balance = await this.updateWalletBalance(wallet.id)
 
-      logger.info(`New wallet created for user ${userId}: ${wallet.address}`)
+      const kind =
+        accountType === "smart_account"
+          ? "smart account "
+          : { server: "", client: "device-signed ", watch: "watch-only " }[custodyMode]
+      logger.info(`New ${kind}wallet created for user ${userId}: ${wallet.address}`)
 
       return {
         id: wallet.id,
         address: wallet.address,
         walletName: wallet.wallet_name,
         isPrimary: wallet.is_primary,
+        chainId: wallet.chain_id,
+        custodyMode: wallet.custody_mode,
+        watchOnly: wallet.custody_mode === "watch",
+        ...this.describeAccount(wallet),
+        derivationPath: wallet.derivation_path,
+        addresses: chainRegistry.getWalletAddresses(wallet.address, wallet.chain_id, wallet.account_type),
         balance: balance.balance_usdc,
+        balances: balance.balances,
         createdAt: wallet.created_at,
       }
     } catch (error) {
       logger.error("Error creating wallet:", error)
+      // Two registrations of the same device address raced past the check above
+      if (error.code === "23505" && error.constraint === "idx_wallets_client_address") {
+        throw new Error("This address already belongs to a wallet")
+      }
       throw error
     }
   }
 
+  // Issue a challenge for a device to sign with the key it registers as a wallet
+  async createDeviceChallenge(userId) {
+    try {
+      const message = [
+        "Sign this message to register this device's key as a wallet.",
+        "",
+        `Nonce: ${crypto.randomBytes(16).toString("hex")}`,
+        `Issued at: ${new Date().toISOString()}`,
+      ].join("\n")
+
+      const result = await query(
+        `
+        INSERT INTO wallet_registration_challenges (user_id, message, expires_at)
+        VALUES ($1, $2, NOW() + make_interval(secs => $3))
+        RETURNING id, message, expires_at
+      `,
+        [userId, message, this.challengeTtlSeconds],
+      )
+
+      const challenge = result.rows[0]
+
+      return { challengeId: challenge.id, message: challenge.message, expiresAt: challenge.expires_at }
+    } catch (error) {
+      logger.error("Error creating device wallet challenge:", error)
+      throw error
+    }
+  }
+
+  // Address of a device-held key, checked against the address the device reports when it sends one. The
+  // device proves it holds the key by signing one of the user's unused challenges, and the address can't
+  // already be another wallet that can send.
+  async getDeviceWallet(userId, publicKey, { address = null, challengeId = null, signature = null } = {}) {
+    let derivedAddress
+    try {
+      derivedAddress = ethers.computeAddress(publicKey)
+    } catch {
+      throw new Error("Invalid public key")
+    }
+
+    if (address && address.toLowerCase() !== derivedAddress.toLowerCase()) {
+      throw new Error("Address does not match the public key")
+    }
+
+    if (!challengeId || !signature) {
+      throw new Error("A device-signed wallet is registered with a signed registration challenge")
+    }
+
+    // Claimed before it is checked, so a challenge is only ever tried once
+    const challenge = await query(
+      `
+      UPDATE wallet_registration_challenges SET used_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING message
+    `,
+      [challengeId, userId],
+    )
+
+    if (challenge.rows.length === 0) {
+      throw new Error("Registration challenge not found or expired")
+    }
+
+    let signer
+    try {
+      signer = ethers.verifyMessage(challenge.rows[0].message, signature)
+    } catch {
+      throw new Error("Invalid challenge signature")
+    }
+
+    if (signer.toLowerCase() !== derivedAddress.toLowerCase()) {
+      throw new Error("Challenge was not signed by this public key")
+    }
+
+    const existing = await query(
+      "SELECT id FROM wallets WHERE LOWER(address) = LOWER($1) AND custody_mode <> 'watch'",
+      [derivedAddress],
+    )
+
+    if (existing.rows.length > 0) {
+      throw new Error("This address already belongs to a wallet")
+    }
+
+    return { address: derivedAddress, publicKey: ethers.SigningKey.computePublicKey(publicKey, true) }
+  }
+
+  // A new owner key and the counterfactual address of its smart account; the account itself is deployed
+  // by its first user operation
+  async getSmartAccountWallet(chain) {
+    const owner = await chain.generateWallet()
+    const account = await smartAccountService.getAccountAddress(chain, owner.address)
+
+    return {
+      address: account.address,
+      encryptedPrivateKey: owner.encryptedPrivateKey,
+      publicKey: owner.publicKey,
+      ownerAddress: owner.address,
+      factoryAddress: account.factoryAddress,
+      salt: account.salt,
+    }
+  }
+
+  describeAccount(wallet) {
+    if (wallet.account_type !== "smart_account") {
+      return { accountType: "eoa" }
+    }
+
+    return {
+      accountType: "smart_account",
+      ownerAddress: wallet.owner_address,
+      accountDeployed: Boolean(wallet.account_deployed_at),
+    }
+  }
+
+  // A watched address, which the user must not already have as a wallet
+  async getWatchedWallet(userId, address) {
+    if (!address || !blockchainService.isValidAddress(address)) {
+      throw new Error("A watch-only wallet needs a valid address")
+    }
+
+    const existing = await query("SELECT id FROM wallets WHERE user_id = $1 AND LOWER(address) = LOWER($2)", [
+      userId,
+      address,
+    ])
+
+    if (existing.rows.length > 0) {
+      throw new Error("You already have a wallet with this address")
+    }
+
+    return { address: ethers.getAddress(address), publicKey: null }
+  }
+
+  // Watch-only wallets have no key anywhere and can never send or sign
+  assertNotWatchOnly(wallet) {
+    if (wallet.custody_mode === "watch") {
+      throw new Error("This wallet is watch-only and cannot send or sign transactions")
+    }
+  }
+
+  // Paths that sign plain transactions with the wallet's key. A smart account's key only owns the account
+  // and signs user operations, so those paths would act for the wrong address.
+  assertExternallyOwned(wallet) {
+    if (wallet.account_type === "smart_account") {
+      throw new Error("This is not available for smart account wallets yet")
+    }
+  }
+
+  // Server-side signing needs the wallet's stored key, which device-signed and watch-only wallets don't have
+  assertServerCustody(wallet) {
+    this.assertNotWatchOnly(wallet)
+
+    if (wallet.custody_mode === "client") {
+      throw new Error("This wallet signs on the device; build an unsigned transaction and broadcast it once signed")
+    }
+  }
+
   // Get user's wallets
   async getUserWallets(userId) {
     try {
       const result = await query(
         `
-        SELECT id, wallet_name, address, balance_usdc, is_primary, 
-               last_balance_update, created_at, status
+        SELECT id, wallet_name, address, balance_usdc, is_primary, chain_id, custody_mode, account_type,
+               owner_address, account_deployed_at, last_balance_update, created_at, status
         FROM wallets 
         WHERE user_id = $1 AND status = 'active'
         ORDER BY is_primary DESC, created_at ASC
@@ -75,11 +319,21 @@ class WalletService {
         [userId],
       )
 
+      const balances = await this.getCachedBalances(result.rows.map((wallet) => wallet.id))
+      const primaryNames = await nameService.lookupAddresses(result.rows.map((wallet) => wallet.address))
+
       return result.rows.map((wallet) => ({
         id: wallet.id,
         walletName: wallet.wallet_name,
         address: wallet.address,
+        primaryName: primaryNames.get(wallet.address.toLowerCase()) || null,
+        chainId: wallet.chain_id,
+        custodyMode: wallet.custody_mode,
+        watchOnly: wallet.custody_mode === "watch",
+        ...this.describeAccount(wallet),
+        addresses: chainRegistry.getWalletAddresses(wallet.address, wallet.chain_id, wallet.account_type),
         balance: wallet.balance_usdc || "0",
+        balances: balances.get(wallet.id) || [],
         isPrimary: wallet.is_primary,
         lastBalanceUpdate: wallet.last_balance_update,
         createdAt: wallet.created_at,
@@ -96,8 +350,8 @@ class WalletService {
     try {
       const result = await query(
         `
-        SELECT id, user_id, wallet_name, address, balance_usdc, is_primary,
-               last_balance_update, created_at, status
+        SELECT id, user_id, wallet_name, address, balance_usdc, is_primary, chain_id, custody_mode, account_type,
+               owner_address, account_deployed_at, last_balance_update, created_at, status
         FROM wallets 
         WHERE id = $1 AND user_id = $2 AND status = 'active'
       `,
@@ -109,12 +363,20 @@ class WalletService {
       }
 
       const wallet = result.rows[0]
+      const balances = await this.getCachedBalances([wallet.id])
 
       return {
         id: wallet.id,
         walletName: wallet.wallet_name,
         address: wallet.address,
+        primaryName: await nameService.lookupAddress(wallet.address),
+        chainId: wallet.chain_id,
+        custodyMode: wallet.custody_mode,
+        watchOnly: wallet.custody_mode === "watch",
+        ...this.describeAccount(wallet),
+        addresses: chainRegistry.getWalletAddresses(wallet.address, wallet.chain_id, wallet.account_type),
         balance: wallet.balance_usdc || "0",
+        balances: balances.get(wallet.id) || [],
         isPrimary: wallet.is_primary,
         lastBalanceUpdate: wallet.last_balance_update,
         createdAt: wallet.created_at,
@@ -126,31 +388,127 @@ class WalletService {
     }
   }
 
+  // Cached per-asset balances for a set of wallets, keyed by wallet ID
+  async getCachedBalances(walletIds) {
+    const result = await query(
+      `
+      SELECT wb.wallet_id, wb.balance, wb.updated_at, a.chain_id, a.symbol, a.contract_address, a.decimals
+      FROM wallet_balances wb
+      JOIN assets a ON wb.asset_id = a.id AND a.is_active = true
+      WHERE wb.wallet_id = ANY($1)
+      ORDER BY a.chain_id ASC, a.created_at ASC
+    `,
+      [walletIds],
+    )
+
+    const balances = new Map()
+
+    for (const row of result.rows) {
+      if (!balances.has(row.wallet_id)) {
+        balances.set(row.wallet_id, [])
+      }
+
+      balances.get(row.wallet_id).push({
+        chainId: row.chain_id,
+        asset: row.symbol,
+        contractAddress: row.contract_address,
+        decimals: row.decimals,
+        balance: row.balance,
+        updatedAt: row.updated_at,
+      })
+    }
+
+    return balances
+  }
+
+  // Register wallet with the incoming transfer indexer on each chain it can use, starting at the current block
+  async enableMonitoring(walletId) {
+    try {
+      const walletResult = await query("SELECT chain_id FROM wallets WHERE id = $1", [walletId])
+
+      for (const chain of chainRegistry.chainsForWallet(walletResult.rows[0].chain_id)) {
+        const currentBlock = await chain.getCurrentBlock()
+
+        await query(
+          `
+          INSERT INTO transaction_monitoring (wallet_id, chain_id, last_checked_block)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (wallet_id, chain_id) DO UPDATE SET is_active = true
+        `,
+          [walletId, chain.chainId, currentBlock],
+        )
+      }
+    } catch (error) {
+      logger.error(`Error enabling monitoring for wallet ${walletId}:`, error)
+      throw error
+    }
+  }
+
   // Update wallet balance from blockchain
   async updateWalletBalance(walletId) {
     try {
-      const walletResult = await query("SELECT address FROM wallets WHERE id = $1", [walletId])
+      const walletResult = await query("SELECT address, chain_id FROM wallets WHERE id = $1", [walletId])
 
       if (walletResult.rows.length === 0) {
         throw new Error("Wallet not found")
       }
 
-      const address = walletResult.rows[0].address
-      const balanceData = await blockchainService.getUSDCBalance(address)
+      const { address, chain_id: homeChainId } = walletResult.rows[0]
+      const balances = []
+      let usdcBalance = null
+
+      // Refresh every active asset on every chain the wallet can use
+      for (const { chain, asset } of await this.getWalletAssets(homeChainId)) {
+        let balanceData
+        try {
+          balanceData = await chain.getTokenBalance(address, asset)
+        } catch (error) {
+          // Another chain being unreachable should not block the wallet's own balance
+          if (chain.chainId === homeChainId) {
+            throw error
+          }
+          logger.warn(`Skipping ${asset.symbol} balance on chain ${chain.chainId} for wallet ${walletId}`)
+          continue
+        }
+
+        await query(
+          `
+          INSERT INTO wallet_balances (wallet_id, asset_id, balance, balance_wei, updated_at)
+          VALUES ($1, $2, $3, $4, NOW())
+          ON CONFLICT (wallet_id, asset_id) DO UPDATE
+          SET balance = EXCLUDED.balance, balance_wei = EXCLUDED.balance_wei, updated_at = NOW()
+        `,
+          [walletId, asset.id, balanceData.balance, balanceData.balanceWei],
+        )
 
-      // Update balance in database
+        if (asset.isDefault && chain.chainId === homeChainId) {
+          usdcBalance = balanceData
+        }
+
+        balances.push({
+          chainId: chain.chainId,
+          asset: asset.symbol,
+          contractAddress: asset.contractAddress,
+          decimals: asset.decimals,
+          balance: balanceData.balance,
+          balanceWei: balanceData.balanceWei,
+        })
+      }
+
+      // wallets.balance_usdc stays the USDC balance on the wallet's own chain for existing readers
       await query("UPDATE wallets SET balance_usdc = $1, last_balance_update = NOW() WHERE id = $2", [
-        balanceData.balance,
+        usdcBalance.balance,
         walletId,
       ])
 
-      logger.info(`Updated balance for wallet ${walletId}: ${balanceData.balance} USDC`)
+      logger.info(`Updated ${balances.length} asset balances for wallet ${walletId} (${usdcBalance.balance} USDC)`)
 
       return {
         walletId: walletId,
         address: address,
-        balance_usdc: balanceData.balance,
-        balance_wei: balanceData.balanceWei,
+        balance_usdc: usdcBalance.balance,
+        balance_wei: usdcBalance.balanceWei,
+        balances: balances,
       }
     } catch (error) {
       logger.error("Error updating wallet balance:", error)
@@ -158,18 +516,37 @@ class WalletService {
     }
   }
 
-  // Send USDC from wallet
-  async sendUSDC(walletId, userId, toAddress, amount, memo = null) {
-    try {
-      // Validate recipient address
-      if (!blockchainService.isValidAddress(toAddress)) {
-        throw new Error("Invalid recipient address")
+  // Active assets on every chain a wallet can use
+  async getWalletAssets(homeChainId) {
+    const walletAssets = []
+
+    for (const chain of chainRegistry.chainsForWallet(homeChainId)) {
+      for (const asset of await assetRegistry.listAssets({ chainId: chain.chainId })) {
+        walletAssets.push({ chain, asset })
       }
+    }
+
+    return walletAssets
+  }
+
+  // Send USDC (or another registered asset) from wallet
+  async sendUSDC(
+    walletId,
+    userId,
+    recipient,
+    amount,
+    memo = null,
+    { asset = null, chainId = null, feeTier = "standard", maxNetworkFee = null, gasless = false } = {},
+  ) {
+    try {
+      // The recipient may be an address or an ENS name / Basename
+      const { address: toAddress, name: toName } = await nameService.resolveRecipient(recipient)
 
       // Get wallet with encrypted private key
       const walletResult = await query(
         `
-        SELECT id, address, encrypted_private_key, balance_usdc
+        SELECT id, address, encrypted_private_key, balance_usdc, chain_id, custody_mode, account_type, owner_address,
+               account_salt
         FROM wallets 
         WHERE id = $1 AND user_id = $2 AND status = 'active'
       `,
@@ -181,87 +558,628 @@ class WalletService {
       }
 
       const wallet = walletResult.rows[0]
+      this.assertServerCustody(wallet)
+
+      const smartAccount = wallet.account_type === "smart_account"
+      if (smartAccount && gasless) {
+        throw new Error("Smart accounts pay their own gas, so gasless sends are not available for them")
+      }
+
       const encryptedPrivateKey = JSON.parse(wallet.encrypted_private_key)
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+      const token = await assetRegistry.resolveAsset(asset, chain.chainId)
+
+      // Pre-flight: simulate the transfer and check blacklists and on-chain balances before signing anything.
+      // A smart account's gas is checked when its user operation is priced.
+      const preflight = await preflightService.check({
+        walletId,
+        address: wallet.address,
+        chain,
+        token,
+        toAddress,
+        amount,
+        feeTier,
+        maxNetworkFee,
+        gasless: gasless || smartAccount,
+        nameChanges: await contactService.getNameChanges(userId, { address: toAddress, name: toName }),
+      })
+      if (!preflight.ok) {
+        throw preflightService.toError(preflight)
+      }
+
+      if (smartAccount) {
+        return this.sendFromSmartAccount(wallet, chain, token, toAddress, amount, {
+          memo,
+          feeTier,
+          maxNetworkFee,
+          toName,
+          warnings: preflight.warnings,
+        })
+      }
+
+      // Gasless: the wallet signs an authorization and the relayer submits it and pays the gas
+      if (gasless) {
+        if (!token.isDefault) {
+          throw new Error("Gasless sends are only available for USDC")
+        }
+
+        const queued = await this.queueAuthorizedSend(walletId, encryptedPrivateKey, toAddress, amount, {
+          memo,
+          feeTier,
+          assetId: token.id,
+          chain,
+          toName,
+        })
+
+        return { ...queued, warnings: preflight.warnings }
+      }
+
+      // Plan a gas station top-up when the wallet is short of ETH and the client sponsors gas
+      const gasEstimate = preflight.fees
+      const topUpPlan = await gasStation.planTopUp(walletId, wallet.address, gasEstimate, chain)
+
+      // The sponsorship fee is always paid in USDC
+      if (topUpPlan?.feeUSDC) {
+        const usdcBalance = token.isDefault
+          ? Number.parseFloat(preflight.checks.tokenBalance.available)
+          : Number.parseFloat((await chain.getTokenBalance(wallet.address)).balance)
+        const usdcNeeded = Number.parseFloat(topUpPlan.feeUSDC) + (token.isDefault ? Number.parseFloat(amount) : 0)
+
+        if (usdcBalance < usdcNeeded) {
+          throw new Error("Insufficient USDC balance to cover the gas sponsorship fee")
+        }
+      }
+
+      const sponsorship = topUpPlan ? await gasStation.fund(topUpPlan, walletId, wallet.address) : null
+
+      // Send transaction with a nonce reserved for this address on this chain
+      const txResult = await nonceManager.sendWithNonce(
+        walletId,
+        wallet.address,
+        (nonce) => chain.sendToken(encryptedPrivateKey, toAddress, amount, { token, nonce, feeTier, maxNetworkFee }),
+        chain.chainId,
+      )
+
+      // Once broadcast, a failure below must not read as an unsent transfer to a caller that retries sends
+      let transaction = null
+      let gasSponsorship = null
+      try {
+        // Record transaction in database
+        transaction = await this.recordSend(walletId, wallet.address, txResult, {
+          memo,
+          maxNetworkFee,
+          assetId: token.id,
+          chainId: chain.chainId,
+          toName,
+        })
+
+        logger.info(
+          `${token.symbol} sent from wallet ${walletId} on chain ${chain.chainId}: ${amount} ${token.symbol} to ${toName ? `${toName} (${toAddress})` : toAddress}`,
+        )
+
+        if (sponsorship) {
+          await gasStation.attachTransaction(sponsorship.id, transaction.id)
+
+          gasSponsorship = {
+            topUp: sponsorship.topUp,
+            topUpTransactionHash: sponsorship.topUpTransactionHash,
+            feeUSDC: sponsorship.feeUSDC,
+            feeTransactionHash: sponsorship.feeUSDC
+              ? await this.collectSponsorshipFee(walletId, wallet.address, encryptedPrivateKey, sponsorship, {
+                  feeTier,
+                  chain,
+                })
+              : null,
+          }
+        }
+      } catch (error) {
+        throw Object.assign(error, {
+          broadcast: true,
+          transactionHash: txResult.transactionHash,
+          transactionId: transaction?.id || null,
+        })
+      }
+
+      return {
+        transactionId: transaction.id,
+        transactionHash: txResult.transactionHash,
+        from: wallet.address,
+        to: toAddress,
+        toName: toName,
+        amount: amount,
+        asset: token.symbol,
+        chainId: chain.chainId,
+        nonce: txResult.nonce,
+        feeTier: txResult.feeTier,
+        maxFeePerGas: txResult.maxFeePerGas,
+        maxPriorityFeePerGas: txResult.maxPriorityFeePerGas,
+        gasSponsorship: gasSponsorship,
+        warnings: preflight.warnings,
+        status: "pending",
+        createdAt: transaction.created_at,
+      }
+    } catch (error) {
+      logger.error("Error sending USDC:", error)
+      throw error
+    }
+  }
+
+  // Send from a smart account as a user operation. Its transaction hash is filled in once the bundler
+  // has included it, after which the confirmation tracker treats it like any other send.
+  async sendFromSmartAccount(
+    wallet,
+    chain,
+    token,
+    toAddress,
+    amount,
+    { memo, feeTier, maxNetworkFee, toName, warnings },
+  ) {
+    const sent = await smartAccountService.sendToken(wallet, chain, token, toAddress, amount, {
+      feeTier,
+      maxNetworkFee,
+    })
+
+    // The user operation is with the bundler now; failures recording it are flagged as after broadcast
+    let transaction = null
+    try {
+      transaction = await this.recordSend(wallet.id, wallet.address, sent, {
+        memo,
+        maxNetworkFee,
+        assetId: token.id,
+        chainId: chain.chainId,
+        sendMode: "user_operation",
+        toName,
+        userOperationHash: sent.userOperationHash,
+      })
+      await smartAccountService.attachTransaction(sent.operationId, transaction.id)
+    } catch (error) {
+      throw Object.assign(error, { broadcast: true, transactionHash: null, transactionId: transaction?.id || null })
+    }
+
+    logger.info(
+      `${token.symbol} sent from smart account wallet ${wallet.id} on chain ${chain.chainId}: ${amount} ${token.symbol} to ${toName ? `${toName} (${toAddress})` : toAddress}`,
+    )
+
+    return {
+      transactionId: transaction.id,
+      transactionHash: null,
+      userOperationHash: sent.userOperationHash,
+      from: wallet.address,
+      to: toAddress,
+      toName: toName,
+      amount: amount,
+      asset: token.symbol,
+      chainId: chain.chainId,
+      feeTier: sent.feeTier,
+      maxFeePerGas: sent.maxFeePerGas,
+      maxPriorityFeePerGas: sent.maxPriorityFeePerGas,
+      paymaster: sent.paymaster,
+      maxFeeUSDC: sent.maxFeeUSDC,
+      deploysAccount: sent.deploysAccount,
+      sendMode: "user_operation",
+      warnings: warnings,
+      status: "pending",
+      createdAt: transaction.created_at,
+    }
+  }
+
+  // Cached balance of a non-USDC asset, as last refreshed by updateWalletBalance
+  async getCachedBalance(walletId, assetId) {
+    const result = await query("SELECT balance FROM wallet_balances WHERE wallet_id = $1 AND asset_id = $2", [
+      walletId,
+      assetId,
+    ])
+
+    return Number.parseFloat(result.rows[0]?.balance || "0")
+  }
+
+  // Dry run of a send: the pre-flight report for it without signing or broadcasting anything
+  async preflightSend(
+    walletId,
+    userId,
+    recipient,
+    amount,
+    { asset = null, chainId = null, feeTier = "standard", maxNetworkFee = null, gasless = false } = {},
+  ) {
+    try {
+      const walletResult = await query(
+        "SELECT id, address, chain_id, account_type FROM wallets WHERE id = $1 AND user_id = $2 AND status = 'active'",
+        [walletId, userId],
+      )
+
+      if (walletResult.rows.length === 0) {
+        throw new Error("Wallet not found or access denied")
+      }
+
+      const wallet = walletResult.rows[0]
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+      const token = await assetRegistry.resolveAsset(asset, chain.chainId)
+
+      if (gasless && !token.isDefault) {
+        throw new Error("Gasless sends are only available for USDC")
+      }
+
+      const { address: toAddress, name: toName } = await nameService.resolveRecipient(recipient)
+
+      const preflight = await preflightService.check({
+        walletId,
+        address: wallet.address,
+        chain,
+        token,
+        toAddress,
+        amount,
+        feeTier,
+        maxNetworkFee,
+        gasless: gasless || wallet.account_type === "smart_account",
+        nameChanges: await contactService.getNameChanges(userId, { address: toAddress, name: toName }),
+      })
+
+      return {
+        ...preflight,
+        from: wallet.address,
+        to: toAddress,
+        toName: toName,
+        amount: amount,
+        asset: token.symbol,
+        chainId: chain.chainId,
+        gasless: gasless,
+      }
+    } catch (error) {
+      logger.error("Error running send pre-flight:", error)
+      throw error
+    }
+  }
+
+  // Sign an EIP-3009 transferWithAuthorization and queue it for the relayer
+  async queueAuthorizedSend(
+    walletId,
+    encryptedPrivateKey,
+    toAddress,
+    amount,
+    { memo = null, feeTier = "standard", assetId = null, chain = chainRegistry.forChain(), toName = null } = {},
+  ) {
+    if (!relayer.isAvailable()) {
+      throw new Error("Gasless sends are not available")
+    }
+
+    const validBefore = Math.floor(Date.now() / 1000) + relayer.validitySeconds
+    const authorization = await chain.signTransferAuthorization(encryptedPrivateKey, toAddress, amount, {
+      validAfter: 0,
+      validBefore,
+    })
+
+    const result = await query(
+      `
+      INSERT INTO transactions (
+        wallet_id, from_address, to_address, amount, transaction_type, status, memo, fee_tier,
+        send_mode, relay_status, authorization_nonce, authorization_value, authorization_signature,
+        valid_after, valid_before, asset_id, chain_id, to_name
+      ) VALUES ($1, $2, $3, $4, 'send', 'pending', $5, $6, 'authorization', 'queued', $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING id, created_at
+    `,
+      [
+        walletId,
+        authorization.from,
+        toAddress,
+        amount,
+        memo,
+        feeTier,
+        authorization.nonce,
+        authorization.value,
+        authorization.signature,
+        authorization.validAfter,
+        authorization.validBefore,
+        assetId,
+        chain.chainId,
+        toName,
+      ],
+    )
+
+    const transaction = result.rows[0]
+
+    logger.info(`Gasless USDC send queued from wallet ${walletId}: ${amount} USDC to ${toAddress}`)
+
+    return {
+      transactionId: transaction.id,
+      transactionHash: null,
+      from: authorization.from,
+      to: toAddress,
+      toName: toName,
+      amount: amount,
+      asset: "USDC",
+      chainId: chain.chainId,
+      sendMode: "authorization",
+      relayStatus: "queued",
+      authorizationNonce: authorization.nonce,
+      validBefore: new Date(authorization.validBefore * 1000),
+      status: "pending",
+      createdAt: transaction.created_at,
+    }
+  }
+
+  // Insert a broadcast send into the transactions table
+  async recordSend(
+    walletId,
+    fromAddress,
+    txResult,
+    {
+      memo = null,
+      maxNetworkFee = null,
+      assetId = null,
+      chainId = chainRegistry.defaultChainId,
+      sendMode = "direct",
+      toName = null,
+      userOperationHash = null,
+    } = {},
+  ) {
+    const result = await query(
+      `
+      INSERT INTO transactions (
+        wallet_id, transaction_hash, from_address, to_address, amount,
+        gas_used, gas_price, transaction_type, status, memo, nonce,
+        fee_tier, max_fee_per_gas, max_priority_fee_per_gas, max_network_fee, asset_id, chain_id, send_mode, to_name,
+        user_operation_hash
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      RETURNING id, created_at
+    `,
+      [
+        walletId,
+        txResult.transactionHash,
+        fromAddress,
+        txResult.to,
+        txResult.amount,
+        txResult.gasUsed,
+        txResult.gasPrice,
+        "send",
+        "pending",
+        memo,
+        txResult.nonce,
+        txResult.feeTier,
+        txResult.maxFeePerGas,
+        txResult.maxPriorityFeePerGas,
+        maxNetworkFee,
+        assetId,
+        chainId,
+        sendMode,
+        toName,
+        userOperationHash,
+      ],
+    )
 
-      // Check sufficient balance
-      const currentBalance = Number.parseFloat(wallet.balance_usdc || "0")
-      if (currentBalance < Number.parseFloat(amount)) {
-        throw new Error("Insufficient USDC balance")
+    return result.rows[0]
+  }
+
+  // Pay the USDC fee for sponsored gas to the gas station. The user's send has already gone out,
+  // so a failure here is recorded against the sponsorship instead of being thrown.
+  async collectSponsorshipFee(walletId, address, encryptedPrivateKey, sponsorship, { feeTier, chain }) {
+    try {
+      const usdc = await assetRegistry.getDefaultAsset(chain.chainId)
+      const feeResult = await nonceManager.sendWithNonce(
+        walletId,
+        address,
+        (nonce) =>
+          chain.sendToken(encryptedPrivateKey, gasStation.address, sponsorship.feeUSDC, {
+            token: usdc,
+            nonce,
+            feeTier,
+          }),
+        chain.chainId,
+      )
+      const feeTransaction = await this.recordSend(walletId, address, feeResult, {
+        memo: "Gas sponsorship fee",
+        assetId: usdc.id,
+        chainId: chain.chainId,
+      })
+
+      await gasStation.recordFee(sponsorship.id, { transactionId: feeTransaction.id })
+      return feeResult.transactionHash
+    } catch (error) {
+      logger.error(`Error collecting gas sponsorship fee for wallet ${walletId}:`, error)
+      await gasStation.recordFee(sponsorship.id, { error }).catch(() => {})
+      return null
+    }
+  }
+
+  // Replace a pending send with a higher-fee copy (speed_up) or a zero-value self-transfer (cancel)
+  async replaceTransaction(walletId, userId, transactionId, replacementType, { feeTier = "fast" } = {}) {
+    try {
+      const txResult = await query(
+        `
+        SELECT t.*, w.address AS wallet_address, w.encrypted_private_key, w.custody_mode
+        FROM transactions t
+        JOIN wallets w ON t.wallet_id = w.id
+        WHERE t.id = $1 AND t.wallet_id = $2 AND w.user_id = $3 AND w.status = 'active'
+      `,
+        [transactionId, walletId, userId],
+      )
+
+      if (txResult.rows.length === 0) {
+        throw new Error("Transaction not found or access denied")
       }
 
-      // Check ETH balance for gas
-      const ethBalance = await blockchainService.getETHBalance(wallet.address)
-      if (Number.parseFloat(ethBalance.balance) < 0.001) {
-        // Minimum ETH for gas
-        throw new Error("Insufficient ETH balance for gas fees")
+      const original = txResult.rows[0]
+
+      if (original.transaction_type !== "send" || original.status !== "pending") {
+        throw new Error("Only pending sends can be replaced")
       }
 
-      // Send transaction
-      const txResult = await blockchainService.sendUSDC(encryptedPrivateKey, toAddress, amount)
+      if (original.send_mode === "cctp_burn") {
+        throw new Error("Cross-chain burns cannot be sped up or cancelled")
+      }
+
+      if (original.send_mode === "batch") {
+        throw new Error("Batch transfers cannot be sped up or cancelled")
+      }
+
+      if (original.send_mode === "user_operation") {
+        throw new Error("Smart account sends cannot be sped up or cancelled")
+      }
+
+      this.assertServerCustody(original)
+
+      if (original.nonce === null) {
+        throw new Error("Transaction was sent without a tracked nonce and cannot be replaced")
+      }
+
+      const newerResult = await query(
+        "SELECT transaction_hash FROM transactions WHERE replaces_transaction_id = $1 AND status = 'pending'",
+        [original.id],
+      )
+
+      if (newerResult.rows.length > 0) {
+        throw new Error(`Transaction has already been replaced by ${newerResult.rows[0].transaction_hash}`)
+      }
+
+      const nonce = Number(original.nonce)
+      const chain = chainRegistry.forChain(original.chain_id)
+      const chainNonces = await chain.getNonces(original.wallet_address)
+
+      if (chainNonces.latest > nonce) {
+        throw new Error("Transaction has already been mined")
+      }
+
+      // Speeding up a cancellation keeps it a cancellation
+      const type = original.replacement_type === "cancel" ? "cancel" : replacementType
+      const encryptedPrivateKey = JSON.parse(original.encrypted_private_key)
+      const token = await assetRegistry.getAssetById(original.asset_id, chain.chainId)
+
+      const replacement = await nonceManager.replaceWithNonce(
+        original.wallet_address,
+        nonce,
+        () =>
+          chain.sendReplacement(encryptedPrivateKey, {
+            nonce,
+            toAddress: type === "speed_up" ? original.to_address : null,
+            amount: type === "speed_up" ? original.amount : null,
+            token,
+            previousFees: {
+              maxFeePerGas: original.max_fee_per_gas || original.gas_price,
+              maxPriorityFeePerGas: original.max_priority_fee_per_gas || original.gas_price,
+            },
+            feeTier,
+          }),
+        chain.chainId,
+      )
 
-      // Record transaction in database
       const transactionResult = await query(
         `
         INSERT INTO transactions (
           wallet_id, transaction_hash, from_address, to_address, amount,
-          gas_used, gas_price, transaction_type, status, memo
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          gas_used, gas_price, transaction_type, status, memo, nonce,
+          fee_tier, max_fee_per_gas, max_priority_fee_per_gas, api_client_id,
+          replaces_transaction_id, replacement_type, asset_id, chain_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
         RETURNING id, created_at
       `,
         [
           walletId,
-          txResult.transactionHash,
-          wallet.address,
-          toAddress,
-          amount,
-          txResult.gasUsed,
-          txResult.gasPrice,
+          replacement.transactionHash,
+          original.wallet_address,
+          replacement.to,
+          replacement.amount,
+          replacement.gasUsed,
+          replacement.gasPrice,
           "send",
           "pending",
-          memo,
+          original.memo,
+          nonce,
+          replacement.feeTier,
+          replacement.maxFeePerGas,
+          replacement.maxPriorityFeePerGas,
+          original.api_client_id,
+          original.id,
+          type,
+          original.asset_id,
+          chain.chainId,
         ],
       )
 
       const transaction = transactionResult.rows[0]
 
-      logger.info(`USDC sent from wallet ${walletId}: ${amount} USDC to ${toAddress}`)
+      logger.info(`Transaction ${original.transaction_hash} replaced (${type}) by ${replacement.transactionHash}`)
 
       return {
         transactionId: transaction.id,
-        transactionHash: txResult.transactionHash,
-        from: wallet.address,
-        to: toAddress,
-        amount: amount,
+        transactionHash: replacement.transactionHash,
+        replacesTransactionId: original.id,
+        replacesTransactionHash: original.transaction_hash,
+        replacementType: type,
+        from: original.wallet_address,
+        to: replacement.to,
+        amount: replacement.amount,
+        asset: token.symbol,
+        chainId: chain.chainId,
+        nonce: nonce,
+        feeTier: replacement.feeTier,
+        maxFeePerGas: replacement.maxFeePerGas,
+        maxPriorityFeePerGas: replacement.maxPriorityFeePerGas,
         status: "pending",
         createdAt: transaction.created_at,
       }
     } catch (error) {
-      logger.error("Error sending USDC:", error)
+      logger.error("Error replacing transaction:", error)
+      throw error
+    }
+  }
+
+  // Get nonce state and pending nonce queue for a wallet on one of its chains
+  async getNonceQueue(walletId, userId, chainId = null) {
+    try {
+      const walletResult = await query("SELECT address, chain_id FROM wallets WHERE id = $1 AND user_id = $2", [
+        walletId,
+        userId,
+      ])
+
+      if (walletResult.rows.length === 0) {
+        throw new Error("Wallet not found or access denied")
+      }
+
+      const wallet = walletResult.rows[0]
+      const chain = chainRegistry.forWallet(wallet.chain_id, chainId)
+
+      return await nonceManager.getNonceQueue(wallet.address, chain.chainId)
+    } catch (error) {
+      logger.error("Error getting nonce queue:", error)
       throw error
     }
   }
 
-  // Get wallet transaction history
-  async getTransactionHistory(walletId, userId, limit = 50, offset = 0) {
+  // Get wallet transaction history, optionally for a single chain and asset. An asset is looked up
+  // on the given chain, or the wallet's own chain when none is given.
+  async getTransactionHistory(walletId, userId, limit = 50, offset = 0, { asset = null, chainId = null } = {}) {
     try {
       // Verify wallet ownership
-      const walletResult = await query("SELECT id FROM wallets WHERE id = $1 AND user_id = $2", [walletId, userId])
+      const walletResult = await query("SELECT id, chain_id FROM wallets WHERE id = $1 AND user_id = $2", [
+        walletId,
+        userId,
+      ])
 
       if (walletResult.rows.length === 0) {
         throw new Error("Wallet not found or access denied")
       }
 
+      const wallet = walletResult.rows[0]
+      const chain = chainId || asset ? chainRegistry.forWallet(wallet.chain_id, chainId) : null
+      const token = asset ? await assetRegistry.resolveAsset(asset, chain.chainId) : null
+
+      // Rows from before the registry have no asset_id and count as USDC
       const result = await query(
         `
-        SELECT id, transaction_hash, from_address, to_address, amount,
-               transaction_type, status, memo, created_at, confirmed_at,
-               gas_used, transaction_fee, confirmations
-        FROM transactions 
-        WHERE wallet_id = $1
-        ORDER BY created_at DESC
+        SELECT t.id, t.transaction_hash, t.from_address, t.to_address, t.to_name, t.amount,
+               t.transaction_type, t.status, t.memo, t.created_at, t.confirmed_at,
+               t.gas_used, t.transaction_fee, t.confirmations, t.nonce,
+               t.replaces_transaction_id, t.replacement_type, t.replaced_by_hash,
+               t.send_mode, t.relay_status, t.user_operation_hash, t.failure_reason, t.chain_id,
+               a.symbol AS asset_symbol
+        FROM transactions t
+        LEFT JOIN assets a ON t.asset_id = a.id
+        WHERE t.wallet_id = $1
+          AND ($6::integer IS NULL OR t.chain_id = $6)
+          AND ($4::uuid IS NULL OR t.asset_id = $4 OR ($5 AND t.asset_id IS NULL))
+        ORDER BY t.created_at DESC
         LIMIT $2 OFFSET $3
       `,
-        [walletId, limit, offset],
+        [walletId, limit, offset, token?.id ?? null, token?.isDefault ?? false, chain?.chainId ?? null],
       )
 
       return result.rows.map((tx) => ({
@@ -269,7 +1187,10 @@ class WalletService {
         transactionHash: tx.transaction_hash,
         from: tx.from_address,
         to: tx.to_address,
+        toName: tx.to_name,
         amount: tx.amount,
+        asset: tx.asset_symbol || "USDC",
+        chainId: tx.chain_id,
         type: tx.transaction_type,
         status: tx.status,
         memo: tx.memo,
@@ -278,6 +1199,14 @@ class WalletService {
         gasUsed: tx.gas_used,
         transactionFee: tx.transaction_fee,
         confirmations: tx.confirmations,
+        nonce: tx.nonce,
+        replacesTransactionId: tx.replaces_transaction_id,
+        replacementType: tx.replacement_type,
+        replacedByHash: tx.replaced_by_hash,
+        sendMode: tx.send_mode,
+        relayStatus: tx.relay_status,
+        userOperationHash: tx.user_operation_hash,
+        failureReason: tx.failure_reason,
       }))
     } catch (error) {
       logger.error("Error getting transaction history:", error)
@@ -289,12 +1218,18 @@ class WalletService {
   async setPrimaryWallet(walletId, userId) {
     try {
       // Verify wallet ownership
-      const walletResult = await query("SELECT id FROM wallets WHERE id = $1 AND user_id = $2", [walletId, userId])
+      const walletResult = await query("SELECT id, custody_mode FROM wallets WHERE id = $1 AND user_id = $2", [
+        walletId,
+        userId,
+      ])
 
       if (walletResult.rows.length === 0) {
         throw new Error("Wallet not found or access denied")
       }
 
+      // The primary wallet is the default for sends
+      this.assertNotWatchOnly(walletResult.rows[0])
+
       // Remove primary flag from all user's wallets
       await query("UPDATE wallets SET is_primary = false WHERE user_id = $1", [userId])
 
@@ -0,0 +1,281 @@
+const http = require("http")
+const { ethers } = require("ethers")
+
+jest.mock("../logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }))
+
+const RpcProviderPool = require("../rpcProviderPool")
+
+const CHAIN_ID = 31337
+const ADDRESS = "0x000000000000000000000000000000000000dEaD"
+
+// A minimal local dev chain: answers the JSON-RPC calls the pool makes from its own state, and can be
+// slowed down, made to rate limit, or killed outright
+const startChain = async ({ head = 100, balance = 1000n, delayMs = 0 } = {}) => {
+  const chain = { head, balance, delayMs, rateLimited: false, requests: 0, sockets: new Set(), timers: new Set() }
+
+  const handle = (request) => {
+    if (chain.rateLimited) {
+      return { jsonrpc: "2.0", id: request.id, error: { code: -32005, message: "rate limited" } }
+    }
+
+    const results = {
+      eth_chainId: ethers.toQuantity(CHAIN_ID),
+      eth_blockNumber: ethers.toQuantity(chain.head),
+      eth_getBalance: ethers.toQuantity(chain.balance),
+    }
+
+    if (!(request.method in results)) {
+      return { jsonrpc: "2.0", id: request.id, error: { code: -32601, message: "method not found" } }
+    }
+
+    return { jsonrpc: "2.0", id: request.id, result: results[request.method] }
+  }
+
+  chain.server = http.createServer((req, res) => {
+    let body = ""
+    req.on("data", (chunk) => (body += chunk))
+    req.on("end", () => {
+      chain.requests++
+      const payload = JSON.parse(body)
+      const response = Array.isArray(payload) ? payload.map(handle) : handle(payload)
+
+      const timer = setTimeout(() => {
+        chain.timers.delete(timer)
+        res.setHeader("content-type", "application/json")
+        res.end(JSON.stringify(response))
+      }, chain.delayMs)
+      chain.timers.add(timer)
+    })
+  })
+  chain.server.on("connection", (socket) => {
+    chain.sockets.add(socket)
+    socket.on("close", () => chain.sockets.delete(socket))
+  })
+
+  await new Promise((resolve) => chain.server.listen(0, "127.0.0.1", resolve))
+  chain.url = `http://127.0.0.1:${chain.server.address().port}`
+
+  chain.kill = () =>
+    new Promise((resolve) => {
+      for (const timer of chain.timers) clearTimeout(timer)
+      for (const socket of chain.sockets) socket.destroy()
+      chain.server.close(() => resolve())
+    })
+
+  return chain
+}
+
+describe("RpcProviderPool", () => {
+  let chains = []
+
+  const startChains = async (...options) => {
+    chains = await Promise.all(options.map((option) => startChain(option)))
+    return chains
+  }
+
+  const createPool = (options = {}) =>
+    new RpcProviderPool(
+      chains.map((chain) => chain.url),
+      { chainId: CHAIN_ID, requestTimeoutMs: 500, cooldownMs: 60000, ...options },
+    )
+
+  afterEach(async () => {
+    await Promise.all(chains.filter((chain) => chain.server.listening).map((chain) => chain.kill()))
+    chains = []
+  })
+
+  describe("endpoint URLs", () => {
+    it("rejects a malformed URL without echoing it", () => {
+      expect(() => new RpcProviderPool(["https://rpc.example.com", "not a url?key=secret"], { chainId: 8453 })).toThrow(
+        "RPC endpoint 2 for chain 8453 is not a valid URL",
+      )
+    })
+
+    it("rejects URLs that are not http(s)", () => {
+      expect(() => new RpcProviderPool(["wss://rpc.example.com"], { chainId: 8453 })).toThrow(
+        "RPC endpoint 1 for chain 8453 must be an http(s) URL, not wss:",
+      )
+    })
+
+    it("reports endpoints by host only", () => {
+      const pool = new RpcProviderPool(["https://rpc.example.com/v2/secret-key"], { chainId: 8453 })
+
+      expect(pool.getStatus()[0].name).toBe("0:rpc.example.com")
+    })
+  })
+
+  describe("failover", () => {
+    it("moves on to the next endpoint when one is down", async () => {
+      const [down, up] = await startChains({ head: 100 }, { head: 101 })
+      await down.kill()
+      const pool = createPool()
+
+      await expect(pool.getBlockNumber()).resolves.toBe(101)
+      expect(pool.endpoints[0].consecutiveFailures).toBe(1)
+      expect(pool.endpoints[0].lastError).toBeTruthy()
+      expect(up.requests).toBe(1)
+    })
+
+    it("fails over when an endpoint times out", async () => {
+      const [slow, fast] = await startChains({ delayMs: 2000 }, { head: 102 })
+      const pool = createPool({ requestTimeoutMs: 200 })
+
+      await expect(pool.getBlockNumber()).resolves.toBe(102)
+      expect(pool.endpoints[0].lastError).toMatch(/timed out/)
+      expect(slow.requests).toBe(1)
+      expect(fast.requests).toBe(1)
+    })
+
+    it("fails over when an endpoint rate limits", async () => {
+      const [limited] = await startChains({ head: 100 }, { head: 103 })
+      limited.rateLimited = true
+      const pool = createPool()
+
+      await expect(pool.getBlockNumber()).resolves.toBe(103)
+      expect(pool.endpoints[0].lastError).toBe("rate limited")
+    })
+
+    it("cools an endpoint down after repeated failures and stops trying it first", async () => {
+      const [flaky, steady] = await startChains({ head: 100 }, { head: 100 })
+      await flaky.kill()
+      const pool = createPool({ maxFailures: 2 })
+
+      await pool.checkHealth()
+      await pool.checkHealth()
+      const status = pool.getStatus()
+
+      expect(status[0]).toMatchObject({ healthy: false, consecutiveFailures: 2 })
+      expect(status[0].coolingDownUntil).toBeInstanceOf(Date)
+      expect(pool.rankedEndpoints()[0]).toBe(pool.endpoints[1])
+
+      await pool.getBlockNumber()
+      expect(steady.requests).toBe(3)
+      expect(pool.endpoints[0].consecutiveFailures).toBe(2)
+    })
+
+    it("fails with the last error when every endpoint is down", async () => {
+      const [first, second] = await startChains({}, {})
+      await Promise.all([first.kill(), second.kill()])
+      const pool = createPool()
+
+      await expect(pool.send("eth_blockNumber", [])).rejects.toThrow()
+      expect(pool.endpoints.every((endpoint) => endpoint.consecutiveFailures === 1)).toBe(true)
+    })
+  })
+
+  describe("quorum reads", () => {
+    it("returns the value a quorum of endpoints agrees on", async () => {
+      const [, , odd] = await startChains({ balance: 500n }, { balance: 500n }, { balance: 999n })
+      const pool = createPool({ quorum: 2 })
+
+      await expect(pool.quorumCall("eth_getBalance", [ADDRESS])).resolves.toBe(ethers.toQuantity(500n))
+      expect(odd.requests).toBeLessThanOrEqual(1)
+    })
+
+    it("brings in another endpoint when the first ones disagree", async () => {
+      await startChains({ balance: 500n }, { balance: 999n }, { balance: 500n })
+      const pool = createPool({ quorum: 2 })
+
+      await expect(pool.quorumCall("eth_getBalance", [ADDRESS])).resolves.toBe(ethers.toQuantity(500n))
+    })
+
+    it("reaches a quorum with a killed endpoint as long as enough others agree", async () => {
+      const [down] = await startChains({ balance: 500n }, { balance: 500n }, { balance: 500n })
+      await down.kill()
+      const pool = createPool({ quorum: 2 })
+
+      await expect(pool.quorumCall("eth_getBalance", [ADDRESS])).resolves.toBe(ethers.toQuantity(500n))
+    })
+
+    it("fails when too few endpoints agree", async () => {
+      const [down] = await startChains({ balance: 500n }, { balance: 500n }, { balance: 999n })
+      await down.kill()
+      const pool = createPool({ quorum: 2 })
+      chains[1].balance = 600n
+
+      await expect(pool.quorumCall("eth_getBalance", [ADDRESS])).rejects.toThrow(
+        "RPC endpoints did not reach a quorum of 2 for eth_getBalance",
+      )
+    })
+
+    it("reads at a block a little behind the head", async () => {
+      const [first] = await startChains({ head: 50 }, { head: 50 })
+      const pool = createPool({ quorum: 2 })
+      const seen = []
+      const send = pool.endpoints[0].send.bind(pool.endpoints[0])
+      pool.endpoints[0].send = (payload, timeoutMs) => {
+        seen.push(payload)
+        return send(payload, timeoutMs)
+      }
+
+      await pool.quorumCall("eth_getBalance", [ADDRESS])
+
+      expect(first.requests).toBeGreaterThan(0)
+      expect(seen.find((payload) => payload.method === "eth_getBalance").params).toEqual([
+        ADDRESS,
+        ethers.toQuantity(48),
+      ])
+    })
+  })
+
+  describe("health scoring", () => {
+    it("marks endpoints that lag the best head as unhealthy", async () => {
+      await startChains({ head: 200 }, { head: 198 }, { head: 180 })
+      const pool = createPool({ maxBlockLag: 5 })
+
+      await expect(pool.checkHealth()).resolves.toEqual({ healthy: 2, total: 3, bestHead: 200 })
+
+      const status = pool.getStatus()
+      expect(status.map((endpoint) => endpoint.lag)).toEqual([0, 2, 20])
+      expect(status.map((endpoint) => endpoint.healthy)).toEqual([true, true, false])
+      expect(pool.rankedEndpoints()[2]).toBe(pool.endpoints[2])
+    })
+
+    it("counts a killed endpoint as a failure without holding back the others", async () => {
+      const [down] = await startChains({ head: 300 }, { head: 300 })
+      await down.kill()
+      const pool = createPool({ maxFailures: 1 })
+
+      await expect(pool.checkHealth()).resolves.toEqual({ healthy: 1, total: 2, bestHead: 300 })
+      expect(pool.getStatus()[0]).toMatchObject({ healthy: false, blockNumber: null, consecutiveFailures: 1 })
+    })
+
+    it("prefers faster endpoints", async () => {
+      await startChains({ delayMs: 150 }, { delayMs: 0 })
+      const pool = createPool()
+
+      await pool.checkHealth()
+
+      expect(pool.endpoints[1].score()).toBeLessThan(pool.endpoints[0].score())
+      expect(pool.rankedEndpoints()[0]).toBe(pool.endpoints[1])
+    })
+
+    it("penalises endpoints with a history of errors", async () => {
+      await startChains({}, {})
+      const pool = createPool({ maxFailures: 10 })
+      pool.endpoints.forEach((endpoint) => endpoint.recordSuccess(50))
+
+      pool.endpoints[0].recordFailure(new Error("boom"), pool.failurePolicy)
+
+      expect(pool.endpoints[0].isHealthy(pool.maxBlockLag)).toBe(true)
+      expect(pool.endpoints[0].score()).toBeGreaterThan(pool.endpoints[1].score())
+
+      pool.endpoints[0].recordSuccess(50)
+      expect(pool.endpoints[0].consecutiveFailures).toBe(0)
+      expect(pool.endpoints[0].errorRate).toBeGreaterThan(0)
+    })
+
+    it("brings a recovered endpoint back once it answers again", async () => {
+      const [flaky] = await startChains({ head: 10 }, { head: 10 })
+      flaky.rateLimited = true
+      const pool = createPool({ maxFailures: 1 })
+
+      await pool.checkHealth()
+      expect(pool.getStatus()[0].healthy).toBe(false)
+
+      flaky.rateLimited = false
+      await pool.checkHealth()
+      expect(pool.getStatus()[0]).toMatchObject({ healthy: true, consecutiveFailures: 0, blockNumber: 10 })
+    })
+  })
+})
@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV reading and writing for uploads and downloadable reports
+
+// Parse CSV text into rows of trimmed cells. Quoted cells may contain commas, newlines and doubled quotes.
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ""
+  let quoted = false
+
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = text.replace(/^\uFEFF/, "")
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+      continue
+    }
+
+    if (char === '"' && cell.trim() === "") {
+      cell = ""
+      quoted = true
+    } else if (char === ",") {
+      row.push(cell.trim())
+      cell = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++
+      }
+      row.push(cell.trim())
+      rows.push(row)
+      row = []
+      cell = ""
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV has an unterminated quoted value")
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell.trim())
+    rows.push(row)
+  }
+
+  // Blank lines carry no data
+  return rows.filter((cells) => cells.some((value) => value !== ""))
+}
+
+// Quote a value for CSV output. Text that a spreadsheet would run as a formula is prefixed with a quote.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return ""
+  }
+
+  let text = String(value)
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(",")).join("\r\n") + "\r\n"
+
+module.exports = {
+  parseCsv,
+  toCsv,
+}
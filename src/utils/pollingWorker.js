@@ -0,0 +1,64 @@
+const logger = require("./logger")
+
+// Base class for background jobs that run on a fixed interval without overlapping
+class PollingWorker {
+  constructor(name, pollInterval) {
+    this.name = name
+    this.pollInterval = pollInterval
+    this.timer = null
+    this.isRunning = false
+  }
+
+  // Start polling
+  start() {
+    if (this.timer) {
+      return
+    }
+
+    logger.info(`${this.name} started (every ${this.pollInterval}ms)`)
+    this.timer = setTimeout(() => this.tick(), 0)
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+      logger.info(`${this.name} stopped`)
+    }
+  }
+
+  async tick() {
+    try {
+      await this.runOnce()
+    } catch (error) {
+      logger.error(`${this.name} run failed:`, error)
+    } finally {
+      if (this.timer) {
+        this.timer = setTimeout(() => this.tick(), this.pollInterval)
+      }
+    }
+  }
+
+  // Run a single pass, skipping if the previous one is still in progress
+  async runOnce() {
+    if (this.isRunning) {
+      return { skipped: true }
+    }
+
+    this.isRunning = true
+
+    try {
+      return await this.run()
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  // Implemented by subclasses
+  async run() {
+    throw new Error(`${this.name} must implement run()`)
+  }
+}
+
+module.exports = PollingWorker
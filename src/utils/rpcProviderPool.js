@@ -0,0 +1,265 @@
+const { ethers } = require("ethers")
+const logger = require("./logger")
+
+// JSON-RPC error codes that mean the endpoint (not the request) is at fault
+const ENDPOINT_ERROR_CODES = new Set([-32005, 429])
+// Smoothing factor for latency and error-rate moving averages
+const EWMA_ALPHA = 0.3
+// Score penalty (in ms) for every block an endpoint is behind the best head
+const LAG_PENALTY_MS = 250
+
+const withTimeout = (promise, timeoutMs) => {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`RPC request timed out after ${timeoutMs}ms`)), timeoutMs)
+  })
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// Parse an endpoint URL, failing with an error that names the chain and endpoint but never echoes the
+// URL itself, since provider URLs often carry API keys
+const parseEndpointUrl = (url, index, chainId) => {
+  const where = `RPC endpoint ${index + 1}${chainId ? ` for chain ${chainId}` : ""}`
+  let parsed
+
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    throw new Error(`${where} is not a valid URL`)
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error(`${where} must be an http(s) URL, not ${parsed.protocol}`)
+  }
+
+  return parsed
+}
+
+// One RPC URL and its observed health
+class RpcEndpoint {
+  constructor(url, index, network) {
+    this.url = url
+    // Provider URLs often carry API keys, so only the host is ever reported
+    this.name = `${index}:${parseEndpointUrl(url, index, network?.chainId).host}`
+    this.provider = new ethers.JsonRpcProvider(url, network, { staticNetwork: network, batchMaxCount: 1 })
+    this.latencyMs = null
+    this.errorRate = 0
+    this.consecutiveFailures = 0
+    this.blockNumber = null
+    this.lag = 0
+    this.cooldownUntil = 0
+    this.lastError = null
+    this.lastCheckedAt = null
+  }
+
+  recordSuccess(latencyMs) {
+    this.latencyMs = this.latencyMs === null ? latencyMs : EWMA_ALPHA * latencyMs + (1 - EWMA_ALPHA) * this.latencyMs
+    this.errorRate = (1 - EWMA_ALPHA) * this.errorRate
+    this.consecutiveFailures = 0
+    this.cooldownUntil = 0
+  }
+
+  recordFailure(error, { maxFailures, cooldownMs }) {
+    this.errorRate = EWMA_ALPHA + (1 - EWMA_ALPHA) * this.errorRate
+    this.consecutiveFailures++
+    this.lastError = error.message
+
+    if (this.consecutiveFailures >= maxFailures) {
+      this.cooldownUntil = Date.now() + cooldownMs
+    }
+  }
+
+  isHealthy(maxBlockLag) {
+    return this.cooldownUntil <= Date.now() && this.lag <= maxBlockLag
+  }
+
+  // Lower is better
+  score() {
+    return (this.latencyMs ?? 1000) * (1 + 10 * this.errorRate) + this.lag * LAG_PENALTY_MS
+  }
+
+  async send(payload, timeoutMs) {
+    return withTimeout(this.provider._send(payload), timeoutMs)
+  }
+}
+
+// ethers provider that spreads requests over several RPC endpoints, preferring the healthiest
+// and failing over when one errors or times out
+class RpcProviderPool extends ethers.JsonRpcProvider {
+  constructor(
+    urls,
+    { chainId = null, requestTimeoutMs = 10000, quorum = 2, maxBlockLag = 5, maxFailures = 3, cooldownMs = 30000 } = {},
+  ) {
+    const network = chainId ? ethers.Network.from(chainId) : undefined
+    const endpointUrls = urls.length > 0 ? urls : ["http://localhost:8545"]
+    endpointUrls.forEach((url, index) => parseEndpointUrl(url, index, chainId))
+
+    super(endpointUrls[0], network, { staticNetwork: network, batchMaxCount: 1 })
+
+    this.endpoints = endpointUrls.map((url, index) => new RpcEndpoint(url, index, network))
+    this.requestTimeoutMs = requestTimeoutMs
+    this.quorum = Math.min(quorum, this.endpoints.length)
+    this.maxBlockLag = maxBlockLag
+    this.failurePolicy = { maxFailures, cooldownMs }
+    this.requestId = 0
+  }
+
+  // Healthy endpoints first, each group ordered by score
+  rankedEndpoints() {
+    const byScore = (a, b) => a.score() - b.score()
+    const healthy = this.endpoints.filter((endpoint) => endpoint.isHealthy(this.maxBlockLag)).sort(byScore)
+    const unhealthy = this.endpoints.filter((endpoint) => !endpoint.isHealthy(this.maxBlockLag)).sort(byScore)
+
+    return [...healthy, ...unhealthy]
+  }
+
+  // Send through the best endpoint, failing over to the next on network errors, timeouts and rate limits
+  async _send(payload) {
+    let lastError = null
+
+    for (const endpoint of this.rankedEndpoints()) {
+      const startedAt = Date.now()
+
+      try {
+        const results = await endpoint.send(payload, this.requestTimeoutMs)
+        const endpointError = results.find((result) => result.error && ENDPOINT_ERROR_CODES.has(result.error.code))
+
+        if (endpointError) {
+          throw new Error(endpointError.error.message)
+        }
+
+        endpoint.recordSuccess(Date.now() - startedAt)
+        return this.normalizeResults(payload, results)
+      } catch (error) {
+        endpoint.recordFailure(error, this.failurePolicy)
+        lastError = error
+        logger.warn(`RPC endpoint ${endpoint.name} failed, trying next: ${error.message}`)
+      }
+    }
+
+    throw lastError
+  }
+
+  // A broadcast retried on another endpoint after a timeout may already be in the mempool
+  normalizeResults(payload, results) {
+    if (Array.isArray(payload) || payload.method !== "eth_sendRawTransaction") {
+      return results
+    }
+
+    return results.map((result) =>
+      result.error && /already known|known transaction/i.test(result.error.message)
+        ? { id: result.id, result: ethers.keccak256(payload.params[0]) }
+        : result,
+    )
+  }
+
+  // Read a value that must be agreed on by a quorum of endpoints. The block is pinned slightly
+  // behind the best head so endpoints a block or two apart still agree.
+  async quorumCall(method, params) {
+    if (this.quorum <= 1) {
+      return this.send(method, [...params, "latest"])
+    }
+
+    const head = await this.getBlockNumber()
+    const blockTag = ethers.toQuantity(Math.max(head - 2, 0))
+    const tally = new Map()
+    const errors = []
+
+    const ask = async (endpoint) => {
+      const startedAt = Date.now()
+      const payload = { jsonrpc: "2.0", id: `quorum-${++this.requestId}`, method, params: [...params, blockTag] }
+
+      try {
+        const [response] = await endpoint.send(payload, this.requestTimeoutMs)
+
+        if (response.error) {
+          throw new Error(response.error.message)
+        }
+
+        endpoint.recordSuccess(Date.now() - startedAt)
+        const key = JSON.stringify(response.result)
+        tally.set(key, { result: response.result, votes: (tally.get(key)?.votes ?? 0) + 1 })
+      } catch (error) {
+        endpoint.recordFailure(error, this.failurePolicy)
+        errors.push(`${endpoint.name}: ${error.message}`)
+      }
+    }
+
+    const ranked = this.rankedEndpoints()
+    await Promise.all(ranked.slice(0, this.quorum).map(ask))
+
+    // Bring in the remaining endpoints one at a time until enough of them agree
+    for (const endpoint of ranked.slice(this.quorum)) {
+      if ([...tally.values()].some((entry) => entry.votes >= this.quorum)) {
+        break
+      }
+      await ask(endpoint)
+    }
+
+    const agreed = [...tally.values()].find((entry) => entry.votes >= this.quorum)
+
+    if (!agreed) {
+      logger.error(`RPC quorum not reached for ${method} at block ${blockTag}: ${errors.join("; ")}`)
+      throw new Error(`RPC endpoints did not reach a quorum of ${this.quorum} for ${method}`)
+    }
+
+    return agreed.result
+  }
+
+  // Probe every endpoint's head block and latency
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        const startedAt = Date.now()
+        const payload = { jsonrpc: "2.0", id: `health-${++this.requestId}`, method: "eth_blockNumber", params: [] }
+
+        try {
+          const [response] = await endpoint.send(payload, this.requestTimeoutMs)
+
+          if (response.error) {
+            throw new Error(response.error.message)
+          }
+
+          endpoint.blockNumber = Number(response.result)
+          endpoint.recordSuccess(Date.now() - startedAt)
+        } catch (error) {
+          endpoint.recordFailure(error, this.failurePolicy)
+        } finally {
+          endpoint.lastCheckedAt = new Date()
+        }
+      }),
+    )
+
+    const bestHead = Math.max(...this.endpoints.map((endpoint) => endpoint.blockNumber ?? 0))
+
+    for (const endpoint of this.endpoints) {
+      endpoint.lag = endpoint.blockNumber === null ? 0 : bestHead - endpoint.blockNumber
+    }
+
+    const healthy = this.endpoints.filter((endpoint) => endpoint.isHealthy(this.maxBlockLag)).length
+    if (healthy < this.endpoints.length) {
+      logger.warn(`${healthy}/${this.endpoints.length} RPC endpoints healthy`)
+    }
+
+    return { healthy, total: this.endpoints.length, bestHead }
+  }
+
+  // Per-endpoint health for the status endpoint
+  getStatus() {
+    return this.endpoints.map((endpoint) => ({
+      name: endpoint.name,
+      healthy: endpoint.isHealthy(this.maxBlockLag),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      consecutiveFailures: endpoint.consecutiveFailures,
+      blockNumber: endpoint.blockNumber,
+      lag: endpoint.lag,
+      coolingDownUntil: endpoint.cooldownUntil > Date.now() ? new Date(endpoint.cooldownUntil) : null,
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt,
+    }))
+  }
+}
+
+module.exports = RpcProviderPool
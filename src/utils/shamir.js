@@ -0,0 +1,87 @@
+const crypto = require("crypto")
+
+// Shamir's secret sharing over GF(2^8), byte by byte. A share is its x coordinate (1-255) followed by
+// one y byte per secret byte; any `threshold` distinct shares rebuild the secret and fewer reveal nothing.
+
+// Log and antilog tables for GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510)
+const LOG = new Uint8Array(256)
+
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x
+  EXP[i + 255] = x
+  LOG[x] = i
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0)
+}
+
+const multiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]])
+
+const divide = (a, b) => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]])
+
+// Split a secret into shareCount shares, threshold of which are needed to rebuild it
+const split = (secret, shareCount, threshold) => {
+  if (!Number.isInteger(threshold) || threshold < 2) {
+    throw new Error("Threshold must be at least 2")
+  }
+
+  if (!Number.isInteger(shareCount) || shareCount < threshold || shareCount > 255) {
+    throw new Error("Share count must be between the threshold and 255")
+  }
+
+  const shares = Array.from({ length: shareCount }, (_, i) => {
+    const share = Buffer.alloc(secret.length + 1)
+    share[0] = i + 1
+    return share
+  })
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    // Random polynomial of degree threshold - 1 whose constant term is the secret byte
+    const coefficients = [secret[byte], ...crypto.randomBytes(threshold - 1)]
+
+    for (const share of shares) {
+      let y = 0
+      for (let i = coefficients.length - 1; i >= 0; i--) {
+        y = multiply(y, share[0]) ^ coefficients[i]
+      }
+      share[byte + 1] = y
+    }
+  }
+
+  return shares
+}
+
+// Rebuild a secret from shares by Lagrange interpolation at x = 0. With fewer shares than the threshold
+// the result is just a wrong secret, so callers check it against something they know.
+const combine = (shares) => {
+  const xs = shares.map((share) => share[0])
+
+  if (shares.length < 2 || new Set(xs).size !== xs.length || xs.includes(0)) {
+    throw new Error("At least two shares with distinct indexes are needed")
+  }
+
+  if (shares.some((share) => share.length !== shares[0].length)) {
+    throw new Error("Shares have different lengths")
+  }
+
+  const secret = Buffer.alloc(shares[0].length - 1)
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    let value = 0
+
+    for (let i = 0; i < shares.length; i++) {
+      let basis = 1
+      for (let j = 0; j < shares.length; j++) {
+        if (i !== j) {
+          basis = multiply(basis, divide(xs[j], xs[j] ^ xs[i]))
+        }
+      }
+      value ^= multiply(shares[i][byte + 1], basis)
+    }
+
+    secret[byte] = value
+  }
+
+  return secret
+}
+
+module.exports = { split, combine }